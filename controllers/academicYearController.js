@@ -0,0 +1,224 @@
+const AcademicYear = require('../models/AcademicYear');
+const School = require('../models/School');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const YEAR_FIELDS = ['name', 'startDate', 'endDate', 'terms'];
+
+const pickYearFields = (body) => YEAR_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Years can't overlap, or a date would belong to two of them
+const findOverlappingYear = (schoolId, startDate, endDate, excludeId = null) => {
+  const query = {
+    schoolId,
+    startDate: { $lte: new Date(new Date(endDate).setHours(23, 59, 59, 999)) },
+    endDate: { $gte: new Date(new Date(startDate).setHours(0, 0, 0, 0)) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return AcademicYear.findOne(query).select('name');
+};
+
+// One current year per school, mirrored in the school's settings for older code that reads it there
+const makeCurrent = async (year) => {
+  await AcademicYear.updateMany(
+    { schoolId: year.schoolId, _id: { $ne: year._id }, isCurrent: true },
+    { isCurrent: false }
+  );
+  await School.updateOne({ _id: year.schoolId }, { 'settings.academicYear': year.name });
+};
+
+const findSchoolYear = (req) => AcademicYear.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+const yearNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Academic year not found'
+});
+
+// @desc    Get the school's academic years, newest first
+// @route   GET /api/academic-years
+// @access  Private
+exports.getAcademicYears = asyncHandler(async (req, res) => {
+  const years = await AcademicYear.find({ schoolId: req.user.schoolId }).sort({ startDate: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: years.length,
+    data: years
+  });
+});
+
+// @desc    Get the current academic year and the term today falls in
+// @route   GET /api/academic-years/current
+// @access  Private
+exports.getCurrentAcademicYear = asyncHandler(async (req, res) => {
+  const year = await AcademicYear.getCurrent(req.user.schoolId);
+
+  if (!year) {
+    return res.status(404).json({
+      success: false,
+      error: 'No current academic year has been set'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: year,
+    currentTerm: AcademicYear.findTerm(year, new Date())
+  });
+});
+
+// @desc    Create academic year
+// @route   POST /api/academic-years
+// @access  Private (School Admin)
+exports.createAcademicYear = asyncHandler(async (req, res) => {
+  const fields = pickYearFields(req.body);
+
+  if (!fields.name || !fields.startDate || !fields.endDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide name, startDate and endDate'
+    });
+  }
+
+  const overlap = await findOverlappingYear(req.user.schoolId, fields.startDate, fields.endDate);
+  if (overlap) {
+    return res.status(400).json({
+      success: false,
+      error: `These dates overlap academic year ${overlap.name}`
+    });
+  }
+
+  const isFirst = !(await AcademicYear.exists({ schoolId: req.user.schoolId }));
+  const year = await AcademicYear.create({
+    ...fields,
+    schoolId: req.user.schoolId,
+    isCurrent: req.body.isCurrent === true || isFirst,
+    createdBy: req.user._id
+  });
+  if (year.isCurrent) await makeCurrent(year);
+
+  res.status(201).json({
+    success: true,
+    message: 'Academic year created successfully',
+    data: year
+  });
+});
+
+// @desc    Update academic year dates, name or terms (locked years can't be changed)
+// @route   PUT /api/academic-years/:id
+// @access  Private (School Admin)
+exports.updateAcademicYear = asyncHandler(async (req, res) => {
+  const year = await findSchoolYear(req);
+  if (!year) return yearNotFound(res);
+
+  if (year.isLocked) {
+    return res.status(400).json({
+      success: false,
+      error: 'Unlock the academic year before editing it'
+    });
+  }
+
+  const fields = pickYearFields(req.body);
+  const overlap = await findOverlappingYear(
+    req.user.schoolId,
+    fields.startDate || year.startDate,
+    fields.endDate || year.endDate,
+    year._id
+  );
+  if (overlap) {
+    return res.status(400).json({
+      success: false,
+      error: `These dates overlap academic year ${overlap.name}`
+    });
+  }
+
+  Object.assign(year, fields, { updatedBy: req.user._id });
+  await year.save();
+  if (year.isCurrent) await makeCurrent(year);
+
+  res.status(200).json({
+    success: true,
+    message: 'Academic year updated successfully',
+    data: year
+  });
+});
+
+// @desc    Make an academic year the current one (reads default to it)
+// @route   PUT /api/academic-years/:id/current
+// @access  Private (School Admin)
+exports.setCurrentAcademicYear = asyncHandler(async (req, res) => {
+  const year = await findSchoolYear(req);
+  if (!year) return yearNotFound(res);
+
+  if (year.isLocked) {
+    return res.status(400).json({
+      success: false,
+      error: 'A locked academic year cannot be the current one'
+    });
+  }
+
+  year.isCurrent = true;
+  year.updatedBy = req.user._id;
+  await year.save();
+  await makeCurrent(year);
+
+  res.status(200).json({
+    success: true,
+    message: `${year.name} is now the current academic year`,
+    data: year
+  });
+});
+
+// @desc    Lock or unlock an academic year; attendance, marks and fees of a locked year can't be changed
+// @route   PUT /api/academic-years/:id/lock, PUT /api/academic-years/:id/unlock
+// @access  Private (School Admin)
+const setLocked = (lock) => asyncHandler(async (req, res) => {
+  const year = await findSchoolYear(req);
+  if (!year) return yearNotFound(res);
+
+  if (lock && year.isCurrent) {
+    return res.status(400).json({
+      success: false,
+      error: 'Make another year current before locking this one'
+    });
+  }
+
+  year.isLocked = lock;
+  year.lockedAt = lock ? new Date() : null;
+  year.lockedBy = lock ? req.user._id : null;
+  year.updatedBy = req.user._id;
+  await year.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Academic year ${year.name} ${lock ? 'locked' : 'unlocked'}`,
+    data: year
+  });
+});
+
+exports.lockAcademicYear = setLocked(true);
+exports.unlockAcademicYear = setLocked(false);
+
+// @desc    Delete academic year (not the current or a locked one; records keep their year name)
+// @route   DELETE /api/academic-years/:id
+// @access  Private (School Admin)
+exports.deleteAcademicYear = asyncHandler(async (req, res) => {
+  const year = await findSchoolYear(req);
+  if (!year) return yearNotFound(res);
+
+  if (year.isCurrent || year.isLocked) {
+    return res.status(400).json({
+      success: false,
+      error: year.isCurrent ? 'The current academic year cannot be deleted' : 'Unlock the academic year before deleting it'
+    });
+  }
+
+  await year.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
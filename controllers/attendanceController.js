@@ -3,8 +3,19 @@ const Student = require('../models/Student');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
 const User = require('../models/User');
+const School = require('../models/School');
+const Parent = require('../models/Parent');
+const AcademicYear = require('../models/AcademicYear');
+const { queueAbsenceAlerts } = require('../utils/attendanceAlerts');
+const { resolveLeaveStatus } = require('../utils/studentLeave');
+const { isValidTimezone } = require('../utils/timezone');
+const { resolveAnalyticsSettings, getAttendanceAnalytics, analyticsToCsv } = require('../utils/attendanceAnalytics');
 const { validationResult } = require('express-validator');
 
+// Attendance is filed under the academic year its date falls in
+const academicYearFor = async (schoolId, date) =>
+  (await AcademicYear.resolveName(schoolId, { date })) || AcademicYear.defaultNameForDate(date);
+
 // @desc    Mark attendance for students
 // @route   POST /api/attendance
 // @access  Private (Teacher)
@@ -50,6 +61,9 @@ const markAttendance = async (req, res) => {
       });
     }
 
+    // Absences on approved leave are recorded as excused
+    const leave = await resolveLeaveStatus(studentId, date, status);
+
     // Check if attendance already exists for this student on this date
     const existingAttendance = await Attendance.findOne({
       schoolId,
@@ -65,10 +79,12 @@ const markAttendance = async (req, res) => {
 
     if (existingAttendance) {
       // Update existing attendance
-      existingAttendance.status = status;
-      existingAttendance.remarks = remarks;
+      existingAttendance.status = leave.status;
+      existingAttendance.remarks = remarks || leave.remarks;
+      existingAttendance.leaveRequest = leave.leaveRequest;
       existingAttendance.markedAt = new Date();
       await existingAttendance.save();
+      queueAbsenceAlerts([existingAttendance]);
 
       return res.status(200).json({
         success: true,
@@ -84,11 +100,13 @@ const markAttendance = async (req, res) => {
         subjectId,
         teacherId,
         date: new Date(date),
-        status,
-        remarks,
+        status: leave.status,
+        remarks: remarks || leave.remarks,
+        leaveRequest: leave.leaveRequest,
         markedBy: teacherId,
-        academicYear: '2024-2025'
+        academicYear: await academicYearFor(schoolId, date)
       });
+      queueAbsenceAlerts([attendance]);
 
       return res.status(201).json({
         success: true,
@@ -158,6 +176,9 @@ const markBulkAttendance = async (req, res) => {
           continue;
         }
 
+        // Absences on approved leave are recorded as excused
+        const leave = await resolveLeaveStatus(studentId, date, status);
+
         // Check if attendance already exists for this student on this date
         const existingAttendance = await Attendance.findOne({
           schoolId,
@@ -173,8 +194,9 @@ const markBulkAttendance = async (req, res) => {
 
         if (existingAttendance) {
           // Update existing attendance
-          existingAttendance.status = status;
-          existingAttendance.remarks = remarks;
+          existingAttendance.status = leave.status;
+          existingAttendance.remarks = remarks || leave.remarks;
+          existingAttendance.leaveRequest = leave.leaveRequest;
           existingAttendance.markedAt = new Date();
           await existingAttendance.save();
           results.push(existingAttendance);
@@ -187,10 +209,11 @@ const markBulkAttendance = async (req, res) => {
             subjectId,
             teacherId,
             date: new Date(date),
-            status,
-            remarks,
+            status: leave.status,
+            remarks: remarks || leave.remarks,
+            leaveRequest: leave.leaveRequest,
             markedBy: teacherId,
-            academicYear: '2024-2025'
+            academicYear: await academicYearFor(schoolId, date)
           });
           results.push(attendance);
         }
@@ -202,6 +225,9 @@ const markBulkAttendance = async (req, res) => {
       }
     }
 
+    // Alert parents of students marked absent or late
+    queueAbsenceAlerts(results);
+
     // Emit WebSocket event for real-time updates
     if (global.io && results.length > 0) {
       // Get the first record to determine class and date info
@@ -249,7 +275,7 @@ const markBulkAttendance = async (req, res) => {
 // @access  Private (Teacher, School Admin)
 const getClassDateAttendance = async (req, res) => {
   try {
-    const { classId, date, academicYear = '2024-2025' } = req.query;
+    const { classId, date, academicYear } = req.query;
     const schoolId = req.user.schoolId;
 
     if (!classId || !date) {
@@ -267,7 +293,7 @@ const getClassDateAttendance = async (req, res) => {
         $gte: new Date(date).setHours(0, 0, 0, 0),
         $lte: new Date(date).setHours(23, 59, 59, 999)
       },
-      academicYear,
+      ...(academicYear && { academicYear }),
       isActive: true
     })
     .populate('studentId', 'name rollNumber email')
@@ -308,7 +334,7 @@ const getClassDateAttendance = async (req, res) => {
 // @access  Private (Teacher, School Admin)
 const getAttendance = async (req, res) => {
   try {
-    const { classId, subjectId, date, academicYear = '2024-2025' } = req.query;
+    const { classId, subjectId, date, academicYear } = req.query;
     const schoolId = req.user.schoolId;
 
     if (!classId || !subjectId || !date) {
@@ -357,7 +383,7 @@ const getAttendance = async (req, res) => {
 const getStudentAttendanceStats = async (req, res) => {
   try {
     const { studentId } = req.params;
-    const { academicYear = '2024-2025' } = req.query;
+    const { academicYear } = req.query;
     const schoolId = req.user.schoolId;
 
     // Verify student exists and user has access
@@ -377,8 +403,17 @@ const getStudentAttendanceStats = async (req, res) => {
     const absentCount = stats.find(s => s._id === 'absent')?.count || 0;
     const lateCount = stats.find(s => s._id === 'late')?.count || 0;
     const excusedCount = stats.find(s => s._id === 'excused')?.count || 0;
+    const leaveCount = await Attendance.countDocuments({
+      studentId,
+      ...(academicYear && { academicYear }),
+      isActive: true,
+      status: 'excused',
+      leaveRequest: { $ne: null }
+    });
     
-    const attendancePercentage = totalClasses > 0 ? (presentCount / totalClasses) * 100 : 0;
+    // Excused classes (approved leave) don't count against the student
+    const countedClasses = totalClasses - excusedCount;
+    const attendancePercentage = countedClasses > 0 ? (presentCount / countedClasses) * 100 : 0;
 
     res.status(200).json({
       success: true,
@@ -395,6 +430,7 @@ const getStudentAttendanceStats = async (req, res) => {
           absent: absentCount,
           late: lateCount,
           excused: excusedCount,
+          onLeave: leaveCount,
           attendancePercentage: Math.round(attendancePercentage * 100) / 100
         },
         breakdown: stats
@@ -415,7 +451,7 @@ const getStudentAttendanceStats = async (req, res) => {
 const getClassAttendanceStats = async (req, res) => {
   try {
     const { classId } = req.params;
-    const { academicYear = '2024-2025' } = req.query;
+    const { academicYear } = req.query;
     const schoolId = req.user.schoolId;
 
     // Verify class exists and user has access
@@ -472,10 +508,13 @@ const updateAttendance = async (req, res) => {
       });
     }
 
-    attendance.status = status;
-    attendance.remarks = remarks;
+    const leave = await resolveLeaveStatus(attendance.studentId, attendance.date, status);
+    attendance.status = leave.status;
+    attendance.remarks = remarks || leave.remarks;
+    attendance.leaveRequest = leave.leaveRequest;
     attendance.markedAt = new Date();
     await attendance.save();
+    queueAbsenceAlerts([attendance]);
 
     res.status(200).json({
       success: true,
@@ -523,6 +562,318 @@ const deleteAttendance = async (req, res) => {
   }
 };
 
+// @desc    Get the school's absence alert settings
+// @route   GET /api/attendance/alert-settings
+// @access  Private (School Admin)
+const getAlertSettings = async (req, res) => {
+  try {
+    const school = await School.findById(req.user.schoolId).select('settings');
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...school.settings.attendanceAlerts.toObject(),
+        timezone: school.settings.timezone
+      }
+    });
+  } catch (error) {
+    console.error('Get alert settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching alert settings'
+    });
+  }
+};
+
+// @desc    Update the school's absence alert settings (quiet hours are in the school timezone)
+// @route   PUT /api/attendance/alert-settings
+// @access  Private (School Admin)
+const updateAlertSettings = async (req, res) => {
+  try {
+    const { enabled, statuses, quietHoursStart, quietHoursEnd, timezone } = req.body;
+
+    const school = await School.findById(req.user.schoolId);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid timezone'
+        });
+      }
+      school.settings.timezone = timezone;
+    }
+
+    const alerts = school.settings.attendanceAlerts;
+    if (enabled !== undefined) alerts.enabled = Boolean(enabled);
+    if (statuses !== undefined) alerts.statuses = statuses;
+    if (quietHoursStart !== undefined) alerts.quietHoursStart = quietHoursStart || null;
+    if (quietHoursEnd !== undefined) alerts.quietHoursEnd = quietHoursEnd || null;
+
+    if (Boolean(alerts.quietHoursStart) !== Boolean(alerts.quietHoursEnd)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide both quiet hours start and end'
+      });
+    }
+
+    await school.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert settings updated successfully',
+      data: {
+        ...alerts.toObject(),
+        timezone: school.settings.timezone
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Update alert settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating alert settings'
+    });
+  }
+};
+
+// Analytics options from the query string, falling back to the school's thresholds
+const getAnalyticsOptions = async (req) => {
+  const { academicYear, from, to, threshold, streakDays, period = 'term' } = req.query;
+  const school = await School.findById(req.user.schoolId).select('settings').lean();
+  const settings = resolveAnalyticsSettings(school);
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { error: 'Invalid from or to date' };
+  }
+  if (fromDate) fromDate.setHours(0, 0, 0, 0);
+  if (toDate) toDate.setHours(23, 59, 59, 999);
+
+  return {
+    schoolId: req.user.schoolId,
+    academicYear,
+    from: fromDate,
+    to: toDate,
+    threshold: threshold !== undefined ? Number(threshold) : settings.lowAttendanceThreshold,
+    streakDays: streakDays !== undefined ? parseInt(streakDays) : settings.absenceStreakDays,
+    period: period === 'month' ? 'month' : 'term'
+  };
+};
+
+const sendAnalyticsCsv = (res, analytics, fileName) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^A-Za-z0-9_-]+/g, '_')}.csv"`);
+  return res.status(200).send(analyticsToCsv(analytics));
+};
+
+// @desc    Get attendance early-warning analytics for the school or a class (add ?format=csv to export)
+// @route   GET /api/attendance/analytics
+// @access  Private (Teacher for a class, School Admin)
+const getAnalytics = async (req, res) => {
+  try {
+    const { classId, atRiskOnly, format } = req.query;
+
+    if (req.user.role === 'teacher' && !classId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Class ID is required'
+      });
+    }
+
+    let classData = null;
+    if (classId) {
+      classData = await Class.findOne({ _id: classId, schoolId: req.user.schoolId });
+      if (!classData) {
+        return res.status(404).json({
+          success: false,
+          error: 'Class not found'
+        });
+      }
+    }
+
+    const options = await getAnalyticsOptions(req);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    const analytics = await getAttendanceAnalytics({ ...options, classId });
+    if (atRiskOnly === 'true') {
+      analytics.students = analytics.students.filter(student => student.atRisk);
+    }
+
+    if (format === 'csv') {
+      const name = classData ? `${classData.name}-${classData.section || ''}` : 'school';
+      return sendAnalyticsCsv(res, analytics, `attendance-analytics-${name}-${options.academicYear || 'all-years'}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        class: classData ? {
+          id: classData._id,
+          name: classData.name,
+          section: classData.section
+        } : null,
+        ...analytics
+      }
+    });
+  } catch (error) {
+    console.error('Get attendance analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching attendance analytics'
+    });
+  }
+};
+
+// @desc    Get attendance analytics for a student (monthly trend, streaks, weekday and subject breakdown)
+// @route   GET /api/attendance/analytics/student/:studentId
+// @access  Private (Teacher, School Admin, Parent)
+const getStudentAnalytics = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const student = await Student.findOne({ _id: studentId, schoolId: req.user.schoolId });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (req.user.role === 'parent') {
+      const parent = await Parent.findById(req.user._id).select('studentIds studentId');
+      const linked = parent && (parent.studentIds.some(id => id.toString() === studentId) || parent.studentId?.toString() === studentId);
+      if (!linked) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view this student\'s attendance'
+        });
+      }
+    }
+
+    const options = await getAnalyticsOptions(req);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    const analytics = await getAttendanceAnalytics({ ...options, studentId: student._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        filters: analytics.filters,
+        student: analytics.students[0] || {
+          studentId: student._id,
+          name: student.name,
+          rollNumber: student.rollNumber,
+          totals: analytics.summary.totals,
+          months: [],
+          subjects: [],
+          weekdayPattern: []
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get student attendance analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching student attendance analytics'
+    });
+  }
+};
+
+// @desc    Get the school's attendance analytics thresholds
+// @route   GET /api/attendance/analytics-settings
+// @access  Private (School Admin)
+const getAnalyticsSettings = async (req, res) => {
+  try {
+    const school = await School.findById(req.user.schoolId).select('settings').lean();
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resolveAnalyticsSettings(school)
+    });
+  } catch (error) {
+    console.error('Get analytics settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching analytics settings'
+    });
+  }
+};
+
+// @desc    Update the low-attendance threshold and absence streak length
+// @route   PUT /api/attendance/analytics-settings
+// @access  Private (School Admin)
+const updateAnalyticsSettings = async (req, res) => {
+  try {
+    const { lowAttendanceThreshold, absenceStreakDays } = req.body;
+
+    const school = await School.findById(req.user.schoolId);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    const settings = school.settings.attendanceAnalytics;
+    if (lowAttendanceThreshold !== undefined) settings.lowAttendanceThreshold = lowAttendanceThreshold;
+    if (absenceStreakDays !== undefined) settings.absenceStreakDays = absenceStreakDays;
+    await school.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Analytics settings updated successfully',
+      data: settings.toObject()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: error.errors ? Object.values(error.errors).map(err => err.message).join(', ') : error.message
+      });
+    }
+    console.error('Update analytics settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating analytics settings'
+    });
+  }
+};
+
 module.exports = {
   markAttendance,
   markBulkAttendance,
@@ -531,5 +882,11 @@ module.exports = {
   getStudentAttendanceStats,
   getClassAttendanceStats,
   updateAttendance,
-  deleteAttendance
+  deleteAttendance,
+  getAlertSettings,
+  updateAlertSettings,
+  getAnalytics,
+  getStudentAnalytics,
+  getAnalyticsSettings,
+  updateAnalyticsSettings
 };
@@ -1,6 +1,11 @@
 const User = require('../models/User');
 const School = require('../models/School');
-const { generateToken } = require('../middleware/auth');
+const Student = require('../models/Student');
+const Parent = require('../models/Parent');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const { sendEmail, sendSms } = require('../utils/messaging');
+const { generateToken, createSessionTokens, getUserModelName } = require('../middleware/auth');
 const { validationResult } = require('express-validator');
 
 // Admin Registration Secret Code
@@ -49,8 +54,8 @@ const register = async (req, res) => {
       schoolId: null // Admin users don't belong to any specific school
     });
 
-    // Generate token
-    const token = generateToken(user);
+    // Create session and generate tokens
+    const { token, refreshToken, sessionId } = await createSessionTokens(user, req);
 
     res.status(201).json({
       success: true,
@@ -64,7 +69,9 @@ const register = async (req, res) => {
           isActive: user.isActive,
           createdAt: user.createdAt
         },
-        token
+        token,
+        refreshToken,
+        sessionId
       }
     });
   } catch (error) {
@@ -130,8 +137,8 @@ const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    // Create session and generate tokens
+    const { token, refreshToken, sessionId } = await createSessionTokens(user, req);
 
     // Get school info if user has schoolId (school_admin or teacher)
     let schoolInfo = null;
@@ -152,9 +159,12 @@ const login = async (req, res) => {
           avatar: user.avatar,
           isActive: user.isActive,
           lastLogin: user.lastLogin,
+          mustChangePassword: !!user.mustChangePassword,
           school: schoolInfo
         },
-        token
+        token,
+        refreshToken,
+        sessionId
       }
     });
   } catch (error) {
@@ -200,6 +210,7 @@ const getMe = async (req, res) => {
           avatar: user.avatar,
           isActive: user.isActive,
           lastLogin: user.lastLogin,
+          mustChangePassword: !!user.mustChangePassword,
           school: schoolInfo
         }
       }
@@ -268,7 +279,7 @@ const updateProfile = async (req, res) => {
 
 // @desc    Change password
 // @route   PUT /api/auth/change-password
-// @access  Private
+// @access  Private (staff, students and parents)
 const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
@@ -288,7 +299,16 @@ const changePassword = async (req, res) => {
       });
     }
 
-    const user = await User.findById(userId).select('+password');
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be different from the current password'
+      });
+    }
+
+    const userModel = getUserModelName(req.user.role);
+    const AccountModel = { User, Student, Parent }[userModel];
+    const user = await AccountModel.findById(userId).select('+password');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -307,8 +327,13 @@ const changePassword = async (req, res) => {
 
     // Update password
     user.password = newPassword;
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
     await user.save();
 
+    // Sign out every other device that was using the old password
+    await Session.revokeAllForUser(user._id, userModel, 'password_change', req.sessionId);
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -322,13 +347,338 @@ const changePassword = async (req, res) => {
   }
 };
 
-// @desc    Logout user (client-side token removal)
+// @desc    Request a password reset token (email link or SMS code)
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { accountType = 'user', email, phone, schoolCode } = req.body;
+
+    if (!['user', 'student', 'parent'].includes(accountType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account type must be user, student or parent'
+      });
+    }
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email or phone number is required'
+      });
+    }
+
+    const channel = req.body.channel || (email ? 'email' : 'sms');
+    if (!['email', 'sms'].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Channel must be email or sms'
+      });
+    }
+
+    const userModel = getUserModelName(accountType);
+    const AccountModel = { User, Student, Parent }[userModel];
+    const accountQuery = email ? { email: email.toLowerCase() } : { phone };
+
+    if (schoolCode) {
+      const school = await School.findOne({ code: schoolCode.toUpperCase() });
+      if (!school) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid school code'
+        });
+      }
+      accountQuery.schoolId = school._id;
+    }
+
+    // The same email can belong to accounts in several schools - each gets its own token
+    const accounts = await AccountModel.find({ ...accountQuery, isActive: true }).limit(5);
+    const expiryMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    for (const account of accounts) {
+      const sentTo = channel === 'sms' ? account.phone : account.email;
+      if (!sentTo) continue;
+
+      const { token } = await PasswordReset.createForAccount(account._id, userModel, channel, sentTo, req.ip || null);
+
+      if (channel === 'sms') {
+        await sendSms(
+          sentTo,
+          `Your password reset code is ${token}. It expires in ${expiryMinutes} minutes.`,
+          { type: 'password_reset', userModel }
+        );
+      } else {
+        const resetLink = process.env.PASSWORD_RESET_URL
+          ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+          : null;
+        await sendEmail(
+          sentTo,
+          'Reset your password',
+          `Hi ${account.name || ''},\n\n` +
+            'We received a request to reset your password. ' +
+            (resetLink ? `Open this link to choose a new password:\n${resetLink}\n\n` : `Use this reset token:\n${token}\n\n`) +
+            `The link expires in ${expiryMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+          { type: 'password_reset', userModel }
+        );
+      }
+    }
+
+    // Always respond the same way so the endpoint can't be used to discover accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account matches the details provided, password reset instructions have been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Verify a password reset token before showing the new password form
+// @route   POST /api/auth/reset-password/verify
+// @access  Public
+const verifyResetToken = async (req, res) => {
+  try {
+    const { token, phone } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is required'
+      });
+    }
+
+    const reset = await PasswordReset.findValid(token, phone || null);
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: true,
+        accountType: reset.userModel.toLowerCase(),
+        channel: reset.channel,
+        expiresAt: reset.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Verify reset token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, phone, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be at least 6 characters long'
+      });
+    }
+
+    const reset = await PasswordReset.findValid(token, phone || null);
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const AccountModel = { User, Student, Parent }[reset.userModel];
+    const account = await AccountModel.findById(reset.userId).select('+password');
+    if (!account || !account.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    account.password = newPassword;
+    account.mustChangePassword = false;
+    account.passwordChangedAt = new Date();
+    await account.save();
+
+    reset.usedAt = new Date();
+    await reset.save();
+
+    // Unlock the account and sign out every device
+    await account.resetLoginAttempts();
+    await Session.revokeAllForUser(account._id, reset.userModel, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Refresh access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = Session.hashToken(presentedToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being presented again means it was copied - kill the session
+      const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke('token_reuse');
+        console.log('⚠️ Refresh token reuse detected, session revoked:', reusedSession._id);
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked. Please log in again.'
+      });
+    }
+
+    // Load the account the session belongs to
+    const AccountModel = { User, Student, Parent }[session.userModel];
+    const user = await AccountModel.findById(session.userId);
+
+    if (!user || !user.isActive || user.isLocked) {
+      await session.revoke('revoked_by_user');
+      return res.status(401).json({
+        success: false,
+        error: 'User account is no longer active'
+      });
+    }
+
+    if (!user.role) {
+      user.role = session.role;
+    }
+
+    // Rotate the refresh token and slide the session expiry. Conditional on the presented token still
+    // being current, so of two concurrent refreshes with the same token only one gets a new one.
+    const newRefreshToken = Session.generateRefreshToken();
+    const refreshDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        previousRefreshTokenHash: tokenHash,
+        refreshTokenHash: Session.hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshDays * 24 * 60 * 60 * 1000),
+        ipAddress: req.ip || session.ipAddress
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: generateToken(user, session._id),
+        refreshToken: newRefreshToken,
+        sessionId: session._id
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during token refresh'
+    });
+  }
+};
+
+// @desc    Logout user from the current device
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
-    // Since we're using JWT, logout is handled client-side
-    // But we can log the logout event or perform cleanup if needed
+    const userModel = getUserModelName(req.user.role);
+
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+    } else if (req.body && req.body.refreshToken) {
+      // Older clients may send the refresh token instead of a session-bound access token
+      await Session.updateOne(
+        {
+          refreshTokenHash: Session.hashToken(req.body.refreshToken),
+          userId: req.user._id,
+          userModel,
+          revokedAt: null
+        },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: 'Logout successful'
@@ -342,6 +692,100 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Logout user from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const userModel = getUserModelName(req.user.role);
+    const result = await Session.revokeAllForUser(req.user._id, userModel, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const userModel = getUserModelName(req.user.role);
+    const sessions = await Session.getActiveSessions(req.user._id, userModel);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          deviceId: session.deviceId,
+          deviceName: session.deviceName,
+          platform: session.platform,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          lastUsedAt: session.lastUsedAt,
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt,
+          isCurrent: !!req.sessionId && session._id.toString() === req.sessionId.toString()
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Logout a specific device session
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const userModel = getUserModelName(req.user.role);
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+      userModel
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('revoked_by_user');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session logged out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
 // @desc    Create teacher
 // @route   POST /api/auth/create-teacher
 // @access  Private (School Admin only)
@@ -567,7 +1011,14 @@ module.exports = {
   getMe,
   updateProfile,
   changePassword,
+  forgotPassword,
+  verifyResetToken,
+  resetPassword,
+  refreshToken,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   createTeacher,
   createLibrarian,
   createAccountant
@@ -136,7 +136,7 @@ const createClass = async (req, res) => {
       name,
       section,
       schoolId,
-      academicYear: academicYear || new Date().getFullYear().toString()
+      academicYear: academicYear || req.academicYear || new Date().getFullYear().toString()
     });
 
     if (existingClass) {
@@ -165,7 +165,7 @@ const createClass = async (req, res) => {
       schoolId,
       capacity,
       room,
-      academicYear: academicYear || new Date().getFullYear().toString(),
+      academicYear: academicYear || req.academicYear || new Date().getFullYear().toString(),
       subjects: subjects || [],
       createdBy: req.user._id
     });
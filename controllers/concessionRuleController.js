@@ -0,0 +1,246 @@
+const ConcessionRule = require('../models/ConcessionRule');
+const FeeStructure = require('../models/FeeStructure');
+const Student = require('../models/Student');
+const asyncHandler = require('../middleware/asyncHandler');
+const { getStudentFeeDiscounts } = require('../utils/concessions');
+
+// Fields a client may set on a concession rule
+const RULE_FIELDS = [
+  'name', 'description', 'concessionType', 'appliesTo', 'students', 'minSiblingRank', 'classes',
+  'feeCategories', 'feeStructures', 'discountType', 'value', 'maxAmount', 'academicYear',
+  'validFrom', 'validUntil', 'status'
+];
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Check that named students belong to the rule's school
+const validateStudents = async (students, school) => {
+  if (!students || students.length === 0) return true;
+  const count = await Student.countDocuments({ _id: { $in: students }, schoolId: school });
+  return count === new Set(students.map(String)).size;
+};
+
+// @desc    Get concession rules
+// @route   GET /api/concession-rules
+// @access  Private
+exports.getConcessionRules = asyncHandler(async (req, res) => {
+  const { schoolId, status, concessionType, student } = req.query;
+
+  const query = {};
+  if (req.user.role !== 'admin') {
+    query.school = req.user.schoolId;
+  } else if (schoolId) {
+    query.school = schoolId;
+  }
+  if (status) query.status = status;
+  if (concessionType) query.concessionType = concessionType;
+  if (student) query.students = student;
+
+  const rules = await ConcessionRule.find(query)
+    .populate('students', 'name admissionNumber classId')
+    .populate('classes', 'name section')
+    .populate('feeStructures', 'name academicYear')
+    .populate('createdBy', 'name email')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Get single concession rule
+// @route   GET /api/concession-rules/:id
+// @access  Private
+exports.getConcessionRule = asyncHandler(async (req, res) => {
+  const rule = await ConcessionRule.findById(req.params.id)
+    .populate('students', 'name admissionNumber classId')
+    .populate('classes', 'name section')
+    .populate('feeStructures', 'name academicYear')
+    .populate('createdBy', 'name email');
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Concession rule not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && rule.school.toString() !== req.user.schoolId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this concession rule'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Create concession rule
+// @route   POST /api/concession-rules
+// @access  Private
+exports.createConcessionRule = asyncHandler(async (req, res) => {
+  const fields = pickRuleFields(req.body);
+
+  if (!fields.name || fields.value === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide a name and discount value'
+    });
+  }
+
+  const school = req.user.role === 'admin' && req.body.school ? req.body.school : req.user.schoolId;
+
+  if (fields.appliesTo === 'students' || !fields.appliesTo) {
+    if (!fields.students || fields.students.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please select the students this concession applies to'
+      });
+    }
+  }
+
+  if (!(await validateStudents(fields.students, school))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Some students were not found in this school'
+    });
+  }
+
+  const existingRule = await ConcessionRule.findOne({ school, name: fields.name.trim() });
+  if (existingRule) {
+    return res.status(400).json({
+      success: false,
+      error: 'A concession rule with this name already exists'
+    });
+  }
+
+  const rule = await ConcessionRule.create({
+    ...fields,
+    school,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Concession rule created successfully',
+    data: rule
+  });
+});
+
+// @desc    Update concession rule
+// @route   PUT /api/concession-rules/:id
+// @access  Private
+exports.updateConcessionRule = asyncHandler(async (req, res) => {
+  const rule = await ConcessionRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Concession rule not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && rule.school.toString() !== req.user.schoolId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to update this concession rule'
+    });
+  }
+
+  const fields = pickRuleFields(req.body);
+  if (!(await validateStudents(fields.students, rule.school))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Some students were not found in this school'
+    });
+  }
+
+  Object.assign(rule, fields);
+
+  if (rule.appliesTo === 'students' && rule.students.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please select the students this concession applies to'
+    });
+  }
+
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Concession rule updated successfully',
+    data: rule
+  });
+});
+
+// @desc    Delete concession rule
+// @route   DELETE /api/concession-rules/:id
+// @access  Private
+exports.deleteConcessionRule = asyncHandler(async (req, res) => {
+  const rule = await ConcessionRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Concession rule not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && rule.school.toString() !== req.user.schoolId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to delete this concession rule'
+    });
+  }
+
+  // Existing collections keep their recorded concessions; the rule just stops applying to new ones
+  await rule.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Concession rule deleted successfully'
+  });
+});
+
+// @desc    Preview the discounts a student would get under a fee structure
+// @route   GET /api/concession-rules/preview?student=&feeStructure=
+// @access  Private
+exports.previewConcessions = asyncHandler(async (req, res) => {
+  const { student: studentId, feeStructure: feeStructureId } = req.query;
+
+  if (!studentId || !feeStructureId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide student and fee structure'
+    });
+  }
+
+  const school = req.user.role === 'admin' && req.query.school ? req.query.school : req.user.schoolId;
+
+  const student = await Student.findOne({ _id: studentId, schoolId: school });
+  const feeStructure = await FeeStructure.findOne({ _id: feeStructureId, school });
+  if (!student || !feeStructure) {
+    return res.status(404).json({
+      success: false,
+      error: 'Student or fee structure not found in this school'
+    });
+  }
+
+  const discounts = await getStudentFeeDiscounts(feeStructure, student);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...discounts,
+      finalAmount: discounts.totalAmount - discounts.discountAmount
+    }
+  });
+});
@@ -10,12 +10,8 @@ exports.hasPurchasedCourse = async (req, res) => {
     
     console.log(`🔍 Checking if user ${userId} purchased course ${courseId}`);
     
-    // Find any successful order containing this course
-    const order = await Order.findOne({
-      userId,
-      'items.courseId': courseId,
-      status: { $in: ['pending', 'processing', 'completed', 'delivered'] }
-    });
+    // Find a paid order containing this course (refunded courses no longer count)
+    const order = await Order.findCoursePurchase(userId, courseId);
     
     const hasPurchased = !!order;
     
@@ -49,10 +45,10 @@ exports.getMyPurchasedCourses = async (req, res) => {
     
     console.log(`📚 Getting purchased courses for user ${userId}`);
     
-    // Find all successful orders with courses
+    // Find all paid orders with courses
     const orders = await Order.find({
       userId,
-      status: { $in: ['pending', 'processing', 'completed', 'delivered'] }
+      paymentStatus: 'paid'
     }).populate('items.courseId', 'name instructor thumbnail category price duration videos');
     
     // Extract unique courses
@@ -60,7 +56,7 @@ exports.getMyPurchasedCourses = async (req, res) => {
     
     orders.forEach(order => {
       order.items.forEach(item => {
-        if (item.courseId && item.type === 'course') {
+        if (item.courseId && item.type === 'course' && !(item.refundedQuantity >= 1)) {
           const courseId = item.courseId._id.toString();
           if (!coursesMap.has(courseId)) {
             coursesMap.set(courseId, {
@@ -3,7 +3,15 @@ const ExamMark = require('../models/ExamMark');
 const Student = require('../models/Student');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
+const AcademicYear = require('../models/AcademicYear');
 const asyncHandler = require('../middleware/asyncHandler');
+const {
+  readSpreadsheet,
+  getDateSheetExams,
+  previewMarksImport,
+  commitMarksImport,
+  buildMarksTemplate
+} = require('../utils/marksImport');
 
 // @desc    Get all exams
 // @route   GET /api/exams
@@ -328,14 +336,11 @@ exports.updateExamMark = asyncHandler(async (req, res) => {
   
   req.body.updatedBy = req.user.id;
   
-  mark = await ExamMark.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    {
-      new: true,
-      runValidators: true
-    }
-  )
+  // Saved (not findByIdAndUpdate) so the grade is worked out again with the class's grading scheme
+  mark.set(req.body);
+  await mark.save();
+  
+  mark = await ExamMark.findById(mark._id)
     .populate('studentId', 'name rollNumber')
     .populate('examId', 'name examType')
     .populate('subjectId', 'name');
@@ -367,6 +372,123 @@ exports.deleteExamMark = asyncHandler(async (req, res) => {
   });
 });
 
+// Exams a marks sheet is for: one exam (:id) or a class's date sheet picked by examType or examIds
+const loadMarksSheetExams = async (req, res, params) => {
+  if (req.params.id) {
+    const exam = await Exam.findOne({ _id: req.params.id, schoolId: req.user.schoolId })
+      .populate('subjectId', 'name code');
+
+    if (!exam) {
+      res.status(404).json({ success: false, error: 'Exam not found' });
+      return null;
+    }
+    if (exam.status === 'cancelled') {
+      res.status(400).json({ success: false, error: 'Marks cannot be entered for a cancelled exam' });
+      return null;
+    }
+    return { classId: exam.classId, exams: [exam], singleExam: true };
+  }
+
+  const { classId, examType } = params;
+  const examIds = Array.isArray(params.examIds)
+    ? params.examIds
+    : String(params.examIds || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  if (!classId || (!examType && examIds.length === 0)) {
+    res.status(400).json({
+      success: false,
+      error: 'Please provide classId and an examType or examIds to pick the date sheet'
+    });
+    return null;
+  }
+
+  const exams = await getDateSheetExams(req.user.schoolId, classId, { examType, examIds });
+  if (exams.length === 0) {
+    res.status(404).json({ success: false, error: 'No exams found for this date sheet' });
+    return null;
+  }
+  return { classId, exams, singleExam: false };
+};
+
+// @desc    Download a CSV marks sheet for an exam or a class's date sheet, pre-filled with entered marks
+// @route   GET /api/exams/:id/marks/template, GET /api/exams/marks/template?classId=&examType=&examIds=
+// @access  Private (School Admin, Teacher)
+exports.getMarksTemplate = asyncHandler(async (req, res) => {
+  const scope = await loadMarksSheetExams(req, res, req.query);
+  if (!scope) return;
+
+  const csv = await buildMarksTemplate({ schoolId: req.user.schoolId, ...scope });
+  const fileName = scope.singleExam
+    ? `marks-${scope.exams[0].name}-${scope.exams[0].subjectId?.name || ''}`
+    : `marks-${scope.exams[0].examType}`;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^\w.-]+/g, '_')}.csv"`);
+  res.status(200).send(csv);
+});
+
+// @desc    Import marks from a CSV/XLSX sheet; returns a dry-run diff unless commit=true
+// @route   POST /api/exams/:id/marks/import, POST /api/exams/marks/import (classId, examType or examIds)
+// @access  Private (School Admin, Teacher)
+exports.importExamMarks = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please upload a CSV or Excel (.xlsx) file'
+    });
+  }
+
+  const scope = await loadMarksSheetExams(req, res, req.body);
+  if (!scope) return;
+
+  const locked = await AcademicYear.findLocked(req.user.schoolId, scope.exams.map(exam => ({ date: exam.examDate })));
+  if (locked) {
+    return res.status(403).json({
+      success: false,
+      error: `Academic year ${locked.name} is locked; its records can no longer be changed`
+    });
+  }
+
+  let rows;
+  try {
+    rows = readSpreadsheet(req.file);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: `Could not read the file: ${error.message}`
+    });
+  }
+
+  const preview = await previewMarksImport({ schoolId: req.user.schoolId, ...scope, rows });
+  const commit = String(req.body.commit || req.query.commit) === 'true';
+
+  if (!commit) {
+    return res.status(200).json({
+      success: true,
+      message: 'Preview only; nothing has been saved. Upload again with commit=true to save.',
+      data: preview
+    });
+  }
+
+  if (!preview.canCommit) {
+    return res.status(400).json({
+      success: false,
+      error: preview.errors.length > 0
+        ? 'Fix the errors in the sheet before importing'
+        : 'The sheet has no new or changed marks',
+      data: preview
+    });
+  }
+
+  const result = await commitMarksImport(preview, scope.exams, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Imported marks: ${result.created} created, ${result.updated} updated`,
+    data: { ...preview, result }
+  });
+});
+
 // @desc    Get exam schedule
 // @route   GET /api/exams/schedule
 // @access  Private
@@ -1,7 +1,11 @@
 const FeeCollection = require('../models/FeeCollection');
 const FeeStructure = require('../models/FeeStructure');
 const Student = require('../models/Student');
+const LateFeeApplication = require('../models/LateFeeApplication');
 const asyncHandler = require('../middleware/asyncHandler');
+const { generateFeeCollections } = require('../utils/feeCollectionGenerator');
+const { getStudentFeeDiscounts } = require('../utils/concessions');
+const { sendFeeReminder, sendScheduledFeeReminders, REMINDER_CHANNELS } = require('../utils/feeReminders');
 
 // @desc    Get all fee collections
 // @route   GET /api/fee-collections
@@ -268,9 +272,8 @@ exports.createFeeCollection = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate amounts
-  const totalAmount = feeStructure.amount;
-  const discountAmount = feeStructure.calculateDiscount();
+  // Calculate amounts, applying the structure discount and any concession rules for the student
+  const { totalAmount, discountAmount, concessions } = await getStudentFeeDiscounts(feeStructure, student);
 
   // Create fee collection
   const feeCollection = await FeeCollection.create({
@@ -281,6 +284,7 @@ exports.createFeeCollection = asyncHandler(async (req, res) => {
     month,
     totalAmount,
     discountAmount,
+    concessions,
     lateFeeAmount: 0,
     paidAmount: 0,
     dueAmount: totalAmount - discountAmount,
@@ -510,6 +514,42 @@ exports.deleteFeeCollection = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get late fees applied to a fee collection (audit trail)
+// @route   GET /api/fee-collections/:id/late-fees
+// @access  Private
+exports.getLateFeeApplications = asyncHandler(async (req, res) => {
+  const feeCollection = await FeeCollection.findById(req.params.id);
+
+  if (!feeCollection) {
+    return res.status(404).json({
+      success: false,
+      error: 'Fee collection not found'
+    });
+  }
+
+  // Check if user has access to this fee collection
+  if (req.user.role !== 'admin' && feeCollection.school.toString() !== req.user.schoolId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this fee collection'
+    });
+  }
+
+  const applications = await LateFeeApplication.find({
+    targetModel: 'FeeCollection',
+    target: feeCollection._id
+  }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    data: {
+      lateFeeAmount: feeCollection.lateFeeAmount,
+      applications
+    }
+  });
+});
+
 // @desc    Cancel fee collection
 // @route   PUT /api/fee-collections/:id/cancel
 // @access  Private
@@ -773,11 +813,84 @@ exports.getCollectionStats = asyncHandler(async (req, res) => {
   });
 });
 
+// Build generator options from a generate/preview request, scoped to the user's school
+const getGenerationOptions = (req) => {
+  const { academicYear, feeStructure, classId, from, upTo, startMonth } = req.body;
+
+  if (!academicYear && !feeStructure) {
+    return { error: 'Please provide an academic year or a fee structure' };
+  }
+
+  if (startMonth !== undefined && !(parseInt(startMonth) >= 1 && parseInt(startMonth) <= 12)) {
+    return { error: 'Start month must be between 1 and 12' };
+  }
+
+  const schoolId = req.user.schoolId;
+  if (!schoolId) {
+    return { error: 'School ID is required' };
+  }
+
+  return {
+    options: {
+      schoolId,
+      academicYear,
+      feeStructureId: feeStructure,
+      classId,
+      from: from ? new Date(from) : null,
+      upTo: upTo ? new Date(upTo) : null,
+      ...(startMonth !== undefined && { startMonth: parseInt(startMonth) }),
+      createdBy: req.user._id
+    }
+  };
+};
+
+// @desc    Preview fee collections the generator would create (dry run)
+// @route   POST /api/fee-collections/generate/preview
+// @access  Private
+exports.previewGeneratedCollections = asyncHandler(async (req, res) => {
+  const { options, error } = getGenerationOptions(req);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const summary = await generateFeeCollections({ ...options, dryRun: true });
+
+  res.status(200).json({
+    success: true,
+    message: `${summary.created} fee collections would be created (${summary.skipped} already exist)`,
+    data: summary
+  });
+});
+
+// @desc    Generate fee collections for each billing period of active fee structures
+// @route   POST /api/fee-collections/generate
+// @access  Private
+exports.generateCollections = asyncHandler(async (req, res) => {
+  const { options, error } = getGenerationOptions(req);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const summary = await generateFeeCollections(options);
+
+  res.status(200).json({
+    success: true,
+    message: `${summary.created} fee collections created (${summary.skipped} already existed)`,
+    data: summary
+  });
+});
+
 // @desc    Send reminder for due fees
 // @route   POST /api/fee-collections/:id/reminder
 // @access  Private
 exports.sendReminder = asyncHandler(async (req, res) => {
-  const { type } = req.body;
+  const { type, channels } = req.body;
   const feeCollection = await FeeCollection.findById(req.params.id)
     .populate('student', 'name admissionNumber email phone parentPhone parentEmail');
   
@@ -803,13 +916,56 @@ exports.sendReminder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Send reminder (actual implementation would involve email/SMS service)
-  await feeCollection.sendReminder(type || 'notification');
+  if (channels !== undefined && (!Array.isArray(channels) || channels.some(channel => !REMINDER_CHANNELS.includes(channel)))) {
+    return res.status(400).json({
+      success: false,
+      error: `Channels must be a list of: ${REMINDER_CHANNELS.join(', ')}`
+    });
+  }
+
+  // Deliver to the student and linked parents; each channel's outcome is stored in reminders
+  const results = await sendFeeReminder(feeCollection, { channels, type, sentBy: req.user._id });
+  const delivered = results.some(result => result.status === 'sent');
+
+  res.status(delivered ? 200 : 502).json({
+    success: delivered,
+    message: delivered ? 'Reminder sent successfully' : 'Reminder could not be delivered on any channel',
+    ...(!delivered && { error: 'Reminder could not be delivered on any channel' }),
+    data: {
+      results,
+      feeCollection
+    }
+  });
+});
+
+// @desc    Send reminders for fees due in the next N days
+// @route   POST /api/fee-collections/reminders/bulk
+// @access  Private
+exports.sendBulkReminders = asyncHandler(async (req, res) => {
+  const { daysBefore, channels } = req.body;
+  const schoolId = req.user.schoolId;
+
+  const offsets = daysBefore === undefined ? undefined : [].concat(daysBefore).map(days => parseInt(days));
+  if (offsets && offsets.some(days => isNaN(days) || days < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Days before must be zero or a positive number'
+    });
+  }
+
+  if (channels !== undefined && (!Array.isArray(channels) || channels.some(channel => !REMINDER_CHANNELS.includes(channel)))) {
+    return res.status(400).json({
+      success: false,
+      error: `Channels must be a list of: ${REMINDER_CHANNELS.join(', ')}`
+    });
+  }
+
+  const summary = await sendScheduledFeeReminders({ daysBefore: offsets, schoolId, channels });
 
   res.status(200).json({
     success: true,
-    message: 'Reminder sent successfully',
-    data: feeCollection
+    message: `Reminders sent for ${summary.reminded} fee collections`,
+    data: summary
   });
 });
 
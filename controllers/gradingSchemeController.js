@@ -0,0 +1,180 @@
+const GradingScheme = require('../models/GradingScheme');
+const asyncHandler = require('../middleware/asyncHandler');
+const { recalculateGrades } = require('../utils/grading');
+
+const SCHEME_FIELDS = ['name', 'description', 'bands', 'passRule', 'passPercentage', 'maxFailedSubjects', 'absentGrade', 'classIds', 'isDefault', 'isActive'];
+
+const pickSchemeFields = (body) => SCHEME_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// A class can follow only one active scheme
+const findClassOverlap = async (schoolId, classIds = [], excludeId = null) => {
+  if (classIds.length === 0) return null;
+  const query = { schoolId, isActive: true, classIds: { $in: classIds } };
+  if (excludeId) query._id = { $ne: excludeId };
+  return GradingScheme.findOne(query).select('name');
+};
+
+// Only one default per school; the newest one wins
+const clearOtherDefaults = (scheme) => GradingScheme.updateMany(
+  { schoolId: scheme.schoolId, _id: { $ne: scheme._id }, isDefault: true },
+  { isDefault: false }
+);
+
+// @desc    Get grading schemes (plus the built-in scale used when none applies)
+// @route   GET /api/grading-schemes
+// @access  Private (School Admin, Teacher)
+exports.getGradingSchemes = asyncHandler(async (req, res) => {
+  const query = { schoolId: req.user.schoolId };
+  if (req.query.includeInactive !== 'true') query.isActive = true;
+
+  const schemes = await GradingScheme.find(query)
+    .populate('classIds', 'name section')
+    .sort({ isDefault: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: schemes.length,
+    data: schemes,
+    builtIn: GradingScheme.DEFAULT_GRADING_SCHEME
+  });
+});
+
+// @desc    Get the scheme a class is graded with
+// @route   GET /api/grading-schemes/effective?classId=
+// @access  Private (School Admin, Teacher)
+exports.getEffectiveScheme = asyncHandler(async (req, res) => {
+  const scheme = await GradingScheme.resolveForClass(req.user.schoolId, req.query.classId || null);
+
+  res.status(200).json({
+    success: true,
+    data: scheme
+  });
+});
+
+// @desc    Get single grading scheme
+// @route   GET /api/grading-schemes/:id
+// @access  Private (School Admin, Teacher)
+exports.getGradingScheme = asyncHandler(async (req, res) => {
+  const scheme = await GradingScheme.findOne({ _id: req.params.id, schoolId: req.user.schoolId })
+    .populate('classIds', 'name section');
+
+  if (!scheme) {
+    return res.status(404).json({
+      success: false,
+      error: 'Grading scheme not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: scheme
+  });
+});
+
+// @desc    Create grading scheme
+// @route   POST /api/grading-schemes
+// @access  Private (School Admin)
+exports.createGradingScheme = asyncHandler(async (req, res) => {
+  const fields = pickSchemeFields(req.body);
+
+  if (!fields.name || !Array.isArray(fields.bands) || fields.bands.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide a scheme name and at least one grade band'
+    });
+  }
+
+  const overlap = await findClassOverlap(req.user.schoolId, fields.classIds);
+  if (overlap) {
+    return res.status(400).json({
+      success: false,
+      error: `Some of these classes already use the "${overlap.name}" scheme`
+    });
+  }
+
+  const scheme = await GradingScheme.create({
+    ...fields,
+    schoolId: req.user.schoolId,
+    createdBy: req.user._id
+  });
+  if (scheme.isDefault) await clearOtherDefaults(scheme);
+
+  res.status(201).json({
+    success: true,
+    message: 'Grading scheme created. Existing marks keep their grades until you recalculate.',
+    data: scheme
+  });
+});
+
+// @desc    Update grading scheme (set isActive false to retire it)
+// @route   PUT /api/grading-schemes/:id
+// @access  Private (School Admin)
+exports.updateGradingScheme = asyncHandler(async (req, res) => {
+  const scheme = await GradingScheme.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+  if (!scheme) {
+    return res.status(404).json({
+      success: false,
+      error: 'Grading scheme not found'
+    });
+  }
+
+  const fields = pickSchemeFields(req.body);
+  const overlap = (fields.isActive ?? scheme.isActive) &&
+    await findClassOverlap(req.user.schoolId, fields.classIds || scheme.classIds, scheme._id);
+  if (overlap) {
+    return res.status(400).json({
+      success: false,
+      error: `Some of these classes already use the "${overlap.name}" scheme`
+    });
+  }
+
+  Object.assign(scheme, fields, { updatedBy: req.user._id });
+  await scheme.save();
+  if (scheme.isDefault && scheme.isActive) await clearOtherDefaults(scheme);
+
+  res.status(200).json({
+    success: true,
+    message: 'Grading scheme updated. Existing marks keep their grades until you recalculate.',
+    data: scheme
+  });
+});
+
+// @desc    Delete grading scheme (recalculate with its id to re-grade the marks it graded)
+// @route   DELETE /api/grading-schemes/:id
+// @access  Private (School Admin)
+exports.deleteGradingScheme = asyncHandler(async (req, res) => {
+  const scheme = await GradingScheme.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+  if (!scheme) {
+    return res.status(404).json({
+      success: false,
+      error: 'Grading scheme not found'
+    });
+  }
+
+  await scheme.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Re-grade stored exam marks with the current schemes (optionally by schemeId, classId or examId)
+// @route   POST /api/grading-schemes/recalculate
+// @access  Private (School Admin)
+exports.recalculateGrades = asyncHandler(async (req, res) => {
+  // schemeId may belong to a deleted scheme; its marks are re-graded with whatever their class uses now
+  const { schemeId, classId, examId } = req.body;
+  const summary = await recalculateGrades(req.user.schoolId, { schemeId, classId, examId });
+
+  res.status(200).json({
+    success: true,
+    message: `Recalculated ${summary.processed} mark(s); ${summary.changed} changed`,
+    data: summary
+  });
+});
@@ -0,0 +1,55 @@
+const JobRun = require('../models/JobRun');
+const asyncHandler = require('../middleware/asyncHandler');
+const { runJob, listJobs, getJob } = require('../utils/jobs');
+
+// @desc    List background jobs with their last run
+// @route   GET /api/jobs
+// @access  Private (Admin)
+exports.getJobs = asyncHandler(async (req, res) => {
+  const jobs = await listJobs();
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+// @desc    Run a background job now
+// @route   POST /api/jobs/:name/run
+// @access  Private (Admin)
+exports.runJobNow = asyncHandler(async (req, res) => {
+  if (!getJob(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown job: ${req.params.name}`
+    });
+  }
+
+  const jobRun = await runJob(req.params.name, {
+    trigger: 'manual',
+    triggeredBy: req.user._id,
+    options: req.body.options || {}
+  });
+
+  res.status(jobRun.status === 'succeeded' ? 200 : 500).json({
+    success: jobRun.status === 'succeeded',
+    message: jobRun.status === 'succeeded' ? `Job ${jobRun.name} completed` : `Job ${jobRun.name} failed`,
+    ...(jobRun.error && { error: jobRun.error }),
+    data: jobRun
+  });
+});
+
+// @desc    Get recent runs of a background job
+// @route   GET /api/jobs/:name/runs
+// @access  Private (Admin)
+exports.getJobRuns = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const runs = await JobRun.getRecentRuns(req.params.name, limit);
+
+  res.status(200).json({
+    success: true,
+    count: runs.length,
+    data: runs
+  });
+});
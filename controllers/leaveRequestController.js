@@ -0,0 +1,350 @@
+const LeaveRequest = require('../models/LeaveRequest');
+const Student = require('../models/Student');
+const Parent = require('../models/Parent');
+const Class = require('../models/Class');
+const Notification = require('../models/Notification');
+const asyncHandler = require('../middleware/asyncHandler');
+const { excuseLeaveAttendance, restoreLeaveAttendance } = require('../utils/studentLeave');
+
+// IDs of the students a parent account is linked to
+const getParentStudentIds = async (parentId) => {
+  const parent = await Parent.findById(parentId).select('studentIds studentId');
+  if (!parent) return [];
+  const ids = new Set(parent.studentIds.map(id => id.toString()));
+  if (parent.studentId) ids.add(parent.studentId.toString());
+  return [...ids];
+};
+
+// Class teacher of the request's class, or a school admin of its school
+const canReview = async (user, leaveRequest) => {
+  if (user.role === 'admin') return true;
+  if (leaveRequest.school.toString() !== user.schoolId?.toString()) return false;
+  if (user.role === 'school_admin') return true;
+  if (user.role === 'teacher' && leaveRequest.classId) {
+    const classDoc = await Class.findById(leaveRequest.classId).select('teacherId');
+    return Boolean(classDoc?.teacherId && classDoc.teacherId.toString() === user._id.toString());
+  }
+  return false;
+};
+
+const canView = async (user, leaveRequest) => {
+  if (user.role === 'student') return leaveRequest.student.toString() === user._id.toString();
+  if (user.role === 'parent') return (await getParentStudentIds(user._id)).includes(leaveRequest.student.toString());
+  return canReview(user, leaveRequest);
+};
+
+// Let whoever applied know the outcome
+const notifyRequester = (leaveRequest, student, title, message) => Notification.create({
+  recipient: leaveRequest.requestedBy,
+  recipientModel: leaveRequest.requestedByModel,
+  title,
+  message,
+  type: 'attendance',
+  schoolId: leaveRequest.school,
+  relatedId: leaveRequest._id,
+  relatedType: 'leave',
+  priority: 'medium',
+  icon: 'calendar',
+  metadata: { studentId: student._id, status: leaveRequest.status }
+}).catch(error => console.error('Leave notification error:', error));
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const populateLeaveRequest = (query) => query
+  .populate({
+    path: 'student',
+    select: 'name rollNumber admissionNumber classId',
+    populate: { path: 'classId', select: 'name section' }
+  })
+  .populate('requestedBy', 'name email')
+  .populate('reviewedBy', 'name email');
+
+// @desc    Apply for leave (multipart, optional "document" file)
+// @route   POST /api/leave-requests
+// @access  Private (Student, Parent)
+exports.createLeaveRequest = asyncHandler(async (req, res) => {
+  const { startDate, endDate, reason, leaveType } = req.body;
+  const studentId = req.user.role === 'student' ? req.user._id : req.body.studentId;
+
+  if (!studentId || !startDate || !endDate || !reason) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide student, start date, end date and reason'
+    });
+  }
+
+  if (req.user.role === 'parent' && !(await getParentStudentIds(req.user._id)).includes(studentId.toString())) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only apply for leave for your own children'
+    });
+  }
+
+  const student = await Student.findById(studentId).select('name schoolId classId');
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      error: 'Student not found'
+    });
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start) || isNaN(end)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid start or end date'
+    });
+  }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+
+  if (end < start) {
+    return res.status(400).json({
+      success: false,
+      error: 'End date cannot be before start date'
+    });
+  }
+
+  const overlapping = await LeaveRequest.findOverlapping(student._id, start, end);
+  if (overlapping) {
+    return res.status(400).json({
+      success: false,
+      error: `There is already a ${overlapping.status} leave request for these dates`
+    });
+  }
+
+  const leaveRequest = await LeaveRequest.create({
+    school: student.schoolId,
+    student: student._id,
+    classId: student.classId,
+    requestedBy: req.user._id,
+    requestedByModel: req.user.role === 'student' ? 'Student' : 'Parent',
+    leaveType,
+    startDate: start,
+    endDate: end,
+    reason,
+    document: req.file ? {
+      name: req.file.originalname,
+      url: `/uploads/documents/${req.file.filename}`,
+      type: req.file.mimetype === 'application/pdf' ? 'pdf' : 'image',
+      size: req.file.size,
+      localPath: req.file.path
+    } : undefined
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Leave request submitted successfully',
+    data: leaveRequest
+  });
+});
+
+// @desc    Get leave requests (own for students/parents, class for teachers, school for admins)
+// @route   GET /api/leave-requests
+// @access  Private
+exports.getLeaveRequests = asyncHandler(async (req, res) => {
+  const { status, classId, studentId, from, to, page = 1, limit = 50 } = req.query;
+  const query = {};
+
+  if (req.user.role === 'student') {
+    query.student = req.user._id;
+  } else if (req.user.role === 'parent') {
+    const children = await getParentStudentIds(req.user._id);
+    query.student = studentId && children.includes(studentId) ? studentId : { $in: children };
+  } else {
+    if (req.user.role !== 'admin') query.school = req.user.schoolId;
+    if (req.user.role === 'teacher') {
+      const classes = await Class.find({ teacherId: req.user._id }).select('_id');
+      const classIds = classes.map(c => c._id.toString());
+      query.classId = classId && classIds.includes(classId) ? classId : { $in: classIds };
+    } else if (classId) {
+      query.classId = classId;
+    }
+    if (studentId) query.student = studentId;
+  }
+
+  if (status) query.status = status;
+  if (from) query.endDate = { $gte: new Date(from) };
+  if (to) query.startDate = { $lte: new Date(to) };
+
+  const leaveRequests = await populateLeaveRequest(LeaveRequest.find(query))
+    .sort({ startDate: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .limit(parseInt(limit));
+
+  const total = await LeaveRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: leaveRequests.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / parseInt(limit)),
+    data: leaveRequests
+  });
+});
+
+// @desc    Get students of a class on approved leave on a date (to pre-fill attendance)
+// @route   GET /api/leave-requests/on-leave?classId=&date=
+// @access  Private (Teacher, School Admin)
+exports.getStudentsOnLeave = asyncHandler(async (req, res) => {
+  const { classId, date } = req.query;
+
+  if (!classId || !date) {
+    return res.status(400).json({
+      success: false,
+      error: 'Class ID and date are required'
+    });
+  }
+
+  const classDoc = await Class.findOne({ _id: classId, schoolId: req.user.schoolId });
+  if (!classDoc) {
+    return res.status(404).json({
+      success: false,
+      error: 'Class not found'
+    });
+  }
+
+  const leaveRequests = await LeaveRequest.getStudentsOnLeave(classDoc._id, new Date(date));
+
+  res.status(200).json({
+    success: true,
+    count: leaveRequests.length,
+    data: leaveRequests.map(leaveRequest => ({
+      student: leaveRequest.student,
+      leaveRequest: leaveRequest._id,
+      leaveType: leaveRequest.leaveType,
+      startDate: leaveRequest.startDate,
+      endDate: leaveRequest.endDate,
+      status: 'excused'
+    }))
+  });
+});
+
+// @desc    Get single leave request
+// @route   GET /api/leave-requests/:id
+// @access  Private
+exports.getLeaveRequest = asyncHandler(async (req, res) => {
+  const leaveRequest = await LeaveRequest.findById(req.params.id);
+
+  if (!leaveRequest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave request not found'
+    });
+  }
+
+  if (!(await canView(req.user, leaveRequest))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this leave request'
+    });
+  }
+
+  const populated = await populateLeaveRequest(LeaveRequest.findById(leaveRequest._id));
+
+  res.status(200).json({
+    success: true,
+    data: populated
+  });
+});
+
+// @desc    Approve or reject a leave request
+// @route   PUT /api/leave-requests/:id/approve, PUT /api/leave-requests/:id/reject
+// @access  Private (Class Teacher, School Admin)
+const reviewLeaveRequest = (decision) => asyncHandler(async (req, res) => {
+  const leaveRequest = await LeaveRequest.findById(req.params.id);
+
+  if (!leaveRequest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave request not found'
+    });
+  }
+
+  if (!(await canReview(req.user, leaveRequest))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the class teacher or a school admin can review this leave request'
+    });
+  }
+
+  if (leaveRequest.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      error: `Leave request is already ${leaveRequest.status}`
+    });
+  }
+
+  leaveRequest.status = decision;
+  leaveRequest.reviewedBy = req.user._id;
+  leaveRequest.reviewedAt = new Date();
+  leaveRequest.reviewComment = req.body.comment;
+
+  if (decision === 'approved') {
+    leaveRequest.excusedAttendanceCount = await excuseLeaveAttendance(leaveRequest);
+  }
+  await leaveRequest.save();
+
+  const student = await Student.findById(leaveRequest.student).select('name');
+  const range = `${formatDay(leaveRequest.startDate)} - ${formatDay(leaveRequest.endDate)}`;
+  notifyRequester(
+    leaveRequest,
+    student,
+    decision === 'approved' ? 'Leave approved' : 'Leave rejected',
+    `Leave for ${student.name} (${range}) was ${decision}${req.body.comment ? `: ${req.body.comment}` : '.'}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Leave request ${decision}`,
+    data: leaveRequest
+  });
+});
+
+exports.approveLeaveRequest = reviewLeaveRequest('approved');
+exports.rejectLeaveRequest = reviewLeaveRequest('rejected');
+
+// @desc    Cancel a leave request (attendance excused by it goes back to absent)
+// @route   PUT /api/leave-requests/:id/cancel
+// @access  Private (Requester, Class Teacher, School Admin)
+exports.cancelLeaveRequest = asyncHandler(async (req, res) => {
+  const leaveRequest = await LeaveRequest.findById(req.params.id);
+
+  if (!leaveRequest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave request not found'
+    });
+  }
+
+  const isRequester = ['student', 'parent'].includes(req.user.role) && await canView(req.user, leaveRequest);
+  if (!isRequester && !(await canReview(req.user, leaveRequest))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to cancel this leave request'
+    });
+  }
+
+  if (!['pending', 'approved'].includes(leaveRequest.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Leave request is already ${leaveRequest.status}`
+    });
+  }
+
+  if (leaveRequest.status === 'approved') {
+    await restoreLeaveAttendance(leaveRequest);
+    leaveRequest.excusedAttendanceCount = 0;
+  }
+  leaveRequest.status = 'cancelled';
+  leaveRequest.cancelledAt = new Date();
+  await leaveRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave request cancelled',
+    data: leaveRequest
+  });
+});
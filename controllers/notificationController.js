@@ -2,6 +2,7 @@ const Notification = require('../models/Notification');
 const Student = require('../models/Student');
 const DeviceToken = require('../models/DeviceToken');
 const { validationResult } = require('express-validator');
+const { getUserModelName } = require('../middleware/auth');
 
 // @desc    Get student notifications
 // @route   GET /api/notifications
@@ -326,7 +327,7 @@ const registerPushToken = async (req, res) => {
     }
 
     // Determine user model based on role
-    const userModel = userRole === 'student' ? 'Student' : 'User';
+    const userModel = getUserModelName(userRole);
 
     // Register or update the token
     const token = await DeviceToken.registerToken(
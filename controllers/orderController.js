@@ -4,6 +4,7 @@ const Course = require('../models/Course');
 const Cart = require('../models/Cart');
 const PromoCode = require('../models/PromoCode');
 const asyncHandler = require('../middleware/asyncHandler');
+const { refundPayment } = require('../utils/razorpay');
 
 // @desc    Create new order (Purchase)
 // @route   POST /api/orders
@@ -375,6 +376,14 @@ const cancelOrder = asyncHandler(async (req, res) => {
       });
     }
 
+    // Money has been taken - it has to go back through a refund
+    if (order.paymentStatus === 'paid') {
+      return res.status(400).json({
+        success: false,
+        error: 'Paid orders cannot be cancelled. Please request a refund instead'
+      });
+    }
+
     await order.cancelOrder(reason);
 
     res.status(200).json({
@@ -391,6 +400,127 @@ const cancelOrder = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Refund an order through Razorpay (full or partial). Orders paid before online checkout are
+//          refunded outside Razorpay and recorded here with manual: true (and the transfer reference)
+// @route   POST /api/orders/:id/refund
+// @access  Private (Admin)
+const refundOrder = asyncHandler(async (req, res) => {
+  try {
+    const { amount, reason, items = [], manual = false, reference } = req.body;
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    if (order.paymentStatus !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        error: `Only paid orders can be refunded (payment status is ${order.paymentStatus})`
+      });
+    }
+
+    const viaRazorpay = Boolean(order.transactionId && order.transactionId.startsWith('pay_'));
+    if (!viaRazorpay && !manual) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order was not paid through Razorpay. Return the money another way, then send manual: true (and a reference) to record the refund'
+      });
+    }
+
+    if (viaRazorpay && manual) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order was paid through Razorpay; refund it without manual'
+      });
+    }
+
+    const refundable = order.pricing.total - (order.refundedAmount || 0);
+
+    // Work out which items are being returned
+    const refundItems = [];
+    let itemsValue = 0;
+
+    for (const requested of items) {
+      const item = order.items.id(requested.itemId);
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          error: `Item not found in order: ${requested.itemId}`
+        });
+      }
+
+      const quantity = parseInt(requested.quantity) || item.quantity - (item.refundedQuantity || 0);
+      if (quantity < 1 || quantity > item.quantity - (item.refundedQuantity || 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid refund quantity for ${item.name}. ${item.quantity - (item.refundedQuantity || 0)} left to refund`
+        });
+      }
+
+      refundItems.push({ itemId: item._id, quantity });
+      itemsValue += item.price * quantity;
+    }
+
+    if (amount !== undefined && parseFloat(amount) > refundable) {
+      return res.status(400).json({
+        success: false,
+        error: `Refund amount cannot exceed ${refundable}`
+      });
+    }
+
+    // Default to the value of the returned items (capped by what is left), or the whole remaining amount
+    let refundAmount = amount !== undefined ? parseFloat(amount) : (refundItems.length > 0 ? itemsValue : refundable);
+    refundAmount = Math.round(Math.min(refundAmount, refundable) * 100) / 100;
+
+    if (!refundAmount || refundAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refund amount must be greater than 0'
+      });
+    }
+
+    // A manual refund is keyed by its reference, so recording the same transfer twice is ignored
+    const refund = viaRazorpay
+      ? await refundPayment(order.transactionId, refundAmount)
+      : { id: `manual_${reference ? String(reference).trim() : Date.now()}`, status: 'processed' };
+
+    await order.recordRefund({
+      refundId: refund.id,
+      amount: refundAmount,
+      status: refund.status === 'processed' ? 'processed' : 'pending',
+      reason: reason || 'Refunded by admin',
+      initiatedBy: req.user._id,
+      items: refundItems,
+      method: viaRazorpay ? 'razorpay' : 'manual'
+    });
+
+    console.log(`💸 Refund ${refund.id} of ${refundAmount} ${viaRazorpay ? 'issued' : 'recorded'} for order ${order.orderNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: order.paymentStatus === 'refunded' ? 'Order refunded successfully' : 'Partial refund issued successfully',
+      data: {
+        order,
+        refund: {
+          refundId: refund.id,
+          amount: refundAmount,
+          status: refund.status
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Refund order error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.error?.description || error.message || 'Failed to refund order'
+    });
+  }
+});
+
 // @desc    Get all orders (Admin only)
 // @route   GET /api/orders/all
 // @access  Private (Admin)
@@ -448,6 +578,7 @@ module.exports = {
   getOrder,
   getOrderByNumber,
   cancelOrder,
+  refundOrder,
   getAllOrders
 };
 
@@ -3,7 +3,12 @@ const Student = require('../models/Student');
 const Schedule = require('../models/Schedule');
 const Assignment = require('../models/Assignment');
 const Attendance = require('../models/Attendance');
+const FeeCollection = require('../models/FeeCollection');
+const FeeReceipt = require('../models/FeeReceipt');
+const ReportCard = require('../models/ReportCard');
+const School = require('../models/School');
 const asyncHandler = require('../middleware/asyncHandler');
+const { reportCardsToPdf } = require('../utils/reportCards');
 
 // @desc    Get parent profile
 // @route   GET /api/parents/profile
@@ -45,6 +50,7 @@ const getParentProfile = async (req, res) => {
           schoolId: parent.schoolId,
           phone: parent.phone,
           occupation: parent.occupation,
+          notificationPreferences: parent.notificationPreferences,
           lastLogin: parent.lastLogin,
           createdAt: parent.createdAt
         },
@@ -531,6 +537,171 @@ const getChildTeachers = async (req, res) => {
   }
 };
 
+// @desc    Get child fee collections and receipts
+// @route   GET /api/parents/children/:childId/fees
+// @access  Private (Parent)
+const getChildFees = async (req, res) => {
+  try {
+    const { childId } = req.params;
+    const { academicYear, status } = req.query;
+
+    // Get parent record (req.user is now the parent record)
+    const parent = await Parent.findById(req.user._id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Parent not found'
+      });
+    }
+
+    // Get all student IDs (support both old and new schema)
+    let studentIds = [];
+    if (parent.studentIds && parent.studentIds.length > 0) {
+      studentIds = parent.studentIds.map(id => id.toString());
+    } else if (parent.studentId) {
+      studentIds = [parent.studentId.toString()];
+    }
+
+    // Check if the requested child ID is one of the parent's children
+    if (!studentIds.includes(childId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own child\'s fees.'
+      });
+    }
+
+    let collections = await FeeCollection.getCollectionsByStudent(childId, academicYear);
+    if (status) {
+      collections = collections.filter(collection => collection.status === status);
+    }
+
+    const receipts = await FeeReceipt.getReceiptsByStudent(childId, academicYear);
+
+    const totalDue = collections
+      .filter(collection => collection.status !== 'cancelled')
+      .reduce((sum, collection) => sum + collection.dueAmount, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        collections,
+        receipts,
+        totalDue
+      }
+    });
+  } catch (error) {
+    console.error('Get child fees error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching child fees'
+    });
+  }
+};
+
+// @desc    Get child's published report cards
+// @route   GET /api/parents/children/:childId/report-cards
+// @access  Private (Parent)
+const getChildReportCards = async (req, res) => {
+  try {
+    const { childId } = req.params;
+
+    // Get parent record (req.user is now the parent record)
+    const parent = await Parent.findById(req.user._id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Parent not found'
+      });
+    }
+
+    // Get all student IDs (support both old and new schema)
+    let studentIds = [];
+    if (parent.studentIds && parent.studentIds.length > 0) {
+      studentIds = parent.studentIds.map(id => id.toString());
+    } else if (parent.studentId) {
+      studentIds = [parent.studentId.toString()];
+    }
+
+    // Check if the requested child ID is one of the parent's children
+    if (!studentIds.includes(childId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own child\'s report cards.'
+      });
+    }
+
+    const reportCards = await ReportCard.getPublishedForStudent(childId);
+
+    res.status(200).json({
+      success: true,
+      count: reportCards.length,
+      data: reportCards
+    });
+  } catch (error) {
+    console.error('Get child report cards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching child report cards'
+    });
+  }
+};
+
+// @desc    Download child's published report card as PDF
+// @route   GET /api/parents/children/:childId/report-cards/:reportCardId/pdf
+// @access  Private (Parent)
+const getChildReportCardPdf = async (req, res) => {
+  try {
+    const { childId, reportCardId } = req.params;
+
+    const parent = await Parent.findById(req.user._id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Parent not found'
+      });
+    }
+
+    let studentIds = [];
+    if (parent.studentIds && parent.studentIds.length > 0) {
+      studentIds = parent.studentIds.map(id => id.toString());
+    } else if (parent.studentId) {
+      studentIds = [parent.studentId.toString()];
+    }
+
+    if (!studentIds.includes(childId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own child\'s report cards.'
+      });
+    }
+
+    const reportCard = await ReportCard.findOne({ _id: reportCardId, studentId: childId, status: 'published' })
+      .populate('studentId', 'name rollNumber admissionNumber')
+      .populate('classId', 'name section');
+
+    if (!reportCard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report card not found'
+      });
+    }
+
+    const school = await School.findById(reportCard.schoolId).select('name address');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="report-card-${reportCard.term.replace(/[^\w.-]+/g, '_')}-${reportCard.academicYear}.pdf"`);
+    res.status(200).send(reportCardsToPdf([reportCard], school || {}));
+  } catch (error) {
+    console.error('Get child report card PDF error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while generating report card'
+    });
+  }
+};
+
 // @desc    Get all parents by school
 // @route   GET /api/parents
 // @access  Private (School Admin)
@@ -570,6 +741,45 @@ const getAllParents = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Update parent notification preferences (e.g. opt out of absence alerts)
+// @route   PUT /api/parents/notification-preferences
+// @access  Private (Parent)
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { absenceAlerts } = req.body;
+
+    if (absenceAlerts === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the preferences to update'
+      });
+    }
+
+    const parent = await Parent.findById(req.user._id);
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Parent not found'
+      });
+    }
+
+    parent.notificationPreferences.absenceAlerts = Boolean(absenceAlerts);
+    await parent.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: parent.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating notification preferences'
+    });
+  }
+};
+
 module.exports = {
   getParentProfile,
   getParentChildren,
@@ -578,5 +788,9 @@ module.exports = {
   getChildAttendance,
   getChildAssignments,
   getChildTeachers,
-  getAllParents
+  getChildFees,
+  getChildReportCards,
+  getChildReportCardPdf,
+  getAllParents,
+  updateNotificationPreferences
 };
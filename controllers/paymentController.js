@@ -1,8 +1,19 @@
-const { createOrder, verifyPayment, fetchPayment } = require('../utils/razorpay');
+const { createOrder, verifyPayment, fetchPayment, verifyWebhookSignature } = require('../utils/razorpay');
+const {
+  applyCapturedPayment,
+  applyFailedPayment,
+  applyProcessedRefund,
+  reconcilePendingPayments
+} = require('../utils/paymentReconciliation');
 const Course = require('../models/Course');
 const Product = require('../models/Product');
 const SchoolProduct = require('../models/SchoolProduct');
 const Order = require('../models/Order');
+const Parent = require('../models/Parent');
+const FeeCollection = require('../models/FeeCollection');
+const FeeReceipt = require('../models/FeeReceipt');
+const OnlineFeePayment = require('../models/OnlineFeePayment');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
 const asyncHandler = require('../middleware/asyncHandler');
 
 /**
@@ -43,6 +54,20 @@ const createCoursePayment = asyncHandler(async (req, res) => {
       }
     });
 
+    await Order.createPendingCheckout({
+      user: req.user,
+      items: [{
+        courseId: course._id,
+        type: 'course',
+        name: course.name,
+        price: course.price,
+        quantity: 1,
+        subtotal: course.price
+      }],
+      billingAddress: req.body.billingAddress,
+      razorpayOrderId: order.id
+    });
+
     res.status(200).json({
       success: true,
       message: 'Payment order created successfully',
@@ -115,6 +140,20 @@ const createProductPayment = asyncHandler(async (req, res) => {
       }
     });
 
+    await Order.createPendingCheckout({
+      user: req.user,
+      items: [{
+        productId: product._id,
+        type: 'product',
+        name: product.name,
+        price: product.price,
+        quantity: quantity,
+        subtotal: totalAmount
+      }],
+      billingAddress: req.body.billingAddress,
+      razorpayOrderId: order.id
+    });
+
     res.status(200).json({
       success: true,
       message: 'Payment order created successfully',
@@ -199,6 +238,21 @@ const createSchoolProductPayment = asyncHandler(async (req, res) => {
       }
     });
 
+    await Order.createPendingCheckout({
+      user: req.user,
+      items: [{
+        schoolProductId: product._id,
+        type: 'school_product',
+        name: product.name,
+        price: unitPrice,
+        quantity: quantity,
+        subtotal: totalAmount
+      }],
+      billingAddress: req.body.billingAddress,
+      razorpayOrderId: order.id,
+      schoolId: schoolId
+    });
+
     res.status(200).json({
       success: true,
       message: 'Payment order created successfully',
@@ -223,6 +277,106 @@ const createSchoolProductPayment = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Create Razorpay order for a fee collection (full or partial payment)
+ * @route   POST /api/fee-collections/:id/payment/create
+ * @access  Private (Parent)
+ */
+const createFeePayment = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const feeCollection = await FeeCollection.findById(id).populate('feeStructure', 'name');
+    if (!feeCollection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee collection not found'
+      });
+    }
+
+    // Parents can only pay for their own children
+    const parent = await Parent.findById(userId);
+    const childIds = parent
+      ? [...(parent.studentIds || []), parent.studentId].filter(Boolean).map(childId => childId.toString())
+      : [];
+    if (!childIds.includes(feeCollection.student.toString())) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only pay fees for your own children.'
+      });
+    }
+
+    if (feeCollection.status === 'paid' || feeCollection.status === 'cancelled' || feeCollection.dueAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Fee collection is ${feeCollection.status} and has nothing to pay`
+      });
+    }
+
+    // Default to paying the full outstanding amount
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : feeCollection.dueAmount;
+
+    if (!amount || isNaN(amount) || amount < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment amount must be at least 1'
+      });
+    }
+
+    if (amount > feeCollection.dueAmount) {
+      return res.status(400).json({
+        success: false,
+        error: `Payment amount cannot exceed due amount of ${feeCollection.dueAmount}`
+      });
+    }
+
+    // Create Razorpay order
+    const order = await createOrder(amount, 'INR', {
+      receipt: `fee_${feeCollection._id}_${Date.now()}`,
+      notes: {
+        type: 'fee',
+        feeCollectionId: feeCollection._id.toString(),
+        studentId: feeCollection.student.toString(),
+        schoolId: feeCollection.school.toString(),
+        userId: userId.toString()
+      }
+    });
+
+    await OnlineFeePayment.create({
+      school: feeCollection.school,
+      student: feeCollection.student,
+      feeCollection: feeCollection._id,
+      paidBy: userId,
+      paidByModel: 'Parent',
+      amount,
+      currency: order.currency,
+      razorpayOrderId: order.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment order created successfully',
+      data: {
+        orderId: order.id,
+        amount: order.amount / 100, // Convert back from paise
+        currency: order.currency,
+        keyId: process.env.RAZORPAY_KEY_ID,
+        feeCollectionId: feeCollection._id,
+        feeName: feeCollection.feeStructure?.name,
+        month: feeCollection.month,
+        dueAmount: feeCollection.dueAmount
+      }
+    });
+  } catch (error) {
+    console.error('Create fee payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create payment order'
+    });
+  }
+});
+
 /**
  * @desc    Verify Razorpay payment and complete purchase
  * @route   POST /api/payments/verify
@@ -234,8 +388,8 @@ const verifyPaymentAndComplete = asyncHandler(async (req, res) => {
       razorpay_order_id,
       razorpay_payment_id,
       razorpay_signature,
-      type, // 'course', 'product', or 'school_product'
-      itemId, // courseId, productId, or schoolProductId
+      type, // 'course', 'product', 'school_product' or 'fee'
+      itemId, // courseId, productId, schoolProductId or feeCollectionId
       quantity = 1,
       billingAddress
     } = req.body;
@@ -270,6 +424,25 @@ const verifyPaymentAndComplete = asyncHandler(async (req, res) => {
       });
     }
 
+    // Checkouts started through the create endpoints already have a pending order;
+    // complete it (a webhook may already have done so) instead of creating a new one
+    if (type !== 'fee') {
+      const pendingOrder = await Order.findOne({ razorpayOrderId: razorpay_order_id, userId });
+      if (pendingOrder) {
+        const { order } = await Order.completePayment(razorpay_order_id, razorpay_payment_id);
+        return res.status(200).json({
+          success: true,
+          message: 'Payment verified and purchase completed successfully',
+          data: {
+            paymentId: razorpay_payment_id,
+            orderId: razorpay_order_id,
+            type,
+            order
+          }
+        });
+      }
+    }
+
     let result = {};
 
     // Handle different types of purchases
@@ -284,11 +457,7 @@ const verifyPaymentAndComplete = asyncHandler(async (req, res) => {
         }
 
         // Check if already purchased
-        const existingOrder = await Order.findOne({
-          userId,
-          'items.courseId': itemId,
-          paymentStatus: 'paid'
-        });
+        const existingOrder = await Order.findCoursePurchase(userId, itemId);
 
         if (existingOrder) {
           return res.status(400).json({
@@ -447,6 +616,35 @@ const verifyPaymentAndComplete = asyncHandler(async (req, res) => {
         };
         break;
 
+      case 'fee':
+        const onlineFeePayment = await OnlineFeePayment.findOne({ razorpayOrderId: razorpay_order_id });
+        if (!onlineFeePayment || onlineFeePayment.feeCollection.toString() !== itemId.toString()) {
+          return res.status(404).json({
+            success: false,
+            error: 'Fee payment order not found'
+          });
+        }
+
+        if (onlineFeePayment.paidBy.toString() !== userId.toString()) {
+          return res.status(403).json({
+            success: false,
+            error: 'Not authorized to verify this fee payment'
+          });
+        }
+
+        // Credits the collection and issues the receipt exactly once
+        const feeResult = await OnlineFeePayment.completePayment(razorpay_order_id, razorpay_payment_id);
+        const feeReceipt = feeResult.feeReceipt ||
+          (feeResult.payment.feeReceipt ? await FeeReceipt.findById(feeResult.payment.feeReceipt) : null);
+
+        result = {
+          type: 'fee',
+          payment: feeResult.payment,
+          feeReceipt,
+          feeCollection: feeResult.feeCollection || await FeeCollection.findById(itemId)
+        };
+        break;
+
       default:
         return res.status(400).json({
           success: false,
@@ -473,10 +671,136 @@ const verifyPaymentAndComplete = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Receive Razorpay webhook events (payment.captured, payment.failed, refund.processed)
+ * @route   POST /api/payments/webhook
+ * @access  Public (verified by X-Razorpay-Signature)
+ */
+const handleRazorpayWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!verifyWebhookSignature(req.rawBody, signature)) {
+    console.log('❌ Razorpay webhook: invalid signature');
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  const { event, payload = {} } = req.body;
+  const payment = payload.payment?.entity;
+  const refund = payload.refund?.entity;
+  // Razorpay sends the same event ID on retries; fall back to a key derived from the entity
+  const eventId = req.headers['x-razorpay-event-id'] || `${event}_${refund?.id || payment?.id}`;
+
+  let webhookEvent;
+  try {
+    webhookEvent = await PaymentWebhookEvent.create({
+      eventId,
+      event,
+      razorpayOrderId: payment?.order_id,
+      razorpayPaymentId: payment?.id || refund?.payment_id,
+      razorpayRefundId: refund?.id
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Seen this event before - only retry it if the earlier attempt failed
+    webhookEvent = await PaymentWebhookEvent.findOne({ eventId });
+    if (webhookEvent.status !== 'failed') {
+      return res.status(200).json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+    webhookEvent.attempts += 1;
+  }
+
+  try {
+    let result = null;
+
+    switch (event) {
+      case 'payment.captured':
+        result = await applyCapturedPayment(payment.order_id, payment.id);
+        break;
+
+      case 'payment.failed':
+        result = await applyFailedPayment(
+          payment.order_id,
+          payment.id,
+          payment.error_description || payment.error_reason || 'Payment failed'
+        );
+        break;
+
+      case 'refund.processed':
+        result = await applyProcessedRefund(refund.payment_id, refund.id, refund.amount / 100); // Convert from paise
+        break;
+
+      default:
+        result = null;
+    }
+
+    webhookEvent.status = result ? 'processed' : 'ignored';
+    webhookEvent.result = result || 'No matching order, fee payment or handler';
+    webhookEvent.error = undefined;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+
+    console.log(`✅ Razorpay webhook ${event}: ${webhookEvent.result}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook processed'
+    });
+  } catch (error) {
+    console.error('Razorpay webhook error:', error);
+    webhookEvent.status = 'failed';
+    webhookEvent.error = error.message;
+    await webhookEvent.save();
+
+    // A non-2xx response makes Razorpay retry the delivery
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook'
+    });
+  }
+});
+
+/**
+ * @desc    Reconcile pending checkouts against Razorpay
+ * @route   POST /api/payments/reconcile
+ * @access  Private (Admin)
+ */
+const reconcilePayments = asyncHandler(async (req, res) => {
+  try {
+    const { olderThanMinutes, expireAfterHours } = req.body;
+
+    const summary = await reconcilePendingPayments({
+      olderThanMinutes: olderThanMinutes !== undefined ? Number(olderThanMinutes) : undefined,
+      expireAfterHours: expireAfterHours !== undefined ? Number(expireAfterHours) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment reconciliation completed',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Reconcile payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to reconcile payments'
+    });
+  }
+});
+
 module.exports = {
   createCoursePayment,
   createProductPayment,
   createSchoolProductPayment,
-  verifyPaymentAndComplete
+  createFeePayment,
+  verifyPaymentAndComplete,
+  handleRazorpayWebhook,
+  reconcilePayments
 };
 
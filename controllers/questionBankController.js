@@ -0,0 +1,335 @@
+const BankQuestion = require('../models/BankQuestion');
+const Quiz = require('../models/Quiz');
+const Subject = require('../models/Subject');
+const Class = require('../models/Class');
+const Syllabus = require('../models/Syllabus');
+const asyncHandler = require('../middleware/asyncHandler');
+const { buildQuizQuestions } = require('../utils/questionBank');
+
+const QUESTION_FIELDS = [
+  'questionText',
+  'questionType',
+  'options',
+  'correctAnswer',
+  'acceptedAnswers',
+  'answerPattern',
+  'caseSensitive',
+  'numericAnswer',
+  'tolerance',
+  'blanks',
+  'pairs',
+  'sequence',
+  'partialCredit',
+  'marks',
+  'explanation',
+  'difficulty',
+  'skills',
+  'isActive'
+];
+
+const pickQuestionFields = (body) => QUESTION_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Subject, class and syllabus chapter for a question (chapters are looked up in the syllabus of the subject sent,
+// else currentSubjectId); replies with an error and returns null when one isn't found
+const resolveTags = async (req, res, { subjectId, classId, chapterId }, currentSubjectId = null) => {
+  const schoolId = req.user.schoolId;
+  const tags = {};
+
+  if (subjectId !== undefined) {
+    const subject = await Subject.findOne({ _id: subjectId, schoolId }).select('_id');
+    if (!subject) {
+      res.status(404).json({ success: false, error: 'Subject not found' });
+      return null;
+    }
+    tags.subjectId = subjectId;
+  }
+
+  if (classId !== undefined) {
+    if (classId) {
+      const classData = await Class.findOne({ _id: classId, schoolId }).select('_id');
+      if (!classData) {
+        res.status(404).json({ success: false, error: 'Class not found' });
+        return null;
+      }
+    }
+    tags.classId = classId || null;
+  }
+
+  if (chapterId !== undefined) {
+    if (chapterId) {
+      const syllabus = await Syllabus.findOne({
+        schoolId,
+        subjectId: tags.subjectId || currentSubjectId,
+        'chapters._id': chapterId
+      }).select('chapters');
+      if (!syllabus) {
+        res.status(404).json({ success: false, error: 'Chapter not found in the subject\'s syllabus' });
+        return null;
+      }
+      tags.syllabusId = syllabus._id;
+      tags.chapterId = chapterId;
+      tags.chapter = syllabus.chapters.id(chapterId).title;
+    } else {
+      Object.assign(tags, { syllabusId: null, chapterId: null, chapter: undefined });
+    }
+  }
+
+  return tags;
+};
+
+// Teachers change their own questions; school admins change any
+const canChange = (req, question) => req.user.role === 'school_admin' ||
+  question.createdBy.toString() === req.user._id.toString();
+
+const findSchoolQuestion = (req) => BankQuestion.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+// @desc    Get the school's question bank
+// @route   GET /api/question-bank
+// @access  Private (Teacher, School Admin)
+exports.getBankQuestions = asyncHandler(async (req, res) => {
+  const {
+    subjectId,
+    classId,
+    chapterId,
+    difficulty,
+    skill,
+    questionType,
+    search,
+    includeArchived,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const query = { schoolId: req.user.schoolId };
+  if (includeArchived !== 'true') query.isActive = true;
+  if (subjectId) query.subjectId = subjectId;
+  if (classId) query.classId = classId;
+  if (chapterId) query.chapterId = chapterId;
+  if (difficulty) query.difficulty = difficulty;
+  if (skill) query.skills = String(skill).trim().toLowerCase();
+  if (questionType) query.questionType = questionType;
+  if (search) query.questionText = { $regex: escapeRegex(String(search)), $options: 'i' };
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [questions, total] = await Promise.all([
+    BankQuestion.find(query)
+      .populate('subjectId', 'name code')
+      .populate('classId', 'name section')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    BankQuestion.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: questions.length,
+    data: questions,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalItems: total
+    }
+  });
+});
+
+// @desc    Get single bank question with its statistics
+// @route   GET /api/question-bank/:id
+// @access  Private (Teacher, School Admin)
+exports.getBankQuestion = asyncHandler(async (req, res) => {
+  const question = await findSchoolQuestion(req)
+    .populate('subjectId', 'name code')
+    .populate('classId', 'name section')
+    .populate('createdBy', 'name');
+
+  if (!question) {
+    return res.status(404).json({
+      success: false,
+      error: 'Question not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: question
+  });
+});
+
+// @desc    Add a question to the bank
+// @route   POST /api/question-bank
+// @access  Private (Teacher, School Admin)
+exports.createBankQuestion = asyncHandler(async (req, res) => {
+  if (!req.body.subjectId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide subjectId'
+    });
+  }
+
+  const tags = await resolveTags(req, res, req.body);
+  if (!tags) return;
+
+  const question = await BankQuestion.create({
+    ...pickQuestionFields(req.body),
+    ...tags,
+    schoolId: req.user.schoolId,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Question added to the bank',
+    data: question
+  });
+});
+
+// @desc    Update bank question (quizzes that already use it keep their copy)
+// @route   PUT /api/question-bank/:id
+// @access  Private (Owner, School Admin)
+exports.updateBankQuestion = asyncHandler(async (req, res) => {
+  const question = await findSchoolQuestion(req);
+  if (!question) {
+    return res.status(404).json({
+      success: false,
+      error: 'Question not found'
+    });
+  }
+
+  if (!canChange(req, question)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only change questions you added'
+    });
+  }
+
+  const tags = await resolveTags(req, res, req.body, question.subjectId);
+  if (!tags) return;
+
+  // A different subject leaves the old subject's chapter behind
+  if (tags.subjectId && tags.subjectId.toString() !== question.subjectId.toString() && tags.chapterId === undefined) {
+    Object.assign(tags, { syllabusId: null, chapterId: null, chapter: undefined });
+  }
+
+  Object.assign(question, pickQuestionFields(req.body), tags, { updatedBy: req.user._id });
+  await question.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Question updated successfully',
+    data: question
+  });
+});
+
+// @desc    Delete bank question (quizzes that already use it keep their copy)
+// @route   DELETE /api/question-bank/:id
+// @access  Private (Owner, School Admin)
+exports.deleteBankQuestion = asyncHandler(async (req, res) => {
+  const question = await findSchoolQuestion(req);
+  if (!question) {
+    return res.status(404).json({
+      success: false,
+      error: 'Question not found'
+    });
+  }
+
+  if (!canChange(req, question)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only delete questions you added'
+    });
+  }
+
+  await question.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Copy a quiz's questions into the bank, tagged with its subject and class (and any tags sent)
+// @route   POST /api/question-bank/import/quiz/:quizId
+// @access  Private (Teacher, School Admin)
+exports.importQuizQuestions = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findOne({ _id: req.params.quizId, schoolId: req.user.schoolId });
+  if (!quiz) {
+    return res.status(404).json({
+      success: false,
+      error: 'Quiz not found'
+    });
+  }
+
+  if (req.user.role === 'teacher' && quiz.teacherId.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+  }
+
+  const tags = await resolveTags(req, res, { chapterId: req.body.chapterId }, quiz.subjectId);
+  if (!tags) return;
+
+  // Questions already taken from or added to the bank are skipped
+  const toImport = quiz.questions.filter(question => !question.bankQuestionId);
+  const created = await BankQuestion.insertMany(toImport.map(question => {
+    const { _id, bankQuestionId, ...content } = question.toObject();
+    return {
+      ...content,
+      ...tags,
+      difficulty: req.body.difficulty || 'medium',
+      skills: req.body.skills || [],
+      schoolId: quiz.schoolId,
+      subjectId: quiz.subjectId,
+      classId: quiz.classId,
+      stats: { timesUsed: 1 },
+      createdBy: req.user._id
+    };
+  }));
+
+  // Link the quiz's questions to their bank copies so later results count towards the bank statistics
+  toImport.forEach((question, index) => {
+    question.bankQuestionId = created[index]._id;
+  });
+  if (created.length > 0) await quiz.save();
+
+  res.status(201).json({
+    success: true,
+    message: `${created.length} question(s) added to the bank`,
+    count: created.length,
+    data: created
+  });
+});
+
+// @desc    Draw a sample paper from the bank by picks and rules without creating a quiz
+// @route   POST /api/question-bank/sample-paper
+// @access  Private (Teacher, School Admin)
+exports.getSamplePaper = asyncHandler(async (req, res) => {
+  const { subjectId, bankQuestionIds, paperRules } = req.body;
+
+  if (!subjectId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide subjectId'
+    });
+  }
+
+  // Rules the bank can't satisfy come back as a 400
+  const built = await buildQuizQuestions(req.user.schoolId, {
+    subjectId,
+    bankQuestionIds: bankQuestionIds || [],
+    paperRules: paperRules || []
+  });
+
+  res.status(200).json({
+    success: true,
+    count: built.questions.length,
+    totalMarks: built.questions.reduce((sum, question) => sum + question.marks, 0),
+    data: built.questions
+  });
+});
@@ -4,6 +4,18 @@ const Subject = require('../models/Subject');
 const Student = require('../models/Student');
 const Notification = require('../models/Notification');
 const { validationResult } = require('express-validator');
+const {
+  buildQuizQuestions,
+  markBankQuestionsUsed,
+  recordQuestionStats,
+  getQuestionStats
+} = require('../utils/questionBank');
+const {
+  getAttemptTiming,
+  finishIfExpired,
+  saveQuizAnswers,
+  logQuizIntegrityEvents
+} = require('../utils/quizAttempts');
 
 // WebSocket instance (will be injected)
 let io = null;
@@ -14,6 +26,37 @@ const setSocketIO = (socketIO) => {
   console.log('🔌 Quiz Controller: SocketIO instance set:', !!io);
 };
 
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Strip the answer key from a question, leaving what a student needs to answer it
+const hideAnswers = (question) => ({
+  _id: question._id,
+  questionText: question.questionText,
+  questionType: question.questionType,
+  marks: question.marks,
+  options: question.options ? question.options.map(opt => ({
+    text: opt.text,
+    _id: opt._id
+    // Hide isCorrect
+  })) : undefined,
+  blankCount: question.questionType === 'fill-in-blanks' ? (question.blanks || []).length : undefined,
+  matchLeft: question.questionType === 'matching' ? question.pairs.map(pair => pair.left) : undefined,
+  matchRight: question.questionType === 'matching' ? shuffle(question.pairs.map(pair => pair.right)) : undefined,
+  items: question.questionType === 'ordering' ? shuffle(question.sequence) : undefined
+});
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  error: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
 // @desc    Get all quizzes for a teacher
 // @route   GET /api/quizzes
 // @access  Private (Teacher, School Admin)
@@ -119,27 +162,30 @@ const getQuiz = async (req, res) => {
       
       // For students, hide correct answers until they submit (if showCorrectAnswers is false during quiz)
       const studentSubmission = quiz.getStudentSubmission(req.user._id);
+      await finishIfExpired(quiz, studentSubmission);
       const quizObj = quiz.toObject();
+      delete quizObj.paperRules;
+
+      // With randomized papers a student only sees their own questions, once they have started
+      if (quiz.randomizePerStudent) {
+        const paper = studentSubmission ? quiz.getPaperQuestions(studentSubmission).map(q => q._id.toString()) : [];
+        const byId = new Map(quizObj.questions.map(q => [q._id.toString(), q]));
+        quizObj.questions = paper.map(id => byId.get(id));
+      }
       
       if (!studentSubmission || studentSubmission.status === 'in-progress') {
         // Hide correct answers and explanations while quiz is in progress
-        quizObj.questions = quizObj.questions.map(q => ({
-          ...q,
-          options: q.options ? q.options.map(opt => ({
-            text: opt.text,
-            _id: opt._id
-            // Hide isCorrect
-          })) : undefined,
-          correctAnswer: undefined,
-          explanation: undefined
-        }));
+        quizObj.questions = quizObj.questions.map(hideAnswers);
       }
       
       return res.status(200).json({
         success: true,
         data: {
           ...quizObj,
-          studentSubmission
+          studentSubmission,
+          timing: studentSubmission && studentSubmission.status === 'in-progress'
+            ? getAttemptTiming(quiz, studentSubmission)
+            : null
         }
       });
     }
@@ -204,6 +250,9 @@ const createQuiz = async (req, res) => {
       classId,
       subjectId,
       questions,
+      bankQuestionIds,
+      paperRules,
+      randomizePerStudent,
       duration,
       passingMarks,
       startDate,
@@ -240,8 +289,17 @@ const createQuiz = async (req, res) => {
       });
     }
 
+    // Questions written here, picked from the question bank or drawn from it by rules
+    const built = await buildQuizQuestions(schoolId, {
+      subjectId,
+      questions: questions || [],
+      bankQuestionIds: bankQuestionIds || [],
+      paperRules: paperRules || [],
+      randomizePerStudent: randomizePerStudent === true
+    });
+
     // Validate questions
-    if (!questions || questions.length === 0) {
+    if (built.questions.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'Quiz must have at least one question'
@@ -256,7 +314,9 @@ const createQuiz = async (req, res) => {
       subjectId,
       teacherId,
       schoolId,
-      questions,
+      questions: built.questions,
+      randomizePerStudent: built.paperRules.length > 0,
+      paperRules: built.paperRules,
       duration,
       passingMarks: passingMarks || 0,
       startDate,
@@ -268,6 +328,8 @@ const createQuiz = async (req, res) => {
       createdBy: teacherId
     });
 
+    await markBankQuestionsUsed(quiz.questions);
+
     // Populate the created quiz
     await quiz.populate([
       { path: 'classId', select: 'name section room' },
@@ -359,6 +421,15 @@ const createQuiz = async (req, res) => {
       data: quiz
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Create quiz error:', error);
     res.status(500).json({
       success: false,
@@ -401,6 +472,9 @@ const updateQuiz = async (req, res) => {
       name,
       description,
       questions,
+      bankQuestionIds,
+      paperRules,
+      randomizePerStudent,
       duration,
       passingMarks,
       startDate,
@@ -411,10 +485,31 @@ const updateQuiz = async (req, res) => {
       status
     } = req.body;
 
+    // Sending questions, bank picks or rules rebuilds the whole question list from what was sent
+    const previousQuestions = quiz.questions.map(question => question.toObject());
+    const rebuildQuestions = questions || bankQuestionIds || paperRules;
+    if (rebuildQuestions) {
+      const built = await buildQuizQuestions(quiz.schoolId, {
+        subjectId: quiz.subjectId,
+        questions: questions || [],
+        bankQuestionIds: bankQuestionIds || [],
+        paperRules: paperRules || [],
+        randomizePerStudent: randomizePerStudent === true
+      });
+      if (built.questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Quiz must have at least one question'
+        });
+      }
+      quiz.questions = built.questions;
+      quiz.paperRules = built.paperRules;
+      quiz.randomizePerStudent = built.paperRules.length > 0;
+    }
+
     // Update fields
     if (name) quiz.name = name;
     if (description !== undefined) quiz.description = description;
-    if (questions) quiz.questions = questions;
     if (duration) quiz.duration = duration;
     if (passingMarks !== undefined) quiz.passingMarks = passingMarks;
     if (startDate) quiz.startDate = startDate;
@@ -426,6 +521,7 @@ const updateQuiz = async (req, res) => {
     quiz.updatedBy = req.user._id;
 
     await quiz.save();
+    if (rebuildQuestions) await markBankQuestionsUsed(quiz.questions, previousQuestions);
 
     // Populate the updated quiz
     await quiz.populate([
@@ -440,6 +536,15 @@ const updateQuiz = async (req, res) => {
       data: quiz
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Update quiz error:', error);
     res.status(500).json({
       success: false,
@@ -513,16 +618,44 @@ const startQuiz = async (req, res) => {
       });
     }
 
+    // Coming back to a running attempt resumes it with the answers saved so far
+    const existing = quiz.getStudentSubmission(studentId);
+    if (existing && existing.status === 'in-progress') {
+      if (await finishIfExpired(quiz, existing)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Time is up; the quiz was submitted with the answers saved before the deadline'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Quiz resumed',
+        data: {
+          quizId: quiz._id,
+          startedAt: existing.startedAt,
+          duration: quiz.duration,
+          questionCount: quiz.getPaperQuestions(existing).length,
+          resumed: true,
+          savedAnswers: existing.answers,
+          ...getAttemptTiming(quiz, existing)
+        }
+      });
+    }
+
     try {
       await quiz.startQuiz(studentId);
+      const submission = quiz.getStudentSubmission(studentId);
 
       res.status(200).json({
         success: true,
         message: 'Quiz started successfully',
         data: {
           quizId: quiz._id,
-          startedAt: new Date(),
-          duration: quiz.duration
+          startedAt: submission.startedAt,
+          duration: quiz.duration,
+          questionCount: quiz.getPaperQuestions(submission).length,
+          ...getAttemptTiming(quiz, submission)
         }
       });
     } catch (err) {
@@ -549,10 +682,11 @@ const submitQuiz = async (req, res) => {
     const studentId = req.user._id;
     const { answers } = req.body;
 
-    if (!answers || !Array.isArray(answers)) {
+    // Answers may be left out to submit the autosaved ones
+    if (answers !== undefined && !Array.isArray(answers)) {
       return res.status(400).json({
         success: false,
-        error: 'Answers are required and must be an array'
+        error: 'Answers must be an array'
       });
     }
 
@@ -580,6 +714,7 @@ const submitQuiz = async (req, res) => {
       await quiz.submitQuiz(studentId, answers);
       
       const submission = quiz.getStudentSubmission(studentId);
+      await recordQuestionStats(quiz, submission);
 
       // Create notification for teacher
       await Notification.create({
@@ -612,12 +747,17 @@ const submitQuiz = async (req, res) => {
 
       res.status(200).json({
         success: true,
-        message: 'Quiz submitted successfully',
+        message: submission.autoSubmitted
+          ? 'Time was up; the answers saved before the deadline were submitted'
+          : 'Quiz submitted successfully',
         data: {
+          autoSubmitted: submission.autoSubmitted,
           totalMarks: submission.totalMarks,
           percentage: submission.percentage,
           passed: submission.passed,
-          timeTaken: submission.timeTaken
+          timeTaken: submission.timeTaken,
+          status: submission.status,
+          pendingReview: submission.answers.filter(a => a.needsReview).length
         }
       });
     } catch (err) {
@@ -665,7 +805,7 @@ const getMySubmissions = async (req, res) => {
           subject: quiz.subjectId,
           class: quiz.classId,
           totalMarks: submission.totalMarks,
-          quizTotalMarks: quiz.totalMarks,
+          quizTotalMarks: submission.maxMarks || quiz.totalMarks,
           percentage: submission.percentage,
           passed: submission.passed,
           timeTaken: submission.timeTaken,
@@ -716,16 +856,23 @@ const getQuizResults = async (req, res) => {
       });
     }
 
+    const questionStats = await getQuestionStats(quiz);
+
     const results = quiz.submissions
       .filter(s => s.status === 'submitted' || s.status === 'graded')
       .map(submission => ({
         student: submission.studentId,
         totalMarks: submission.totalMarks,
+        maxMarks: submission.maxMarks || quiz.totalMarks,
         percentage: submission.percentage,
         passed: submission.passed,
         timeTaken: submission.timeTaken,
         submittedAt: submission.submittedAt,
-        status: submission.status
+        status: submission.status,
+        pendingReview: submission.answers.filter(a => a.needsReview).length,
+        autoSubmitted: submission.autoSubmitted,
+        integrityEventCount: submission.integrityEventCount,
+        integrityEvents: submission.integrityEvents
       }));
 
     res.status(200).json({
@@ -742,8 +889,12 @@ const getQuizResults = async (req, res) => {
           totalSubmissions: results.length,
           averageScore: quiz.averageScore,
           passedCount: results.filter(r => r.passed).length,
-          failedCount: results.filter(r => !r.passed).length
-        }
+          failedCount: results.filter(r => !r.passed).length,
+          awaitingGradingCount: results.filter(r => r.pendingReview > 0).length,
+          autoSubmittedCount: results.filter(r => r.autoSubmitted).length,
+          withIntegrityEventsCount: results.filter(r => r.integrityEventCount > 0).length
+        },
+        questionStats
       }
     });
   } catch (error) {
@@ -755,6 +906,198 @@ const getQuizResults = async (req, res) => {
   }
 };
 
+// @desc    Autosave answers of a running attempt
+// @route   PUT /api/quizzes/:id/autosave
+// @access  Private (Student)
+const autosaveQuiz = async (req, res) => {
+  try {
+    const data = await saveQuizAnswers(req.params.id, req.user._id, req.body.answers);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Autosave quiz error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while saving answers'
+    });
+  }
+};
+
+// @desc    Log integrity events reported by the student's app (tab switches, app backgrounded, ...)
+// @route   POST /api/quizzes/:id/integrity-events
+// @access  Private (Student)
+const logIntegrityEvents = async (req, res) => {
+  try {
+    const data = await logQuizIntegrityEvents(req.params.id, req.user._id, req.body.events || req.body);
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Log integrity events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while logging events'
+    });
+  }
+};
+
+// @desc    Get answers waiting to be graded by hand (essays), oldest submission first
+// @route   GET /api/quizzes/grading-queue
+// @access  Private (Teacher, School Admin)
+const getGradingQueue = async (req, res) => {
+  try {
+    const query = {
+      schoolId: req.user.schoolId,
+      'submissions.answers.needsReview': true
+    };
+    if (req.user.role === 'teacher') query.teacherId = req.user._id;
+    if (req.query.quizId) query._id = req.query.quizId;
+
+    const quizzes = await Quiz.find(query)
+      .populate('classId', 'name section')
+      .populate('subjectId', 'name code')
+      .populate('submissions.studentId', 'name rollNumber');
+
+    const queue = [];
+    quizzes.forEach(quiz => {
+      quiz.submissions.forEach(submission => {
+        const pending = submission.answers.filter(a => a.needsReview);
+        if (submission.status === 'in-progress' || pending.length === 0) return;
+
+        queue.push({
+          quizId: quiz._id,
+          quizName: quiz.name,
+          class: quiz.classId,
+          subject: quiz.subjectId,
+          submissionId: submission._id,
+          student: submission.studentId,
+          submittedAt: submission.submittedAt,
+          isLate: submission.isLate,
+          answers: pending.map(answer => {
+            const question = quiz.questions.id(answer.questionId);
+            return {
+              questionId: answer.questionId,
+              questionText: question ? question.questionText : null,
+              questionType: question ? question.questionType : null,
+              marks: question ? question.marks : 0,
+              explanation: question ? question.explanation : null,
+              selectedAnswer: answer.selectedAnswer
+            };
+          })
+        });
+      });
+    });
+
+    queue.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+    res.status(200).json({
+      success: true,
+      count: queue.length,
+      data: queue
+    });
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching grading queue'
+    });
+  }
+};
+
+// @desc    Grade answers of a submission by hand (or override an automatic grade)
+// @route   PUT /api/quizzes/:id/submissions/:submissionId/grade
+// @access  Private (Teacher, School Admin)
+const gradeSubmission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { grades, feedback } = req.body;
+
+    const quiz = await Quiz.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    // Check access
+    if (req.user.role === 'teacher' && quiz.teacherId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    try {
+      await quiz.gradeSubmission(req.params.submissionId, grades, req.user._id, feedback);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    const submission = quiz.submissions.id(req.params.submissionId);
+    await recordQuestionStats(quiz, submission);
+
+    // Let the student know once everything is graded
+    if (submission.status === 'graded') {
+      await Notification.create({
+        title: 'Quiz Graded',
+        message: `Your answers to "${quiz.name}" have been graded`,
+        type: 'quiz',
+        recipient: submission.studentId,
+        recipientModel: 'Student',
+        sender: req.user._id,
+        schoolId: quiz.schoolId,
+        relatedId: quiz._id,
+        relatedType: 'quiz',
+        isRead: false,
+        priority: 'medium',
+        icon: 'checkmark-done',
+        color: '#10B981'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: submission.status === 'graded' ? 'Submission graded' : 'Grades saved',
+      data: submission
+    });
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while grading submission'
+    });
+  }
+};
+
 module.exports = {
   getQuizzes,
   getQuiz,
@@ -765,6 +1108,10 @@ module.exports = {
   submitQuiz,
   getMySubmissions,
   getQuizResults,
+  getGradingQueue,
+  gradeSubmission,
+  autosaveQuiz,
+  logIntegrityEvents,
   setSocketIO
 };
 
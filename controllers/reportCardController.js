@@ -0,0 +1,336 @@
+const ReportCard = require('../models/ReportCard');
+const ReportCardTemplate = require('../models/ReportCardTemplate');
+const Class = require('../models/Class');
+const Parent = require('../models/Parent');
+const School = require('../models/School');
+const Notification = require('../models/Notification');
+const asyncHandler = require('../middleware/asyncHandler');
+const { ANNUAL, getCardTerms, generateReportCards, reportCardsToPdf } = require('../utils/reportCards');
+
+const TEMPLATE_FIELDS = ['name', 'academicYear', 'examTypeWeights', 'terms', 'coScholasticAreas', 'promotion', 'classIds', 'isActive'];
+
+const pickTemplateFields = (body) => TEMPLATE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const populateReportCard = (query) => query
+  .populate('studentId', 'name rollNumber admissionNumber')
+  .populate('classId', 'name section')
+  .populate('templateId', 'name academicYear');
+
+const sendPdf = (res, buffer, fileName) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^\w.-]+/g, '_')}.pdf"`);
+  return res.status(200).send(buffer);
+};
+
+// Template, class and term named in a request, checked against each other
+const loadCardScope = async (req, res, { templateId, classId, term }) => {
+  if (!templateId || !classId || !term) {
+    res.status(400).json({ success: false, error: 'Please provide templateId, classId and term' });
+    return null;
+  }
+
+  const [template, classDoc] = await Promise.all([
+    ReportCardTemplate.findOne({ _id: templateId, schoolId: req.user.schoolId }),
+    Class.findOne({ _id: classId, schoolId: req.user.schoolId }).select('name section')
+  ]);
+
+  if (!template) {
+    res.status(404).json({ success: false, error: 'Report card template not found' });
+    return null;
+  }
+  if (!classDoc) {
+    res.status(404).json({ success: false, error: 'Class not found' });
+    return null;
+  }
+  if (!ReportCardTemplate.appliesToClass(template, classDoc._id)) {
+    res.status(400).json({ success: false, error: 'This template is not used for that class' });
+    return null;
+  }
+  if (!getCardTerms(template, term)) {
+    res.status(400).json({
+      success: false,
+      error: `Term must be one of: ${[...template.terms.map(entry => entry.name), ANNUAL].join(', ')}`
+    });
+    return null;
+  }
+
+  return { template, classDoc, term };
+};
+
+// @desc    Get report card templates
+// @route   GET /api/report-cards/templates?academicYear=
+// @access  Private (School Admin, Teacher)
+exports.getTemplates = asyncHandler(async (req, res) => {
+  const query = { schoolId: req.user.schoolId };
+  if (req.query.academicYear) query.academicYear = req.query.academicYear;
+  if (req.query.includeInactive !== 'true') query.isActive = true;
+
+  const templates = await ReportCardTemplate.find(query)
+    .populate('classIds', 'name section')
+    .sort({ academicYear: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates
+  });
+});
+
+// @desc    Create report card template
+// @route   POST /api/report-cards/templates
+// @access  Private (School Admin)
+exports.createTemplate = asyncHandler(async (req, res) => {
+  const fields = pickTemplateFields(req.body);
+
+  if (!fields.name || !Array.isArray(fields.terms) || fields.terms.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide a template name and at least one term'
+    });
+  }
+
+  const template = await ReportCardTemplate.create({
+    ...fields,
+    schoolId: req.user.schoolId,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Report card template created successfully',
+    data: template
+  });
+});
+
+// @desc    Update report card template (draft cards pick up changes when regenerated)
+// @route   PUT /api/report-cards/templates/:id
+// @access  Private (School Admin)
+exports.updateTemplate = asyncHandler(async (req, res) => {
+  const template = await ReportCardTemplate.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report card template not found'
+    });
+  }
+
+  Object.assign(template, pickTemplateFields(req.body));
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Report card template updated successfully',
+    data: template
+  });
+});
+
+// @desc    Generate or refresh draft report cards for a class and term
+// @route   POST /api/report-cards/generate
+// @access  Private (School Admin)
+exports.generateClassReportCards = asyncHandler(async (req, res) => {
+  const scope = await loadCardScope(req, res, req.body);
+  if (!scope) return;
+
+  const summary = await generateReportCards(scope.template, scope.classDoc._id, scope.term, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: `Generated ${summary.generated} report card(s)${summary.skippedPublished ? `; ${summary.skippedPublished} published card(s) left unchanged` : ''}`,
+    data: summary
+  });
+});
+
+// @desc    Get report cards
+// @route   GET /api/report-cards?templateId=&classId=&term=&status=&studentId=
+// @access  Private (School Admin, Teacher)
+exports.getReportCards = asyncHandler(async (req, res) => {
+  const { templateId, classId, term, status, studentId } = req.query;
+  const query = { schoolId: req.user.schoolId };
+  if (templateId) query.templateId = templateId;
+  if (classId) query.classId = classId;
+  if (term) query.term = term;
+  if (status) query.status = status;
+  if (studentId) query.studentId = studentId;
+
+  const reportCards = await populateReportCard(ReportCard.find(query)).sort({ classId: 1, rank: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: reportCards.length,
+    data: reportCards
+  });
+});
+
+// @desc    Download a class's report cards as one PDF
+// @route   GET /api/report-cards/class-pdf?templateId=&classId=&term=
+// @access  Private (School Admin, Teacher)
+exports.getClassReportCardsPdf = asyncHandler(async (req, res) => {
+  const scope = await loadCardScope(req, res, req.query);
+  if (!scope) return;
+
+  const reportCards = await populateReportCard(ReportCard.find({
+    templateId: scope.template._id,
+    classId: scope.classDoc._id,
+    term: scope.term
+  }));
+
+  if (reportCards.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'No report cards generated for this class and term yet'
+    });
+  }
+
+  reportCards.sort((a, b) => String(a.studentId?.rollNumber || '').localeCompare(String(b.studentId?.rollNumber || ''), undefined, { numeric: true }));
+  const school = await School.findById(req.user.schoolId).select('name address');
+  const className = [scope.classDoc.name, scope.classDoc.section].filter(Boolean).join('-');
+
+  return sendPdf(res, reportCardsToPdf(reportCards, school || {}), `report-cards-${className}-${scope.term}-${scope.template.academicYear}`);
+});
+
+// @desc    Get single report card
+// @route   GET /api/report-cards/:id
+// @access  Private (School Admin, Teacher)
+exports.getReportCard = asyncHandler(async (req, res) => {
+  const reportCard = await populateReportCard(ReportCard.findOne({ _id: req.params.id, schoolId: req.user.schoolId }));
+
+  if (!reportCard) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report card not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: reportCard
+  });
+});
+
+// @desc    Download a report card as PDF
+// @route   GET /api/report-cards/:id/pdf
+// @access  Private (School Admin, Teacher)
+exports.getReportCardPdf = asyncHandler(async (req, res) => {
+  const reportCard = await populateReportCard(ReportCard.findOne({ _id: req.params.id, schoolId: req.user.schoolId }));
+
+  if (!reportCard) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report card not found'
+    });
+  }
+
+  const school = await School.findById(req.user.schoolId).select('name address');
+  return sendPdf(res, reportCardsToPdf([reportCard], school || {}), `report-card-${reportCard.studentId?.name || reportCard._id}-${reportCard.term}`);
+});
+
+// @desc    Enter co-scholastic grades, remarks or a promotion decision on a draft card
+// @route   PUT /api/report-cards/:id
+// @access  Private (School Admin, Teacher)
+exports.updateReportCard = asyncHandler(async (req, res) => {
+  const reportCard = await ReportCard.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+  if (!reportCard) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report card not found'
+    });
+  }
+
+  if (reportCard.status === 'published') {
+    return res.status(400).json({
+      success: false,
+      error: 'Unpublish the report card before editing it'
+    });
+  }
+
+  const { coScholastic, remarks, promotionStatus } = req.body;
+  if (coScholastic !== undefined) reportCard.coScholastic = coScholastic;
+  if (remarks !== undefined) reportCard.remarks = remarks;
+
+  if (promotionStatus !== undefined) {
+    if (req.user.role !== 'school_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only a school admin can change the promotion status'
+      });
+    }
+    reportCard.promotionStatus = promotionStatus;
+    reportCard.promotionOverridden = true;
+  }
+
+  await reportCard.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Report card updated successfully',
+    data: await populateReportCard(ReportCard.findById(reportCard._id))
+  });
+});
+
+// @desc    Publish or unpublish a class's report cards for a term (parents see published cards)
+// @route   POST /api/report-cards/publish, POST /api/report-cards/unpublish
+// @access  Private (School Admin)
+const setPublished = (publish) => asyncHandler(async (req, res) => {
+  const scope = await loadCardScope(req, res, req.body);
+  if (!scope) return;
+
+  const reportCards = await ReportCard.find({
+    templateId: scope.template._id,
+    classId: scope.classDoc._id,
+    term: scope.term,
+    status: publish ? 'draft' : 'published'
+  });
+
+  for (const reportCard of reportCards) {
+    reportCard.status = publish ? 'published' : 'draft';
+    reportCard.publishedBy = publish ? req.user._id : null;
+    reportCard.publishedAt = publish ? new Date() : null;
+    await reportCard.save();
+  }
+
+  if (publish && reportCards.length > 0) {
+    const studentIds = reportCards.map(card => card.studentId);
+    const parents = await Parent.find({
+      $or: [{ studentIds: { $in: studentIds } }, { studentId: { $in: studentIds } }],
+      isActive: { $ne: false }
+    }).select('studentIds studentId');
+
+    const notifications = [];
+    parents.forEach(parent => {
+      const children = new Set([...(parent.studentIds || []), parent.studentId].filter(Boolean).map(id => id.toString()));
+      reportCards
+        .filter(card => children.has(card.studentId.toString()))
+        .forEach(card => notifications.push({
+          recipient: parent._id,
+          recipientModel: 'Parent',
+          title: 'Report card published',
+          message: `The ${card.term} ${card.academicYear} report card is now available.`,
+          type: 'grade',
+          schoolId: req.user.schoolId,
+          relatedId: card._id,
+          relatedType: 'grade',
+          priority: 'medium',
+          icon: 'school',
+          metadata: { studentId: card.studentId, term: card.term }
+        }));
+    });
+
+    if (notifications.length > 0) {
+      Notification.insertMany(notifications).catch(error => console.error('Report card notification error:', error));
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${reportCards.length} report card(s) ${publish ? 'published' : 'unpublished'}`,
+    data: { count: reportCards.length }
+  });
+});
+
+exports.publishReportCards = setPublished(true);
+exports.unpublishReportCards = setPublished(false);
@@ -1,6 +1,7 @@
 const Salary = require('../models/Salary');
 const User = require('../models/User');
 const asyncHandler = require('../middleware/asyncHandler');
+const { getLossOfPayDays } = require('../utils/staffLeave');
 
 // @desc    Get all salaries
 // @route   GET /api/salaries
@@ -506,7 +507,7 @@ exports.getSalaryStructures = asyncHandler(async (req, res) => {
 // @route   POST /api/salaries/generate-payroll
 // @access  Private
 exports.generatePayroll = asyncHandler(async (req, res) => {
-  const { month, year, employees } = req.body;
+  const { month, year, employees, applyLossOfPay = false } = req.body;
 
   const schoolId = req.user.role === 'admin' && req.body.schoolId 
     ? req.body.schoolId 
@@ -548,14 +549,32 @@ exports.generatePayroll = asyncHandler(async (req, res) => {
         continue;
       }
 
+      // Loss of pay as given for the employee; worked out from unpaid leave and unapproved absences
+      // only when the request opts in with applyLossOfPay
+      const allowances = empData.allowances || {};
+      const deductions = { ...(empData.deductions || {}) };
+      let lossOfPayDays = 0;
+      if (empData.lossOfPayDays !== undefined) {
+        lossOfPayDays = Number(empData.lossOfPayDays) || 0;
+      } else if (applyLossOfPay) {
+        lossOfPayDays = (await getLossOfPayDays(empData.employee, schoolId, month, year)).total;
+      }
+      if (lossOfPayDays > 0) {
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const grossSalary = (Number(empData.basicSalary) || 0) +
+          Object.values(allowances).reduce((sum, amount) => sum + (Number(amount) || 0), 0);
+        deductions.lossOfPay = Math.round(grossSalary / daysInMonth * Math.min(lossOfPayDays, daysInMonth) * 100) / 100;
+      }
+
       // Create salary
       const salary = await Salary.create({
         employee: empData.employee,
         schoolId,
         designation: empData.designation,
         basicSalary: empData.basicSalary,
-        allowances: empData.allowances || {},
-        deductions: empData.deductions || {},
+        allowances,
+        deductions,
+        lossOfPayDays,
         month,
         year,
         status: 'pending'
@@ -1,19 +1,32 @@
 const Schedule = require('../models/Schedule');
+const AcademicYear = require('../models/AcademicYear');
 const Class = require('../models/Class');
 const User = require('../models/User');
 const Subject = require('../models/Subject');
+const Substitution = require('../models/Substitution');
 const { validationResult } = require('express-validator');
+const { formatConflicts, findTimetableConflicts, buildTimetable, saveTimetable } = require('../utils/timetable');
+const { toMinutes } = require('../utils/timezone');
+const { toSubstitutionDay, addDays, attachSubstitutions } = require('../utils/substitutions');
+
+// 409 response listing the schedules a slot clashes with
+const sendConflicts = (res, conflicts) => res.status(409).json({
+  success: false,
+  error: `This slot clashes with ${conflicts.length} existing schedule${conflicts.length === 1 ? '' : 's'}`,
+  conflicts: formatConflicts(conflicts)
+});
 
 // @desc    Get all schedules for a school
 // @route   GET /api/schedules
 // @access  Private (School Admin, Teacher)
 const getSchedules = async (req, res) => {
   try {
-    const { academicYear = '2024-2025', teacherId, classId, dayOfWeek, date } = req.query;
+    const { academicYear, teacherId, classId, dayOfWeek, date } = req.query;
     const schoolId = req.user.schoolId;
 
     // Build query
-    const query = { schoolId, academicYear, status: 'active' };
+    const query = { schoolId, status: 'active' };
+    if (academicYear) query.academicYear = academicYear;
     
     // If teacher is requesting, only show their schedules
     if (req.user.role === 'teacher') {
@@ -58,13 +71,22 @@ const getSchedules = async (req, res) => {
 // @access  Private (School Admin, Teacher)
 const getWeeklySchedule = async (req, res) => {
   try {
-    const { academicYear = '2024-2025' } = req.query;
+    const { academicYear, week } = req.query;
     const schoolId = req.user.schoolId;
 
+    // Substitutions are shown for the seven days from `week` (default today)
+    const weekStart = toSubstitutionDay(week);
+    if (!weekStart) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid week start date'
+      });
+    }
+
     // Build query - teachers only see their own schedules
     const query = {
       schoolId,
-      academicYear,
+      ...(academicYear && { academicYear }),
       status: 'active'
     };
     
@@ -89,13 +111,30 @@ const getWeeklySchedule = async (req, res) => {
       Sunday: []
     };
 
-    schedules.forEach(schedule => {
+    const withSubstitutions = await attachSubstitutions(schedules, weekStart);
+    withSubstitutions.forEach(schedule => {
       weeklySchedule[schedule.dayOfWeek].push(schedule);
     });
 
+    // Teachers also see the periods they are covering for others this week
+    if (req.user.role === 'teacher') {
+      const cover = await Substitution.getActiveInRange(
+        { schoolId, substituteTeacherId: req.user._id },
+        weekStart,
+        addDays(weekStart, 7)
+      );
+      cover.forEach(substitution => {
+        weeklySchedule[substitution.dayOfWeek].push({ ...substitution.toObject(), isSubstitution: true });
+      });
+      Object.values(weeklySchedule).forEach(day => {
+        day.sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: weeklySchedule
+      data: weeklySchedule,
+      weekStart
     });
   } catch (error) {
     console.error('Get weekly schedule error:', error);
@@ -112,7 +151,7 @@ const getWeeklySchedule = async (req, res) => {
 const getScheduleByTeacher = async (req, res) => {
   try {
     const { teacherId } = req.params;
-    const { academicYear = '2024-2025' } = req.query;
+    const { academicYear } = req.query;
 
     const schedules = await Schedule.getScheduleByTeacher(teacherId, academicYear);
 
@@ -136,7 +175,7 @@ const getScheduleByTeacher = async (req, res) => {
 const getScheduleByClass = async (req, res) => {
   try {
     const { classId } = req.params;
-    const { academicYear = '2024-2025' } = req.query;
+    const { academicYear } = req.query;
 
     const schedules = await Schedule.getScheduleByClass(classId, academicYear);
 
@@ -264,6 +303,29 @@ const createSchedule = async (req, res) => {
       });
     }
 
+    if (toMinutes(endTime) <= toMinutes(startTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'End time must be after start time'
+      });
+    }
+
+    // Don't double-book the teacher, class or room
+    const conflicts = await Schedule.findConflicts({
+      schoolId,
+      academicYear: academicYear || req.academicYear || AcademicYear.defaultNameForDate(),
+      semester: semester || 'Annual',
+      dayOfWeek,
+      startTime,
+      endTime,
+      teacherId,
+      classId,
+      room: room || classData.room
+    });
+    if (conflicts.length > 0) {
+      return sendConflicts(res, conflicts);
+    }
+
     // Create schedule
     const schedule = await Schedule.create({
       schoolId,
@@ -274,7 +336,7 @@ const createSchedule = async (req, res) => {
       startTime,
       endTime,
       room: room || classData.room,
-      academicYear: academicYear || '2024-2025',
+      academicYear: academicYear || req.academicYear || AcademicYear.defaultNameForDate(),
       semester: semester || 'Annual',
       notes,
       createdBy: req.user._id
@@ -383,6 +445,31 @@ const updateSchedule = async (req, res) => {
     
     schedule.updatedBy = req.user._id;
 
+    if (toMinutes(schedule.endTime) <= toMinutes(schedule.startTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'End time must be after start time'
+      });
+    }
+
+    if (schedule.status === 'active') {
+      const conflicts = await Schedule.findConflicts({
+        schoolId,
+        academicYear: schedule.academicYear,
+        semester: schedule.semester,
+        dayOfWeek: schedule.dayOfWeek,
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        teacherId: schedule.teacherId,
+        classId: schedule.classId,
+        room: schedule.room,
+        excludeId: schedule._id
+      });
+      if (conflicts.length > 0) {
+        return sendConflicts(res, conflicts);
+      }
+    }
+
     await schedule.save();
 
     // Populate the updated schedule
@@ -477,6 +564,131 @@ const getSchedule = async (req, res) => {
   }
 };
 
+// @desc    List teacher, class and room double-bookings in the current timetable
+// @route   GET /api/schedules/conflicts
+// @access  Private (School Admin)
+const getScheduleConflicts = async (req, res) => {
+  try {
+    const { academicYear } = req.query;
+    const conflicts = await findTimetableConflicts(req.user.schoolId, academicYear);
+
+    res.status(200).json({
+      success: true,
+      count: conflicts.length,
+      data: conflicts
+    });
+  } catch (error) {
+    console.error('Get schedule conflicts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while checking schedule conflicts'
+    });
+  }
+};
+
+// @desc    Generate a clash-free weekly timetable from period requirements and teacher availability
+// @route   POST /api/schedules/generate
+// @access  Private (School Admin)
+const generateSchedule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      periods,
+      requirements,
+      days,
+      teacherAvailability,
+      academicYear = req.academicYear || AcademicYear.defaultNameForDate(),
+      semester = 'Annual',
+      replaceExisting = false,
+      allowPartial = false,
+      dryRun = false
+    } = req.body;
+    const schoolId = req.user.schoolId;
+
+    const timetable = await buildTimetable(schoolId, {
+      periods,
+      requirements,
+      days,
+      teacherAvailability,
+      academicYear,
+      semester,
+      replaceExisting
+    });
+
+    if (timetable.error) {
+      return res.status(400).json({
+        success: false,
+        error: timetable.error
+      });
+    }
+
+    const summary = {
+      complete: timetable.complete,
+      scheduled: timetable.entries.length,
+      unplaced: timetable.unplaced
+    };
+
+    if (!timetable.complete && !allowPartial) {
+      return res.status(422).json({
+        success: false,
+        error: 'Could not fit every period without clashes. Adjust the requirements or availability, or pass allowPartial to save what fits.',
+        data: { ...summary, entries: timetable.entries }
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: { ...summary, entries: timetable.entries }
+      });
+    }
+
+    // The replaced schedules are only removed if every new one saves
+    const schedules = await saveTimetable(timetable.entries.map(entry => ({
+      schoolId,
+      teacherId: entry.teacherId,
+      classId: entry.classId,
+      subjectId: entry.subjectId,
+      dayOfWeek: entry.dayOfWeek,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      room: entry.room,
+      academicYear,
+      semester,
+      notes: 'Generated timetable',
+      createdBy: req.user._id
+    })), timetable.replaceQuery);
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${schedules.length} periods${timetable.complete ? '' : ` (${timetable.unplaced.reduce((sum, entry) => sum + entry.missing, 0)} could not be placed)`}`,
+      data: { ...summary, entries: timetable.entries }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'The timetable clashes with a schedule saved for the same teacher, class, day and start time; nothing was changed'
+      });
+    }
+    console.error('Generate schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while generating timetable'
+    });
+  }
+};
+
 module.exports = {
   getSchedules,
   getWeeklySchedule,
@@ -486,5 +698,7 @@ module.exports = {
   createSchedule,
   updateSchedule,
   deleteSchedule,
-  getSchedule
+  getSchedule,
+  getScheduleConflicts,
+  generateSchedule
 };
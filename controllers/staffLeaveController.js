@@ -0,0 +1,444 @@
+const StaffLeaveRequest = require('../models/StaffLeaveRequest');
+const StaffLeaveType = require('../models/StaffLeaveType');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const asyncHandler = require('../middleware/asyncHandler');
+const {
+  countLeaveDays,
+  getLeaveBalances,
+  splitLeaveDays,
+  applyStaffLeaveToAttendance,
+  removeStaffLeaveFromAttendance,
+  getLossOfPayDays
+} = require('../utils/staffLeave');
+
+const LEAVE_TYPE_FIELDS = ['name', 'code', 'yearlyQuota', 'isPaid', 'allowHalfDay', 'carryForward', 'maxCarryForward', 'isActive'];
+
+const pickLeaveTypeFields = (body) => LEAVE_TYPE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const populateStaffLeaveRequest = (query) => query
+  .populate('teacher', 'name email phone')
+  .populate('leaveType', 'name code isPaid')
+  .populate('reviewedBy', 'name email');
+
+const notifyTeacher = (leaveRequest, title, message) => Notification.create({
+  recipient: leaveRequest.teacher,
+  recipientModel: 'User',
+  title,
+  message,
+  type: 'general',
+  schoolId: leaveRequest.school,
+  relatedId: leaveRequest._id,
+  relatedType: 'leave',
+  priority: 'medium',
+  icon: 'calendar',
+  metadata: { status: leaveRequest.status, lossOfPayDays: leaveRequest.lossOfPayDays }
+}).catch(error => console.error('Staff leave notification error:', error));
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// @desc    Get the school's leave types (defaults are created on first use)
+// @route   GET /api/staff-leaves/types
+// @access  Private (Teacher, School Admin)
+exports.getLeaveTypes = asyncHandler(async (req, res) => {
+  const leaveTypes = await StaffLeaveType.getSchoolLeaveTypes(req.user.schoolId, {
+    includeInactive: req.user.role === 'school_admin' && req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    count: leaveTypes.length,
+    data: leaveTypes
+  });
+});
+
+// @desc    Create leave type
+// @route   POST /api/staff-leaves/types
+// @access  Private (School Admin)
+exports.createLeaveType = asyncHandler(async (req, res) => {
+  const fields = pickLeaveTypeFields(req.body);
+
+  if (!fields.name || !fields.code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide leave type name and code'
+    });
+  }
+
+  // Make sure the defaults exist first so they aren't created alongside a custom type later
+  await StaffLeaveType.getSchoolLeaveTypes(req.user.schoolId);
+
+  const existing = await StaffLeaveType.findOne({ school: req.user.schoolId, code: fields.code.toUpperCase() });
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      error: 'A leave type with this code already exists'
+    });
+  }
+
+  const leaveType = await StaffLeaveType.create({ ...fields, school: req.user.schoolId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Leave type created successfully',
+    data: leaveType
+  });
+});
+
+// @desc    Update leave type (set isActive false to retire it)
+// @route   PUT /api/staff-leaves/types/:id
+// @access  Private (School Admin)
+exports.updateLeaveType = asyncHandler(async (req, res) => {
+  const leaveType = await StaffLeaveType.findOne({ _id: req.params.id, school: req.user.schoolId });
+
+  if (!leaveType) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave type not found'
+    });
+  }
+
+  const fields = pickLeaveTypeFields(req.body);
+  if (fields.code && fields.code.toUpperCase() !== leaveType.code) {
+    const existing = await StaffLeaveType.findOne({ school: req.user.schoolId, code: fields.code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'A leave type with this code already exists'
+      });
+    }
+  }
+
+  Object.assign(leaveType, fields);
+  await leaveType.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave type updated successfully',
+    data: leaveType
+  });
+});
+
+// @desc    Get leave balances (own for teachers, any teacher's for admins via ?teacherId=)
+// @route   GET /api/staff-leaves/balances?year=&teacherId=
+// @access  Private (Teacher, School Admin)
+exports.getBalances = asyncHandler(async (req, res) => {
+  const year = parseInt(req.query.year) || new Date().getFullYear();
+  const teacherId = req.user.role === 'school_admin' ? req.query.teacherId : req.user._id;
+
+  if (!teacherId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Teacher ID is required'
+    });
+  }
+
+  const teacher = await User.findOne({ _id: teacherId, schoolId: req.user.schoolId, role: 'teacher' }).select('name email');
+  if (!teacher) {
+    return res.status(404).json({
+      success: false,
+      error: 'Teacher not found'
+    });
+  }
+
+  const balances = await getLeaveBalances(teacher._id, req.user.schoolId, year);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      teacher,
+      year,
+      balances
+    }
+  });
+});
+
+// @desc    Apply for leave (multipart, optional "document" file)
+// @route   POST /api/staff-leaves
+// @access  Private (Teacher)
+exports.applyForLeave = asyncHandler(async (req, res) => {
+  const { leaveType: leaveTypeId, startDate, endDate, reason } = req.body;
+  const halfDay = req.body.halfDay === true || req.body.halfDay === 'true';
+
+  if (!leaveTypeId || !startDate || !endDate || !reason) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide leave type, start date, end date and reason'
+    });
+  }
+
+  const leaveType = await StaffLeaveType.findOne({ _id: leaveTypeId, school: req.user.schoolId, isActive: true });
+  if (!leaveType) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave type not found'
+    });
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start) || isNaN(end)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid start or end date'
+    });
+  }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+
+  if (end < start) {
+    return res.status(400).json({
+      success: false,
+      error: 'End date cannot be before start date'
+    });
+  }
+
+  // Balances are yearly, so a request must stay within one calendar year
+  if (start.getFullYear() !== end.getFullYear()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Leave cannot span two calendar years; apply separately for each year'
+    });
+  }
+
+  if (halfDay && (!leaveType.allowHalfDay || start.toDateString() !== end.toDateString())) {
+    return res.status(400).json({
+      success: false,
+      error: leaveType.allowHalfDay
+        ? 'Half-day leave must start and end on the same day'
+        : `${leaveType.name} cannot be taken as a half day`
+    });
+  }
+
+  const days = countLeaveDays(start, end, halfDay);
+  if (days === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'The selected dates fall on weekly off days'
+    });
+  }
+
+  const overlapping = await StaffLeaveRequest.findOverlapping(req.user._id, start, end);
+  if (overlapping) {
+    return res.status(400).json({
+      success: false,
+      error: `There is already a ${overlapping.status} leave request for these dates`
+    });
+  }
+
+  const leaveRequest = await StaffLeaveRequest.create({
+    school: req.user.schoolId,
+    teacher: req.user._id,
+    leaveType: leaveType._id,
+    year: start.getFullYear(),
+    startDate: start,
+    endDate: end,
+    halfDay,
+    days,
+    reason,
+    document: req.file ? {
+      name: req.file.originalname,
+      url: `/uploads/documents/${req.file.filename}`,
+      type: req.file.mimetype === 'application/pdf' ? 'pdf' : 'image',
+      size: req.file.size,
+      localPath: req.file.path
+    } : undefined
+  });
+
+  // Let the teacher know up front if part of the leave would be unpaid
+  const balance = (await getLeaveBalances(req.user._id, req.user.schoolId, leaveRequest.year))
+    .find(entry => entry.leaveType._id.toString() === leaveType._id.toString());
+
+  res.status(201).json({
+    success: true,
+    message: 'Leave request submitted successfully',
+    data: leaveRequest,
+    balance
+  });
+});
+
+// @desc    Get leave requests (own for teachers, school-wide for admins)
+// @route   GET /api/staff-leaves
+// @access  Private (Teacher, School Admin)
+exports.getStaffLeaveRequests = asyncHandler(async (req, res) => {
+  const { status, teacherId, year, from, to, page = 1, limit = 50 } = req.query;
+  const query = { school: req.user.schoolId };
+
+  if (req.user.role === 'teacher') {
+    query.teacher = req.user._id;
+  } else if (teacherId) {
+    query.teacher = teacherId;
+  }
+
+  if (status) query.status = status;
+  if (year) query.year = parseInt(year);
+  if (from) query.endDate = { $gte: new Date(from) };
+  if (to) query.startDate = { $lte: new Date(to) };
+
+  const leaveRequests = await populateStaffLeaveRequest(StaffLeaveRequest.find(query))
+    .sort({ startDate: -1 })
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .limit(parseInt(limit));
+
+  const total = await StaffLeaveRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: leaveRequests.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / parseInt(limit)),
+    data: leaveRequests
+  });
+});
+
+// @desc    Get single leave request
+// @route   GET /api/staff-leaves/:id
+// @access  Private (Teacher, School Admin)
+exports.getStaffLeaveRequest = asyncHandler(async (req, res) => {
+  const query = { _id: req.params.id, school: req.user.schoolId };
+  if (req.user.role === 'teacher') query.teacher = req.user._id;
+
+  const leaveRequest = await populateStaffLeaveRequest(StaffLeaveRequest.findOne(query));
+
+  if (!leaveRequest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave request not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: leaveRequest
+  });
+});
+
+// @desc    Approve or reject a leave request; approval records attendance and any loss of pay
+// @route   PUT /api/staff-leaves/:id/approve, PUT /api/staff-leaves/:id/reject
+// @access  Private (School Admin)
+const reviewStaffLeaveRequest = (decision) => asyncHandler(async (req, res) => {
+  const leaveRequest = await StaffLeaveRequest.findOne({ _id: req.params.id, school: req.user.schoolId });
+
+  if (!leaveRequest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave request not found'
+    });
+  }
+
+  if (leaveRequest.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      error: `Leave request is already ${leaveRequest.status}`
+    });
+  }
+
+  const leaveType = await StaffLeaveType.findById(leaveRequest.leaveType);
+  let attendanceDays = 0;
+
+  if (decision === 'approved') {
+    const { paidDays, lossOfPayDays } = await splitLeaveDays(leaveRequest);
+    leaveRequest.paidDays = paidDays;
+    leaveRequest.lossOfPayDays = lossOfPayDays;
+  }
+
+  leaveRequest.status = decision;
+  leaveRequest.reviewedBy = req.user._id;
+  leaveRequest.reviewedAt = new Date();
+  leaveRequest.reviewComment = req.body.comment;
+  await leaveRequest.save();
+
+  if (decision === 'approved') {
+    attendanceDays = await applyStaffLeaveToAttendance(leaveRequest, leaveType?.name || 'Leave', req.user._id);
+  }
+
+  const range = `${formatDay(leaveRequest.startDate)} - ${formatDay(leaveRequest.endDate)}`;
+  const lossOfPay = leaveRequest.lossOfPayDays > 0 ? ` ${leaveRequest.lossOfPayDays} day(s) will be loss of pay.` : '';
+  notifyTeacher(
+    leaveRequest,
+    decision === 'approved' ? 'Leave approved' : 'Leave rejected',
+    `Your ${leaveType?.name || 'leave'} (${range}) was ${decision}${req.body.comment ? `: ${req.body.comment}` : '.'}${lossOfPay}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Leave request ${decision}`,
+    data: leaveRequest,
+    attendanceDays
+  });
+});
+
+exports.approveStaffLeaveRequest = reviewStaffLeaveRequest('approved');
+exports.rejectStaffLeaveRequest = reviewStaffLeaveRequest('rejected');
+
+// @desc    Cancel a leave request (approved days are removed from attendance and the balance)
+// @route   PUT /api/staff-leaves/:id/cancel
+// @access  Private (Own Teacher, School Admin)
+exports.cancelStaffLeaveRequest = asyncHandler(async (req, res) => {
+  const query = { _id: req.params.id, school: req.user.schoolId };
+  if (req.user.role === 'teacher') query.teacher = req.user._id;
+
+  const leaveRequest = await StaffLeaveRequest.findOne(query);
+
+  if (!leaveRequest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Leave request not found'
+    });
+  }
+
+  if (!['pending', 'approved'].includes(leaveRequest.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Leave request is already ${leaveRequest.status}`
+    });
+  }
+
+  if (leaveRequest.status === 'approved') {
+    await removeStaffLeaveFromAttendance(leaveRequest);
+  }
+  leaveRequest.status = 'cancelled';
+  leaveRequest.cancelledAt = new Date();
+  await leaveRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave request cancelled',
+    data: leaveRequest
+  });
+});
+
+// @desc    Get loss-of-pay days for a month (what generate-payroll will deduct)
+// @route   GET /api/staff-leaves/loss-of-pay?month=&year=&teacherId=
+// @access  Private (School Admin, Accountant)
+exports.getLossOfPay = asyncHandler(async (req, res) => {
+  const month = parseInt(req.query.month);
+  const year = parseInt(req.query.year);
+
+  if (!month || month < 1 || month > 12 || !year) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid month (1-12) and year are required'
+    });
+  }
+
+  const teacherQuery = { schoolId: req.user.schoolId, role: 'teacher' };
+  if (req.query.teacherId) teacherQuery._id = req.query.teacherId;
+  const teachers = await User.find(teacherQuery).select('name email').sort({ name: 1 });
+
+  const data = [];
+  for (const teacher of teachers) {
+    const lossOfPay = await getLossOfPayDays(teacher._id, req.user.schoolId, month, year);
+    data.push({ teacher, ...lossOfPay });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
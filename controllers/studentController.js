@@ -3,8 +3,10 @@ const User = require('../models/User');
 const Parent = require('../models/Parent');
 const Class = require('../models/Class');
 const School = require('../models/School');
-const { generateToken } = require('../middleware/auth');
+const { createSessionTokens } = require('../middleware/auth');
 const { validationResult } = require('express-validator');
+const { toSubstitutionDay, attachSubstitutions } = require('../utils/substitutions');
+const { getClassSchemeResolver, summarizeResult } = require('../utils/grading');
 
 // Helper function to get file extension from MIME type
 const getFileExtension = (mimeType) => {
@@ -554,7 +556,8 @@ const createStudent = async (req, res) => {
         leavingReason: leavingReason || ''
       },
       pdfs: pdfUrls, // Save all PDF URLs (from uploads and existing)
-      admissionDate: admissionDate || new Date()
+      admissionDate: admissionDate || new Date(),
+      mustChangePassword: true // Password was chosen by the school - student sets their own on first login
     });
     
     console.log(`✅ Student created with ${pdfUrls.length} PDF(s)/document(s)`);
@@ -734,7 +737,8 @@ const createStudent = async (req, res) => {
           parentType: parentTypeValue,
           studentId: student._id,
           studentIds: [student._id],
-          schoolId: schoolId
+          schoolId: schoolId,
+          mustChangePassword: true // Password was chosen by the school - parent sets their own on first login
         });
         const parentTypeStr = relation === 'father' ? 'father' : relation === 'mother' ? 'mother' : 'guardian';
         console.log(`✅ Created new ${parentTypeStr} parent with student ${student._id}`);
@@ -1230,8 +1234,8 @@ const studentLogin = async (req, res) => {
       student.role = 'student';
     }
 
-    // Generate token
-    const token = generateToken(student);
+    // Create session and generate tokens
+    const { token, refreshToken, sessionId } = await createSessionTokens(student, req);
 
     // Populate school and class info
     await student.populate('schoolId', 'name code address');
@@ -1251,9 +1255,12 @@ const studentLogin = async (req, res) => {
           classId: student.classId,
           schoolId: student.schoolId,
           status: student.status,
-          lastLogin: student.lastLogin
+          lastLogin: student.lastLogin,
+          mustChangePassword: !!student.mustChangePassword
         },
-        token
+        token,
+        refreshToken,
+        sessionId
       }
     };
     
@@ -1374,8 +1381,8 @@ const parentLogin = async (req, res) => {
       });
     }
 
-    // Generate token with parent's own _id
-    const token = generateToken(parent);
+    // Create session and generate tokens with parent's own _id
+    const { token, refreshToken, sessionId } = await createSessionTokens(parent, req);
 
     res.status(200).json({
       success: true,
@@ -1388,7 +1395,8 @@ const parentLogin = async (req, res) => {
           role: 'parent',
           studentId: parent.studentId, // Link to ward
           parentType: parent.parentType,
-          lastLogin: parent.lastLogin
+          lastLogin: parent.lastLogin,
+          mustChangePassword: !!parent.mustChangePassword
         },
         student: {
           id: student._id,
@@ -1398,7 +1406,9 @@ const parentLogin = async (req, res) => {
           schoolId: student.schoolId,
           status: student.status
         },
-        token
+        token,
+        refreshToken,
+        sessionId
       }
     });
   } catch (error) {
@@ -1890,7 +1900,9 @@ const getStudentSchedule = async (req, res) => {
         Sunday: []
       };
       
-      schedules.forEach(schedule => {
+      // Each period carries its substitute teacher, if any, for its occurrence in the coming week
+      const withSubstitutions = await attachSubstitutions(schedules, toSubstitutionDay());
+      withSubstitutions.forEach(schedule => {
         if (schedule.dayOfWeek && timetableByDay[schedule.dayOfWeek]) {
           timetableByDay[schedule.dayOfWeek].push(schedule);
         }
@@ -1951,7 +1963,7 @@ const getStudentSchedule = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: schedules
+      data: await attachSubstitutions(schedules, toSubstitutionDay(date || week), date ? 1 : 7)
     });
   } catch (error) {
     console.error('Get student schedule error:', error);
@@ -2369,28 +2381,21 @@ const getStudentPerformanceReport = async (req, res) => {
 
     console.log(`Found ${students.length} students and ${examMarks.length} exam marks`);
 
+    // Averages are graded on each student's class scheme (school default or built-in scale otherwise)
+    const resolveScheme = await getClassSchemeResolver(schoolId);
+
     // Calculate performance metrics for each student
     const performanceData = students.map(student => {
       const studentMarks = examMarks.filter(
         mark => mark.studentId.toString() === student._id.toString()
       );
 
-      // Calculate average percentage
+      // Calculate average percentage, grade and overall result
       const validMarks = studentMarks.filter(m => !m.isAbsent);
-      const avgPercentage = validMarks.length > 0
-        ? Math.round(validMarks.reduce((sum, m) => sum + m.percentage, 0) / validMarks.length)
-        : 0;
-
-      // Calculate average grade
-      let avgGrade = 'N/A';
-      if (avgPercentage >= 90) avgGrade = 'A+';
-      else if (avgPercentage >= 80) avgGrade = 'A';
-      else if (avgPercentage >= 70) avgGrade = 'B+';
-      else if (avgPercentage >= 60) avgGrade = 'B';
-      else if (avgPercentage >= 50) avgGrade = 'C';
-      else if (avgPercentage >= 40) avgGrade = 'D';
-      else if (avgPercentage >= 33) avgGrade = 'E';
-      else if (avgPercentage > 0) avgGrade = 'F';
+      const scheme = resolveScheme(student.classId);
+      const overall = summarizeResult(scheme, studentMarks);
+      const avgPercentage = Math.round(overall.percentage);
+      const avgGrade = validMarks.length > 0 ? overall.grade : 'N/A';
 
       // Get exam details with marks
       const exams = studentMarks.map(mark => ({
@@ -2403,6 +2408,7 @@ const getStudentPerformanceReport = async (req, res) => {
         totalMarks: mark.totalMarks,
         percentage: Math.round(mark.percentage),
         grade: mark.grade,
+        gradePoint: mark.gradePoint,
         isAbsent: mark.isAbsent,
         isPassed: mark.isPassed
       }));
@@ -2415,6 +2421,10 @@ const getStudentPerformanceReport = async (req, res) => {
         section: student.classId?.section,
         avgPercentage,
         avgGrade,
+        avgGradePoint: overall.gradePoint,
+        failedSubjects: overall.failedSubjects,
+        result: overall.result,
+        gradingScheme: scheme.name,
         totalExams: studentMarks.length,
         examsAppeared: validMarks.length,
         exams
@@ -2424,14 +2434,16 @@ const getStudentPerformanceReport = async (req, res) => {
     // Sort by average percentage descending
     performanceData.sort((a, b) => b.avgPercentage - a.avgPercentage);
 
-    // Get grade distribution
-    const gradeDistribution = {
-      'A+': 0, 'A': 0, 'B+': 0, 'B': 0, 'C': 0, 'D': 0, 'E': 0, 'F': 0, 'N/A': 0
-    };
+    // Get grade distribution (grades of every scheme in use, highest first)
+    const gradeDistribution = {};
+    students.forEach(student => {
+      resolveScheme(student.classId).bands.forEach(band => {
+        gradeDistribution[band.grade] = 0;
+      });
+    });
+    gradeDistribution['N/A'] = 0;
     performanceData.forEach(data => {
-      if (gradeDistribution[data.avgGrade] !== undefined) {
-        gradeDistribution[data.avgGrade]++;
-      }
+      gradeDistribution[data.avgGrade] = (gradeDistribution[data.avgGrade] || 0) + 1;
     });
 
     res.status(200).json({
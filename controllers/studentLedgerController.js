@@ -0,0 +1,89 @@
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const School = require('../models/School');
+const asyncHandler = require('../middleware/asyncHandler');
+const { getStudentLedger, getClassLedgers, ledgersToCsv, ledgersToPdf } = require('../utils/studentLedger');
+
+// Send ledgers as JSON, or as a CSV/PDF statement when ?format= asks for one
+const sendLedgers = async (res, ledgers, { format, fileName, schoolId, single }) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.status(200).send(ledgersToCsv(ledgers));
+  }
+
+  if (format === 'pdf') {
+    const school = await School.findById(schoolId).select('name address');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    return res.status(200).send(ledgersToPdf(ledgers, school || {}));
+  }
+
+  res.status(200).json({
+    success: true,
+    ...(single ? { data: ledgers[0] } : { count: ledgers.length, data: ledgers })
+  });
+};
+
+const toFileName = (...parts) => parts.filter(Boolean).join('-').replace(/[^A-Za-z0-9_-]+/g, '_');
+
+// @desc    Get a student's fee ledger (add ?format=csv or ?format=pdf for a statement)
+// @route   GET /api/student-ledgers/student/:studentId
+// @access  Private
+exports.getStudentLedger = asyncHandler(async (req, res) => {
+  const { academicYear, format } = req.query;
+
+  const student = await Student.findById(req.params.studentId).populate('classId', 'name section');
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      error: 'Student not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && student.schoolId.toString() !== req.user.schoolId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this student\'s ledger'
+    });
+  }
+
+  const ledger = await getStudentLedger(student, { academicYear });
+
+  await sendLedgers(res, [ledger], {
+    format,
+    fileName: toFileName('fee-statement', student.admissionNumber, ledger.academicYear),
+    schoolId: student.schoolId,
+    single: true
+  });
+});
+
+// @desc    Get the fee ledgers of every student in a class (add ?format=csv or ?format=pdf for statements)
+// @route   GET /api/student-ledgers/class/:classId
+// @access  Private
+exports.getClassLedgers = asyncHandler(async (req, res) => {
+  const { academicYear, format } = req.query;
+
+  const classDoc = await Class.findById(req.params.classId);
+  if (!classDoc) {
+    return res.status(404).json({
+      success: false,
+      error: 'Class not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && classDoc.schoolId.toString() !== req.user.schoolId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this class'
+    });
+  }
+
+  const ledgers = await getClassLedgers(classDoc._id, { academicYear });
+
+  await sendLedgers(res, ledgers, {
+    format,
+    fileName: toFileName('fee-statements', classDoc.name, classDoc.section, ledgers[0]?.academicYear || academicYear),
+    schoolId: classDoc.schoolId
+  });
+});
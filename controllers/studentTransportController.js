@@ -218,6 +218,45 @@ exports.addAttendance = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Record a transport fee payment
+// @route   POST /api/student-transports/:id/payments
+// @access  Private
+exports.recordPayment = asyncHandler(async (req, res) => {
+  const transport = await StudentTransport.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+  
+  if (!transport) {
+    return res.status(404).json({
+      success: false,
+      message: 'Student transport record not found'
+    });
+  }
+  
+  const { amount, paymentDate, month, paymentMethod, transactionId, remarks } = req.body;
+  
+  if (!amount || amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment amount must be greater than 0'
+    });
+  }
+  
+  await transport.recordPayment({
+    amount,
+    paymentDate,
+    month,
+    paymentMethod,
+    transactionId,
+    remarks,
+    receivedBy: req.user._id
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Transport fee payment recorded successfully',
+    data: transport
+  });
+});
+
 // @desc    Bulk assign students to transport
 // @route   POST /api/student-transports/bulk-assign
 // @access  Private
@@ -0,0 +1,286 @@
+const { validationResult } = require('express-validator');
+const Schedule = require('../models/Schedule');
+const Substitution = require('../models/Substitution');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const asyncHandler = require('../middleware/asyncHandler');
+const { sendPushNotificationToUser } = require('../utils/pushNotifications');
+const {
+  DAY_NAMES,
+  toSubstitutionDay,
+  addDays,
+  getTeachersAway,
+  getUncoveredPeriods,
+  getSubstituteClash,
+  suggestSubstitutes
+} = require('../utils/substitutions');
+
+const populateSubstitution = (query) => query
+  .populate('substituteTeacherId', 'name email')
+  .populate('originalTeacherId', 'name email')
+  .populate('classId', 'name section')
+  .populate('subjectId', 'name code')
+  .populate('assignedBy', 'name email');
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+
+// In-app notification plus a push, since cover is usually arranged on the day
+const notifySubstitute = (substitution, teacherId, title, message) => {
+  Notification.create({
+    recipient: teacherId,
+    recipientModel: 'User',
+    title,
+    message,
+    type: 'general',
+    schoolId: substitution.schoolId,
+    relatedId: substitution._id,
+    relatedType: 'substitution',
+    priority: 'high',
+    icon: 'swap-horizontal',
+    metadata: {
+      scheduleId: substitution.scheduleId,
+      date: substitution.date,
+      startTime: substitution.startTime,
+      endTime: substitution.endTime,
+      status: substitution.status
+    }
+  }).catch(error => console.error('Substitution notification error:', error));
+
+  sendPushNotificationToUser(teacherId, 'User', title, message, {
+    type: 'substitution',
+    substitutionId: substitution._id.toString()
+  }).catch(error => console.error('Substitution push error:', error));
+};
+
+const describePeriod = (substitution, schedule) => {
+  const className = schedule.classId?.name
+    ? `${schedule.classId.name}${schedule.classId.section ? ` ${schedule.classId.section}` : ''}`
+    : 'the class';
+  return `${schedule.subjectId?.name || 'a period'} for ${className} on ${formatDay(substitution.date)}, ${substitution.startTime}-${substitution.endTime}`;
+};
+
+// Loads a school's active schedule and resolves the requested day, which must fall on the schedule's weekday
+const loadScheduleForDay = async (req, res, scheduleId, date) => {
+  const day = toSubstitutionDay(date);
+  if (!day) {
+    res.status(400).json({ success: false, error: 'Invalid date' });
+    return {};
+  }
+
+  const schedule = await Schedule.findOne({ _id: scheduleId, schoolId: req.user.schoolId, status: 'active' })
+    .populate('teacherId', 'name email')
+    .populate('classId', 'name section')
+    .populate('subjectId', 'name code');
+
+  if (!schedule) {
+    res.status(404).json({ success: false, error: 'Schedule not found' });
+    return {};
+  }
+
+  if (DAY_NAMES[day.getDay()] !== schedule.dayOfWeek) {
+    res.status(400).json({
+      success: false,
+      error: `This period runs on ${schedule.dayOfWeek}s; pick a ${schedule.dayOfWeek} to cover`
+    });
+    return {};
+  }
+
+  return { schedule, day };
+};
+
+// @desc    Get periods whose teacher is absent or on leave on a day, with their cover status
+// @route   GET /api/substitutions/uncovered?date=&academicYear=
+// @access  Private (School Admin)
+exports.getUncoveredPeriods = asyncHandler(async (req, res) => {
+  const day = toSubstitutionDay(req.query.date);
+  if (!day) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date'
+    });
+  }
+
+  const result = await getUncoveredPeriods(req.user.schoolId, day, {
+    academicYear: req.query.academicYear || '2024-2025'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+// @desc    Suggest free teachers to cover a period, same-subject teachers first
+// @route   GET /api/substitutions/suggestions/:scheduleId?date=
+// @access  Private (School Admin)
+exports.getSuggestions = asyncHandler(async (req, res) => {
+  const { schedule, day } = await loadScheduleForDay(req, res, req.params.scheduleId, req.query.date);
+  if (!schedule) return;
+
+  const existing = await Substitution.findOne({ scheduleId: schedule._id, date: day, status: 'assigned' });
+  const suggestions = await suggestSubstitutes(schedule, day, { excludeSubstitutionId: existing?._id });
+
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    data: {
+      schedule,
+      date: day,
+      currentSubstitution: existing,
+      suggestions
+    }
+  });
+});
+
+// @desc    Assign a substitute to a period on a day (reassigns if one is already recorded)
+// @route   POST /api/substitutions
+// @access  Private (School Admin)
+exports.createSubstitution = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { scheduleId, date, substituteTeacherId, reason, notes } = req.body;
+  const { schedule, day } = await loadScheduleForDay(req, res, scheduleId, date);
+  if (!schedule) return;
+
+  const substitute = await User.findOne({
+    _id: substituteTeacherId,
+    schoolId: req.user.schoolId,
+    role: 'teacher',
+    isActive: true
+  }).select('name email');
+
+  if (!substitute) {
+    return res.status(404).json({
+      success: false,
+      error: 'Substitute teacher not found'
+    });
+  }
+
+  const existing = await Substitution.findOne({ scheduleId: schedule._id, date: day });
+  const activeExisting = existing?.status === 'assigned' ? existing : null;
+
+  const clash = await getSubstituteClash(schedule, day, substitute._id, activeExisting?._id);
+  if (clash) {
+    return res.status(409).json({
+      success: false,
+      error: clash
+    });
+  }
+
+  const away = await getTeachersAway(req.user.schoolId, day);
+  const previousSubstituteId = activeExisting?.substituteTeacherId?.toString();
+
+  const substitution = existing || new Substitution({
+    schoolId: req.user.schoolId,
+    scheduleId: schedule._id,
+    date: day
+  });
+  substitution.set({
+    dayOfWeek: schedule.dayOfWeek,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    classId: schedule.classId._id,
+    subjectId: schedule.subjectId._id,
+    originalTeacherId: schedule.teacherId._id,
+    substituteTeacherId: substitute._id,
+    reason: reason || away.get(schedule.teacherId._id.toString()) || 'other',
+    notes,
+    status: 'assigned',
+    assignedBy: req.user._id,
+    cancelledAt: null
+  });
+  await substitution.save();
+
+  const period = describePeriod(substitution, schedule);
+  if (previousSubstituteId !== substitute._id.toString()) {
+    notifySubstitute(substitution, substitute._id, 'Substitution assigned',
+      `You are covering ${period} in place of ${schedule.teacherId.name}.${notes ? ` ${notes}` : ''}`);
+  }
+  if (previousSubstituteId && previousSubstituteId !== substitute._id.toString()) {
+    notifySubstitute(substitution, previousSubstituteId, 'Substitution reassigned',
+      `You are no longer covering ${period}.`);
+  }
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    message: existing ? 'Substitution updated' : 'Substitution assigned',
+    data: await populateSubstitution(Substitution.findById(substitution._id))
+  });
+});
+
+// @desc    Get substitutions for a day or date range (teachers see cover they give or receive)
+// @route   GET /api/substitutions?date=&from=&to=&teacherId=&classId=&status=
+// @access  Private (School Admin, Teacher)
+exports.getSubstitutions = asyncHandler(async (req, res) => {
+  const { date, from, to, teacherId, classId, status = 'assigned' } = req.query;
+  const query = { schoolId: req.user.schoolId };
+
+  const teacherFilter = req.user.role === 'teacher' ? req.user._id : teacherId;
+  if (teacherFilter) {
+    query.$or = [{ substituteTeacherId: teacherFilter }, { originalTeacherId: teacherFilter }];
+  }
+  if (classId) query.classId = classId;
+  if (status !== 'all') query.status = status;
+
+  // A single day, an explicit range, or by default the coming week
+  const start = toSubstitutionDay(date || from);
+  if (!start) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date'
+    });
+  }
+  const end = date ? addDays(start, 1) : to ? addDays(toSubstitutionDay(to) || start, 1) : addDays(start, 7);
+  query.date = { $gte: start, $lt: end };
+
+  const substitutions = await populateSubstitution(Substitution.find(query)).sort({ date: 1, startTime: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: substitutions.length,
+    data: substitutions
+  });
+});
+
+// @desc    Cancel a substitution (the regular teacher takes the period again)
+// @route   PUT /api/substitutions/:id/cancel
+// @access  Private (School Admin)
+exports.cancelSubstitution = asyncHandler(async (req, res) => {
+  const substitution = await Substitution.findOne({ _id: req.params.id, schoolId: req.user.schoolId })
+    .populate('classId', 'name section')
+    .populate('subjectId', 'name code');
+
+  if (!substitution) {
+    return res.status(404).json({
+      success: false,
+      error: 'Substitution not found'
+    });
+  }
+
+  if (substitution.status === 'cancelled') {
+    return res.status(400).json({
+      success: false,
+      error: 'Substitution is already cancelled'
+    });
+  }
+
+  substitution.status = 'cancelled';
+  substitution.cancelledAt = new Date();
+  await substitution.save();
+
+  notifySubstitute(substitution, substitution.substituteTeacherId, 'Substitution cancelled',
+    `You are no longer covering ${describePeriod(substitution, substitution)}.`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Substitution cancelled',
+    data: substitution
+  });
+});
@@ -1,6 +1,20 @@
 const TeacherAttendance = require('../models/TeacherAttendance');
 const User = require('../models/User');
+const School = require('../models/School');
+const AcademicYear = require('../models/AcademicYear');
 const { validationResult } = require('express-validator');
+const {
+  resolveTeacherAttendanceSettings,
+  checkGeofence,
+  getCheckInStatus,
+  getCheckOutStatus,
+  toAttendanceDate
+} = require('../utils/teacherCheckIn');
+const { buildMusterRoll, musterRollToCsv, musterRollToPdf } = require('../utils/musterRoll');
+
+// Academic year a day's record belongs to
+const academicYearFor = async (schoolId, date) =>
+  (await AcademicYear.resolveName(schoolId, { date })) || AcademicYear.defaultNameForDate(date);
 
 // @desc    Mark teacher attendance
 // @route   POST /api/teacher-attendance
@@ -71,7 +85,7 @@ const markTeacherAttendance = async (req, res) => {
         checkOutTime: checkOutTime ? new Date(checkOutTime) : null,
         remarks,
         markedBy,
-        academicYear: '2024-2025'
+        academicYear: await academicYearFor(schoolId, date)
       });
 
       return res.status(201).json({
@@ -165,7 +179,7 @@ const markBulkTeacherAttendance = async (req, res) => {
             checkOutTime: checkOutTime ? new Date(checkOutTime) : null,
             remarks,
             markedBy,
-            academicYear: '2024-2025'
+            academicYear: await academicYearFor(schoolId, date)
           });
           results.push(attendance);
         }
@@ -199,7 +213,7 @@ const markBulkTeacherAttendance = async (req, res) => {
 // @access  Private (School Admin)
 const getTeacherAttendance = async (req, res) => {
   try {
-    const { date, academicYear = '2024-2025' } = req.query;
+    const { date, academicYear } = req.query;
     const schoolId = req.user.schoolId;
 
     if (!date) {
@@ -234,7 +248,7 @@ const getTeacherAttendance = async (req, res) => {
 // @access  Private (School Admin)
 const getTeacherAttendanceStats = async (req, res) => {
   try {
-    const { academicYear = '2024-2025' } = req.query;
+    const { academicYear } = req.query;
     const schoolId = req.user.schoolId;
 
     const stats = await TeacherAttendance.getSchoolTeacherAttendanceStats(schoolId, academicYear);
@@ -284,7 +298,7 @@ const getTeacherAttendanceStats = async (req, res) => {
 // @access  Private (School Admin)
 const getTeacherAttendanceByRange = async (req, res) => {
   try {
-    const { startDate, endDate, academicYear = '2024-2025' } = req.query;
+    const { startDate, endDate, academicYear } = req.query;
     const schoolId = req.user.schoolId;
 
     if (!startDate || !endDate) {
@@ -385,6 +399,357 @@ const deleteTeacherAttendance = async (req, res) => {
   }
 };
 
+const getSchoolCheckInSettings = async (schoolId) => resolveTeacherAttendanceSettings(
+  await School.findById(schoolId).select('settings').lean()
+);
+
+// Today's record for the teacher (dates are stored at local midnight)
+const findDayAttendance = (schoolId, teacherId, date) => {
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+  return TeacherAttendance.findOne({
+    schoolId,
+    teacherId,
+    date: { $gte: date, $lte: endOfDay },
+    isActive: true
+  });
+};
+
+// @desc    Check in for the day from the app (status from shift timings, location checked against the geofence)
+// @route   POST /api/teacher-attendance/check-in
+// @access  Private (Teacher)
+const checkIn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schoolId = req.user.schoolId;
+    const settings = await getSchoolCheckInSettings(schoolId);
+
+    if (!settings.selfCheckInEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Self check-in is not enabled for your school'
+      });
+    }
+
+    const geofence = checkGeofence(settings, req.body);
+    if (!geofence.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: geofence.error,
+        distanceMeters: geofence.location?.distanceMeters
+      });
+    }
+
+    const now = new Date();
+    const { dateKey, status, lateByMinutes } = getCheckInStatus(settings, now);
+    const date = toAttendanceDate(dateKey);
+    const existingAttendance = await findDayAttendance(schoolId, req.user._id, date);
+
+    if (existingAttendance?.checkInTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already checked in today',
+        data: existingAttendance
+      });
+    }
+
+    if (existingAttendance?.leaveRequest && existingAttendance.status === 'excused') {
+      return res.status(400).json({
+        success: false,
+        error: 'You are on approved leave today'
+      });
+    }
+
+    if (existingAttendance) {
+      // A half-day leave keeps the day a half day; otherwise the check-in decides
+      if (!existingAttendance.leaveRequest) existingAttendance.status = status;
+      existingAttendance.checkInTime = now;
+      existingAttendance.checkInLocation = geofence.location;
+      existingAttendance.lateByMinutes = lateByMinutes;
+      existingAttendance.markedAt = now;
+      await existingAttendance.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Checked in successfully',
+        data: existingAttendance
+      });
+    }
+
+    const attendance = await TeacherAttendance.create({
+      schoolId,
+      teacherId: req.user._id,
+      date,
+      status,
+      checkInTime: now,
+      checkInLocation: geofence.location,
+      lateByMinutes,
+      source: 'self',
+      markedBy: req.user._id,
+      markedAt: now,
+      academicYear: await academicYearFor(schoolId, date)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: status === 'present' ? 'Checked in successfully' : `Checked in ${lateByMinutes} minutes late (${status})`,
+      data: attendance
+    });
+  } catch (error) {
+    console.error('Teacher check-in error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while checking in'
+    });
+  }
+};
+
+// @desc    Check out for the day from the app
+// @route   POST /api/teacher-attendance/check-out
+// @access  Private (Teacher)
+const checkOut = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schoolId = req.user.schoolId;
+    const settings = await getSchoolCheckInSettings(schoolId);
+
+    if (!settings.selfCheckInEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Self check-in is not enabled for your school'
+      });
+    }
+
+    const geofence = checkGeofence(settings, req.body);
+    if (!geofence.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: geofence.error,
+        distanceMeters: geofence.location?.distanceMeters
+      });
+    }
+
+    const now = new Date();
+    const { dateKey } = getCheckInStatus(settings, now);
+    const attendance = await findDayAttendance(schoolId, req.user._id, toAttendanceDate(dateKey));
+
+    if (!attendance?.checkInTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have not checked in today'
+      });
+    }
+
+    if (attendance.checkOutTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already checked out today',
+        data: attendance
+      });
+    }
+
+    attendance.checkOutTime = now;
+    attendance.checkOutLocation = geofence.location;
+    if (!attendance.leaveRequest) {
+      attendance.status = getCheckOutStatus(settings, attendance.status, now);
+    }
+    attendance.markedAt = now;
+    await attendance.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked out successfully',
+      data: attendance
+    });
+  } catch (error) {
+    console.error('Teacher check-out error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while checking out'
+    });
+  }
+};
+
+// @desc    Get the logged-in teacher's attendance for a month, with today's record and shift timings
+// @route   GET /api/teacher-attendance/me?month=&year=
+// @access  Private (Teacher)
+const getMyAttendance = async (req, res) => {
+  try {
+    const now = new Date();
+    const month = parseInt(req.query.month) || now.getMonth() + 1;
+    const year = parseInt(req.query.year) || now.getFullYear();
+    const settings = await getSchoolCheckInSettings(req.user.schoolId);
+
+    const musterRoll = await buildMusterRoll(req.user.schoolId, month, year, { teacherId: req.user._id });
+    const today = await findDayAttendance(
+      req.user.schoolId,
+      req.user._id,
+      toAttendanceDate(getCheckInStatus(settings, now).dateKey)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        month,
+        year,
+        shift: {
+          start: settings.shiftStart,
+          end: settings.shiftEnd,
+          graceMinutes: settings.graceMinutes,
+          timezone: settings.timezone,
+          geofenceEnabled: settings.geofence.enabled
+        },
+        today,
+        days: musterRoll.teachers[0]?.entries || [],
+        totals: musterRoll.teachers[0]?.totals || null
+      }
+    });
+  } catch (error) {
+    console.error('Get my attendance error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching your attendance'
+    });
+  }
+};
+
+// @desc    Get shift timings and geofence for teacher check-in
+// @route   GET /api/teacher-attendance/settings
+// @access  Private (School Admin)
+const getCheckInSettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getSchoolCheckInSettings(req.user.schoolId)
+    });
+  } catch (error) {
+    console.error('Get check-in settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching check-in settings'
+    });
+  }
+};
+
+// @desc    Update shift timings and geofence for teacher check-in
+// @route   PUT /api/teacher-attendance/settings
+// @access  Private (School Admin)
+const updateCheckInSettings = async (req, res) => {
+  try {
+    const school = await School.findById(req.user.schoolId);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School not found'
+      });
+    }
+
+    const settings = school.settings.teacherAttendance;
+    ['selfCheckInEnabled', 'shiftStart', 'shiftEnd', 'graceMinutes', 'halfDayAfterMinutes'].forEach(key => {
+      if (req.body[key] !== undefined) settings[key] = req.body[key];
+    });
+    if (req.body.geofence) {
+      ['enabled', 'latitude', 'longitude', 'radiusMeters'].forEach(key => {
+        if (req.body.geofence[key] !== undefined) settings.geofence[key] = req.body.geofence[key];
+      });
+    }
+
+    if (settings.shiftEnd <= settings.shiftStart) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shift end must be after shift start'
+      });
+    }
+
+    if (settings.geofence.enabled && (settings.geofence.latitude === null || settings.geofence.longitude === null)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the school latitude and longitude to enable the geofence'
+      });
+    }
+
+    await school.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in settings updated successfully',
+      data: resolveTeacherAttendanceSettings(school.toObject())
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: error.errors ? Object.values(error.errors).map(err => err.message).join(', ') : error.message
+      });
+    }
+    console.error('Update check-in settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating check-in settings'
+    });
+  }
+};
+
+// @desc    Get the monthly teacher muster roll (add ?format=csv or ?format=pdf to download)
+// @route   GET /api/teacher-attendance/muster-roll?month=&year=
+// @access  Private (School Admin)
+const getMusterRoll = async (req, res) => {
+  try {
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid month (1-12) and year are required'
+      });
+    }
+
+    const musterRoll = await buildMusterRoll(req.user.schoolId, month, year);
+    const fileName = `muster-roll-${year}-${String(month).padStart(2, '0')}`;
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.status(200).send(musterRollToCsv(musterRoll));
+    }
+
+    if (req.query.format === 'pdf') {
+      const school = await School.findById(req.user.schoolId).select('name');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      return res.status(200).send(musterRollToPdf(musterRoll, school || {}));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: musterRoll
+    });
+  } catch (error) {
+    console.error('Get muster roll error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while generating muster roll'
+    });
+  }
+};
+
 module.exports = {
   markTeacherAttendance,
   markBulkTeacherAttendance,
@@ -392,5 +757,11 @@ module.exports = {
   getTeacherAttendanceStats,
   getTeacherAttendanceByRange,
   updateTeacherAttendance,
-  deleteTeacherAttendance
+  deleteTeacherAttendance,
+  checkIn,
+  checkOut,
+  getMyAttendance,
+  getCheckInSettings,
+  updateCheckInSettings,
+  getMusterRoll
 };
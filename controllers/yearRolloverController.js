@@ -0,0 +1,168 @@
+const YearRollover = require('../models/YearRollover');
+const asyncHandler = require('../middleware/asyncHandler');
+const { planRollover, executeRollover, getUndoBlockers, undoRollover } = require('../utils/yearRollover');
+
+// Years and overrides from the request body; replies with a 400 and returns null when they don't make sense
+const readRolloverOptions = (req, res) => {
+  const fromYear = String(req.body.fromYear || '').trim();
+  const toYear = String(req.body.toYear || '').trim();
+
+  if (!fromYear || !toYear) {
+    res.status(400).json({ success: false, error: 'Please provide fromYear and toYear' });
+    return null;
+  }
+  if (fromYear === toYear) {
+    res.status(400).json({ success: false, error: 'The new academic year must differ from the one being closed' });
+    return null;
+  }
+
+  return {
+    fromYear,
+    toYear,
+    classMap: req.body.classMap || {},
+    decisions: req.body.decisions || {}
+  };
+};
+
+// @desc    Preview a year-end rollover: class progression, student decisions and what gets copied
+// @route   POST /api/year-rollover/preview
+// @access  Private (School Admin)
+exports.previewRollover = asyncHandler(async (req, res) => {
+  const options = readRolloverOptions(req, res);
+  if (!options) return;
+
+  const { preview } = await planRollover(req.user.schoolId, options);
+  const existing = await YearRollover.findActiveForYear(req.user.schoolId, options.fromYear);
+  if (existing) {
+    preview.errors.push(`${options.fromYear} has already been rolled over to ${existing.toYear}; undo that rollover first`);
+    preview.canExecute = false;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Preview only; nothing has been changed.',
+    data: preview
+  });
+});
+
+// @desc    Run a year-end rollover (same body as the preview)
+// @route   POST /api/year-rollover
+// @access  Private (School Admin)
+exports.runRollover = asyncHandler(async (req, res) => {
+  const options = readRolloverOptions(req, res);
+  if (!options) return;
+
+  const existing = await YearRollover.findActiveForYear(req.user.schoolId, options.fromYear);
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      error: `${options.fromYear} has already been rolled over to ${existing.toYear}; undo that rollover first`
+    });
+  }
+
+  const plan = await planRollover(req.user.schoolId, options);
+  if (!plan.preview.canExecute) {
+    return res.status(400).json({
+      success: false,
+      error: 'Resolve the problems in the preview before rolling over',
+      data: plan.preview
+    });
+  }
+
+  let rollover;
+  try {
+    rollover = await executeRollover(req.user.schoolId, plan, req.user._id);
+  } catch (error) {
+    if (!error.rollover) throw error;
+    console.error('Year rollover error:', error);
+    return res.status(500).json({
+      success: false,
+      error: `The rollover stopped part way (${error.message}). Undo it before trying again.`,
+      data: { rolloverId: error.rollover._id }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Rolled ${rollover.fromYear} over to ${rollover.toYear}`,
+    data: rollover
+  });
+});
+
+// @desc    Get the school's rollovers, newest first
+// @route   GET /api/year-rollover
+// @access  Private (School Admin)
+exports.getRollovers = asyncHandler(async (req, res) => {
+  const rollovers = await YearRollover.find({ schoolId: req.user.schoolId })
+    .select('-students -classes -created')
+    .populate('performedBy', 'name email')
+    .populate('undoneBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: rollovers.length,
+    data: rollovers
+  });
+});
+
+// @desc    Get single rollover with every change it made
+// @route   GET /api/year-rollover/:id
+// @access  Private (School Admin)
+exports.getRollover = asyncHandler(async (req, res) => {
+  const rollover = await YearRollover.findOne({ _id: req.params.id, schoolId: req.user.schoolId })
+    .populate('performedBy', 'name email')
+    .populate('undoneBy', 'name email');
+
+  if (!rollover) {
+    return res.status(404).json({
+      success: false,
+      error: 'Rollover not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rollover
+  });
+});
+
+// @desc    Undo a rollover (only the latest, and only before the new year has records of its own)
+// @route   POST /api/year-rollover/:id/undo
+// @access  Private (School Admin)
+exports.undoRollover = asyncHandler(async (req, res) => {
+  const rollover = await YearRollover.findOne({ _id: req.params.id, schoolId: req.user.schoolId });
+
+  if (!rollover) {
+    return res.status(404).json({
+      success: false,
+      error: 'Rollover not found'
+    });
+  }
+
+  if (!['completed', 'failed'].includes(rollover.status)) {
+    return res.status(400).json({
+      success: false,
+      error: rollover.status === 'undone' ? 'This rollover has already been undone' : 'This rollover is still running'
+    });
+  }
+
+  const blockers = await getUndoBlockers(rollover);
+  if (blockers.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'This rollover can no longer be undone',
+      details: blockers
+    });
+  }
+
+  const undone = await undoRollover(rollover, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: undone.undoSkipped.length > 0
+      ? `Rollover undone; ${undone.undoSkipped.length} student(s) changed since were left as they are`
+      : 'Rollover undone',
+    data: undone
+  });
+});
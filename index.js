@@ -46,9 +46,18 @@ const vehicleRoutes = require('./routes/vehicles');
 const driverRoutes = require('./routes/drivers');
 const studentTransportRoutes = require('./routes/studentTransports');
 const examRoutes = require('./routes/exams');
+const gradingSchemeRoutes = require('./routes/gradingSchemes');
+const reportCardRoutes = require('./routes/reportCards');
+const yearRolloverRoutes = require('./routes/yearRollover');
+const academicYearRoutes = require('./routes/academicYears');
 const feeCategoryRoutes = require('./routes/feeCategories');
 const feeStructureRoutes = require('./routes/feeStructures');
 const feeCollectionRoutes = require('./routes/feeCollections');
+const concessionRuleRoutes = require('./routes/concessionRules');
+const studentLedgerRoutes = require('./routes/studentLedgers');
+const leaveRequestRoutes = require('./routes/leaveRequests');
+const staffLeaveRoutes = require('./routes/staffLeaves');
+const substitutionRoutes = require('./routes/substitutions');
 const feeReceiptRoutes = require('./routes/feeReceipts');
 const invoiceRoutes = require('./routes/invoices');
 const salaryRoutes = require('./routes/salaries');
@@ -56,6 +65,7 @@ const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
 const quizRoutes = require('./routes/quizzes');
+const questionBankRoutes = require('./routes/questionBank');
 const adminQuizRoutes = require('./routes/adminQuizzes');
 const doubtRoutes = require('./routes/doubts');
 const meetingRoutes = require('./routes/meetings');
@@ -64,11 +74,12 @@ const bookBorrowingRoutes = require('./routes/bookBorrowings');
 const coCurricularRoutes = require('./routes/coCurricular');
 const idCardRoutes = require('./routes/idCards');
 const houseRoutes = require('./routes/houses');
+const jobRoutes = require('./routes/jobs');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
-const { verifyToken } = require('./middleware/auth');
+const { verifyToken, isSessionValid } = require('./middleware/auth');
 
 // Import socket handlers
 const socketHandler = require('./socket/socketHandler');
@@ -170,7 +181,15 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware - Increased limits for large video uploads
-app.use(express.json({ limit: '100mb' }));
+app.use(express.json({
+  limit: '100mb',
+  // Keep the raw body for webhook signature verification (Razorpay signs the exact bytes)
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 
 // Increase server timeout for large file uploads
@@ -279,9 +298,18 @@ app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/drivers', driverRoutes);
 app.use('/api/student-transports', studentTransportRoutes);
 app.use('/api/exams', examRoutes);
+app.use('/api/grading-schemes', gradingSchemeRoutes);
+app.use('/api/report-cards', reportCardRoutes);
+app.use('/api/academic-years', academicYearRoutes);
+app.use('/api/year-rollover', yearRolloverRoutes);
 app.use('/api/fee-categories', feeCategoryRoutes);
 app.use('/api/fee-structures', feeStructureRoutes);
 app.use('/api/fee-collections', feeCollectionRoutes);
+app.use('/api/concession-rules', concessionRuleRoutes);
+app.use('/api/student-ledgers', studentLedgerRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/staff-leaves', staffLeaveRoutes);
+app.use('/api/substitutions', substitutionRoutes);
 app.use('/api/fee-receipts', feeReceiptRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/salaries', salaryRoutes);
@@ -289,6 +317,7 @@ app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/quizzes', quizRoutes);
+app.use('/api/question-bank', questionBankRoutes);
 app.use('/api/admin-quizzes', adminQuizRoutes);
 app.use('/api/student-quiz-battle', require('./routes/studentQuizBattle'));
 app.use('/api/doubts', doubtRoutes);
@@ -296,6 +325,7 @@ app.use('/api/books', bookRoutes);
 app.use('/api/book-borrowings', bookBorrowingRoutes);
 app.use('/api/co-curricular', coCurricularRoutes);
 app.use('/api/houses', houseRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -318,6 +348,12 @@ io.use(async (socket, next) => {
       email: decoded.email
     });
 
+    // Reject tokens whose session has been logged out or revoked
+    if (!(await isSessionValid(decoded))) {
+      console.log('❌ WebSocket Auth: Session revoked or expired');
+      return next(new Error('Authentication error: Session revoked'));
+    }
+
     // Debug: Check if the ID is a valid ObjectId
     const mongoose = require('mongoose');
     if (!mongoose.Types.ObjectId.isValid(decoded.id)) {
@@ -444,6 +480,10 @@ const connectDB = async () => {
     
     // Create default admin user if it doesn't exist
     await createDefaultAdmin();
+
+    // Start background jobs (payment reconciliation, fee generation, late fees)
+    const { startJobs } = require('./utils/jobs');
+    startJobs();
     
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
@@ -0,0 +1,83 @@
+const AcademicYear = require('../models/AcademicYear');
+const asyncHandler = require('./asyncHandler');
+
+// Puts the academic year a request is about on req.academicYear.
+// Reads without ?academicYear= get the school's current year filled in (?academicYear=all asks for every year);
+// spellings like "2024-25" in the query or body are turned into "2024-2025" (stored records are
+// rewritten to match by migrations/normalizeAcademicYearNames.js).
+const academicYearContext = asyncHandler(async (req, res, next) => {
+  if (!req.user || !req.user.schoolId) return next();
+
+  if (req.method === 'GET') {
+    const requested = req.query.academicYear;
+    if (requested === 'all') {
+      delete req.query.academicYear;
+      return next();
+    }
+    if (requested) {
+      req.query.academicYear = AcademicYear.normalizeName(requested);
+    } else {
+      const current = await AcademicYear.getCurrent(req.user.schoolId).select('name');
+      if (current) req.query.academicYear = current.name;
+    }
+    req.academicYear = req.query.academicYear || null;
+    return next();
+  }
+
+  if (req.body && typeof req.body.academicYear === 'string' && req.body.academicYear.trim()) {
+    req.body.academicYear = AcademicYear.normalizeName(req.body.academicYear);
+    req.academicYear = req.body.academicYear;
+  } else {
+    const current = await AcademicYear.getCurrent(req.user.schoolId).select('name');
+    req.academicYear = current ? current.name : null;
+  }
+  next();
+});
+
+// Refuses a write when anything it touches belongs to a locked academic year.
+// Each locator returns one or more { academicYear, date } targets (null when there is nothing to check).
+const refuseLockedYear = (...locators) => asyncHandler(async (req, res, next) => {
+  if (!req.user || !req.user.schoolId) return next();
+
+  const found = await Promise.all(locators.map(locate => locate(req)));
+  const targets = found.flat().filter(Boolean);
+  const locked = await AcademicYear.findLocked(req.user.schoolId, targets);
+  if (locked) {
+    return res.status(403).json({
+      success: false,
+      error: `Academic year ${locked.name} is locked; its records can no longer be changed`
+    });
+  }
+  next();
+});
+
+// Target named in the request body
+const fromBody = (req) => ({ academicYear: req.body.academicYear, date: req.body.date });
+
+// Target of the record named by :id (or by getId), optionally mapped (e.g. to the date of a related record)
+const fromRecord = (
+  Model,
+  map = record => ({ academicYear: record.academicYear, date: record.date }),
+  getId = req => req.params.id
+) => async (req) => {
+  const id = getId(req);
+  if (!id) return null;
+  const record = await Model.findById(id).lean();
+  return record ? map(record) : null;
+};
+
+// Targets of a bulk request's records
+const fromBodyRecords = (field) => (req) => (Array.isArray(req.body[field]) ? req.body[field] : [])
+  .map(record => ({ academicYear: record.academicYear, date: record.date }));
+
+// Target for something happening now (self check-in and the like)
+const today = () => ({ date: new Date() });
+
+module.exports = {
+  academicYearContext,
+  refuseLockedYear,
+  fromBody,
+  fromBodyRecords,
+  fromRecord,
+  today
+};
@@ -2,6 +2,35 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Student = require('../models/Student');
 const Parent = require('../models/Parent');
+const Session = require('../models/Session');
+
+// Map a token role to the model that stores the account
+const getUserModelName = (role) => {
+  if (role === 'student') return 'Student';
+  if (role === 'parent') return 'Parent';
+  return 'User';
+};
+
+// Routes a user flagged with mustChangePassword may still reach
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+  '/api/auth/me',
+  '/api/auth/change-password',
+  '/api/auth/logout',
+  '/api/auth/sessions'
+];
+
+// Check that the session a token was issued for still exists and is not revoked.
+// Tokens issued before sessions were introduced carry no sid and are accepted until they expire.
+const isSessionValid = async (decoded) => {
+  if (!decoded.sid) return true;
+
+  const session = await Session.findById(decoded.sid).select('userId revokedAt expiresAt');
+  if (!session || session.revokedAt || session.expiresAt <= Date.now()) {
+    return false;
+  }
+
+  return session.userId.toString() === decoded.id.toString();
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -30,6 +59,14 @@ const protect = async (req, res, next) => {
         schoolId: decoded.schoolId,
         email: decoded.email
       });
+
+      // Reject tokens whose session has been logged out or revoked
+      if (!(await isSessionValid(decoded))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has expired or been revoked. Please log in again.'
+        });
+      }
       
       // Get user from token - check both User and Student models based on role
       let user;
@@ -110,6 +147,15 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Accounts created with a temporary password must set their own before doing anything else
+      if (user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.some(p => req.originalUrl.startsWith(p))) {
+        return res.status(403).json({
+          success: false,
+          error: 'You must change your password before continuing.',
+          mustChangePassword: true
+        });
+      }
+
       // Debug logging for school admin requests
       if (user.role === 'school_admin') {
         console.log(`🔐 School Admin authenticated: ${user.name} (${user.email})`);
@@ -118,6 +164,7 @@ const protect = async (req, res, next) => {
       }
       
       req.user = user;
+      req.sessionId = decoded.sid || null;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -232,6 +279,10 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (!(await isSessionValid(decoded))) {
+          return next();
+        }
+
         let user;
         
         if (decoded.role === 'student') {
@@ -262,6 +313,7 @@ const optionalAuth = async (req, res, next) => {
         
         if (user && user.isActive && !user.isLocked) {
           req.user = user;
+          req.sessionId = decoded.sid || null;
         }
       } catch (error) {
         // Token is invalid, but we continue without user
@@ -275,8 +327,8 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (user) => {
+// Determine the role to embed in a token for a User, Student or Parent document
+const resolveRole = (user) => {
   // Determine role based on model type or explicit role
   let role = user.role;
   
@@ -299,6 +351,14 @@ const generateToken = (user) => {
       role = 'user'; // Default fallback for User model
     }
   }
+
+  return role;
+};
+
+// Generate JWT token
+// When a sessionId is given the token is a short-lived access token bound to that session
+const generateToken = (user, sessionId = null) => {
+  const role = resolveRole(user);
   
   console.log('🔐 generateToken: Setting role:', {
     userId: user._id,
@@ -306,19 +366,64 @@ const generateToken = (user) => {
     modelName: user.constructor?.modelName || user.modelName,
     hasRollNumber: user.rollNumber !== undefined,
     explicitRole: user.role,
-    finalRole: role
+    finalRole: role,
+    sessionId
   });
-  
-  return jwt.sign({ 
+
+  const payload = { 
     id: user._id,
     role: role,
     schoolId: user.schoolId,
     email: user.email
-  }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+  };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: sessionId
+      ? (process.env.JWT_ACCESS_EXPIRE || '15m')
+      : (process.env.JWT_EXPIRE || '7d'),
   });
 };
 
+// Create a device session and issue an access token plus a rotating refresh token
+const createSessionTokens = async (user, req) => {
+  const role = resolveRole(user);
+  const userModel = getUserModelName(role);
+  const body = req.body || {};
+  const deviceId = body.deviceId || req.headers['x-device-id'] || null;
+  const refreshDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+  // Only one session per device - logging in again replaces the old one
+  if (deviceId) {
+    await Session.updateMany(
+      { userId: user._id, userModel, deviceId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'replaced' }
+    );
+  }
+
+  const refreshToken = Session.generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    userModel,
+    role,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    deviceId,
+    deviceName: body.deviceName || null,
+    platform: ['ios', 'android', 'web'].includes(body.platform) ? body.platform : 'unknown',
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + refreshDays * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: generateToken(user, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
 // Generate refresh token
 const generateRefreshToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
@@ -344,5 +449,8 @@ module.exports = {
   optionalAuth,
   generateToken,
   generateRefreshToken,
+  createSessionTokens,
+  getUserModelName,
+  isSessionValid,
   verifyToken
 };
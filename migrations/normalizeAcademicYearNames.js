@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const AcademicYear = require('../models/AcademicYear');
+require('dotenv').config({ path: './config.env' });
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/lmsss-portal';
+
+// Every collection that stores an academic year name, and the field holding it
+const YEAR_FIELDS = [
+  { collection: 'admissionapplications', field: 'academicYear' },
+  { collection: 'attendances', field: 'academicYear' },
+  { collection: 'classes', field: 'academicYear' },
+  { collection: 'concessionrules', field: 'academicYear' },
+  { collection: 'feecollections', field: 'academicYear' },
+  { collection: 'feereceipts', field: 'academicYear' },
+  { collection: 'feestructures', field: 'academicYear' },
+  { collection: 'idcards', field: 'academicYear' },
+  { collection: 'importantdates', field: 'academicYear' },
+  { collection: 'reportcards', field: 'academicYear' },
+  { collection: 'reportcardtemplates', field: 'academicYear' },
+  { collection: 'schedules', field: 'academicYear' },
+  { collection: 'schools', field: 'settings.academicYear' },
+  { collection: 'students', field: 'academicYear' },
+  { collection: 'syllabuses', field: 'academicYear' },
+  { collection: 'teacherattendances', field: 'academicYear' }
+];
+
+const CANONICAL = /^\d{4}-\d{4}$/;
+
+async function normalizeAcademicYearNames() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    let totalUpdated = 0;
+    let totalConflicts = 0;
+
+    for (const { collection, field } of YEAR_FIELDS) {
+      console.log(`\n📚 Processing ${collection} (${field})...`);
+      const records = db.collection(collection);
+
+      // Values already spelled "YYYY-YYYY" are left alone
+      const values = (await records.distinct(field, { [field]: { $type: 'string', $not: CANONICAL } }))
+        .filter(value => AcademicYear.normalizeName(value) !== value);
+
+      if (values.length === 0) {
+        console.log('  ℹ️  Nothing to normalize');
+        continue;
+      }
+
+      for (const value of values) {
+        const name = AcademicYear.normalizeName(value);
+        let updated = 0;
+        let conflicts = 0;
+
+        // One record at a time, so a record whose normalized copy already exists (a unique index
+        // such as a class's name + section + year) is reported instead of failing the whole batch
+        const cursor = records.find({ [field]: value }, { projection: { _id: 1 } });
+        for await (const record of cursor) {
+          try {
+            await records.updateOne({ _id: record._id }, { $set: { [field]: name } });
+            updated++;
+          } catch (error) {
+            if (error.code !== 11000) throw error;
+            conflicts++;
+            console.log(`  ⚠️  ${record._id}: a record for ${name} already exists, left as "${value}"`);
+          }
+        }
+
+        console.log(`  ✅ "${value}" → "${name}": ${updated} updated${conflicts ? `, ${conflicts} conflicting` : ''}`);
+        totalUpdated += updated;
+        totalConflicts += conflicts;
+      }
+    }
+
+    console.log(`\n✅ Migration completed successfully! ${totalUpdated} records updated.`);
+    if (totalConflicts > 0) {
+      console.log(`⚠️  ${totalConflicts} records duplicate an existing record of the same year and need merging by hand.\n`);
+    }
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+// Run migration
+console.log('🚀 Starting Academic Year Name Migration...\n');
+normalizeAcademicYearNames();
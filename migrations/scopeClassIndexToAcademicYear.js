@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/lmsss-portal';
+
+async function scopeClassIndexToAcademicYear() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const classesCollection = db.collection('classes');
+
+    console.log('\n📋 Current indexes:');
+    const currentIndexes = await classesCollection.indexes();
+    currentIndexes.forEach(index => {
+      console.log(`  - ${index.name}:`, JSON.stringify(index.key), index.unique ? '(unique)' : '');
+    });
+
+    // Drop the old index that allowed a class name + section only once per school
+    console.log('\n🗑️  Dropping old index...');
+
+    try {
+      await classesCollection.dropIndex('name_1_section_1_schoolId_1');
+      console.log('  ✅ Dropped: name_1_section_1_schoolId_1');
+    } catch (error) {
+      if (error.code === 27 || error.codeName === 'IndexNotFound') {
+        console.log('  ℹ️  Index name_1_section_1_schoolId_1 does not exist (already dropped)');
+      } else {
+        console.log('  ⚠️  Error dropping name_1_section_1_schoolId_1:', error.message);
+      }
+    }
+
+    // Create the academic-year scoped index
+    console.log('\n✨ Creating new index...');
+
+    await classesCollection.createIndex(
+      { name: 1, section: 1, schoolId: 1, academicYear: 1 },
+      { unique: true, name: 'name_1_section_1_schoolId_1_academicYear_1' }
+    );
+    console.log('  ✅ Created: name_1_section_1_schoolId_1_academicYear_1 (unique)');
+
+    console.log('\n📋 New indexes:');
+    const newIndexes = await classesCollection.indexes();
+    newIndexes.forEach(index => {
+      console.log(`  - ${index.name}:`, JSON.stringify(index.key), index.unique ? '(unique)' : '');
+    });
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('ℹ️  Classes can now be rolled over into a new academic year.\n');
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+// Run migration
+console.log('🚀 Starting Class Index Migration...\n');
+scopeClassIndexToAcademicYear();
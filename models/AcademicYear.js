@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+// "2024-25", "2024/2025" and "2024 - 2025" all mean "2024-2025"; anything else is left as typed
+const normalizeYearName = (value) => {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  const match = text.match(/^(\d{4})\s*[-/–]\s*(\d{2}|\d{4})$/);
+  if (!match) return text;
+
+  const start = Number(match[1]);
+  const end = match[2].length === 2 ? Math.floor(start / 100) * 100 + Number(match[2]) : Number(match[2]);
+  return `${start}-${end < start ? end + 100 : end}`;
+};
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true,
+    maxlength: [50, 'Term name cannot exceed 50 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Term start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Term end date is required']
+  }
+});
+
+// A school's academic year with its terms. One year per school is current (reads default to it) and
+// past years can be locked so their attendance, marks and fees can no longer be changed.
+const academicYearSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+    index: true
+  },
+  // Canonical "YYYY-YYYY" name stored in the academicYear field of other records
+  name: {
+    type: String,
+    required: [true, 'Academic year name is required'],
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  terms: [termSchema],
+  isCurrent: {
+    type: Boolean,
+    default: false
+  },
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+academicYearSchema.index({ schoolId: 1, name: 1 }, { unique: true });
+academicYearSchema.index({ schoolId: 1, startDate: 1, endDate: 1 });
+
+// Start dates from the beginning of the day, end dates to the end of it, so a date on the last day still counts
+const coverWholeDays = (range) => {
+  if (range.startDate) range.startDate = new Date(new Date(range.startDate).setHours(0, 0, 0, 0));
+  if (range.endDate) range.endDate = new Date(new Date(range.endDate).setHours(23, 59, 59, 999));
+};
+
+academicYearSchema.pre('validate', function(next) {
+  this.name = normalizeYearName(this.name);
+  coverWholeDays(this);
+  this.terms.forEach(coverWholeDays);
+
+  if (this.name && !/^\d{4}-\d{4}$/.test(this.name)) {
+    this.invalidate('name', 'Academic year must look like 2024-2025');
+  }
+
+  if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+    return next();
+  }
+
+  this.terms = [...this.terms].sort((a, b) => a.startDate - b.startDate);
+  const terms = this.terms;
+  const names = terms.map(term => term.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    this.invalidate('terms', 'Term names must be unique');
+  } else if (terms.some(term => term.startDate > term.endDate)) {
+    this.invalidate('terms', 'Term start date must be before its end date');
+  } else if (terms.some(term => term.startDate < this.startDate || term.endDate > this.endDate)) {
+    this.invalidate('terms', 'Terms must fall within the academic year');
+  } else if (terms.some((term, index) => index > 0 && term.startDate <= terms[index - 1].endDate)) {
+    this.invalidate('terms', 'Terms cannot overlap');
+  }
+
+  next();
+});
+
+// Static method to get a school's current academic year
+academicYearSchema.statics.getCurrent = function(schoolId) {
+  return this.findOne({ schoolId, isCurrent: true });
+};
+
+// Static method to get the academic year a date falls in
+academicYearSchema.statics.findForDate = function(schoolId, date) {
+  const day = new Date(date);
+  return this.findOne({ schoolId, startDate: { $lte: day }, endDate: { $gte: day } });
+};
+
+// Static method to work out the year name a record belongs to: the year named, the year its date falls in,
+// then the current year. Returns null when the school has no academic years set up.
+academicYearSchema.statics.resolveName = async function(schoolId, { academicYear, date } = {}) {
+  if (academicYear) return normalizeYearName(academicYear);
+
+  const year = (date && !isNaN(new Date(date)) && await this.findForDate(schoolId, date)) ||
+    await this.getCurrent(schoolId);
+  return year ? year.name : null;
+};
+
+// Static method to name the year a date falls in for schools that haven't set up their academic years,
+// counting years from ACADEMIC_YEAR_START_MONTH (April unless set) as fee generation does
+academicYearSchema.statics.defaultNameForDate = function(date = new Date()) {
+  const month = parseInt(process.env.ACADEMIC_YEAR_START_MONTH);
+  const startMonth = month >= 1 && month <= 12 ? month : 4;
+  const day = new Date(date);
+  const startYear = day.getMonth() + 1 >= startMonth ? day.getFullYear() : day.getFullYear() - 1;
+  return `${startYear}-${startYear + 1}`;
+};
+
+// Static method to find the first locked year among write targets ({ academicYear } and/or { date })
+academicYearSchema.statics.findLocked = async function(schoolId, targets) {
+  const names = new Set();
+  const dates = [];
+  targets.filter(Boolean).forEach(target => {
+    if (target.academicYear) names.add(normalizeYearName(target.academicYear));
+    if (target.date && !isNaN(new Date(target.date))) dates.push(new Date(target.date));
+  });
+  if (names.size === 0 && dates.length === 0) return null;
+
+  const locked = await this.find({ schoolId, isLocked: true }).select('name startDate endDate');
+  return locked.find(year => names.has(year.name) ||
+    dates.some(date => date >= year.startDate && date <= year.endDate)) || null;
+};
+
+// Static method to load locked years once for background jobs (which don't pass the route lock check);
+// resolves to a function telling whether a school's academic year (by name) is locked
+academicYearSchema.statics.getLockedYearCheck = async function(schoolId = null) {
+  const query = { isLocked: true };
+  if (schoolId) query.schoolId = schoolId;
+
+  const locked = await this.find(query).select('schoolId name').lean();
+  const keys = new Set(locked.map(year => `${year.schoolId}:${year.name}`));
+  return (school, academicYear) => keys.has(`${school}:${normalizeYearName(academicYear)}`);
+};
+
+// Static method to get the term a date falls in
+academicYearSchema.statics.findTerm = function(year, date) {
+  const day = new Date(date);
+  return (year.terms || []).find(term => day >= term.startDate && day <= term.endDate) || null;
+};
+
+academicYearSchema.statics.normalizeName = normalizeYearName;
+
+module.exports = mongoose.model('AcademicYear', academicYearSchema);
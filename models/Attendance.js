@@ -60,6 +60,12 @@ const attendanceSchema = new mongoose.Schema({
     required: true,
     default: '2024-2025'
   },
+  // Set when the student was excused by an approved leave request
+  leaveRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveRequest',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -75,10 +81,10 @@ attendanceSchema.index({ schoolId: 1, teacherId: 1, date: 1 });
 attendanceSchema.index({ studentId: 1, academicYear: 1, status: 1 });
 
 // Static method to get attendance by student
-attendanceSchema.statics.getAttendanceByStudent = function(studentId, academicYear = '2024-2025') {
+attendanceSchema.statics.getAttendanceByStudent = function(studentId, academicYear = null) {
   return this.find({
     studentId,
-    academicYear,
+    ...(academicYear && { academicYear }),
     isActive: true
   })
   .populate('classId', 'name section')
@@ -89,7 +95,7 @@ attendanceSchema.statics.getAttendanceByStudent = function(studentId, academicYe
 };
 
 // Static method to get attendance by class and date
-attendanceSchema.statics.getAttendanceByClassAndDate = function(classId, subjectId, date, academicYear = '2024-2025') {
+attendanceSchema.statics.getAttendanceByClassAndDate = function(classId, subjectId, date, academicYear = null) {
   const startOfDay = new Date(date);
   startOfDay.setHours(0, 0, 0, 0);
   
@@ -103,7 +109,7 @@ attendanceSchema.statics.getAttendanceByClassAndDate = function(classId, subject
       $gte: startOfDay,
       $lte: endOfDay
     },
-    academicYear,
+    ...(academicYear && { academicYear }),
     isActive: true
   })
   .populate({
@@ -120,12 +126,12 @@ attendanceSchema.statics.getAttendanceByClassAndDate = function(classId, subject
 };
 
 // Static method to get attendance statistics for a student
-attendanceSchema.statics.getStudentAttendanceStats = function(studentId, academicYear = '2024-2025') {
+attendanceSchema.statics.getStudentAttendanceStats = function(studentId, academicYear = null) {
   return this.aggregate([
     {
       $match: {
         studentId: new mongoose.Types.ObjectId(studentId),
-        academicYear,
+        ...(academicYear && { academicYear }),
         isActive: true
       }
     },
@@ -139,12 +145,12 @@ attendanceSchema.statics.getStudentAttendanceStats = function(studentId, academi
 };
 
 // Static method to get attendance statistics for a class
-attendanceSchema.statics.getClassAttendanceStats = function(classId, academicYear = '2024-2025') {
+attendanceSchema.statics.getClassAttendanceStats = function(classId, academicYear = null) {
   return this.aggregate([
     {
       $match: {
         classId: new mongoose.Types.ObjectId(classId),
-        academicYear,
+        ...(academicYear && { academicYear }),
         isActive: true
       }
     },
@@ -196,10 +202,17 @@ attendanceSchema.statics.getClassAttendanceStats = function(classId, academicYea
     },
     {
       $addFields: {
+        // Excused classes (approved leave) don't count against the student
         attendancePercentage: {
-          $multiply: [
-            { $divide: ['$present', '$totalClasses'] },
-            100
+          $cond: [
+            { $gt: [{ $subtract: ['$totalClasses', '$excused'] }, 0] },
+            {
+              $multiply: [
+                { $divide: ['$present', { $subtract: ['$totalClasses', '$excused'] }] },
+                100
+              ]
+            },
+            0
           ]
         }
       }
@@ -224,14 +237,14 @@ attendanceSchema.statics.getClassAttendanceStats = function(classId, academicYea
 };
 
 // Static method to get attendance by date range
-attendanceSchema.statics.getAttendanceByDateRange = function(schoolId, startDate, endDate, academicYear = '2024-2025') {
+attendanceSchema.statics.getAttendanceByDateRange = function(schoolId, startDate, endDate, academicYear = null) {
   return this.find({
     schoolId,
     date: {
       $gte: new Date(startDate),
       $lte: new Date(endDate)
     },
-    academicYear,
+    ...(academicYear && { academicYear }),
     isActive: true
   })
   .populate('studentId', 'name rollNumber')
@@ -241,6 +254,57 @@ attendanceSchema.statics.getAttendanceByDateRange = function(schoolId, startDate
   .sort({ date: -1, 'studentId.rollNumber': 1 });
 };
 
+const statusCount = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+// Static method to get per-student, per-day status counts (one row per student per day).
+// Days are taken in the server's timezone, which is what the pre-save hook normalises dates with.
+attendanceSchema.statics.getDailyStudentSummary = function(match) {
+  return this.aggregate([
+    { $match: { ...match, isActive: true } },
+    {
+      $group: {
+        _id: {
+          studentId: '$studentId',
+          day: {
+            $dateToString: {
+              format: '%Y-%m-%d',
+              date: '$date',
+              timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            }
+          }
+        },
+        classId: { $last: '$classId' },
+        total: { $sum: 1 },
+        present: statusCount('present'),
+        absent: statusCount('absent'),
+        late: statusCount('late'),
+        excused: statusCount('excused')
+      }
+    },
+    { $sort: { '_id.studentId': 1, '_id.day': 1 } }
+  ]);
+};
+
+// Static method to get per-student, per-subject status counts
+attendanceSchema.statics.getStudentSubjectSummary = function(match) {
+  return this.aggregate([
+    { $match: { ...match, isActive: true } },
+    {
+      $group: {
+        _id: {
+          studentId: '$studentId',
+          subjectId: '$subjectId'
+        },
+        total: { $sum: 1 },
+        present: statusCount('present'),
+        absent: statusCount('absent'),
+        late: statusCount('late'),
+        excused: statusCount('excused')
+      }
+    }
+  ]);
+};
+
 // Pre-save middleware to validate attendance data
 attendanceSchema.pre('save', async function(next) {
   // Check if attendance already exists for this student, class, subject, and date
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Absence/late alert sent to a student's parents. One per student per day, so a student marked
+// absent in several periods only triggers a single alert.
+const attendanceAlertSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student ID is required']
+  },
+  // Attendance date as YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['absent', 'late'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  parents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parent'
+  }],
+  notificationCount: {
+    type: Number,
+    default: 0
+  },
+  // queued = held back by the school's quiet hours; skipped = no parent to notify
+  pushStatus: {
+    type: String,
+    enum: ['queued', 'sent', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  pushSent: {
+    type: Number,
+    default: 0
+  },
+  pushError: {
+    type: String,
+    default: null
+  },
+  pushedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+attendanceAlertSchema.index({ student: 1, date: 1 }, { unique: true });
+attendanceAlertSchema.index({ pushStatus: 1, school: 1 });
+attendanceAlertSchema.index({ school: 1, date: -1 });
+
+module.exports = mongoose.model('AttendanceAlert', attendanceAlertSchema);
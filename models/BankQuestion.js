@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Quiz = require('./Quiz');
+
+// A school's reusable question: the same content, answer key and checks as a quiz question,
+// tagged by subject, class, syllabus chapter, difficulty and skill. Quizzes copy these in.
+const bankQuestionSchema = Quiz.schema.path('questions').schema.clone();
+bankQuestionSchema.remove('bankQuestionId');
+bankQuestionSchema.path('marks').default(1);
+
+bankQuestionSchema.add({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School is required']
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject is required']
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  // Chapter of the subject's syllabus the question covers
+  syllabusId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Syllabus',
+    default: null
+  },
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  chapter: {
+    type: String,
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  // e.g. recall, understanding, application, analysis
+  skills: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Results from every quiz that used the question
+  stats: {
+    timesUsed: {
+      type: Number,
+      default: 0
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    correct: {
+      type: Number,
+      default: 0
+    },
+    marksAwarded: {
+      type: Number,
+      default: 0
+    },
+    marksPossible: {
+      type: Number,
+      default: 0
+    },
+    lastUsedAt: {
+      type: Date
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+bankQuestionSchema.set('timestamps', true);
+bankQuestionSchema.set('toJSON', { virtuals: true });
+bankQuestionSchema.set('toObject', { virtuals: true });
+
+bankQuestionSchema.index({ schoolId: 1, subjectId: 1, difficulty: 1 });
+bankQuestionSchema.index({ schoolId: 1, subjectId: 1, chapterId: 1 });
+bankQuestionSchema.index({ schoolId: 1, skills: 1 });
+
+// Attempts needed before the observed difficulty means anything
+const MIN_ATTEMPTS = 5;
+
+// Virtual for the share of the marks students actually earn (higher is easier)
+bankQuestionSchema.virtual('facilityIndex').get(function() {
+  if (!this.stats || !this.stats.marksPossible) return null;
+  return Math.round((this.stats.marksAwarded / this.stats.marksPossible) * 100) / 100;
+});
+
+// Virtual for how hard the question turned out to be, to compare with the difficulty it was tagged with
+bankQuestionSchema.virtual('observedDifficulty').get(function() {
+  if (!this.stats || this.stats.attempts < MIN_ATTEMPTS) return null;
+  return this.constructor.difficultyForFacility(this.facilityIndex);
+});
+
+// Static method to name the difficulty a facility index (0-1) points to
+bankQuestionSchema.statics.difficultyForFacility = function(facility) {
+  if (facility === null || facility === undefined) return null;
+  if (facility >= 0.7) return 'easy';
+  if (facility >= 0.4) return 'medium';
+  return 'hard';
+};
+
+module.exports = mongoose.model('BankQuestion', bankQuestionSchema);
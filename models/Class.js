@@ -107,7 +107,8 @@ const classSchema = new mongoose.Schema({
 // Indexes for better query performance
 classSchema.index({ schoolId: 1 });
 classSchema.index({ teacherId: 1 });
-classSchema.index({ name: 1, section: 1, schoolId: 1 }, { unique: true });
+// A class name and section can repeat across academic years (see migrations/scopeClassIndexToAcademicYear.js)
+classSchema.index({ name: 1, section: 1, schoolId: 1, academicYear: 1 }, { unique: true });
 classSchema.index({ academicYear: 1 });
 
 // Virtual for class display name
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// A named fee concession (sibling, staff ward, merit, ...) applied automatically to fee collections
+const concessionRuleSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Concession name is required'],
+    trim: true,
+    maxlength: [100, 'Concession name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  concessionType: {
+    type: String,
+    enum: ['sibling', 'staff_ward', 'merit', 'need_based', 'other'],
+    default: 'other'
+  },
+  // Who gets it: named students, or every child from the Nth sibling on
+  appliesTo: {
+    type: String,
+    enum: ['students', 'siblings', 'all'],
+    required: [true, 'Please specify who the concession applies to'],
+    default: 'students'
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // For sibling concessions: 2 = second child onwards (children ranked eldest first)
+  minSiblingRank: {
+    type: Number,
+    min: [2, 'Sibling rank must be at least 2'],
+    default: 2
+  },
+  // Optional restriction to some classes
+  classes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  // Fee categories/components the discount is calculated on (e.g. "Tuition"); empty = the whole fee
+  feeCategories: [{
+    type: String,
+    trim: true
+  }],
+  // Optional restriction to some fee structures
+  feeStructures: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeStructure'
+  }],
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Cap per fee collection (optional)
+  maxAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum amount cannot be negative']
+  },
+  academicYear: {
+    type: String,
+    trim: true,
+    default: null // null means every academic year
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+concessionRuleSchema.index({ school: 1, status: 1 });
+concessionRuleSchema.index({ students: 1 });
+concessionRuleSchema.index({ name: 1, school: 1 }, { unique: true });
+
+// Validate that percentage discounts stay within 100%
+concessionRuleSchema.pre('save', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  next();
+});
+
+// Static method to get the rules in force for a school on a date
+concessionRuleSchema.statics.getActiveRules = function(schoolId, academicYear = null, date = new Date()) {
+  const query = {
+    school: schoolId,
+    status: 'active',
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: date } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gte: date } }] }
+    ]
+  };
+  if (academicYear) {
+    query.academicYear = { $in: [null, academicYear] };
+  }
+  return this.find(query).sort({ name: 1 });
+};
+
+// Instance method to check whether the rule covers a student and fee structure
+// (siblingRank is the student's position among their siblings, eldest = 1)
+concessionRuleSchema.methods.appliesToStudent = function(student, feeStructure, siblingRank = 1) {
+  if (this.academicYear && this.academicYear !== feeStructure.academicYear) return false;
+  if (this.feeStructures.length > 0 && !this.feeStructures.some(id => id.toString() === feeStructure._id.toString())) return false;
+  if (this.classes.length > 0 && !this.classes.some(id => student.classId && id.toString() === student.classId.toString())) return false;
+
+  if (this.appliesTo === 'students') {
+    return this.students.some(id => id.toString() === student._id.toString());
+  }
+  if (this.appliesTo === 'siblings') {
+    return siblingRank >= this.minSiblingRank;
+  }
+  return true;
+};
+
+module.exports = mongoose.model('ConcessionRule', concessionRuleSchema);
@@ -9,7 +9,7 @@ const deviceTokenSchema = new mongoose.Schema({
   userModel: {
     type: String,
     required: true,
-    enum: ['Student', 'User'] // Student or Teacher/Admin (User model)
+    enum: ['Student', 'Parent', 'User'] // Student, Parent or Teacher/Admin (User model)
   },
   expoPushToken: {
     type: String,
@@ -48,6 +48,16 @@ const examMarkSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  gradePoint: {
+    type: Number,
+    default: null
+  },
+  // Scheme the grade was worked out with (null for the built-in scale)
+  gradingSchemeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScheme',
+    default: null
+  },
   remarks: {
     type: String,
     trim: true
@@ -78,45 +88,40 @@ examMarkSchema.index({ examId: 1, studentId: 1 }, { unique: true });
 examMarkSchema.index({ schoolId: 1, studentId: 1 });
 examMarkSchema.index({ schoolId: 1, classId: 1 });
 
-// Pre-save middleware to calculate percentage and grade
+// Pre-save middleware to calculate percentage and grade using the class's grading scheme
 examMarkSchema.pre('save', async function(next) {
-  // Calculate percentage
+  const GradingScheme = require('./GradingScheme');
+  const scheme = await GradingScheme.resolveForClass(this.schoolId, this.classId);
+  this.gradingSchemeId = scheme._id || null;
+
   if (!this.isAbsent && this.marksObtained !== undefined && this.totalMarks) {
     this.percentage = (this.marksObtained / this.totalMarks) * 100;
-    
-    // Calculate grade based on percentage
-    if (this.percentage >= 90) {
-      this.grade = 'A+';
-    } else if (this.percentage >= 80) {
-      this.grade = 'A';
-    } else if (this.percentage >= 70) {
-      this.grade = 'B+';
-    } else if (this.percentage >= 60) {
-      this.grade = 'B';
-    } else if (this.percentage >= 50) {
-      this.grade = 'C';
-    } else if (this.percentage >= 40) {
-      this.grade = 'D';
-    } else if (this.percentage >= 33) {
-      this.grade = 'E';
+
+    const { grade, gradePoint, isPass } = GradingScheme.gradePercentage(scheme, this.percentage);
+    this.grade = grade;
+    this.gradePoint = gradePoint;
+
+    if (scheme.passRule === 'percentage') {
+      this.isPassed = this.percentage >= scheme.passPercentage;
+    } else if (scheme.passRule === 'grade') {
+      this.isPassed = isPass;
     } else {
-      this.grade = 'F';
-      this.isPassed = false;
-    }
-    
-    // Check if passed based on exam's passing marks
-    try {
-      const Exam = mongoose.model('Exam');
-      const exam = await Exam.findById(this.examId);
-      if (exam && exam.passingMarks) {
-        this.isPassed = this.marksObtained >= exam.passingMarks;
+      // Pass by the exam's passing marks, falling back to the band when the exam has none
+      this.isPassed = isPass;
+      try {
+        const Exam = mongoose.model('Exam');
+        const exam = await Exam.findById(this.examId);
+        if (exam && exam.passingMarks) {
+          this.isPassed = this.marksObtained >= exam.passingMarks;
+        }
+      } catch (error) {
+        console.error('Error fetching exam for passing marks:', error);
       }
-    } catch (error) {
-      console.error('Error fetching exam for passing marks:', error);
     }
   } else if (this.isAbsent) {
     this.percentage = 0;
-    this.grade = 'Ab';
+    this.grade = scheme.absentGrade || 'Ab';
+    this.gradePoint = null;
     this.isPassed = false;
   }
   
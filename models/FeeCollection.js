@@ -25,6 +25,20 @@ const feeCollectionSchema = new mongoose.Schema({
     type: String,
     trim: true // For monthly fees: "January 2025", "February 2025", etc.
   },
+  // Billing period covered (set for generated collections)
+  periodStart: {
+    type: Date,
+    default: null
+  },
+  periodEnd: {
+    type: Date,
+    default: null
+  },
+  // "<feeStructure>:<student>:<period>" for collections created by the generator, so re-runs never duplicate
+  generationKey: {
+    type: String,
+    trim: true
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -35,6 +49,43 @@ const feeCollectionSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount amount cannot be negative']
   },
+  // Breakdown of discountAmount: which rule produced which discount
+  concessions: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ConcessionRule',
+      default: null // null for the fee structure's own discount
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    concessionType: {
+      type: String,
+      trim: true
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: {
+      type: Number
+    },
+    feeCategories: [{
+      type: String,
+      trim: true
+    }],
+    // Amount the discount was calculated on
+    baseAmount: {
+      type: Number,
+      min: [0, 'Base amount cannot be negative']
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Discount amount cannot be negative']
+    }
+  }],
   lateFeeAmount: {
     type: Number,
     default: 0,
@@ -59,6 +110,10 @@ const feeCollectionSchema = new mongoose.Schema({
     enum: ['pending', 'partial', 'paid', 'overdue', 'cancelled'],
     default: 'pending'
   },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
   payments: [{
     amount: {
       type: Number,
@@ -85,7 +140,10 @@ const feeCollectionSchema = new mongoose.Schema({
     collectedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      required: function() {
+        // Online payments are made by parents in the app, not collected by staff
+        return this.paymentMethod !== 'online';
+      }
     }
   }],
   reminders: [{
@@ -95,13 +153,37 @@ const feeCollectionSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['email', 'sms', 'notification'],
+      enum: ['email', 'sms', 'notification', 'push'],
       required: true
     },
     status: {
       type: String,
       enum: ['sent', 'failed', 'pending'],
       default: 'sent'
+    },
+    // How many recipients the reminder reached on this channel
+    recipientCount: {
+      type: Number,
+      default: 0
+    },
+    error: {
+      type: String,
+      trim: true
+    },
+    trigger: {
+      type: String,
+      enum: ['manual', 'scheduled'],
+      default: 'manual'
+    },
+    // For scheduled reminders: days before the due date it was sent for
+    daysBefore: {
+      type: Number,
+      default: null
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     }
   }],
   remarks: {
@@ -128,6 +210,7 @@ feeCollectionSchema.index({ status: 1 });
 feeCollectionSchema.index({ dueDate: 1 });
 feeCollectionSchema.index({ academicYear: 1 });
 feeCollectionSchema.index({ month: 1 });
+feeCollectionSchema.index({ generationKey: 1 }, { unique: true, sparse: true });
 
 // Virtual for days overdue
 feeCollectionSchema.virtual('daysOverdue').get(function() {
@@ -280,12 +363,13 @@ feeCollectionSchema.methods.addPayment = function(paymentData) {
   return this.save();
 };
 
-// Instance method to send reminder
-feeCollectionSchema.methods.sendReminder = function(type) {
+// Instance method to record a reminder delivery attempt
+feeCollectionSchema.methods.sendReminder = function(type, status = 'sent', details = {}) {
   this.reminders.push({
     sentDate: new Date(),
     type: type,
-    status: 'sent'
+    status: status,
+    ...details
   });
   return this.save();
 };
@@ -293,6 +377,7 @@ feeCollectionSchema.methods.sendReminder = function(type) {
 // Instance method to cancel collection
 feeCollectionSchema.methods.cancelCollection = function(reason) {
   this.status = 'cancelled';
+  this.cancelledAt = new Date();
   this.remarks = (this.remarks || '') + `\nCancelled: ${reason}`;
   return this.save();
 };
@@ -83,10 +83,22 @@ const feeReceiptSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  source: {
+    type: String,
+    enum: ['counter', 'online'],
+    default: 'counter'
+  },
+  onlinePayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OnlineFeePayment'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      // Online receipts are issued automatically when the payment is verified
+      return this.source !== 'online';
+    }
   }
 }, {
   timestamps: true
@@ -100,6 +112,7 @@ feeReceiptSchema.index({ feeCollection: 1 });
 feeReceiptSchema.index({ status: 1 });
 feeReceiptSchema.index({ academicYear: 1 });
 feeReceiptSchema.index({ paymentDate: 1 });
+feeReceiptSchema.index({ onlinePayment: 1 }, { sparse: true });
 
 // Pre-save middleware to generate receipt number
 feeReceiptSchema.pre('save', async function(next) {
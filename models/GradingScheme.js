@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+// The scale used when a school hasn't set up its own (the bands ExamMark used to hard-code)
+const DEFAULT_GRADING_SCHEME = {
+  name: 'Standard (A+ to F)',
+  bands: [
+    { grade: 'A+', minPercentage: 90, gradePoint: 10, isPass: true },
+    { grade: 'A', minPercentage: 80, gradePoint: 9, isPass: true },
+    { grade: 'B+', minPercentage: 70, gradePoint: 8, isPass: true },
+    { grade: 'B', minPercentage: 60, gradePoint: 7, isPass: true },
+    { grade: 'C', minPercentage: 50, gradePoint: 6, isPass: true },
+    { grade: 'D', minPercentage: 40, gradePoint: 5, isPass: true },
+    { grade: 'E', minPercentage: 33, gradePoint: 4, isPass: true },
+    { grade: 'F', minPercentage: 0, gradePoint: 0, isPass: false }
+  ],
+  passRule: 'exam',
+  passPercentage: 33,
+  maxFailedSubjects: 0,
+  absentGrade: 'Ab',
+  isBuiltIn: true
+};
+
+const gradeBandSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    required: [true, 'Grade is required'],
+    trim: true,
+    maxlength: [10, 'Grade cannot exceed 10 characters']
+  },
+  // Lowest percentage that earns this grade
+  minPercentage: {
+    type: Number,
+    required: [true, 'Minimum percentage is required'],
+    min: [0, 'Minimum percentage cannot be below 0'],
+    max: [100, 'Minimum percentage cannot exceed 100']
+  },
+  gradePoint: {
+    type: Number,
+    default: null,
+    min: [0, 'Grade point cannot be negative']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description cannot exceed 100 characters']
+  },
+  isPass: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const gradingSchemeSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Scheme name is required'],
+    trim: true,
+    maxlength: [100, 'Scheme name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  bands: {
+    type: [gradeBandSchema],
+    validate: {
+      validator: function(bands) {
+        return bands.length > 0;
+      },
+      message: 'A grading scheme needs at least one band'
+    }
+  },
+  // How a subject mark passes: the exam's passing marks, a fixed percentage, or the band's isPass flag
+  passRule: {
+    type: String,
+    enum: ['exam', 'percentage', 'grade'],
+    default: 'exam'
+  },
+  passPercentage: {
+    type: Number,
+    default: 33,
+    min: [0, 'Pass percentage cannot be below 0'],
+    max: [100, 'Pass percentage cannot exceed 100']
+  },
+  // Overall result: subjects a student may fail and still pass (0 = must pass every subject)
+  maxFailedSubjects: {
+    type: Number,
+    default: 0,
+    min: [0, 'Failed subjects allowed cannot be negative']
+  },
+  absentGrade: {
+    type: String,
+    default: 'Ab',
+    trim: true
+  },
+  // Classes that use this scheme; the school default covers every other class
+  classIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+gradingSchemeSchema.index({ schoolId: 1, name: 1 }, { unique: true });
+gradingSchemeSchema.index({ schoolId: 1, classIds: 1, isActive: 1 });
+
+// Bands are kept highest first, and the lowest must start at 0 so every mark gets a grade
+gradingSchemeSchema.pre('validate', function(next) {
+  if (!this.bands || this.bands.length === 0) return next();
+
+  this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+
+  const grades = this.bands.map(band => band.grade.toUpperCase());
+  if (new Set(grades).size !== grades.length) {
+    this.invalidate('bands', 'Each grade can appear only once in a scheme');
+    return next();
+  }
+  const cutOffs = this.bands.map(band => band.minPercentage);
+  if (new Set(cutOffs).size !== cutOffs.length) {
+    this.invalidate('bands', 'Two bands cannot start at the same percentage');
+    return next();
+  }
+  if (this.bands[this.bands.length - 1].minPercentage !== 0) {
+    this.invalidate('bands', 'The lowest band must start at 0%');
+    return next();
+  }
+
+  next();
+});
+
+// Static method to get the scheme that applies to a class: its own, else the school default, else the built-in scale
+gradingSchemeSchema.statics.resolveForClass = async function(schoolId, classId) {
+  const schemes = await this.find({
+    schoolId,
+    isActive: true,
+    $or: [{ classIds: classId }, { isDefault: true }]
+  }).lean();
+
+  const classScheme = classId && schemes.find(scheme =>
+    scheme.classIds.some(id => id.toString() === classId.toString())
+  );
+  return classScheme || schemes.find(scheme => scheme.isDefault) || DEFAULT_GRADING_SCHEME;
+};
+
+// Static method to grade a percentage on a scheme
+gradingSchemeSchema.statics.gradePercentage = function(scheme, percentage) {
+  const bands = [...scheme.bands].sort((a, b) => b.minPercentage - a.minPercentage);
+  const band = bands.find(entry => percentage >= entry.minPercentage) || bands[bands.length - 1];
+  return {
+    grade: band.grade,
+    gradePoint: band.gradePoint ?? null,
+    isPass: band.isPass !== false
+  };
+};
+
+gradingSchemeSchema.statics.DEFAULT_GRADING_SCHEME = DEFAULT_GRADING_SCHEME;
+
+module.exports = mongoose.model('GradingScheme', gradingSchemeSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One execution of a background job (scheduled or triggered on demand)
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+// Let MongoDB purge run history after 90 days
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to get the most recent runs of a job
+jobRunSchema.statics.getRecentRuns = function(name, limit = 20) {
+  return this.find({ name })
+    .populate('triggeredBy', 'name email')
+    .sort({ startedAt: -1 })
+    .limit(limit);
+};
+
+// Instance method to record the outcome of the run
+jobRunSchema.methods.finish = function(summary, error = null) {
+  this.status = error ? 'failed' : 'succeeded';
+  this.finishedAt = new Date();
+  this.summary = summary;
+  if (error) {
+    this.error = error.message || String(error);
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
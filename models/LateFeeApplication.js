@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Audit trail of late fees added by the late-fee job. Late fees accrue, so a record can
+// get several applications - at most one per day - each adding the increase since the last one.
+const lateFeeApplicationSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetModel'
+  },
+  targetModel: {
+    type: String,
+    required: true,
+    enum: ['FeeCollection', 'Bill']
+  },
+  // Amount added by this application
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  // Late fee owed in total after this application
+  totalApplied: {
+    type: Number,
+    required: true,
+    min: [0, 'Total cannot be negative']
+  },
+  daysLate: {
+    type: Number,
+    required: true,
+    min: [0, 'Days late cannot be negative']
+  },
+  // Snapshot of the rule used, so later edits to the fee structure don't rewrite history
+  rule: {
+    type: {
+      type: String,
+      enum: ['fixed', 'percentage']
+    },
+    value: {
+      type: Number
+    },
+    gracePeriod: {
+      type: Number,
+      default: 0
+    },
+    baseAmount: {
+      type: Number
+    }
+  },
+  // Local date (YYYY-MM-DD) the application is for
+  appliedOn: {
+    type: String,
+    required: true
+  },
+  jobRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRun',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+lateFeeApplicationSchema.index({ targetModel: 1, target: 1, appliedOn: 1 }, { unique: true });
+lateFeeApplicationSchema.index({ school: 1, createdAt: -1 });
+lateFeeApplicationSchema.index({ jobRun: 1 });
+
+// Static method to get the late fee already applied to a record
+lateFeeApplicationSchema.statics.getAppliedTotal = async function(targetModel, target) {
+  const last = await this.findOne({ targetModel, target }).sort({ createdAt: -1 });
+  return last ? last.totalApplied : 0;
+};
+
+module.exports = mongoose.model('LateFeeApplication', lateFeeApplicationSchema);
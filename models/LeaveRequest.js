@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leave application for a student, submitted by the student or a parent and
+// approved or rejected by the class teacher or a school admin
+const leaveRequestSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student ID is required']
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'requestedByModel'
+  },
+  requestedByModel: {
+    type: String,
+    required: true,
+    enum: ['Student', 'Parent']
+  },
+  leaveType: {
+    type: String,
+    enum: ['sick', 'personal', 'family', 'other'],
+    default: 'other'
+  },
+  // Start of the first day and end of the last day of leave
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  days: {
+    type: Number,
+    min: 1
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  document: {
+    name: { type: String },
+    url: { type: String },
+    type: { type: String },
+    size: { type: Number },
+    localPath: { type: String }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // Attendance records marked excused because of this leave
+  excusedAttendanceCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+leaveRequestSchema.index({ school: 1, status: 1 });
+leaveRequestSchema.index({ student: 1, startDate: 1, endDate: 1 });
+leaveRequestSchema.index({ classId: 1, status: 1 });
+
+// Validate the date range and work out the number of days
+leaveRequestSchema.pre('save', function(next) {
+  if (this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+  this.days = Math.floor((this.endDate - this.startDate) / DAY_MS) + 1;
+  next();
+});
+
+// Static method to find the approved leave covering a student on a date. Compares whole local days,
+// as leave bounds are stored: the start and end of their local days.
+leaveRequestSchema.statics.findApprovedLeave = function(studentId, date) {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  return this.findOne({
+    student: studentId,
+    status: 'approved',
+    startDate: { $lte: endOfDay },
+    endDate: { $gte: startOfDay }
+  });
+};
+
+// Static method to find pending or approved requests overlapping a date range
+leaveRequestSchema.statics.findOverlapping = function(studentId, startDate, endDate, excludeId = null) {
+  const query = {
+    student: studentId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.findOne(query);
+};
+
+// Static method to get the students of a class on approved leave on a date
+leaveRequestSchema.statics.getStudentsOnLeave = function(classId, date) {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  return this.find({
+    classId,
+    status: 'approved',
+    startDate: { $lte: endOfDay },
+    endDate: { $gte: startOfDay }
+  })
+  .populate('student', 'name rollNumber')
+  .sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -15,7 +15,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['assignment', 'assignment_submission', 'grade', 'course', 'group', 'achievement', 'general'],
+    enum: ['assignment', 'assignment_submission', 'grade', 'course', 'group', 'achievement', 'fee', 'attendance', 'quiz', 'quiz_submission', 'general'],
     required: [true, 'Notification type is required']
   },
   recipient: {
@@ -25,7 +25,7 @@ const notificationSchema = new mongoose.Schema({
   },
   recipientModel: {
     type: String,
-    enum: ['Student', 'User'],
+    enum: ['Student', 'Parent', 'User'],
     default: 'Student'
   },
   sender: {
@@ -44,7 +44,7 @@ const notificationSchema = new mongoose.Schema({
   },
   relatedType: {
     type: String,
-    enum: ['assignment', 'grade', 'course', 'group', 'achievement'],
+    enum: ['assignment', 'grade', 'course', 'group', 'achievement', 'fee', 'attendance', 'leave', 'substitution', 'quiz'],
     required: false
   },
   isRead: {
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+
+// Tracks a Razorpay checkout started by a parent for a FeeCollection,
+// from order creation until the payment is credited and a receipt is issued.
+const onlineFeePaymentSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student ID is required']
+  },
+  feeCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeCollection',
+    required: [true, 'Fee collection ID is required']
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'paidByModel'
+  },
+  paidByModel: {
+    type: String,
+    required: true,
+    enum: ['Parent', 'Student', 'User']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  razorpayOrderId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  razorpayPaymentId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['created', 'processing', 'paid', 'failed', 'refunded'],
+    default: 'created'
+  },
+  feeReceipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeReceipt',
+    default: null
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  refunds: [{
+    refundId: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund amount cannot be negative']
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+onlineFeePaymentSchema.index({ feeCollection: 1 });
+onlineFeePaymentSchema.index({ student: 1 });
+onlineFeePaymentSchema.index({ status: 1, createdAt: 1 });
+onlineFeePaymentSchema.index({ razorpayPaymentId: 1 });
+
+// Static method to credit a captured payment to its fee collection and issue a receipt.
+// Safe to call more than once for the same order (client verify and webhook can race):
+// only the caller that moves the record out of 'created'/'failed' does the work.
+onlineFeePaymentSchema.statics.completePayment = async function(razorpayOrderId, razorpayPaymentId) {
+  const FeeCollection = mongoose.model('FeeCollection');
+  const FeeReceipt = mongoose.model('FeeReceipt');
+
+  const claimed = await this.findOneAndUpdate(
+    { razorpayOrderId, status: { $in: ['created', 'failed'] } },
+    { status: 'processing', razorpayPaymentId },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Already processed (or being processed) by another request
+    return { payment: await this.findOne({ razorpayOrderId }), alreadyProcessed: true };
+  }
+
+  try {
+    const feeCollection = await FeeCollection.findById(claimed.feeCollection);
+    if (!feeCollection) {
+      throw new Error('Fee collection not found');
+    }
+
+    if (claimed.amount > feeCollection.dueAmount) {
+      console.warn(`⚠️ Online fee payment ${razorpayPaymentId} exceeds due amount ${feeCollection.dueAmount} for collection ${feeCollection._id}`);
+    }
+
+    const paymentDate = new Date();
+    const remarks = `Online payment via Razorpay (order ${razorpayOrderId})`;
+
+    // Each step checks for its own earlier result so a retried completion never double-credits
+    const alreadyCredited = feeCollection.payments.some(payment => payment.transactionId === razorpayPaymentId);
+    if (!alreadyCredited) {
+      await feeCollection.addPayment({
+        amount: claimed.amount,
+        paymentDate,
+        paymentMethod: 'online',
+        transactionId: razorpayPaymentId,
+        remarks
+      });
+    }
+
+    let feeReceipt = await FeeReceipt.findOne({ onlinePayment: claimed._id });
+    if (!feeReceipt) {
+      feeReceipt = await FeeReceipt.create({
+        school: feeCollection.school,
+        student: feeCollection.student,
+        feeCollection: feeCollection._id,
+        feeStructure: feeCollection.feeStructure,
+        academicYear: feeCollection.academicYear,
+        amount: claimed.amount,
+        paymentDate,
+        paymentMethod: 'online',
+        transactionId: razorpayPaymentId,
+        remarks,
+        source: 'online',
+        onlinePayment: claimed._id
+      });
+    }
+
+    claimed.status = 'paid';
+    claimed.feeReceipt = feeReceipt._id;
+    claimed.paidAt = paymentDate;
+    claimed.failureReason = undefined;
+    await claimed.save();
+
+    return { payment: claimed, feeReceipt, feeCollection, alreadyProcessed: false };
+  } catch (error) {
+    // Release the claim so a retry (client or webhook) can finish the job
+    await this.updateOne({ _id: claimed._id }, { status: 'created', failureReason: error.message });
+    throw error;
+  }
+};
+
+// Static method to mark a checkout as failed (no effect once it has been paid)
+onlineFeePaymentSchema.statics.markFailed = function(razorpayOrderId, reason, razorpayPaymentId = null) {
+  const update = { status: 'failed', failureReason: reason };
+  if (razorpayPaymentId) {
+    update.razorpayPaymentId = razorpayPaymentId;
+  }
+  return this.findOneAndUpdate(
+    { razorpayOrderId, status: { $in: ['created', 'failed'] } },
+    update,
+    { new: true }
+  );
+};
+
+// Static method to apply a processed Razorpay refund: takes the amount back off the fee collection
+// and cancels the receipt once the payment is fully refunded. Repeats of the same refund are ignored.
+onlineFeePaymentSchema.statics.recordRefund = async function(razorpayPaymentId, refundId, amount) {
+  const FeeCollection = mongoose.model('FeeCollection');
+  const FeeReceipt = mongoose.model('FeeReceipt');
+
+  const payment = await this.findOneAndUpdate(
+    { razorpayPaymentId, status: { $in: ['paid', 'refunded'] }, 'refunds.refundId': { $ne: refundId } },
+    { $push: { refunds: { refundId, amount } }, $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+
+  if (!payment) {
+    return null;
+  }
+
+  const feeCollection = await FeeCollection.findById(payment.feeCollection);
+  if (feeCollection) {
+    feeCollection.paidAmount = Math.max(0, feeCollection.paidAmount - amount);
+    await feeCollection.save();
+  }
+
+  if (payment.refundedAmount >= payment.amount) {
+    payment.status = 'refunded';
+    await payment.save();
+
+    const feeReceipt = await FeeReceipt.findById(payment.feeReceipt);
+    if (feeReceipt && feeReceipt.status !== 'cancelled') {
+      await feeReceipt.cancelReceipt(`Refunded via Razorpay (refund ${refundId})`, null);
+    }
+  }
+
+  return payment;
+};
+
+module.exports = mongoose.model('OnlineFeePayment', onlineFeePaymentSchema);
@@ -11,9 +11,14 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Course',
     required: false
   },
+  schoolProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchoolProduct',
+    required: false
+  },
   type: {
     type: String,
-    enum: ['product', 'course'],
+    enum: ['product', 'course', 'school_product'],
     required: true,
     default: 'product'
   },
@@ -45,6 +50,69 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: [0, 'Subtotal cannot be negative']
+  },
+  // Set once stock/purchase side effects have been applied for this item
+  fulfilledAt: {
+    type: Date,
+    default: null
+  },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded quantity cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+const orderRefundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // manual: money given back outside Razorpay (orders paid before online checkout), recorded by an admin
+  method: {
+    type: String,
+    enum: ['razorpay', 'manual'],
+    default: 'razorpay'
+  },
+  // Order items (and quantities) this refund covers; empty for amount-only refunds
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    }
+  }],
+  processedAt: {
+    type: Date
+  },
+  // Set once stock and promo code usage have been given back for this refund
+  reversedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -144,7 +212,8 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'cancelled', 'refunded'],
+    // payment_review: paid, but some items couldn't be fulfilled - an admin has to restock or refund them
+    enum: ['pending', 'processing', 'payment_review', 'completed', 'cancelled', 'refunded'],
     default: 'pending',
     required: true
   },
@@ -158,6 +227,25 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Razorpay order created at checkout - lets webhooks and reconciliation find the order
+  razorpayOrderId: {
+    type: String,
+    trim: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
+  paymentFailureReason: {
+    type: String,
+    trim: true
+  },
+  refunds: [orderRefundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
   notes: {
     type: String,
     trim: true,
@@ -185,6 +273,8 @@ orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ razorpayOrderId: 1 }, { unique: true, sparse: true });
+orderSchema.index({ transactionId: 1 });
 
 // Pre-save middleware to generate order number
 orderSchema.pre('save', async function(next) {
@@ -215,6 +305,20 @@ orderSchema.statics.getOrderByNumber = function(orderNumber) {
     .populate('items.courseId', 'name price thumbnail category instructor');
 };
 
+// Static method to find the paid order that grants access to a course (refunded course items don't count)
+orderSchema.statics.findCoursePurchase = function(userId, courseId) {
+  return this.findOne({
+    userId,
+    paymentStatus: 'paid',
+    items: {
+      $elemMatch: {
+        courseId,
+        refundedQuantity: { $not: { $gte: 1 } }
+      }
+    }
+  });
+};
+
 // Instance method to mark as completed
 orderSchema.methods.markAsCompleted = function() {
   this.status = 'completed';
@@ -223,6 +327,235 @@ orderSchema.methods.markAsCompleted = function() {
   return this.save();
 };
 
+// Static method to record a Razorpay checkout as a pending order before the customer pays,
+// so the payment can still be matched if the app never calls back
+orderSchema.statics.createPendingCheckout = function({ user, items, billingAddress, razorpayOrderId, schoolId = null }) {
+  const total = items.reduce((sum, item) => sum + item.subtotal, 0);
+
+  return this.create({
+    userId: user._id,
+    userModel: user.role === 'student' ? 'Student' : user.role === 'parent' ? 'Parent' : 'User',
+    items,
+    billingAddress: billingAddress || {
+      name: user.name || '',
+      email: user.email || ''
+    },
+    paymentMethod: {
+      type: 'razorpay',
+      name: 'Razorpay'
+    },
+    pricing: {
+      subtotal: total,
+      discount: 0,
+      paymentFee: 0,
+      total
+    },
+    status: 'pending',
+    paymentStatus: 'pending',
+    razorpayOrderId,
+    schoolId
+  });
+};
+
+// Static method to mark a Razorpay checkout as paid and fulfil its items.
+// Safe to call more than once for the same order (client verify, webhook and reconciliation can race):
+// only the caller that moves the order out of 'pending' does the work, and each item is fulfilled once.
+orderSchema.statics.completePayment = async function(razorpayOrderId, razorpayPaymentId) {
+  const claimed = await this.findOneAndUpdate(
+    { razorpayOrderId, status: 'pending', paymentStatus: { $in: ['pending', 'failed'] } },
+    { status: 'processing', transactionId: razorpayPaymentId },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Already processed (or being processed) by another request
+    return { order: await this.findOne({ razorpayOrderId }), alreadyProcessed: true };
+  }
+
+  try {
+    let awaitingStock = false;
+
+    for (const item of claimed.items) {
+      if (item.fulfilledAt) continue;
+
+      if (item.type === 'product' && item.productId) {
+        const product = await mongoose.model('Product').findById(item.productId);
+        if (!product || product.stock < item.quantity) {
+          // Payment is taken either way - leave the item for staff to fulfil
+          awaitingStock = true;
+          continue;
+        }
+        await product.recordSale(item.quantity, item.price, claimed.billingAddress?.name || 'Unknown');
+      } else if (item.type === 'school_product' && item.schoolProductId) {
+        const schoolProduct = await mongoose.model('SchoolProduct').findById(item.schoolProductId);
+        const school = await mongoose.model('School').findById(claimed.schoolId);
+        if (!schoolProduct || !school || schoolProduct.stock < item.quantity) {
+          awaitingStock = true;
+          continue;
+        }
+        await schoolProduct.recordPurchase(school._id, school.name, item.quantity, item.price);
+      }
+      // Courses need no fulfilment - a paid order is what grants access
+
+      item.fulfilledAt = new Date();
+    }
+
+    claimed.paymentStatus = 'paid';
+    claimed.paymentFailureReason = undefined;
+    if (awaitingStock) {
+      claimed.status = 'payment_review';
+      claimed.notes = 'Payment received but some items are out of stock';
+    } else {
+      claimed.status = 'completed';
+      claimed.completedAt = new Date();
+    }
+    await claimed.save();
+
+    if (awaitingStock) {
+      await notifyPaymentReview(claimed);
+    }
+
+    return { order: claimed, alreadyProcessed: false };
+  } catch (error) {
+    // Release the claim so a retry (client, webhook or reconciliation) can finish the job
+    await this.updateOne({ _id: claimed._id }, { status: 'pending' });
+    throw error;
+  }
+};
+
+// Email the platform admins about a paid order that is waiting for stock or a refund.
+// A failed email mustn't undo the payment, so errors are only logged.
+const notifyPaymentReview = async (order) => {
+  try {
+    const { sendEmail } = require('../utils/messaging');
+    const admins = await mongoose.model('User').getAdmins().select('email');
+    const unfulfilled = order.items.filter(item => !item.fulfilledAt).map(item => `${item.name} x${item.quantity}`);
+
+    await Promise.all(admins.map(admin => sendEmail(
+      admin.email,
+      `Order ${order.orderNumber} needs review`,
+      `Order ${order.orderNumber} was paid (${order.transactionId}) but these items are out of stock: ` +
+        `${unfulfilled.join(', ')}. Restock and fulfil them or refund the order.`,
+      { type: 'order_payment_review', orderId: order._id.toString() }
+    )));
+  } catch (error) {
+    console.error(`Could not notify admins about order ${order.orderNumber}:`, error.message);
+  }
+};
+
+// Static method to record a failed payment attempt on a pending checkout
+orderSchema.statics.markPaymentFailed = function(razorpayOrderId, reason, razorpayPaymentId = null) {
+  const update = { paymentStatus: 'failed', paymentFailureReason: reason };
+  if (razorpayPaymentId) {
+    update.transactionId = razorpayPaymentId;
+  }
+  return this.findOneAndUpdate(
+    { razorpayOrderId, status: 'pending', paymentStatus: { $in: ['pending', 'failed'] } },
+    update,
+    { new: true }
+  );
+};
+
+// Instance method to record (or update) a refund - keyed by Razorpay refund ID so repeats are ignored.
+// items lists the order items being returned; a refund that brings the order to fully refunded
+// also covers every item not returned yet.
+orderSchema.methods.recordRefund = async function({
+  refundId,
+  amount,
+  status = 'pending',
+  reason,
+  initiatedBy,
+  items = [],
+  method = 'razorpay'
+}) {
+  let refund = this.refunds.find(r => r.refundId === refundId);
+
+  if (!refund) {
+    this.refunds.push({ refundId, amount, status, reason, initiatedBy, items, method });
+    refund = this.refunds[this.refunds.length - 1];
+
+    refund.items.forEach(refundItem => {
+      const item = this.items.id(refundItem.itemId);
+      if (item) {
+        item.refundedQuantity = Math.min(item.quantity, (item.refundedQuantity || 0) + refundItem.quantity);
+      }
+    });
+  } else if (refund.status !== 'processed') {
+    refund.status = status;
+  }
+
+  if (refund.status === 'processed' && !refund.processedAt) {
+    refund.processedAt = new Date();
+  }
+
+  // Only refunds Razorpay hasn't rejected count towards the refunded amount
+  this.refundedAmount = this.refunds
+    .filter(r => r.status !== 'failed')
+    .reduce((sum, r) => sum + r.amount, 0);
+
+  // An order waiting for stock is settled once every item it couldn't fulfil has been refunded
+  if (this.status === 'payment_review' && refund.status !== 'failed' &&
+    this.items.every(item => item.fulfilledAt || (item.refundedQuantity || 0) >= item.quantity)) {
+    this.status = 'completed';
+    this.completedAt = this.completedAt || new Date();
+  }
+
+  if (this.refundedAmount >= this.pricing.total && refund.status !== 'failed') {
+    this.status = 'refunded';
+    this.paymentStatus = 'refunded';
+
+    this.items.forEach(item => {
+      const remaining = item.quantity - (item.refundedQuantity || 0);
+      if (remaining > 0) {
+        refund.items.push({ itemId: item._id, quantity: remaining });
+        item.refundedQuantity = item.quantity;
+      }
+    });
+  }
+
+  await this.save();
+
+  if (refund.status !== 'failed') {
+    await this.reverseRefundedItems(refund);
+  }
+
+  return this;
+};
+
+// Instance method to put returned products back in stock and, once the order is fully refunded,
+// give back its promo code usage. Each refund is reversed only once.
+orderSchema.methods.reverseRefundedItems = async function(refund) {
+  if (refund.reversedAt) {
+    return this;
+  }
+
+  const Product = mongoose.model('Product');
+  const PromoCode = mongoose.model('PromoCode');
+
+  for (const refundItem of refund.items) {
+    const item = this.items.id(refundItem.itemId);
+    if (!item || item.type !== 'product' || !item.productId) continue;
+
+    // Checkout orders only take stock when an item is fulfilled; older orders always took it up front
+    if (this.razorpayOrderId && !item.fulfilledAt) continue;
+
+    const product = await Product.findById(item.productId);
+    if (product) {
+      await product.returnStock(refundItem.quantity, `Refund ${this.orderNumber}`);
+    }
+  }
+
+  if (this.paymentStatus === 'refunded' && this.promoCode?.code) {
+    const promoCode = await PromoCode.findOne({ code: this.promoCode.code });
+    if (promoCode) {
+      await promoCode.releaseUsage(this._id);
+    }
+  }
+
+  refund.reversedAt = new Date();
+  return this.save();
+};
+
 // Instance method to cancel order
 orderSchema.methods.cancelOrder = function(reason) {
   this.status = 'cancelled';
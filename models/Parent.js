@@ -125,6 +125,14 @@ const parentSchema = new mongoose.Schema({
     }
   },
   
+  // Notification Preferences
+  notificationPreferences: {
+    absenceAlerts: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
   // Authentication & Security
   isActive: {
     type: Boolean,
@@ -142,6 +150,14 @@ const parentSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   
   // Additional Information
   avatar: {
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const passwordResetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'userModel'
+  },
+  userModel: {
+    type: String,
+    required: true,
+    enum: ['User', 'Student', 'Parent']
+  },
+  // SHA-256 hash of the reset token or code (the raw value is only ever sent to the user)
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    default: 'email'
+  },
+  sentTo: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  requestedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient lookups
+passwordResetSchema.index({ tokenHash: 1 });
+passwordResetSchema.index({ userId: 1, userModel: 1, usedAt: 1 });
+passwordResetSchema.index({ sentTo: 1, channel: 1 });
+// Let MongoDB purge reset requests a day after they expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Maximum wrong guesses allowed against a numeric SMS code
+passwordResetSchema.statics.MAX_ATTEMPTS = 5;
+
+// Static method to hash a raw token
+passwordResetSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method to create a reset request, invalidating older unused ones for the account.
+// Email gets a long link token, SMS a 6-digit code.
+passwordResetSchema.statics.createForAccount = async function(userId, userModel, channel, sentTo, requestedIp = null) {
+  await this.updateMany(
+    { userId, userModel, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = channel === 'sms'
+    ? crypto.randomInt(0, 1000000).toString().padStart(6, '0')
+    : crypto.randomBytes(32).toString('hex');
+  const expiryMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  const reset = await this.create({
+    userId,
+    userModel,
+    tokenHash: this.hashToken(token),
+    channel,
+    sentTo,
+    expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
+    requestedIp
+  });
+
+  return { reset, token };
+};
+
+// Static method to find a usable reset request by raw token.
+// Email link tokens are looked up directly. SMS codes are short, so they must be paired with
+// the phone number they were sent to, and every wrong guess counts against MAX_ATTEMPTS.
+passwordResetSchema.statics.findValid = async function(token, sentTo = null) {
+  const tokenHash = this.hashToken(token);
+  const baseQuery = {
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: this.MAX_ATTEMPTS }
+  };
+
+  if (!sentTo) {
+    return this.findOne({ ...baseQuery, tokenHash, channel: 'email' });
+  }
+
+  const pending = await this.find({ ...baseQuery, sentTo, channel: 'sms' }).select('+tokenHash');
+  const match = pending.find(reset => reset.tokenHash === tokenHash);
+
+  if (!match && pending.length > 0) {
+    await this.updateMany(
+      { _id: { $in: pending.map(reset => reset._id) } },
+      { $inc: { attempts: 1 } }
+    );
+  }
+
+  return match || null;
+};
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
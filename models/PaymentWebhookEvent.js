@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Log of Razorpay webhook deliveries, used to skip events that were already handled
+const paymentWebhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true,
+    trim: true
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required'],
+    trim: true
+  },
+  razorpayOrderId: {
+    type: String,
+    trim: true
+  },
+  razorpayPaymentId: {
+    type: String,
+    trim: true
+  },
+  razorpayRefundId: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  result: {
+    type: String,
+    trim: true
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+paymentWebhookEventSchema.index({ event: 1, createdAt: -1 });
+paymentWebhookEventSchema.index({ razorpayOrderId: 1 });
+paymentWebhookEventSchema.index({ status: 1 });
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
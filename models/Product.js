@@ -329,6 +329,18 @@ productSchema.methods.recordSale = function(quantity, price, customer = 'Unknown
   return this.save();
 };
 
+// Instance method to put returned units back in stock (e.g. after a refund)
+productSchema.methods.returnStock = function(quantity, reference = 'Return') {
+  this.stock += quantity;
+  this.restockHistory.push({
+    date: new Date(),
+    quantity: quantity,
+    supplier: reference
+  });
+
+  return this.save();
+};
+
 // Instance method to check if reorder is needed
 productSchema.methods.needsReorder = function() {
   return this.stock <= this.reorderPoint;
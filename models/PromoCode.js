@@ -229,4 +229,19 @@ promoCodeSchema.methods.recordUsage = function(userId, orderId, productId, origi
   return this.save();
 };
 
+// Method to give back the usage recorded for an order (e.g. after a full refund)
+promoCodeSchema.methods.releaseUsage = function(orderId) {
+  const remaining = this.usageHistory.filter(usage => usage.orderId.toString() !== orderId.toString());
+  const released = this.usageHistory.length - remaining.length;
+
+  if (released === 0) {
+    return Promise.resolve(this);
+  }
+
+  this.usageHistory = remaining;
+  this.usedCount = Math.max(0, this.usedCount - released);
+
+  return this.save();
+};
+
 module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 
+// Question types graded on submission; essays wait in the manual-grading queue
+const QUESTION_TYPES = [
+  'multiple-choice',
+  'true-false',
+  'short-answer',
+  'multi-select',
+  'numeric',
+  'fill-in-blanks',
+  'matching',
+  'ordering',
+  'essay'
+];
+const MANUAL_TYPES = ['essay'];
+
+// Answers that arrive this long after an attempt's deadline still count (network delay)
+const SUBMIT_GRACE_MS = 30 * 1000;
+// Integrity events kept per attempt; later ones are only counted
+const MAX_INTEGRITY_EVENTS = 200;
+const INTEGRITY_EVENT_TYPES = [
+  'tab-hidden',
+  'tab-visible',
+  'window-blur',
+  'window-focus',
+  'app-background',
+  'app-foreground',
+  'fullscreen-exit',
+  'copy',
+  'paste',
+  'other'
+];
+
 const questionSchema = new mongoose.Schema({
   questionText: {
     type: String,
@@ -9,7 +40,7 @@ const questionSchema = new mongoose.Schema({
   },
   questionType: {
     type: String,
-    enum: ['multiple-choice', 'true-false', 'short-answer'],
+    enum: QUESTION_TYPES,
     default: 'multiple-choice'
   },
   options: [{
@@ -26,6 +57,58 @@ const questionSchema = new mongoose.Schema({
     type: String, // For short-answer questions
     trim: true
   },
+  // Other answers a short-answer question accepts
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  // Regular expression a short answer may match instead (tested against the whole answer)
+  answerPattern: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Answer pattern cannot exceed 200 characters']
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // For numeric questions: answers within tolerance of numericAnswer are correct
+  numericAnswer: {
+    type: Number
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tolerance cannot be negative']
+  },
+  // For fill-in-blanks questions, in the order the blanks appear in the question text
+  blanks: [{
+    acceptedAnswers: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  // For matching questions
+  pairs: [{
+    left: {
+      type: String,
+      trim: true
+    },
+    right: {
+      type: String,
+      trim: true
+    }
+  }],
+  // For ordering questions, the items in their correct order
+  sequence: [{
+    type: String,
+    trim: true
+  }],
+  // Multi-select, blanks, matching and ordering earn a share of the marks for a partly right answer
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
   marks: {
     type: Number,
     required: [true, 'Question marks are required'],
@@ -35,9 +118,173 @@ const questionSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [500, 'Explanation cannot exceed 500 characters']
+  },
+  // Question bank entry this question was copied from
+  bankQuestionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankQuestion'
   }
 });
 
+const hasDuplicates = (values) => new Set(values.map(value => value.toLowerCase())).size !== values.length;
+
+// Each question type needs its own kind of answer key
+questionSchema.pre('validate', function(next) {
+  switch (this.questionType) {
+    case 'short-answer':
+      if (this.answerPattern) {
+        try {
+          new RegExp(this.answerPattern);
+        } catch (error) {
+          this.invalidate('answerPattern', 'Answer pattern is not a valid regular expression');
+        }
+      }
+      break;
+    case 'multi-select':
+      if (!this.options.some(option => option.isCorrect)) {
+        this.invalidate('options', 'Multi-select questions need at least one correct option');
+      }
+      break;
+    case 'numeric':
+      if (typeof this.numericAnswer !== 'number') {
+        this.invalidate('numericAnswer', 'Numeric questions need a numeric answer');
+      }
+      break;
+    case 'fill-in-blanks':
+      if (this.blanks.length === 0 || this.blanks.some(blank => blank.acceptedAnswers.length === 0)) {
+        this.invalidate('blanks', 'Every blank needs at least one accepted answer');
+      }
+      break;
+    case 'matching':
+      if (this.pairs.length < 2 || this.pairs.some(pair => !pair.left || !pair.right)) {
+        this.invalidate('pairs', 'Matching questions need at least two complete pairs');
+      } else if (hasDuplicates(this.pairs.map(pair => pair.left))) {
+        this.invalidate('pairs', 'Matching items must be unique');
+      }
+      break;
+    case 'ordering':
+      if (this.sequence.length < 2) {
+        this.invalidate('sequence', 'Ordering questions need at least two items');
+      } else if (hasDuplicates(this.sequence)) {
+        this.invalidate('sequence', 'Ordering items must be unique');
+      }
+      break;
+    default:
+      break;
+  }
+  next();
+});
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value === null || value === undefined ? '' : value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+// Share of the marks for `right` of `total` parts, or all-or-nothing when partial credit is off
+const creditFor = (question, right, total) => {
+  if (total === 0) return 0;
+  const share = question.partialCredit ? Math.max(0, right) / total : (right === total ? 1 : 0);
+  return roundMarks(question.marks * share);
+};
+
+const matchesShortAnswer = (question, answer) => {
+  const given = normalizeText(answer, question.caseSensitive);
+  if (!given) return false;
+
+  const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])]
+    .filter(Boolean)
+    .map(text => normalizeText(text, question.caseSensitive));
+  if (accepted.includes(given)) return true;
+
+  if (!question.answerPattern) return false;
+  try {
+    return new RegExp(`^(?:${question.answerPattern})$`, question.caseSensitive ? '' : 'i')
+      .test(String(answer).trim());
+  } catch (error) {
+    return false;
+  }
+};
+
+// Grade one answer; returns marksAwarded, isCorrect and whether a teacher still has to grade it
+const gradeAnswer = (question, answer) => {
+  let marksAwarded = 0;
+
+  switch (question.questionType) {
+    case 'multiple-choice':
+    case 'true-false': {
+      const selectedOption = question.options.find(opt => opt.text === answer);
+      marksAwarded = selectedOption && selectedOption.isCorrect ? question.marks : 0;
+      break;
+    }
+    case 'short-answer':
+      marksAwarded = matchesShortAnswer(question, answer) ? question.marks : 0;
+      break;
+    case 'multi-select': {
+      // Each wrong pick cancels a right one
+      const selected = new Set(asList(answer).map(String));
+      const correct = question.options.filter(opt => opt.isCorrect);
+      const rightPicks = correct.filter(opt => selected.has(opt.text)).length;
+      const wrongPicks = question.options.filter(opt => !opt.isCorrect && selected.has(opt.text)).length;
+      marksAwarded = question.partialCredit
+        ? creditFor(question, rightPicks - wrongPicks, correct.length)
+        : creditFor(question, wrongPicks === 0 ? rightPicks : 0, correct.length);
+      break;
+    }
+    case 'numeric': {
+      const value = typeof answer === 'string' && answer.trim() === '' ? NaN : Number(answer);
+      const withinTolerance = Number.isFinite(value) &&
+        Math.abs(value - question.numericAnswer) <= (question.tolerance || 0) + 1e-9;
+      marksAwarded = withinTolerance ? question.marks : 0;
+      break;
+    }
+    case 'fill-in-blanks': {
+      const given = asList(answer);
+      const right = question.blanks.filter((blank, index) => blank.acceptedAnswers
+        .some(accepted => normalizeText(accepted, question.caseSensitive) === normalizeText(given[index], question.caseSensitive))
+      ).length;
+      marksAwarded = creditFor(question, right, question.blanks.length);
+      break;
+    }
+    case 'matching': {
+      // Answer is a list of { left, right } pairs
+      const given = new Map(asList(answer)
+        .filter(pair => pair && typeof pair === 'object')
+        .map(pair => [normalizeText(pair.left), normalizeText(pair.right)]));
+      const right = question.pairs.filter(pair => given.get(normalizeText(pair.left)) === normalizeText(pair.right)).length;
+      marksAwarded = creditFor(question, right, question.pairs.length);
+      break;
+    }
+    case 'ordering': {
+      const given = asList(answer).map(item => normalizeText(item));
+      const right = question.sequence.filter((item, index) => given[index] === normalizeText(item)).length;
+      marksAwarded = creditFor(question, right, question.sequence.length);
+      break;
+    }
+    default:
+      break;
+  }
+
+  const needsReview = MANUAL_TYPES.includes(question.questionType);
+  return {
+    isCorrect: !needsReview && question.marks > 0 && marksAwarded === question.marks,
+    marksAwarded: needsReview ? 0 : marksAwarded,
+    needsReview
+  };
+};
+
 const quizSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -112,6 +359,24 @@ const quizSchema = new mongoose.Schema({
     type: Boolean,
     default: true // Show correct answers after submission
   },
+  // Each student gets their own paper drawn by paperRules from the questions;
+  // questions no rule covers are on every paper
+  randomizePerStudent: {
+    type: Boolean,
+    default: false
+  },
+  paperRules: [{
+    count: {
+      type: Number,
+      required: true,
+      min: [1, 'A rule must draw at least one question']
+    },
+    difficulty: String,
+    chapterId: mongoose.Schema.Types.ObjectId,
+    skill: String,
+    // The questions this rule draws from
+    questionIds: [mongoose.Schema.Types.ObjectId]
+  }],
   status: {
     type: String,
     enum: ['draft', 'active', 'completed', 'cancelled'],
@@ -122,12 +387,25 @@ const quizSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Student'
     },
+    // The student's own paper when questions are randomized per student
+    questionIds: [mongoose.Schema.Types.ObjectId],
+    maxMarks: {
+      type: Number,
+      default: 0
+    },
+    // Results have been added to the question bank's statistics
+    statsRecorded: {
+      type: Boolean,
+      default: false
+    },
     answers: [{
       questionId: {
         type: mongoose.Schema.Types.ObjectId
       },
+      // Option text for multiple-choice, a list of option texts for multi-select, a list of blank answers,
+      // a list of { left, right } pairs for matching, the items in order for ordering, otherwise the text typed
       selectedAnswer: {
-        type: String // For multiple-choice: option text, for short-answer: student's answer
+        type: mongoose.Schema.Types.Mixed
       },
       isCorrect: {
         type: Boolean,
@@ -136,14 +414,66 @@ const quizSchema = new mongoose.Schema({
       marksAwarded: {
         type: Number,
         default: 0
+      },
+      // Waiting for a teacher to grade it
+      needsReview: {
+        type: Boolean,
+        default: false
+      },
+      feedback: {
+        type: String,
+        trim: true
+      },
+      gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      gradedAt: {
+        type: Date
       }
     }],
     startedAt: {
       type: Date
     },
+    // When the attempt's time runs out: the duration from startedAt, no later than endDate unless late
+    // submission is allowed. Attempts still in progress after it are submitted with their saved answers.
+    deadline: {
+      type: Date
+    },
+    lastSavedAt: {
+      type: Date
+    },
     submittedAt: {
       type: Date
     },
+    autoSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    // Reported by the student's app (tab switches, app sent to the background, ...)
+    integrityEvents: [{
+      type: {
+        type: String,
+        enum: INTEGRITY_EVENT_TYPES,
+        default: 'other'
+      },
+      occurredAt: {
+        type: Date
+      },
+      receivedAt: {
+        type: Date,
+        default: Date.now
+      },
+      details: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Event details cannot exceed 200 characters']
+      }
+    }],
+    integrityEventCount: {
+      type: Number,
+      default: 0
+    },
     totalMarks: {
       type: Number,
       default: 0
@@ -160,14 +490,26 @@ const quizSchema = new mongoose.Schema({
       type: Number, // Time taken in minutes
       default: 0
     },
+    // 'submitted' while answers wait in the manual-grading queue
     status: {
       type: String,
       enum: ['in-progress', 'submitted', 'late', 'graded'],
       default: 'in-progress'
     },
+    isLate: {
+      type: Boolean,
+      default: false
+    },
     feedback: {
       type: String,
       trim: true
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    gradedAt: {
+      type: Date
     }
   }],
   createdBy: {
@@ -190,6 +532,8 @@ quizSchema.index({ schoolId: 1, classId: 1 });
 quizSchema.index({ teacherId: 1, startDate: 1 });
 quizSchema.index({ classId: 1, status: 1 });
 quizSchema.index({ startDate: 1, endDate: 1 });
+quizSchema.index({ schoolId: 1, 'submissions.answers.needsReview': 1 });
+quizSchema.index({ 'submissions.status': 1, 'submissions.deadline': 1 });
 
 // Virtual for submission count
 quizSchema.virtual('submissionCount').get(function() {
@@ -205,10 +549,22 @@ quizSchema.virtual('averageScore').get(function() {
   return (totalScore / completedSubmissions.length).toFixed(2);
 });
 
-// Pre-save middleware to calculate total marks
+// Pre-save middleware to calculate total marks (for randomized papers, what an average paper is worth)
 quizSchema.pre('save', function(next) {
   if (this.questions && this.questions.length > 0) {
-    this.totalMarks = this.questions.reduce((sum, question) => sum + question.marks, 0);
+    if (this.randomizePerStudent && this.paperRules.length > 0) {
+      const drawn = new Set(this.paperRules.flatMap(rule => rule.questionIds.map(String)));
+      const fixedMarks = this.questions
+        .filter(question => !drawn.has(question._id.toString()))
+        .reduce((sum, question) => sum + question.marks, 0);
+      const ruleMarks = this.paperRules.reduce((sum, rule) => {
+        const marks = rule.questionIds.map(id => this.questions.id(id)).filter(Boolean).map(question => question.marks);
+        return marks.length ? sum + rule.count * (marks.reduce((a, b) => a + b, 0) / marks.length) : sum;
+      }, 0);
+      this.totalMarks = roundMarks(fixedMarks + ruleMarks);
+    } else {
+      this.totalMarks = this.questions.reduce((sum, question) => sum + question.marks, 0);
+    }
   }
   next();
 });
@@ -283,89 +639,299 @@ quizSchema.methods.startQuiz = async function(studentId) {
     throw new Error('Quiz has ended');
   }
   
-  // Create new submission
+  // Create new submission (pushed on its own, so a class starting together doesn't collide)
+  const questionIds = this.randomizePerStudent ? this.drawPaper() : [];
+  let deadline = new Date(now.getTime() + this.duration * 60 * 1000);
+  if (!this.allowLateSubmission && deadline > this.endDate) deadline = this.endDate;
+
   this.submissions.push({
     studentId,
+    deadline,
+    questionIds,
+    maxMarks: questionIds.length
+      ? roundMarks(questionIds.reduce((sum, id) => sum + this.questions.id(id).marks, 0))
+      : this.totalMarks,
     startedAt: now,
     status: 'in-progress',
     answers: []
   });
-  
-  return this.save();
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'submissions.studentId': { $ne: studentId } },
+    { $push: { submissions: this.submissions[this.submissions.length - 1].toObject({ virtuals: false }) } }
+  );
+  if (result.matchedCount === 0) {
+    throw new Error('Quiz already started or submitted');
+  }
+
+  return this;
 };
 
-// Instance method to submit quiz
-quizSchema.methods.submitQuiz = async function(studentId, answers) {
-  const submission = this.submissions.find(
-    s => s.studentId.toString() === studentId.toString()
+// Write to one attempt in place. Saving the whole quiz is versioned, so students working on the
+// same quiz at once would fail each other's saves; by default only a running attempt is matched.
+const updateAttempt = async (quiz, submission, update, match = { status: 'in-progress' }) => {
+  const result = await quiz.constructor.updateOne(
+    { _id: quiz._id, submissions: { $elemMatch: { _id: submission._id, ...match } } },
+    update
   );
-  
+  if (result.matchedCount === 0) {
+    throw new Error(match.status === 'in-progress' ? 'Quiz already submitted' : 'Submission not found');
+  }
+  return quiz;
+};
+
+// $set for the given fields of an attempt, taken from the in-memory submission (unset fields are left alone)
+const attemptFields = (submission, fields) => fields.reduce((set, field) => {
+  const value = submission[field];
+  if (value !== undefined) {
+    set[`submissions.$.${field}`] = value && typeof value.toObject === 'function' ? value.toObject({ virtuals: false }) : value;
+  }
+  return set;
+}, {});
+
+// A student's attempt that is still running
+const findRunningAttempt = (quiz, studentId) => {
+  const submission = quiz.getStudentSubmission(studentId);
+
   if (!submission) {
     throw new Error('Quiz not started. Please start the quiz first.');
   }
-  
+
   if (submission.status !== 'in-progress') {
     throw new Error('Quiz already submitted');
   }
+
+  return submission;
+};
+
+// Instance method to get when an attempt's time runs out (attempts started before deadlines were stored get theirs worked out)
+quizSchema.methods.getDeadline = function(submission) {
+  if (submission.deadline) return submission.deadline;
+
+  const deadline = new Date(submission.startedAt.getTime() + this.duration * 60 * 1000);
+  return !this.allowLateSubmission && deadline > this.endDate ? this.endDate : deadline;
+};
+
+// Instance method to check whether an attempt's time (plus the grace period) is up
+quizSchema.methods.isExpired = function(submission, now = new Date()) {
+  return now.getTime() > this.getDeadline(submission).getTime() + SUBMIT_GRACE_MS;
+};
+
+// Instance method to keep answers on the student's paper, one per question; earlier lists win
+quizSchema.methods.mergeAnswers = function(submission, ...answerLists) {
+  const onPaper = new Set(this.getPaperQuestions(submission).map(question => question._id.toString()));
+  const answered = new Set();
+
+  return answerLists.flat().filter(answer => {
+    if (!answer || answer.selectedAnswer === undefined) return false;
+    const key = String(answer.questionId);
+    if (!onPaper.has(key) || answered.has(key)) return false;
+    answered.add(key);
+    return true;
+  }).map(answer => ({ questionId: answer.questionId, selectedAnswer: answer.selectedAnswer }));
+};
+
+// Instance method to autosave answers of a running attempt (merged with what was saved before)
+quizSchema.methods.saveAnswers = async function(studentId, answers) {
+  const submission = findRunningAttempt(this, studentId);
+
+  if (this.isExpired(submission)) {
+    throw new Error('Quiz time is over');
+  }
+
+  submission.answers = this.mergeAnswers(submission, answers, submission.answers);
+  submission.lastSavedAt = new Date();
+  return updateAttempt(this, submission, { $set: attemptFields(submission, ['answers', 'lastSavedAt']) });
+};
+
+// Instance method to log integrity events the student's app reports (accepted until the attempt's deadline)
+quizSchema.methods.logIntegrityEvents = async function(studentId, events) {
+  const submission = this.getStudentSubmission(studentId);
+
+  if (!submission) {
+    throw new Error('Quiz not started. Please start the quiz first.');
+  }
+
+  if (this.isExpired(submission)) {
+    throw new Error('Quiz time is over');
+  }
+
+  const now = new Date();
+  const logged = events.map(event => {
+    const type = INTEGRITY_EVENT_TYPES.includes(event.type) ? event.type : 'other';
+    const occurredAt = event.occurredAt && !isNaN(new Date(event.occurredAt)) ? new Date(event.occurredAt) : now;
+    const details = [type === 'other' && event.type, event.details].filter(Boolean).join(': ');
+    return {
+      type,
+      occurredAt,
+      receivedAt: now,
+      details: details ? String(details).slice(0, 200) : undefined
+    };
+  });
+
+  // Events past the cap are only counted ($slice keeps the first ones)
+  await updateAttempt(this, submission, {
+    $push: { 'submissions.$.integrityEvents': { $each: logged, $slice: MAX_INTEGRITY_EVENTS } },
+    $inc: { 'submissions.$.integrityEventCount': logged.length }
+  }, {});
+
+  logged.slice(0, Math.max(0, MAX_INTEGRITY_EVENTS - submission.integrityEvents.length))
+    .forEach(event => submission.integrityEvents.push(event));
+  submission.integrityEventCount += logged.length;
+  return this;
+};
+
+// Instance method to submit quiz. answers are merged with the autosaved ones; once the attempt's time
+// is up only the autosaved answers count and the attempt is recorded as submitted at its deadline.
+quizSchema.methods.submitQuiz = async function(studentId, answers, { auto = false } = {}) {
+  const submission = findRunningAttempt(this, studentId);
   
   const now = new Date();
-  const timeTaken = Math.round((now - submission.startedAt) / (1000 * 60)); // in minutes
+  const expired = this.isExpired(submission, now);
+  const submittedAt = expired ? this.getDeadline(submission) : now;
+  const timeTaken = Math.round((submittedAt - submission.startedAt) / (1000 * 60)); // in minutes
   
   // Check if submission is late
-  const isLate = now > this.endDate;
-  
-  // Grade the quiz automatically
-  let totalMarksObtained = 0;
+  const isLate = submittedAt > this.endDate;
   
-  submission.answers = answers.map(answer => {
-    const question = this.questions.id(answer.questionId);
-    if (!question) {
-      return {
-        questionId: answer.questionId,
-        selectedAnswer: answer.selectedAnswer,
-        isCorrect: false,
-        marksAwarded: 0
-      };
-    }
-    
-    let isCorrect = false;
-    let marksAwarded = 0;
-    
-    if (question.questionType === 'multiple-choice' || question.questionType === 'true-false') {
-      // Find the correct option
-      const selectedOption = question.options.find(opt => opt.text === answer.selectedAnswer);
-      isCorrect = selectedOption ? selectedOption.isCorrect : false;
-      marksAwarded = isCorrect ? question.marks : 0;
-    } else if (question.questionType === 'short-answer') {
-      // For short-answer, exact match (case-insensitive)
-      isCorrect = answer.selectedAnswer.toLowerCase().trim() === question.correctAnswer.toLowerCase().trim();
-      marksAwarded = isCorrect ? question.marks : 0;
-    }
-    
-    totalMarksObtained += marksAwarded;
-    
-    return {
-      questionId: answer.questionId,
-      selectedAnswer: answer.selectedAnswer,
-      isCorrect,
-      marksAwarded
-    };
+  const countedAnswers = this.mergeAnswers(submission, expired ? [] : answers || [], submission.answers);
+
+  // Grade the quiz automatically; essay answers wait for the teacher
+  submission.answers = countedAnswers.map(answer => ({
+    questionId: answer.questionId,
+    selectedAnswer: answer.selectedAnswer,
+    ...gradeAnswer(this.questions.id(answer.questionId), answer.selectedAnswer)
+  }));
+
+  submission.submittedAt = submittedAt;
+  submission.timeTaken = timeTaken;
+  submission.isLate = isLate;
+  submission.autoSubmitted = auto || expired;
+  this.scoreSubmission(submission);
+
+  if (submission.answers.some(answer => answer.needsReview)) {
+    submission.status = 'submitted';
+  } else {
+    submission.status = isLate ? 'late' : 'graded';
+  }
+
+  // Only the first submit of a running attempt counts (the student and the auto-submit job may race)
+  return updateAttempt(this, submission, {
+    $set: attemptFields(submission, [
+      'answers',
+      'submittedAt',
+      'timeTaken',
+      'isLate',
+      'autoSubmitted',
+      'totalMarks',
+      'percentage',
+      'passed',
+      'status'
+    ])
   });
-  
-  submission.submittedAt = now;
+};
+
+// Instance method to draw a student's paper: every question no rule covers, plus each rule's count
+// picked at random from its questions. Returns question ids in quiz order (shuffled if shuffleQuestions).
+quizSchema.methods.drawPaper = function() {
+  const drawn = new Set(this.paperRules.flatMap(rule => rule.questionIds.map(String)));
+  const picked = new Set(
+    this.questions.filter(question => !drawn.has(question._id.toString())).map(question => question._id.toString())
+  );
+
+  this.paperRules.forEach(rule => {
+    const pool = rule.questionIds.map(String).filter(id => this.questions.id(id));
+    shuffle(pool).slice(0, rule.count).forEach(id => picked.add(id));
+  });
+
+  const paper = this.questions.filter(question => picked.has(question._id.toString())).map(question => question._id);
+  return this.shuffleQuestions ? shuffle(paper) : paper;
+};
+
+// Instance method to get the questions on a submission's paper (all questions unless randomized per student)
+quizSchema.methods.getPaperQuestions = function(submission) {
+  if (!submission || !submission.questionIds || submission.questionIds.length === 0) {
+    return this.questions;
+  }
+  return submission.questionIds.map(id => this.questions.id(id)).filter(Boolean);
+};
+
+// Instance method to total a submission's marks
+quizSchema.methods.scoreSubmission = function(submission) {
+  const totalMarksObtained = roundMarks(
+    submission.answers.reduce((sum, answer) => sum + (answer.marksAwarded || 0), 0)
+  );
   submission.totalMarks = totalMarksObtained;
-  submission.percentage = (totalMarksObtained / this.totalMarks) * 100;
+  const maxMarks = submission.maxMarks || this.totalMarks;
+  submission.percentage = maxMarks > 0 ? (totalMarksObtained / maxMarks) * 100 : 0;
   submission.passed = totalMarksObtained >= this.passingMarks;
-  submission.timeTaken = timeTaken;
-  submission.status = isLate ? 'late' : 'graded';
-  
-  return this.save();
+  return submission;
+};
+
+// Instance method to grade answers by hand (the manual-grading queue, or overriding an automatic grade).
+// grades: [{ questionId, marksAwarded, feedback }]. The submission is graded once nothing waits for review.
+quizSchema.methods.gradeSubmission = async function(submissionId, grades, gradedBy, feedback) {
+  const submission = this.submissions.id(submissionId);
+  if (!submission) {
+    throw new Error('Submission not found');
+  }
+
+  if (submission.status === 'in-progress') {
+    throw new Error('Quiz has not been submitted yet');
+  }
+
+  const now = new Date();
+  grades.forEach(grade => {
+    const question = this.questions.id(grade.questionId);
+    const answer = submission.answers.find(
+      a => a.questionId && a.questionId.toString() === String(grade.questionId)
+    );
+    if (!question || !answer) {
+      throw new Error(`No answer to question ${grade.questionId} in this submission`);
+    }
+
+    const marks = Number(grade.marksAwarded);
+    if (!Number.isFinite(marks) || marks < 0 || marks > question.marks) {
+      throw new Error(`Marks for "${question.questionText}" must be between 0 and ${question.marks}`);
+    }
+
+    answer.marksAwarded = roundMarks(marks);
+    answer.isCorrect = question.marks > 0 && answer.marksAwarded === question.marks;
+    answer.needsReview = false;
+    if (grade.feedback !== undefined) answer.feedback = grade.feedback;
+    answer.gradedBy = gradedBy;
+    answer.gradedAt = now;
+  });
+
+  if (feedback !== undefined) submission.feedback = feedback;
+  this.scoreSubmission(submission);
+
+  if (!submission.answers.some(answer => answer.needsReview)) {
+    submission.status = 'graded';
+    submission.gradedBy = gradedBy;
+    submission.gradedAt = now;
+  }
+
+  return updateAttempt(this, submission, {
+    $set: attemptFields(submission, [
+      'answers',
+      'feedback',
+      'totalMarks',
+      'percentage',
+      'passed',
+      'status',
+      'gradedBy',
+      'gradedAt'
+    ])
+  }, { status: { $ne: 'in-progress' } });
 };
 
 // Instance method to get student's submission
 quizSchema.methods.getStudentSubmission = function(studentId) {
+  const id = (studentId._id || studentId).toString();
+  // studentId may be populated
   return this.submissions.find(
-    s => s.studentId.toString() === studentId.toString()
+    s => (s.studentId._id || s.studentId).toString() === id
   );
 };
 
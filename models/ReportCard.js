@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const resultSchema = {
+  percentage: { type: Number, default: null },
+  grade: { type: String, default: null },
+  gradePoint: { type: Number, default: null }
+};
+
+// One student's report card for a term (or "Annual") of a report card template.
+// Generated as a draft, completed with remarks by teachers, then published to parents.
+const reportCardSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+    index: true
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportCardTemplate',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  academicYear: {
+    type: String,
+    required: true
+  },
+  // Term name from the template, or "Annual"
+  term: {
+    type: String,
+    required: true
+  },
+  gradingScheme: {
+    type: String,
+    default: null
+  },
+  subjects: [{
+    _id: false,
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    },
+    name: String,
+    // Exam-type averages (term cards) or term results (annual cards) that make up the subject result
+    components: [{
+      _id: false,
+      label: String,
+      weight: Number,
+      percentage: Number,
+      exams: Number
+    }],
+    ...resultSchema,
+    isPassed: { type: Boolean, default: true }
+  }],
+  overall: {
+    ...resultSchema,
+    failedSubjects: { type: Number, default: 0 },
+    result: {
+      type: String,
+      enum: ['pass', 'fail'],
+      default: null
+    }
+  },
+  attendance: {
+    total: { type: Number, default: 0 },
+    present: { type: Number, default: 0 },
+    excused: { type: Number, default: 0 },
+    percentage: { type: Number, default: null }
+  },
+  coScholastic: [{
+    _id: false,
+    area: { type: String, required: true, trim: true },
+    grade: { type: String, trim: true, maxlength: 10 },
+    remarks: { type: String, trim: true, maxlength: 300 }
+  }],
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Remarks cannot exceed 1000 characters']
+  },
+  rank: {
+    type: Number,
+    default: null
+  },
+  classSize: {
+    type: Number,
+    default: null
+  },
+  promotionStatus: {
+    type: String,
+    enum: ['promoted', 'detained', 'pending'],
+    default: 'pending'
+  },
+  // Set when a school admin overrides the computed promotion status
+  promotionOverridden: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportCardSchema.index({ templateId: 1, studentId: 1, term: 1 }, { unique: true });
+reportCardSchema.index({ schoolId: 1, classId: 1, templateId: 1, term: 1 });
+reportCardSchema.index({ studentId: 1, status: 1 });
+
+// Static method to get a student's published report cards, newest first
+reportCardSchema.statics.getPublishedForStudent = function(studentId) {
+  return this.find({ studentId, status: 'published' })
+    .populate('templateId', 'name academicYear')
+    .populate('classId', 'name section')
+    .sort({ academicYear: -1, publishedAt: -1 });
+};
+
+module.exports = mongoose.model('ReportCard', reportCardSchema);
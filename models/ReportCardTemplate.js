@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const EXAM_TYPES = ['Mid Term', 'Final Term', 'Unit Test', 'Quiz', 'Monthly Test', 'Other'];
+
+// How a school's report cards are put together for an academic year: which exam types count and by
+// how much, the terms, the co-scholastic areas teachers grade, and the promotion rules.
+const reportCardTemplateSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  academicYear: {
+    type: String,
+    required: true,
+    default: '2024-2025'
+  },
+  // Relative weights; exam types without exams in a term are left out and the rest rescaled
+  examTypeWeights: {
+    type: [{
+      _id: false,
+      examType: {
+        type: String,
+        enum: EXAM_TYPES,
+        required: true
+      },
+      weight: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Weight must be positive']
+      }
+    }],
+    default: [
+      { examType: 'Unit Test', weight: 20 },
+      { examType: 'Mid Term', weight: 30 },
+      { examType: 'Final Term', weight: 50 }
+    ]
+  },
+  // Exams count towards the term their exam date falls in; weight is the term's share of the annual result
+  terms: [{
+    _id: false,
+    name: {
+      type: String,
+      required: [true, 'Term name is required'],
+      trim: true
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Term start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Term end date is required']
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: [0.01, 'Weight must be positive']
+    }
+  }],
+  coScholasticAreas: {
+    type: [String],
+    default: ['Work Education', 'Art Education', 'Health & Physical Education', 'Discipline']
+  },
+  promotion: {
+    // Leave empty to promote on the grading scheme's pass rule alone
+    minAttendancePercentage: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100
+    },
+    minOverallPercentage: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100
+    }
+  },
+  // Classes the template is for (empty = every class)
+  classIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reportCardTemplateSchema.index({ schoolId: 1, academicYear: 1, name: 1 }, { unique: true });
+
+reportCardTemplateSchema.pre('validate', function(next) {
+  if (!this.terms || this.terms.length === 0) {
+    this.invalidate('terms', 'A template needs at least one term');
+    return next();
+  }
+
+  const names = this.terms.map(term => term.name.toLowerCase());
+  if (names.includes('annual')) {
+    this.invalidate('terms', '"Annual" is reserved for the whole-year result');
+  } else if (new Set(names).size !== names.length) {
+    this.invalidate('terms', 'Term names must be unique');
+  } else if (this.terms.some(term => term.startDate > term.endDate)) {
+    this.invalidate('terms', 'Term start date must be before its end date');
+  }
+
+  const examTypes = this.examTypeWeights.map(entry => entry.examType);
+  if (examTypes.length === 0) {
+    this.invalidate('examTypeWeights', 'At least one exam type must count towards the result');
+  } else if (new Set(examTypes).size !== examTypes.length) {
+    this.invalidate('examTypeWeights', 'Each exam type can be weighted only once');
+  }
+
+  next();
+});
+
+// Static method to check whether a template covers a class
+reportCardTemplateSchema.statics.appliesToClass = function(template, classId) {
+  return template.classIds.length === 0 || template.classIds.some(id => id.toString() === classId.toString());
+};
+
+reportCardTemplateSchema.statics.EXAM_TYPES = EXAM_TYPES;
+
+module.exports = mongoose.model('ReportCardTemplate', reportCardTemplateSchema);
@@ -64,8 +64,19 @@ const salarySchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: [0, 'Other deduction cannot be negative']
+    },
+    // Unpaid leave and unapproved absences (see lossOfPayDays)
+    lossOfPay: {
+      type: Number,
+      default: 0,
+      min: [0, 'Loss of pay deduction cannot be negative']
     }
   },
+  lossOfPayDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Loss of pay days cannot be negative']
+  },
   month: {
     type: Number,
     required: [true, 'Month is required'],
@@ -127,7 +138,8 @@ salarySchema.virtual('totalDeductions').get(function() {
     (this.deductions.tax || 0) +
     (this.deductions.insurance || 0) +
     (this.deductions.loan || 0) +
-    (this.deductions.other || 0)
+    (this.deductions.other || 0) +
+    (this.deductions.lossOfPay || 0)
   );
 });
 
@@ -190,7 +202,8 @@ salarySchema.statics.getSchoolStats = async function(schoolId, month = null, yea
               { $ifNull: ['$deductions.tax', 0] },
               { $ifNull: ['$deductions.insurance', 0] },
               { $ifNull: ['$deductions.loan', 0] },
-              { $ifNull: ['$deductions.other', 0] }
+              { $ifNull: ['$deductions.other', 0] },
+              { $ifNull: ['$deductions.lossOfPay', 0] }
             ]
           }
         },
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toMinutes } = require('../utils/timezone');
 
 const scheduleSchema = new mongoose.Schema({
   schoolId: {
@@ -116,10 +117,10 @@ scheduleSchema.index({ schoolId: 1, academicYear: 1 });
 scheduleSchema.index({ schoolId: 1, teacherId: 1, classId: 1, dayOfWeek: 1, startTime: 1 }, { unique: true });
 
 // Static method to get schedule by school
-scheduleSchema.statics.getScheduleBySchool = function(schoolId, academicYear = '2024-2025') {
+scheduleSchema.statics.getScheduleBySchool = function(schoolId, academicYear = null) {
   return this.find({ 
     schoolId, 
-    academicYear,
+    ...(academicYear && { academicYear }),
     status: 'active' 
   })
   .populate('teacherId', 'name email')
@@ -129,10 +130,10 @@ scheduleSchema.statics.getScheduleBySchool = function(schoolId, academicYear = '
 };
 
 // Static method to get schedule by teacher
-scheduleSchema.statics.getScheduleByTeacher = function(teacherId, academicYear = '2024-2025') {
+scheduleSchema.statics.getScheduleByTeacher = function(teacherId, academicYear = null) {
   return this.find({ 
     teacherId, 
-    academicYear,
+    ...(academicYear && { academicYear }),
     status: 'active' 
   })
   .populate('classId', 'name section room')
@@ -141,10 +142,10 @@ scheduleSchema.statics.getScheduleByTeacher = function(teacherId, academicYear =
 };
 
 // Static method to get schedule by class
-scheduleSchema.statics.getScheduleByClass = function(classId, academicYear = '2024-2025') {
+scheduleSchema.statics.getScheduleByClass = function(classId, academicYear = null) {
   return this.find({ 
     classId, 
-    academicYear,
+    ...(academicYear && { academicYear }),
     status: 'active' 
   })
   .populate('teacherId', 'name email')
@@ -153,10 +154,10 @@ scheduleSchema.statics.getScheduleByClass = function(classId, academicYear = '20
 };
 
 // Static method to get weekly schedule
-scheduleSchema.statics.getWeeklySchedule = function(schoolId, academicYear = '2024-2025') {
+scheduleSchema.statics.getWeeklySchedule = function(schoolId, academicYear = null) {
   return this.find({ 
     schoolId, 
-    academicYear,
+    ...(academicYear && { academicYear }),
     status: 'active' 
   })
   .populate('teacherId', 'name email')
@@ -165,6 +166,57 @@ scheduleSchema.statics.getWeeklySchedule = function(schoolId, academicYear = '20
   .sort({ dayOfWeek: 1, startTime: 1 });
 };
 
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Static method to find active schedules overlapping a time slot for the same teacher, class or room.
+// Semester 1 and 2 timetables don't clash with each other, but both clash with the annual one.
+scheduleSchema.statics.findConflicts = async function({
+  schoolId,
+  academicYear = '2024-2025',
+  semester = 'Annual',
+  dayOfWeek,
+  startTime,
+  endTime,
+  teacherId,
+  classId,
+  room,
+  excludeId = null
+}) {
+  const roomName = (room || '').trim();
+  const participants = [{ teacherId }, { classId }];
+  if (roomName) {
+    participants.push({ room: { $regex: `^\\s*${escapeRegex(roomName)}\\s*$`, $options: 'i' } });
+  }
+
+  const query = {
+    schoolId,
+    academicYear,
+    dayOfWeek,
+    status: 'active',
+    $or: participants
+  };
+  if (semester !== 'Annual') query.semester = { $in: [semester, 'Annual'] };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const schedules = await this.find(query)
+    .populate('teacherId', 'name email')
+    .populate('classId', 'name section')
+    .populate('subjectId', 'name code');
+
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+
+  return schedules
+    .filter(schedule => toMinutes(schedule.startTime) < end && toMinutes(schedule.endTime) > start)
+    .map(schedule => {
+      const types = [];
+      if (schedule.teacherId?._id.toString() === teacherId.toString()) types.push('teacher');
+      if (schedule.classId?._id.toString() === classId.toString()) types.push('class');
+      if (roomName && (schedule.room || '').trim().toLowerCase() === roomName.toLowerCase()) types.push('room');
+      return { types, schedule };
+    });
+};
+
 // Pre-save middleware to set dayOfWeek from date and validate time conflicts
 scheduleSchema.pre('save', async function(next) {
   // Set dayOfWeek from date if not provided
@@ -162,6 +162,97 @@ const schoolSchema = new mongoose.Schema({
     academicYear: {
       type: String,
       default: new Date().getFullYear().toString()
+    },
+    // Alerts to parents when their child is marked absent or late
+    attendanceAlerts: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      statuses: {
+        type: [{
+          type: String,
+          enum: ['absent', 'late']
+        }],
+        default: ['absent', 'late']
+      },
+      // Push notifications are held back between these times (HH:mm, school timezone)
+      quietHoursStart: {
+        type: String,
+        default: null,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be in HH:mm format']
+      },
+      quietHoursEnd: {
+        type: String,
+        default: null,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be in HH:mm format']
+      }
+    },
+    // Early-warning thresholds for attendance analytics
+    attendanceAnalytics: {
+      lowAttendanceThreshold: {
+        type: Number,
+        default: 75,
+        min: [0, 'Threshold cannot be below 0%'],
+        max: [100, 'Threshold cannot exceed 100%']
+      },
+      absenceStreakDays: {
+        type: Number,
+        default: 3,
+        min: [2, 'Absence streak must be at least 2 days']
+      }
+    },
+    // Teacher self check-in: shift timings (HH:mm, school timezone) and the campus geofence
+    teacherAttendance: {
+      selfCheckInEnabled: {
+        type: Boolean,
+        default: true
+      },
+      shiftStart: {
+        type: String,
+        default: '09:00',
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Shift start must be in HH:mm format']
+      },
+      shiftEnd: {
+        type: String,
+        default: '16:00',
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Shift end must be in HH:mm format']
+      },
+      // Checking in up to this many minutes after shift start is still on time
+      graceMinutes: {
+        type: Number,
+        default: 10,
+        min: [0, 'Grace period cannot be negative']
+      },
+      // Checking in this late, or checking out this early, counts as a half day
+      halfDayAfterMinutes: {
+        type: Number,
+        default: 120,
+        min: [1, 'Half-day cut-off must be at least 1 minute']
+      },
+      geofence: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        latitude: {
+          type: Number,
+          min: [-90, 'Latitude must be between -90 and 90'],
+          max: [90, 'Latitude must be between -90 and 90'],
+          default: null
+        },
+        longitude: {
+          type: Number,
+          min: [-180, 'Longitude must be between -180 and 180'],
+          max: [180, 'Longitude must be between -180 and 180'],
+          default: null
+        },
+        radiusMeters: {
+          type: Number,
+          default: 200,
+          min: [10, 'Geofence radius must be at least 10 metres']
+        }
+      }
     }
   },
   createdBy: {
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'userModel'
+  },
+  userModel: {
+    type: String,
+    required: true,
+    enum: ['User', 'Student', 'Parent']
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  // SHA-256 hash of the current refresh token (the raw token is never stored)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token that was rotated out last, used to detect refresh token reuse
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Device name cannot exceed 200 characters'],
+    default: null
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web', 'unknown'],
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'replaced', 'token_reuse', 'password_change', 'password_reset', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient lookups
+sessionSchema.index({ userId: 1, userModel: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Let MongoDB purge sessions 30 days after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Virtual for active status
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to hash a raw refresh token
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new raw refresh token
+sessionSchema.statics.generateRefreshToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Static method to get active sessions for a user
+sessionSchema.statics.getActiveSessions = function(userId, userModel) {
+  return this.find({
+    userId,
+    userModel,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all sessions for a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = function(userId, userModel, reason = 'logout_all', exceptSessionId = null) {
+  const query = { userId, userModel, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Instance method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Transform function to remove sensitive data
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.refreshTokenHash;
+  delete sessionObject.previousRefreshTokenHash;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
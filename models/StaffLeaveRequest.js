@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Leave application by a teacher, approved or rejected by a school admin.
+// Approved days are written to TeacherAttendance; days beyond the balance are loss of pay.
+const staffLeaveRequestSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher is required']
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffLeaveType',
+    required: [true, 'Leave type is required']
+  },
+  // Calendar year the leave counts against
+  year: {
+    type: Number,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  halfDay: {
+    type: Boolean,
+    default: false
+  },
+  // Working days requested (weekly off days excluded; 0.5 for a half day)
+  days: {
+    type: Number,
+    required: true,
+    min: [0.5, 'Leave must cover at least half a day']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  document: {
+    name: { type: String },
+    url: { type: String },
+    type: { type: String },
+    size: { type: Number },
+    localPath: { type: String }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  // Split worked out on approval
+  paidDays: {
+    type: Number,
+    default: 0
+  },
+  lossOfPayDays: {
+    type: Number,
+    default: 0
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+staffLeaveRequestSchema.index({ school: 1, status: 1 });
+staffLeaveRequestSchema.index({ teacher: 1, year: 1, status: 1 });
+staffLeaveRequestSchema.index({ teacher: 1, startDate: 1, endDate: 1 });
+
+// Static method to get paid days already taken (approved) per leave type in a year
+staffLeaveRequestSchema.statics.getUsedDays = async function(teacherId, year) {
+  const used = await this.aggregate([
+    {
+      $match: {
+        teacher: new mongoose.Types.ObjectId(teacherId),
+        year,
+        status: 'approved'
+      }
+    },
+    {
+      $group: {
+        _id: '$leaveType',
+        paidDays: { $sum: '$paidDays' },
+        lossOfPayDays: { $sum: '$lossOfPayDays' }
+      }
+    }
+  ]);
+
+  return new Map(used.map(entry => [entry._id.toString(), entry]));
+};
+
+// Static method to find pending or approved requests overlapping a date range
+staffLeaveRequestSchema.statics.findOverlapping = function(teacherId, startDate, endDate) {
+  return this.findOne({
+    teacher: teacherId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  });
+};
+
+module.exports = mongoose.model('StaffLeaveRequest', staffLeaveRequestSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Default leave types created for a school the first time its leave types are used
+const DEFAULT_LEAVE_TYPES = [
+  { name: 'Casual Leave', code: 'CL', yearlyQuota: 12, isPaid: true, allowHalfDay: true },
+  { name: 'Sick Leave', code: 'SL', yearlyQuota: 10, isPaid: true, allowHalfDay: true },
+  { name: 'Earned Leave', code: 'EL', yearlyQuota: 15, isPaid: true, carryForward: true, maxCarryForward: 30 },
+  { name: 'Leave Without Pay', code: 'LWP', yearlyQuota: 0, isPaid: false, allowHalfDay: true }
+];
+
+const staffLeaveTypeSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Leave type name is required'],
+    trim: true,
+    maxlength: [50, 'Leave type name cannot exceed 50 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Leave type code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Leave type code cannot exceed 10 characters']
+  },
+  // Days allowed per calendar year
+  yearlyQuota: {
+    type: Number,
+    required: true,
+    min: [0, 'Quota cannot be negative'],
+    default: 0
+  },
+  // Unpaid leave types always count as loss of pay
+  isPaid: {
+    type: Boolean,
+    default: true
+  },
+  allowHalfDay: {
+    type: Boolean,
+    default: false
+  },
+  // Unused days carried into the next year, up to maxCarryForward
+  carryForward: {
+    type: Boolean,
+    default: false
+  },
+  maxCarryForward: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+staffLeaveTypeSchema.index({ school: 1, code: 1 }, { unique: true });
+
+// Static method to get a school's leave types, creating the defaults if it has none
+staffLeaveTypeSchema.statics.getSchoolLeaveTypes = async function(schoolId, { includeInactive = false } = {}) {
+  const count = await this.countDocuments({ school: schoolId });
+  if (count === 0) {
+    try {
+      await this.insertMany(DEFAULT_LEAVE_TYPES.map(type => ({ ...type, school: schoolId })), { ordered: false });
+    } catch (error) {
+      // Another request created them first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const query = { school: schoolId };
+  if (!includeInactive) query.isActive = true;
+  return this.find(query).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('StaffLeaveType', staffLeaveTypeSchema);
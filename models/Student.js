@@ -124,6 +124,14 @@ const studentSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   
   // Additional Information
   avatar: {
@@ -64,6 +64,39 @@ const studentTransportSchema = new mongoose.Schema({
   lastPaymentDate: {
     type: Date
   },
+  payments: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Payment amount cannot be negative']
+    },
+    paymentDate: {
+      type: Date,
+      required: true
+    },
+    // Month the payment is for, as YYYY-MM
+    month: {
+      type: String,
+      match: [/^\d{4}-\d{2}$/, 'Month must be in YYYY-MM format']
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'cheque', 'online', 'card', 'bank_transfer'],
+      default: 'cash'
+    },
+    transactionId: {
+      type: String,
+      trim: true
+    },
+    remarks: {
+      type: String,
+      trim: true
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   
   // Additional Information
   parentContact: {
@@ -169,6 +202,24 @@ studentTransportSchema.methods.addAttendance = function(date, status, pickupTime
   return this.save();
 };
 
+// Method to record a monthly fee payment
+studentTransportSchema.methods.recordPayment = function(paymentData) {
+  const paymentDate = paymentData.paymentDate ? new Date(paymentData.paymentDate) : new Date();
+  const month = paymentData.month ||
+    `${paymentDate.getFullYear()}-${String(paymentDate.getMonth() + 1).padStart(2, '0')}`;
+
+  this.payments.push({ ...paymentData, paymentDate, month });
+  if (!this.lastPaymentDate || paymentDate > this.lastPaymentDate) {
+    this.lastPaymentDate = paymentDate;
+  }
+
+  const now = new Date();
+  if (month === `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`) {
+    this.feeStatus = 'paid';
+  }
+  return this.save();
+};
+
 // Check if student transport is active
 studentTransportSchema.methods.isActive = function() {
   if (this.endDate) {
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// A substitute teacher covering one timetable period on a specific day,
+// usually because the regular teacher is absent or on leave.
+const substitutionSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+    index: true
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    required: [true, 'Schedule is required']
+  },
+  // Day being covered, stored at local midnight
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  dayOfWeek: {
+    type: String,
+    enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    required: true
+  },
+  // Copied from the schedule so the day's cover can be checked without joining it
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  originalTeacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  substituteTeacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Substitute teacher is required']
+  },
+  reason: {
+    type: String,
+    enum: ['absent', 'leave', 'other'],
+    default: 'absent'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'cancelled'],
+    default: 'assigned'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One substitution record per period per day; reassigning updates it
+substitutionSchema.index({ scheduleId: 1, date: 1 }, { unique: true });
+substitutionSchema.index({ schoolId: 1, date: 1, status: 1 });
+substitutionSchema.index({ substituteTeacherId: 1, date: 1 });
+substitutionSchema.index({ classId: 1, date: 1 });
+
+// Static method to get active substitutions in a date range (end exclusive)
+substitutionSchema.statics.getActiveInRange = function(filter, startDate, endDate) {
+  return this.find({
+    ...filter,
+    date: { $gte: startDate, $lt: endDate },
+    status: 'assigned'
+  })
+  .populate('substituteTeacherId', 'name email')
+  .populate('originalTeacherId', 'name email')
+  .populate('classId', 'name section')
+  .populate('subjectId', 'name code')
+  .sort({ date: 1, startTime: 1 });
+};
+
+module.exports = mongoose.model('Substitution', substitutionSchema);
@@ -50,6 +50,45 @@ const teacherAttendanceSchema = new mongoose.Schema({
     required: true,
     default: '2024-2025'
   },
+  // How the record was made: marked by an admin or a teacher's own check-in
+  source: {
+    type: String,
+    enum: ['admin', 'self', 'leave'],
+    default: 'admin'
+  },
+  checkInLocation: {
+    latitude: { type: Number },
+    longitude: { type: Number },
+    accuracy: { type: Number },
+    distanceMeters: { type: Number }
+  },
+  checkOutLocation: {
+    latitude: { type: Number },
+    longitude: { type: Number },
+    accuracy: { type: Number },
+    distanceMeters: { type: Number }
+  },
+  // Minutes after shift start (self check-in only)
+  lateByMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Set on days covered by an approved staff leave request
+  leaveRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffLeaveRequest',
+    default: null
+  },
+  // Unpaid leave day (deducted in payroll)
+  lossOfPay: {
+    type: Boolean,
+    default: false
+  },
+  // Status the day had before the leave was applied, restored if the leave is cancelled
+  statusBeforeLeave: {
+    type: String,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -64,14 +103,14 @@ teacherAttendanceSchema.index({ schoolId: 1, date: 1 });
 teacherAttendanceSchema.index({ teacherId: 1, academicYear: 1, status: 1 });
 
 // Static method to get teacher attendance by date range
-teacherAttendanceSchema.statics.getTeacherAttendanceByDateRange = function(schoolId, startDate, endDate, academicYear = '2024-2025') {
+teacherAttendanceSchema.statics.getTeacherAttendanceByDateRange = function(schoolId, startDate, endDate, academicYear = null) {
   return this.find({
     schoolId,
     date: {
       $gte: new Date(startDate),
       $lte: new Date(endDate)
     },
-    academicYear,
+    ...(academicYear && { academicYear }),
     isActive: true
   })
   .populate('teacherId', 'name email subjects')
@@ -80,12 +119,12 @@ teacherAttendanceSchema.statics.getTeacherAttendanceByDateRange = function(schoo
 };
 
 // Static method to get teacher attendance statistics
-teacherAttendanceSchema.statics.getTeacherAttendanceStats = function(teacherId, academicYear = '2024-2025') {
+teacherAttendanceSchema.statics.getTeacherAttendanceStats = function(teacherId, academicYear = null) {
   return this.aggregate([
     {
       $match: {
         teacherId: new mongoose.Types.ObjectId(teacherId),
-        academicYear,
+        ...(academicYear && { academicYear }),
         isActive: true
       }
     },
@@ -99,7 +138,7 @@ teacherAttendanceSchema.statics.getTeacherAttendanceStats = function(teacherId,
 };
 
 // Static method to get all teachers attendance for a specific date
-teacherAttendanceSchema.statics.getTeachersAttendanceByDate = function(schoolId, date, academicYear = '2024-2025') {
+teacherAttendanceSchema.statics.getTeachersAttendanceByDate = function(schoolId, date, academicYear = null) {
   const startOfDay = new Date(date);
   startOfDay.setHours(0, 0, 0, 0);
   
@@ -112,7 +151,7 @@ teacherAttendanceSchema.statics.getTeachersAttendanceByDate = function(schoolId,
       $gte: startOfDay,
       $lte: endOfDay
     },
-    academicYear,
+    ...(academicYear && { academicYear }),
     isActive: true
   })
   .populate('teacherId', 'name email subjects')
@@ -121,12 +160,12 @@ teacherAttendanceSchema.statics.getTeachersAttendanceByDate = function(schoolId,
 };
 
 // Static method to get school-wide teacher attendance statistics
-teacherAttendanceSchema.statics.getSchoolTeacherAttendanceStats = function(schoolId, academicYear = '2024-2025') {
+teacherAttendanceSchema.statics.getSchoolTeacherAttendanceStats = function(schoolId, academicYear = null) {
   return this.aggregate([
     {
       $match: {
         schoolId: new mongoose.Types.ObjectId(schoolId),
-        academicYear,
+        ...(academicYear && { academicYear }),
         isActive: true
       }
     },
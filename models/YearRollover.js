@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const objectIdList = [{ type: mongoose.Schema.Types.ObjectId }];
+
+// Record of one academic year rollover: every class, subject, fee structure and schedule it created,
+// every student it moved and everything it changed, so the rollover can be reviewed and undone.
+const yearRolloverSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+    index: true
+  },
+  fromYear: {
+    type: String,
+    required: [true, 'The year being closed is required'],
+    trim: true
+  },
+  toYear: {
+    type: String,
+    required: [true, 'The new academic year is required'],
+    trim: true
+  },
+  // in_progress while running; a failed rollover keeps what it did so far and can still be undone
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'failed', 'undone'],
+    default: 'in_progress'
+  },
+  classes: [{
+    _id: false,
+    fromClassId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    toClassId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    // New-year class the class's students are promoted into (null for a final-year class)
+    nextClassId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', default: null },
+    name: String,
+    section: String,
+    // created: cloned by this rollover; reused: the class already existed in the new year
+    action: { type: String, enum: ['created', 'reused'] },
+    previousStatus: String
+  }],
+  created: {
+    classes: objectIdList,
+    subjects: objectIdList,
+    feeStructures: objectIdList,
+    schedules: objectIdList
+  },
+  students: [{
+    _id: false,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    name: String,
+    action: { type: String, enum: ['promote', 'retain', 'graduate'] },
+    reason: String,
+    fromClassId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    toClassId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', default: null },
+    fromStatus: String,
+    toStatus: String,
+    fromAcademicYear: String
+  }],
+  previousSchoolYear: {
+    type: String,
+    default: null
+  },
+  summary: {
+    classesCreated: { type: Number, default: 0 },
+    classesReused: { type: Number, default: 0 },
+    subjects: { type: Number, default: 0 },
+    feeStructures: { type: Number, default: 0 },
+    schedules: { type: Number, default: 0 },
+    promoted: { type: Number, default: 0 },
+    retained: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  undoneAt: {
+    type: Date,
+    default: null
+  },
+  // Students left as they were on undo because they had been changed again since the rollover
+  undoSkipped: [{
+    _id: false,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    name: String,
+    reason: String
+  }]
+}, {
+  timestamps: true
+});
+
+yearRolloverSchema.index({ schoolId: 1, createdAt: -1 });
+
+// Static method to get the rollover that closed a year, if it still stands
+yearRolloverSchema.statics.findActiveForYear = function(schoolId, fromYear) {
+  return this.findOne({ schoolId, fromYear, status: { $in: ['in_progress', 'completed', 'failed'] } });
+};
+
+module.exports = mongoose.model('YearRollover', yearRolloverSchema);
@@ -0,0 +1,59 @@
+const express = require('express');
+const {
+  getAcademicYears,
+  getCurrentAcademicYear,
+  createAcademicYear,
+  updateAcademicYear,
+  setCurrentAcademicYear,
+  lockAcademicYear,
+  unlockAcademicYear,
+  deleteAcademicYear
+} = require('../controllers/academicYearController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/academic-years
+// @desc    Get the school's academic years
+// @access  Private
+router.get('/', getAcademicYears);
+
+// @route   GET /api/academic-years/current
+// @desc    Get the current academic year and term
+// @access  Private
+router.get('/current', getCurrentAcademicYear);
+
+// @route   POST /api/academic-years
+// @desc    Create academic year
+// @access  Private (School Admin)
+router.post('/', authorize('school_admin'), createAcademicYear);
+
+// @route   PUT /api/academic-years/:id
+// @desc    Update academic year
+// @access  Private (School Admin)
+router.put('/:id', authorize('school_admin'), updateAcademicYear);
+
+// @route   PUT /api/academic-years/:id/current
+// @desc    Make an academic year the current one
+// @access  Private (School Admin)
+router.put('/:id/current', authorize('school_admin'), setCurrentAcademicYear);
+
+// @route   PUT /api/academic-years/:id/lock
+// @desc    Lock a past academic year
+// @access  Private (School Admin)
+router.put('/:id/lock', authorize('school_admin'), lockAcademicYear);
+
+// @route   PUT /api/academic-years/:id/unlock
+// @desc    Unlock an academic year
+// @access  Private (School Admin)
+router.put('/:id/unlock', authorize('school_admin'), unlockAcademicYear);
+
+// @route   DELETE /api/academic-years/:id
+// @desc    Delete academic year
+// @access  Private (School Admin)
+router.delete('/:id', authorize('school_admin'), deleteAcademicYear);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext, refuseLockedYear, fromBody, fromBodyRecords, fromRecord } = require('../middleware/academicYear');
+const Attendance = require('../models/Attendance');
 const {
   markAttendance,
   markBulkAttendance,
@@ -8,14 +10,21 @@ const {
   getStudentAttendanceStats,
   getClassAttendanceStats,
   updateAttendance,
-  deleteAttendance
+  deleteAttendance,
+  getAlertSettings,
+  updateAlertSettings,
+  getAnalytics,
+  getStudentAnalytics,
+  getAnalyticsSettings,
+  updateAnalyticsSettings
 } = require('../controllers/attendanceController');
 const { body } = require('express-validator');
 
 const router = express.Router();
 
-// Apply authentication to all routes
+// Apply authentication to all routes; reads default to the current academic year
 router.use(protect);
+router.use(academicYearContext);
 
 // Validation middleware
 const attendanceValidation = [
@@ -40,12 +49,12 @@ const bulkAttendanceValidation = [
 // @route   POST /api/attendance
 // @desc    Mark attendance for a single student
 // @access  Private (Teacher, School Admin)
-router.post('/', authorize('teacher', 'school_admin'), attendanceValidation, markAttendance);
+router.post('/', authorize('teacher', 'school_admin'), attendanceValidation, refuseLockedYear(fromBody), markAttendance);
 
 // @route   POST /api/attendance/bulk
 // @desc    Mark attendance for multiple students
 // @access  Private (Teacher, School Admin)
-router.post('/bulk', authorize('teacher', 'school_admin'), bulkAttendanceValidation, markBulkAttendance);
+router.post('/bulk', authorize('teacher', 'school_admin'), bulkAttendanceValidation, refuseLockedYear(fromBodyRecords('attendanceRecords')), markBulkAttendance);
 
 // @route   GET /api/attendance
 // @desc    Get attendance for a class and date
@@ -57,6 +66,36 @@ router.get('/', authorize('teacher', 'school_admin'), getAttendance);
 // @access  Private (Teacher, School Admin)
 router.get('/class-date', authorize('teacher', 'school_admin'), getClassDateAttendance);
 
+// @route   GET /api/attendance/alert-settings
+// @desc    Get absence alert settings
+// @access  Private (School Admin)
+router.get('/alert-settings', authorize('school_admin'), getAlertSettings);
+
+// @route   PUT /api/attendance/alert-settings
+// @desc    Update absence alert settings and quiet hours
+// @access  Private (School Admin)
+router.put('/alert-settings', authorize('school_admin'), updateAlertSettings);
+
+// @route   GET /api/attendance/analytics-settings
+// @desc    Get low-attendance threshold and absence streak settings
+// @access  Private (School Admin)
+router.get('/analytics-settings', authorize('school_admin'), getAnalyticsSettings);
+
+// @route   PUT /api/attendance/analytics-settings
+// @desc    Update low-attendance threshold and absence streak settings
+// @access  Private (School Admin)
+router.put('/analytics-settings', authorize('school_admin'), updateAnalyticsSettings);
+
+// @route   GET /api/attendance/analytics
+// @desc    Get attendance early-warning analytics with class and school rollups (?format=csv to export)
+// @access  Private (Teacher for a class, School Admin)
+router.get('/analytics', authorize('teacher', 'school_admin'), getAnalytics);
+
+// @route   GET /api/attendance/analytics/student/:studentId
+// @desc    Get attendance trend analytics for a student
+// @access  Private (Teacher, School Admin, Parent)
+router.get('/analytics/student/:studentId', authorize('teacher', 'school_admin', 'parent'), getStudentAnalytics);
+
 // @route   GET /api/attendance/student/:studentId
 // @desc    Get attendance statistics for a student
 // @access  Private (Teacher, School Admin, Parent)
@@ -70,11 +109,11 @@ router.get('/class/:classId', authorize('teacher', 'school_admin'), getClassAtte
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance record
 // @access  Private (Teacher, School Admin)
-router.put('/:id', authorize('teacher', 'school_admin'), updateAttendance);
+router.put('/:id', authorize('teacher', 'school_admin'), refuseLockedYear(fromRecord(Attendance)), updateAttendance);
 
 // @route   DELETE /api/attendance/:id
 // @desc    Delete attendance record
 // @access  Private (School Admin)
-router.delete('/:id', authorize('school_admin'), deleteAttendance);
+router.delete('/:id', authorize('school_admin'), refuseLockedYear(fromRecord(Attendance)), deleteAttendance);
 
 module.exports = router;
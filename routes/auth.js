@@ -6,7 +6,14 @@ const {
   getMe,
   updateProfile,
   changePassword,
+  forgotPassword,
+  verifyResetToken,
+  resetPassword,
+  refreshToken,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   createTeacher,
   createLibrarian,
   createAccountant
@@ -54,6 +61,32 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const forgotPasswordValidation = [
+  body('accountType')
+    .optional()
+    .isIn(['user', 'student', 'parent'])
+    .withMessage('Account type must be user, student or parent'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 15 })
+    .withMessage('Phone number must be between 10 and 15 characters')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+];
+
 const createTeacherValidation = [
   body('name')
     .trim()
@@ -75,12 +108,19 @@ const createTeacherValidation = [
 // Public routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
+router.post('/refresh', refreshToken);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password/verify', verifyResetToken);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePasswordValidation, changePassword);
 router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:sessionId', protect, revokeSession);
 router.post('/create-teacher', protect, createTeacherValidation, createTeacher);
 router.post('/create-librarian', protect, createTeacherValidation, createLibrarian);
 router.post('/create-accountant', protect, createTeacherValidation, createAccountant);
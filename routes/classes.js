@@ -1,5 +1,6 @@
 const express = require('express');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext } = require('../middleware/academicYear');
 const {
   getClasses,
   getClass,
@@ -17,6 +18,7 @@ const router = express.Router();
 
 // All routes are protected
 router.use(protect);
+router.use(academicYearContext);
 
 // Class management routes (School Admin only)
 router.get('/', authorize('school_admin'), getClasses);
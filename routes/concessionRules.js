@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getConcessionRules,
+  getConcessionRule,
+  createConcessionRule,
+  updateConcessionRule,
+  deleteConcessionRule,
+  previewConcessions
+} = require('../controllers/concessionRuleController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Routes - allow school_admin and accountant
+router.get('/preview', authorize('school_admin', 'accountant'), previewConcessions);
+router.get('/', authorize('school_admin', 'accountant'), getConcessionRules);
+router.get('/:id', authorize('school_admin', 'accountant'), getConcessionRule);
+router.post('/', authorize('school_admin', 'accountant'), createConcessionRule);
+router.put('/:id', authorize('school_admin', 'accountant'), updateConcessionRule);
+router.delete('/:id', authorize('school_admin', 'accountant'), deleteConcessionRule);
+
+module.exports = router;
@@ -541,12 +541,24 @@ const purchaseCourse = async (req, res) => {
         });
       }
 
+      // Complete the pending order recorded at checkout (a webhook may already have done it)
+      const pendingOrder = await Order.findOne({ razorpayOrderId: razorpay_order_id, userId });
+      if (pendingOrder) {
+        const { order } = await Order.completePayment(razorpay_order_id, razorpay_payment_id);
+        return res.status(200).json({
+          success: true,
+          message: 'Purchase successful',
+          data: {
+            courseId: course._id,
+            courseName: course.name,
+            price: course.price,
+            order: order
+          }
+        });
+      }
+
       // Check if already purchased
-      const existingOrder = await Order.findOne({
-        userId,
-        'items.courseId': id,
-        paymentStatus: 'paid'
-      });
+      const existingOrder = await Order.findCoursePurchase(userId, id);
 
       if (existingOrder) {
         return res.status(400).json({
@@ -615,6 +627,20 @@ const purchaseCourse = async (req, res) => {
       }
     });
 
+    await Order.createPendingCheckout({
+      user: req.user,
+      items: [{
+        courseId: course._id,
+        type: 'course',
+        name: course.name,
+        price: course.price,
+        quantity: 1,
+        subtotal: course.price
+      }],
+      billingAddress,
+      razorpayOrderId: order.id
+    });
+
     res.status(200).json({
       success: true,
       message: 'Payment order created successfully',
@@ -14,9 +14,15 @@ const {
   deleteExamMark,
   getExamSchedule,
   getDateSheet,
-  bulkCreateExams
+  bulkCreateExams,
+  getMarksTemplate,
+  importExamMarks
 } = require('../controllers/examController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { refuseLockedYear, fromRecord } = require('../middleware/academicYear');
+const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
+const { uploadSpreadsheet, handleUploadError } = require('../utils/cloudinary');
 
 // Stats and overview routes (before :id routes)
 router.get('/stats/overview', protect, getExamStats);
@@ -26,18 +32,31 @@ router.get('/date-sheet', protect, getDateSheet);
 // Bulk operations
 router.post('/bulk', protect, bulkCreateExams);
 
+// Marks belong to the academic year their exam date falls in; locked years refuse changes
+const lockedExam = refuseLockedYear(fromRecord(Exam, exam => ({ date: exam.examDate })));
+const lockedMark = refuseLockedYear(fromRecord(ExamMark, async (mark) => {
+  const exam = await Exam.findById(mark.examId).select('examDate').lean();
+  return exam ? { date: exam.examDate } : null;
+}));
+
+// Spreadsheet marks import (single exam or a class's date sheet)
+router.get('/marks/template', protect, authorize('school_admin', 'teacher'), getMarksTemplate);
+router.post('/marks/import', protect, authorize('school_admin', 'teacher'), uploadSpreadsheet.single('file'), handleUploadError, importExamMarks);
+router.get('/:id/marks/template', protect, authorize('school_admin', 'teacher'), getMarksTemplate);
+router.post('/:id/marks/import', protect, authorize('school_admin', 'teacher'), uploadSpreadsheet.single('file'), handleUploadError, importExamMarks);
+
 // Exam marks routes
 router.route('/marks')
   .get(protect, getAllExamMarks);
 
 router.route('/marks/:id')
-  .put(protect, updateExamMark)
-  .delete(protect, deleteExamMark);
+  .put(protect, lockedMark, updateExamMark)
+  .delete(protect, lockedMark, deleteExamMark);
 
 // Individual exam marks routes
 router.route('/:id/marks')
   .get(protect, getExamMarks)
-  .post(protect, addExamMarks);
+  .post(protect, lockedExam, addExamMarks);
 
 // Main exam CRUD routes
 router.route('/')
@@ -10,29 +10,48 @@ const {
   getDueCollections,
   getOverdueCollections,
   getCollectionStats,
-  sendReminder
+  sendReminder,
+  sendBulkReminders,
+  previewGeneratedCollections,
+  generateCollections,
+  getLateFeeApplications
 } = require('../controllers/feeCollectionController');
+const { createFeePayment } = require('../controllers/paymentController');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext, refuseLockedYear, fromBody, fromRecord } = require('../middleware/academicYear');
+const FeeCollection = require('../models/FeeCollection');
+const FeeStructure = require('../models/FeeStructure');
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
+router.use(academicYearContext);
+
+// Writes to a collection (or generated from a fee structure) of a locked academic year are refused
+const lockedCollection = refuseLockedYear(fromRecord(FeeCollection));
 
 // Special routes - allow school_admin and accountant
 router.get('/due/list', authorize('school_admin', 'accountant'), getDueCollections);
 router.get('/overdue/list', authorize('school_admin', 'accountant'), getOverdueCollections);
 router.get('/stats', authorize('school_admin', 'accountant'), getCollectionStats);
+router.post('/generate/preview', authorize('school_admin', 'accountant'), previewGeneratedCollections);
+router.post('/generate', authorize('school_admin', 'accountant'), refuseLockedYear(fromBody, fromRecord(FeeStructure, undefined, req => req.body.feeStructure)), generateCollections);
+router.post('/reminders/bulk', authorize('school_admin', 'accountant'), sendBulkReminders);
 
 // Standard routes - allow school_admin and accountant
 router.get('/', authorize('school_admin', 'accountant'), getFeeCollections);
 router.get('/:id', authorize('school_admin', 'accountant'), getFeeCollection);
-router.post('/', authorize('school_admin', 'accountant'), createFeeCollection);
-router.put('/:id', authorize('school_admin', 'accountant'), updateFeeCollection);
-router.post('/:id/payment', authorize('school_admin', 'accountant'), addPayment);
-router.put('/:id/cancel', authorize('school_admin', 'accountant'), cancelFeeCollection);
+router.get('/:id/late-fees', authorize('school_admin', 'accountant'), getLateFeeApplications);
+router.post('/', authorize('school_admin', 'accountant'), refuseLockedYear(fromBody), createFeeCollection);
+router.put('/:id', authorize('school_admin', 'accountant'), lockedCollection, updateFeeCollection);
+router.post('/:id/payment', authorize('school_admin', 'accountant'), lockedCollection, addPayment);
+router.put('/:id/cancel', authorize('school_admin', 'accountant'), lockedCollection, cancelFeeCollection);
 router.post('/:id/reminder', authorize('school_admin', 'accountant'), sendReminder);
-router.delete('/:id', authorize('school_admin', 'accountant'), deleteFeeCollection);
+router.delete('/:id', authorize('school_admin', 'accountant'), lockedCollection, deleteFeeCollection);
+
+// Online payment - parents pay their children's fees through Razorpay
+router.post('/:id/payment/create', authorize('parent'), lockedCollection, createFeePayment);
 
 module.exports = router;
 
@@ -10,11 +10,15 @@ const {
   getReceiptsByStudent
 } = require('../controllers/feeReceiptController');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext, refuseLockedYear, fromRecord } = require('../middleware/academicYear');
+const FeeCollection = require('../models/FeeCollection');
+const FeeReceipt = require('../models/FeeReceipt');
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
+router.use(academicYearContext);
 
 // Special routes - allow school_admin and accountant
 router.get('/stats', authorize('school_admin', 'accountant'), getReceiptStats);
@@ -25,8 +29,8 @@ router.get('/number/:receiptNumber', authorize('school_admin', 'accountant'), ge
 // Standard routes - allow school_admin and accountant
 router.get('/', authorize('school_admin', 'accountant'), getFeeReceipts);
 router.get('/:id', authorize('school_admin', 'accountant'), getFeeReceipt);
-router.post('/', authorize('school_admin', 'accountant'), createFeeReceipt);
-router.put('/:id/cancel', authorize('school_admin', 'accountant'), cancelFeeReceipt);
+router.post('/', authorize('school_admin', 'accountant'), refuseLockedYear(fromRecord(FeeCollection, undefined, req => req.body.feeCollection)), createFeeReceipt);
+router.put('/:id/cancel', authorize('school_admin', 'accountant'), refuseLockedYear(fromRecord(FeeReceipt)), cancelFeeReceipt);
 
 module.exports = router;
 
@@ -8,19 +8,22 @@ const {
   getActiveFeeStructures
 } = require('../controllers/feeStructureController');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext, refuseLockedYear, fromBody, fromRecord } = require('../middleware/academicYear');
+const FeeStructure = require('../models/FeeStructure');
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
+router.use(academicYearContext);
 
 // Routes - allow school_admin and accountant
 router.get('/active/list', authorize('school_admin', 'accountant'), getActiveFeeStructures);
 router.get('/', authorize('school_admin', 'accountant'), getFeeStructures);
 router.get('/:id', authorize('school_admin', 'accountant'), getFeeStructure);
-router.post('/', authorize('school_admin', 'accountant'), createFeeStructure);
-router.put('/:id', authorize('school_admin', 'accountant'), updateFeeStructure);
-router.delete('/:id', authorize('school_admin', 'accountant'), deleteFeeStructure);
+router.post('/', authorize('school_admin', 'accountant'), refuseLockedYear(fromBody), createFeeStructure);
+router.put('/:id', authorize('school_admin', 'accountant'), refuseLockedYear(fromRecord(FeeStructure), fromBody), updateFeeStructure);
+router.delete('/:id', authorize('school_admin', 'accountant'), refuseLockedYear(fromRecord(FeeStructure)), deleteFeeStructure);
 
 module.exports = router;
 
@@ -0,0 +1,53 @@
+const express = require('express');
+const {
+  getGradingSchemes,
+  getEffectiveScheme,
+  getGradingScheme,
+  createGradingScheme,
+  updateGradingScheme,
+  deleteGradingScheme,
+  recalculateGrades
+} = require('../controllers/gradingSchemeController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/grading-schemes/effective
+// @desc    Get the scheme a class is graded with
+// @access  Private (School Admin, Teacher)
+router.get('/effective', authorize('school_admin', 'teacher'), getEffectiveScheme);
+
+// @route   POST /api/grading-schemes/recalculate
+// @desc    Re-grade stored exam marks after a scheme changes
+// @access  Private (School Admin)
+router.post('/recalculate', authorize('school_admin'), recalculateGrades);
+
+// @route   GET /api/grading-schemes
+// @desc    Get grading schemes
+// @access  Private (School Admin, Teacher)
+router.get('/', authorize('school_admin', 'teacher'), getGradingSchemes);
+
+// @route   POST /api/grading-schemes
+// @desc    Create grading scheme
+// @access  Private (School Admin)
+router.post('/', authorize('school_admin'), createGradingScheme);
+
+// @route   GET /api/grading-schemes/:id
+// @desc    Get single grading scheme
+// @access  Private (School Admin, Teacher)
+router.get('/:id', authorize('school_admin', 'teacher'), getGradingScheme);
+
+// @route   PUT /api/grading-schemes/:id
+// @desc    Update grading scheme
+// @access  Private (School Admin)
+router.put('/:id', authorize('school_admin'), updateGradingScheme);
+
+// @route   DELETE /api/grading-schemes/:id
+// @desc    Delete grading scheme
+// @access  Private (School Admin)
+router.delete('/:id', authorize('school_admin'), deleteGradingScheme);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getJobs,
+  runJobNow,
+  getJobRuns
+} = require('../controllers/jobController');
+const { protect, isAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect);
+router.use(isAdmin);
+
+router.get('/', getJobs);
+router.post('/:name/run', runJobNow);
+router.get('/:name/runs', getJobRuns);
+
+module.exports = router;
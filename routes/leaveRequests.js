@@ -0,0 +1,59 @@
+const express = require('express');
+const {
+  createLeaveRequest,
+  getLeaveRequests,
+  getStudentsOnLeave,
+  getLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest
+} = require('../controllers/leaveRequestController');
+const { protect, authorize } = require('../middleware/auth');
+const { refuseLockedYear, fromRecord } = require('../middleware/academicYear');
+const LeaveRequest = require('../models/LeaveRequest');
+const { uploadLeaveDocument, handleUploadError } = require('../utils/cloudinary');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Approving or cancelling a leave rewrites attendance over its dates; locked years refuse that
+const lockedLeave = refuseLockedYear(fromRecord(LeaveRequest, leave => [{ date: leave.startDate }, { date: leave.endDate }]));
+
+// @route   POST /api/leave-requests
+// @desc    Apply for leave with an optional supporting document
+// @access  Private (Student, Parent)
+router.post('/', authorize('student', 'parent'), uploadLeaveDocument.single('document'), handleUploadError, createLeaveRequest);
+
+// @route   GET /api/leave-requests
+// @desc    Get leave requests visible to the user
+// @access  Private
+router.get('/', authorize('student', 'parent', 'teacher', 'school_admin', 'admin'), getLeaveRequests);
+
+// @route   GET /api/leave-requests/on-leave
+// @desc    Get students of a class on approved leave on a date
+// @access  Private (Teacher, School Admin)
+router.get('/on-leave', authorize('teacher', 'school_admin'), getStudentsOnLeave);
+
+// @route   GET /api/leave-requests/:id
+// @desc    Get single leave request
+// @access  Private
+router.get('/:id', getLeaveRequest);
+
+// @route   PUT /api/leave-requests/:id/approve
+// @desc    Approve a leave request (marks absences in the range as excused)
+// @access  Private (Class Teacher, School Admin)
+router.put('/:id/approve', authorize('teacher', 'school_admin', 'admin'), lockedLeave, approveLeaveRequest);
+
+// @route   PUT /api/leave-requests/:id/reject
+// @desc    Reject a leave request
+// @access  Private (Class Teacher, School Admin)
+router.put('/:id/reject', authorize('teacher', 'school_admin', 'admin'), rejectLeaveRequest);
+
+// @route   PUT /api/leave-requests/:id/cancel
+// @desc    Cancel a pending or approved leave request
+// @access  Private
+router.put('/:id/cancel', lockedLeave, cancelLeaveRequest);
+
+module.exports = router;
@@ -13,15 +13,15 @@ const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Student routes
-router.get('/', protect, authorize(['student']), getStudentNotifications);
-router.get('/count', protect, authorize(['student']), getNotificationCount);
-router.put('/:id/read', protect, authorize(['student']), markNotificationAsRead);
-router.put('/mark-read', protect, authorize(['student']), markNotificationsAsRead);
-router.put('/mark-all-read', protect, authorize(['student']), markAllNotificationsAsRead);
-router.delete('/:id', protect, authorize(['student']), deleteNotification);
+// Student and parent routes
+router.get('/', protect, authorize(['student', 'parent']), getStudentNotifications);
+router.get('/count', protect, authorize(['student', 'parent']), getNotificationCount);
+router.put('/:id/read', protect, authorize(['student', 'parent']), markNotificationAsRead);
+router.put('/mark-read', protect, authorize(['student', 'parent']), markNotificationsAsRead);
+router.put('/mark-all-read', protect, authorize(['student', 'parent']), markAllNotificationsAsRead);
+router.delete('/:id', protect, authorize(['student', 'parent']), deleteNotification);
 
-// Push token registration (for students and teachers)
+// Push token registration (for students, parents and teachers)
 router.post('/register-push-token', protect, registerPushToken);
 
 // Teacher/Admin routes
@@ -6,6 +6,7 @@ const {
   getOrder,
   getOrderByNumber,
   cancelOrder,
+  refundOrder,
   getAllOrders
 } = require('../controllers/orderController');
 const { protect, isAdmin } = require('../middleware/auth');
@@ -43,5 +44,10 @@ router.get('/:id', getOrder);
 // @access  Private
 router.put('/:id/cancel', cancelOrder);
 
+// @route   POST /api/orders/:id/refund
+// @desc    Refund order through Razorpay (full or partial), or record a manual refund of an order paid outside it
+// @access  Private (Admin)
+router.post('/:id/refund', isAdmin, refundOrder);
+
 module.exports = router;
 
@@ -8,7 +8,11 @@ const {
   getChildAttendance,
   getChildAssignments,
   getChildTeachers,
-  getAllParents
+  getChildFees,
+  getChildReportCards,
+  getChildReportCardPdf,
+  getAllParents,
+  updateNotificationPreferences
 } = require('../controllers/parentController');
 const { parentLogin } = require('../controllers/studentController');
 const { loginValidation } = require('../middleware/studentValidation');
@@ -26,11 +30,15 @@ router.get('/', authorize('school_admin'), getAllParents);
 
 // Parent-specific routes
 router.get('/profile', authorize('parent'), getParentProfile);
+router.put('/notification-preferences', authorize('parent'), updateNotificationPreferences);
 router.get('/children', authorize('parent'), getParentChildren);
 router.get('/children/:childId', authorize('parent'), getChildProfile);
 router.get('/children/:childId/schedule', authorize('parent'), getChildSchedule);
 router.get('/children/:childId/attendance', authorize('parent'), getChildAttendance);
 router.get('/children/:childId/assignments', authorize('parent'), getChildAssignments);
 router.get('/children/:childId/teachers', authorize('parent'), getChildTeachers);
+router.get('/children/:childId/fees', authorize('parent'), getChildFees);
+router.get('/children/:childId/report-cards', authorize('parent'), getChildReportCards);
+router.get('/children/:childId/report-cards/:reportCardId/pdf', authorize('parent'), getChildReportCardPdf);
 
 module.exports = router;
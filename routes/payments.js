@@ -1,9 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
-const { verifyPaymentAndComplete } = require('../controllers/paymentController');
+const { protect, isAdmin } = require('../middleware/auth');
+const {
+  verifyPaymentAndComplete,
+  handleRazorpayWebhook,
+  reconcilePayments
+} = require('../controllers/paymentController');
 
-// All routes are protected
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Razorpay webhook (signature verified, no user token)
+ * @access  Public
+ */
+router.post('/webhook', handleRazorpayWebhook);
+
+// All other routes are protected
 router.use(protect);
 
 /**
@@ -13,5 +24,12 @@ router.use(protect);
  */
 router.post('/verify', verifyPaymentAndComplete);
 
+/**
+ * @route   POST /api/payments/reconcile
+ * @desc    Settle pending Razorpay checkouts against Razorpay
+ * @access  Private (Admin)
+ */
+router.post('/reconcile', isAdmin, reconcilePayments);
+
 module.exports = router;
 
@@ -419,6 +419,28 @@ const purchaseProduct = async (req, res) => {
       const userId = req.user._id;
       const totalAmount = product.price * quantity;
 
+      // Complete the pending order recorded at checkout (a webhook may already have done it)
+      const pendingOrder = await Order.findOne({ razorpayOrderId: razorpay_order_id, userId });
+      if (pendingOrder) {
+        const { order } = await Order.completePayment(razorpay_order_id, razorpay_payment_id);
+        const updatedProduct = await Product.findById(product._id);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Purchase successful',
+          data: {
+            id: updatedProduct._id,
+            name: updatedProduct.name,
+            stock: updatedProduct.stock,
+            stockStatus: updatedProduct.stockStatus,
+            price: updatedProduct.price,
+            quantityPurchased: quantity,
+            totalAmount: order.pricing.total,
+            order: order
+          }
+        });
+      }
+
       // Update stock
       await product.updateStock(quantity, 'subtract');
       await product.recordSale(quantity, product.price, customer || req.user?.name || 'Unknown');
@@ -492,6 +514,20 @@ const purchaseProduct = async (req, res) => {
       }
     });
 
+    await Order.createPendingCheckout({
+      user: req.user,
+      items: [{
+        productId: product._id,
+        type: 'product',
+        name: product.name,
+        price: product.price,
+        quantity: quantity,
+        subtotal: totalAmount
+      }],
+      billingAddress,
+      razorpayOrderId: order.id
+    });
+
     res.status(200).json({
       success: true,
       message: 'Payment order created successfully',
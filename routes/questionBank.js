@@ -0,0 +1,54 @@
+const express = require('express');
+const {
+  getBankQuestions,
+  getBankQuestion,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  importQuizQuestions,
+  getSamplePaper
+} = require('../controllers/questionBankController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected and for teachers and school admins
+router.use(protect);
+router.use(authorize('teacher', 'school_admin'));
+
+// @route   GET /api/question-bank
+// @desc    Get the school's question bank
+// @access  Private (Teacher, School Admin)
+router.get('/', getBankQuestions);
+
+// @route   POST /api/question-bank
+// @desc    Add a question to the bank
+// @access  Private (Teacher, School Admin)
+router.post('/', createBankQuestion);
+
+// @route   POST /api/question-bank/sample-paper
+// @desc    Draw a sample paper by picks and rules
+// @access  Private (Teacher, School Admin)
+router.post('/sample-paper', getSamplePaper);
+
+// @route   POST /api/question-bank/import/quiz/:quizId
+// @desc    Copy a quiz's questions into the bank
+// @access  Private (Teacher, School Admin)
+router.post('/import/quiz/:quizId', importQuizQuestions);
+
+// @route   GET /api/question-bank/:id
+// @desc    Get single bank question
+// @access  Private (Teacher, School Admin)
+router.get('/:id', getBankQuestion);
+
+// @route   PUT /api/question-bank/:id
+// @desc    Update bank question
+// @access  Private (Owner, School Admin)
+router.put('/:id', updateBankQuestion);
+
+// @route   DELETE /api/question-bank/:id
+// @desc    Delete bank question
+// @access  Private (Owner, School Admin)
+router.delete('/:id', deleteBankQuestion);
+
+module.exports = router;
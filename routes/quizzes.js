@@ -9,7 +9,11 @@ const {
   startQuiz,
   submitQuiz,
   getMySubmissions,
-  getQuizResults
+  getQuizResults,
+  getGradingQueue,
+  gradeSubmission,
+  autosaveQuiz,
+  logIntegrityEvents
 } = require('../controllers/quizController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -35,15 +39,49 @@ const quizValidation = [
   body('subjectId')
     .isMongoId()
     .withMessage('Valid subject ID is required'),
+  // Questions can also come from the question bank, picked by hand or drawn by rules
   body('questions')
+    .if((value, { req }) => !req.body.bankQuestionIds && !req.body.paperRules)
     .isArray({ min: 1 })
     .withMessage('At least one question is required'),
+  body('bankQuestionIds')
+    .optional()
+    .isArray()
+    .withMessage('Bank question IDs must be an array'),
+  body('bankQuestionIds.*')
+    .isMongoId()
+    .withMessage('Valid bank question ID is required'),
+  body('paperRules')
+    .optional()
+    .isArray()
+    .withMessage('Paper rules must be an array'),
+  body('paperRules.*.count')
+    .isInt({ min: 1 })
+    .withMessage('Each rule must draw at least one question'),
+  body('paperRules.*.difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Invalid difficulty'),
+  body('paperRules.*.chapterId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid chapter ID is required'),
   body('questions.*.questionText')
     .trim()
     .isLength({ min: 1 })
     .withMessage('Question text is required'),
   body('questions.*.questionType')
-    .isIn(['multiple-choice', 'true-false', 'short-answer'])
+    .isIn([
+      'multiple-choice',
+      'true-false',
+      'short-answer',
+      'multi-select',
+      'numeric',
+      'fill-in-blanks',
+      'matching',
+      'ordering',
+      'essay'
+    ])
     .withMessage('Invalid question type'),
   body('questions.*.marks')
     .isInt({ min: 0 })
@@ -108,23 +146,42 @@ const quizUpdateValidation = [
 // Validation rules for quiz submission
 const quizSubmissionValidation = [
   body('answers')
-    .isArray({ min: 1 })
-    .withMessage('Answers are required and must be an array'),
+    .optional()
+    .isArray()
+    .withMessage('Answers must be an array'),
   body('answers.*.questionId')
     .isMongoId()
     .withMessage('Valid question ID is required'),
+  // Lists and pairs are valid answers too, so no string sanitizers here
   body('answers.*.selectedAnswer')
-    .trim()
-    .notEmpty()
+    .exists({ values: 'null' })
     .withMessage('Answer is required')
 ];
 
+// Validation rules for manual grading
+const gradingValidation = [
+  body('grades')
+    .isArray({ min: 1 })
+    .withMessage('Grades are required and must be an array'),
+  body('grades.*.questionId')
+    .isMongoId()
+    .withMessage('Valid question ID is required'),
+  body('grades.*.marksAwarded')
+    .isFloat({ min: 0 })
+    .withMessage('Marks awarded must be a positive number')
+];
+
 // Routes
 // @route   GET /api/quizzes/my-submissions
 // @desc    Get student's quiz submissions (MUST be before /:id route)
 // @access  Private (Student)
 router.get('/my-submissions', authorize(['student']), getMySubmissions);
 
+// @route   GET /api/quizzes/grading-queue
+// @desc    Get answers waiting to be graded by hand (MUST be before /:id route)
+// @access  Private (Teacher, School Admin)
+router.get('/grading-queue', authorize(['teacher', 'school_admin']), getGradingQueue);
+
 // @route   GET /api/quizzes
 // @desc    Get all quizzes for a teacher or class
 // @access  Private (Teacher, School Admin)
@@ -163,6 +220,16 @@ router.post('/:id/submit',
   submitQuiz
 );
 
+// @route   PUT /api/quizzes/:id/autosave
+// @desc    Autosave answers of a running attempt
+// @access  Private (Student)
+router.put('/:id/autosave', authorize(['student']), autosaveQuiz);
+
+// @route   POST /api/quizzes/:id/integrity-events
+// @desc    Log tab switches, app backgrounding and similar events during an attempt
+// @access  Private (Student)
+router.post('/:id/integrity-events', authorize(['student']), logIntegrityEvents);
+
 // @route   PUT /api/quizzes/:id
 // @desc    Update quiz
 // @access  Private (Teacher, School Admin)
@@ -172,6 +239,15 @@ router.put('/:id',
   updateQuiz
 );
 
+// @route   PUT /api/quizzes/:id/submissions/:submissionId/grade
+// @desc    Grade a submission's answers by hand
+// @access  Private (Teacher, School Admin)
+router.put('/:id/submissions/:submissionId/grade',
+  authorize(['teacher', 'school_admin']),
+  gradingValidation,
+  gradeSubmission
+);
+
 // @route   DELETE /api/quizzes/:id
 // @desc    Delete quiz
 // @access  Private (Teacher, School Admin)
@@ -0,0 +1,79 @@
+const express = require('express');
+const {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  generateClassReportCards,
+  getReportCards,
+  getClassReportCardsPdf,
+  getReportCard,
+  getReportCardPdf,
+  updateReportCard,
+  publishReportCards,
+  unpublishReportCards
+} = require('../controllers/reportCardController');
+const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext } = require('../middleware/academicYear');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+router.use(academicYearContext);
+
+// @route   GET /api/report-cards/templates
+// @desc    Get report card templates
+// @access  Private (School Admin, Teacher)
+router.get('/templates', authorize('school_admin', 'teacher'), getTemplates);
+
+// @route   POST /api/report-cards/templates
+// @desc    Create report card template
+// @access  Private (School Admin)
+router.post('/templates', authorize('school_admin'), createTemplate);
+
+// @route   PUT /api/report-cards/templates/:id
+// @desc    Update report card template
+// @access  Private (School Admin)
+router.put('/templates/:id', authorize('school_admin'), updateTemplate);
+
+// @route   POST /api/report-cards/generate
+// @desc    Generate draft report cards for a class and term
+// @access  Private (School Admin)
+router.post('/generate', authorize('school_admin'), generateClassReportCards);
+
+// @route   POST /api/report-cards/publish
+// @desc    Publish a class's report cards to parents
+// @access  Private (School Admin)
+router.post('/publish', authorize('school_admin'), publishReportCards);
+
+// @route   POST /api/report-cards/unpublish
+// @desc    Take a class's report cards back to draft
+// @access  Private (School Admin)
+router.post('/unpublish', authorize('school_admin'), unpublishReportCards);
+
+// @route   GET /api/report-cards/class-pdf
+// @desc    Download a class's report cards as one PDF
+// @access  Private (School Admin, Teacher)
+router.get('/class-pdf', authorize('school_admin', 'teacher'), getClassReportCardsPdf);
+
+// @route   GET /api/report-cards
+// @desc    Get report cards
+// @access  Private (School Admin, Teacher)
+router.get('/', authorize('school_admin', 'teacher'), getReportCards);
+
+// @route   GET /api/report-cards/:id
+// @desc    Get single report card
+// @access  Private (School Admin, Teacher)
+router.get('/:id', authorize('school_admin', 'teacher'), getReportCard);
+
+// @route   GET /api/report-cards/:id/pdf
+// @desc    Download a report card as PDF
+// @access  Private (School Admin, Teacher)
+router.get('/:id/pdf', authorize('school_admin', 'teacher'), getReportCardPdf);
+
+// @route   PUT /api/report-cards/:id
+// @desc    Enter co-scholastic grades, remarks or promotion status
+// @access  Private (School Admin, Teacher)
+router.put('/:id', authorize('school_admin', 'teacher'), updateReportCard);
+
+module.exports = router;
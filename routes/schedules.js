@@ -9,13 +9,17 @@ const {
   createSchedule,
   updateSchedule,
   deleteSchedule,
-  getSchedule
+  getSchedule,
+  getScheduleConflicts,
+  generateSchedule
 } = require('../controllers/scheduleController');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext } = require('../middleware/academicYear');
 const { body } = require('express-validator');
 
 // Apply authentication to all routes
 router.use(protect);
+router.use(academicYearContext);
 
 // @route   GET /api/schedules
 // @desc    Get all schedules for a school (teachers see only their schedules)
@@ -32,6 +36,45 @@ router.get('/weekly', authorize(['school_admin', 'teacher']), getWeeklySchedule)
 // @access  Private (School Admin)
 router.get('/available', authorize(['school_admin']), getAvailableData);
 
+// @route   GET /api/schedules/conflicts
+// @desc    List double-booked teachers, classes and rooms
+// @access  Private (School Admin)
+router.get('/conflicts', authorize(['school_admin']), getScheduleConflicts);
+
+// @route   POST /api/schedules/generate
+// @desc    Generate a clash-free weekly timetable
+// @access  Private (School Admin)
+router.post('/generate',
+  authorize(['school_admin']),
+  [
+    body('periods')
+      .isArray({ min: 1 })
+      .withMessage('Periods array is required'),
+    body('requirements')
+      .isArray({ min: 1 })
+      .withMessage('Requirements array is required'),
+    body('requirements.*.subjectId')
+      .isMongoId()
+      .withMessage('Invalid subject ID'),
+    body('requirements.*.periodsPerWeek')
+      .isInt({ min: 1 })
+      .withMessage('Periods per week must be at least 1'),
+    body('teacherAvailability')
+      .optional()
+      .isArray()
+      .withMessage('Teacher availability must be an array'),
+    body('teacherAvailability.*.teacherId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid teacher ID'),
+    body('semester')
+      .optional()
+      .isIn(['1', '2', 'Annual'])
+      .withMessage('Invalid semester')
+  ],
+  generateSchedule
+);
+
 // @route   GET /api/schedules/teacher/:teacherId
 // @desc    Get schedule by teacher
 // @access  Private (School Admin, Teacher)
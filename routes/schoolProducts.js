@@ -1,6 +1,7 @@
 const express = require('express');
 const SchoolProduct = require('../models/SchoolProduct');
 const School = require('../models/School');
+const Order = require('../models/Order');
 const { protect, isAdmin, isSchoolAdmin, authorize } = require('../middleware/auth');
 const { uploadProductImage, handleUploadError } = require('../utils/cloudinary');
 const { createOrder, verifyPayment, fetchPayment } = require('../utils/razorpay');
@@ -307,6 +308,28 @@ const purchaseSchoolProduct = async (req, res) => {
         });
       }
 
+      // Complete the pending order recorded at checkout (a webhook may already have done it)
+      const pendingOrder = await Order.findOne({ razorpayOrderId: razorpay_order_id, userId: req.user._id });
+      if (pendingOrder) {
+        const { order } = await Order.completePayment(razorpay_order_id, razorpay_payment_id);
+        const updatedProduct = await SchoolProduct.findById(product._id);
+        const orderItem = order.items[0];
+
+        return res.status(200).json({
+          success: true,
+          message: 'Purchase successful',
+          data: {
+            id: updatedProduct._id,
+            name: updatedProduct.name,
+            quantity: orderItem.quantity,
+            unitPrice: orderItem.price,
+            totalAmount: order.pricing.total,
+            stock: updatedProduct.stock,
+            transactionId: razorpay_payment_id
+          }
+        });
+      }
+
       // Record the purchase
       await product.recordPurchase(
         school._id,
@@ -357,6 +380,21 @@ const purchaseSchoolProduct = async (req, res) => {
         }
       });
 
+      await Order.createPendingCheckout({
+        user: req.user,
+        items: [{
+          schoolProductId: product._id,
+          type: 'school_product',
+          name: product.name,
+          price: unitPrice,
+          quantity: quantity,
+          subtotal: totalAmount
+        }],
+        billingAddress,
+        razorpayOrderId: order.id,
+        schoolId: school._id
+      });
+
       res.status(200).json({
         success: true,
         message: 'Payment order created successfully',
@@ -0,0 +1,83 @@
+const express = require('express');
+const {
+  getLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  getBalances,
+  getLossOfPay,
+  applyForLeave,
+  getStaffLeaveRequests,
+  getStaffLeaveRequest,
+  approveStaffLeaveRequest,
+  rejectStaffLeaveRequest,
+  cancelStaffLeaveRequest
+} = require('../controllers/staffLeaveController');
+const { protect, authorize } = require('../middleware/auth');
+const { refuseLockedYear, fromRecord } = require('../middleware/academicYear');
+const StaffLeaveRequest = require('../models/StaffLeaveRequest');
+const { uploadLeaveDocument, handleUploadError } = require('../utils/cloudinary');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Approving or cancelling a leave rewrites attendance over its dates; locked years refuse that
+const lockedLeave = refuseLockedYear(fromRecord(StaffLeaveRequest, leave => [{ date: leave.startDate }, { date: leave.endDate }]));
+
+// @route   GET /api/staff-leaves/types
+// @desc    Get leave types with yearly quotas
+// @access  Private (Teacher, School Admin)
+router.get('/types', authorize('teacher', 'school_admin'), getLeaveTypes);
+
+// @route   POST /api/staff-leaves/types
+// @desc    Create leave type
+// @access  Private (School Admin)
+router.post('/types', authorize('school_admin'), createLeaveType);
+
+// @route   PUT /api/staff-leaves/types/:id
+// @desc    Update leave type
+// @access  Private (School Admin)
+router.put('/types/:id', authorize('school_admin'), updateLeaveType);
+
+// @route   GET /api/staff-leaves/balances
+// @desc    Get leave balances for a year
+// @access  Private (Teacher, School Admin)
+router.get('/balances', authorize('teacher', 'school_admin'), getBalances);
+
+// @route   GET /api/staff-leaves/loss-of-pay
+// @desc    Get loss-of-pay days per teacher for a month
+// @access  Private (School Admin, Accountant)
+router.get('/loss-of-pay', authorize('school_admin', 'accountant'), getLossOfPay);
+
+// @route   POST /api/staff-leaves
+// @desc    Apply for leave with an optional supporting document
+// @access  Private (Teacher)
+router.post('/', authorize('teacher'), uploadLeaveDocument.single('document'), handleUploadError, applyForLeave);
+
+// @route   GET /api/staff-leaves
+// @desc    Get leave requests
+// @access  Private (Teacher, School Admin)
+router.get('/', authorize('teacher', 'school_admin'), getStaffLeaveRequests);
+
+// @route   GET /api/staff-leaves/:id
+// @desc    Get single leave request
+// @access  Private (Teacher, School Admin)
+router.get('/:id', authorize('teacher', 'school_admin'), getStaffLeaveRequest);
+
+// @route   PUT /api/staff-leaves/:id/approve
+// @desc    Approve a leave request (writes teacher attendance for the days)
+// @access  Private (School Admin)
+router.put('/:id/approve', authorize('school_admin'), lockedLeave, approveStaffLeaveRequest);
+
+// @route   PUT /api/staff-leaves/:id/reject
+// @desc    Reject a leave request
+// @access  Private (School Admin)
+router.put('/:id/reject', authorize('school_admin'), rejectStaffLeaveRequest);
+
+// @route   PUT /api/staff-leaves/:id/cancel
+// @desc    Cancel a pending or approved leave request
+// @access  Private (Teacher, School Admin)
+router.put('/:id/cancel', authorize('teacher', 'school_admin'), lockedLeave, cancelStaffLeaveRequest);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getStudentLedger,
+  getClassLedgers
+} = require('../controllers/studentLedgerController');
+const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext } = require('../middleware/academicYear');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+router.use(academicYearContext);
+
+// Routes - allow school_admin and accountant
+router.get('/student/:studentId', authorize('school_admin', 'accountant'), getStudentLedger);
+router.get('/class/:classId', authorize('school_admin', 'accountant'), getClassLedgers);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const {
   getStudentsByRoute,
   getActiveTransports,
   addAttendance,
+  recordPayment,
   bulkAssignStudents,
   getUnassignedStudents
 } = require('../controllers/studentTransportController');
@@ -42,5 +43,8 @@ router.route('/:id')
 router.route('/:id/attendance')
   .post(addAttendance);
 
+router.route('/:id/payments')
+  .post(recordPayment);
+
 module.exports = router;
 
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUncoveredPeriods,
+  getSuggestions,
+  createSubstitution,
+  getSubstitutions,
+  cancelSubstitution
+} = require('../controllers/substitutionController');
+const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext } = require('../middleware/academicYear');
+const { body } = require('express-validator');
+
+// Apply authentication to all routes
+router.use(protect);
+router.use(academicYearContext);
+
+// @route   GET /api/substitutions/uncovered
+// @desc    Get periods left without their teacher (absent or on leave) on a day
+// @access  Private (School Admin)
+router.get('/uncovered', authorize(['school_admin']), getUncoveredPeriods);
+
+// @route   GET /api/substitutions/suggestions/:scheduleId
+// @desc    Suggest free teachers to cover a period on a day
+// @access  Private (School Admin)
+router.get('/suggestions/:scheduleId', authorize(['school_admin']), getSuggestions);
+
+// @route   GET /api/substitutions
+// @desc    Get substitutions (teachers see only cover they give or receive)
+// @access  Private (School Admin, Teacher)
+router.get('/', authorize(['school_admin', 'teacher']), getSubstitutions);
+
+// @route   POST /api/substitutions
+// @desc    Assign a substitute teacher to a period on a day
+// @access  Private (School Admin)
+router.post('/',
+  authorize(['school_admin']),
+  [
+    body('scheduleId')
+      .notEmpty()
+      .withMessage('Schedule ID is required')
+      .isMongoId()
+      .withMessage('Invalid schedule ID'),
+    body('date')
+      .notEmpty()
+      .withMessage('Date is required')
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+    body('substituteTeacherId')
+      .notEmpty()
+      .withMessage('Substitute teacher ID is required')
+      .isMongoId()
+      .withMessage('Invalid substitute teacher ID'),
+    body('reason')
+      .optional()
+      .isIn(['absent', 'leave', 'other'])
+      .withMessage('Reason must be absent, leave or other'),
+    body('notes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+  createSubstitution
+);
+
+// @route   PUT /api/substitutions/:id/cancel
+// @desc    Cancel a substitution
+// @access  Private (School Admin)
+router.put('/:id/cancel', authorize(['school_admin']), cancelSubstitution);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext } = require('../middleware/academicYear');
 const {
   getSyllabus,
   getSyllabusById,
@@ -15,6 +16,7 @@ const router = express.Router();
 
 // All routes are protected
 router.use(protect);
+router.use(academicYearContext);
 
 // Routes - Teachers can access their own syllabus
 router.get('/teacher', authorize('teacher'), getTeacherSyllabus);
@@ -1,5 +1,7 @@
 const express = require('express');
 const { protect, authorize } = require('../middleware/auth');
+const { academicYearContext, refuseLockedYear, fromBody, fromBodyRecords, fromRecord, today } = require('../middleware/academicYear');
+const TeacherAttendance = require('../models/TeacherAttendance');
 const {
   markTeacherAttendance,
   markBulkTeacherAttendance,
@@ -7,14 +9,21 @@ const {
   getTeacherAttendanceStats,
   getTeacherAttendanceByRange,
   updateTeacherAttendance,
-  deleteTeacherAttendance
+  deleteTeacherAttendance,
+  checkIn,
+  checkOut,
+  getMyAttendance,
+  getCheckInSettings,
+  updateCheckInSettings,
+  getMusterRoll
 } = require('../controllers/teacherAttendanceController');
 const { body } = require('express-validator');
 
 const router = express.Router();
 
-// Apply authentication to all routes
+// Apply authentication to all routes; reads default to the current academic year
 router.use(protect);
+router.use(academicYearContext);
 
 // Validation middleware
 const teacherAttendanceValidation = [
@@ -36,15 +45,51 @@ const bulkTeacherAttendanceValidation = [
   body('attendanceRecords.*.remarks').optional().isLength({ max: 500 }).withMessage('Remarks must be less than 500 characters')
 ];
 
+const checkInValidation = [
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number')
+];
+
+// @route   POST /api/teacher-attendance/check-in
+// @desc    Teacher checks in for the day
+// @access  Private (Teacher)
+router.post('/check-in', authorize('teacher'), checkInValidation, refuseLockedYear(today), checkIn);
+
+// @route   POST /api/teacher-attendance/check-out
+// @desc    Teacher checks out for the day
+// @access  Private (Teacher)
+router.post('/check-out', authorize('teacher'), checkInValidation, refuseLockedYear(today), checkOut);
+
+// @route   GET /api/teacher-attendance/me
+// @desc    Get own attendance for a month
+// @access  Private (Teacher)
+router.get('/me', authorize('teacher'), getMyAttendance);
+
+// @route   GET /api/teacher-attendance/settings
+// @desc    Get shift timings and geofence
+// @access  Private (School Admin)
+router.get('/settings', authorize('school_admin'), getCheckInSettings);
+
+// @route   PUT /api/teacher-attendance/settings
+// @desc    Update shift timings and geofence
+// @access  Private (School Admin)
+router.put('/settings', authorize('school_admin'), updateCheckInSettings);
+
+// @route   GET /api/teacher-attendance/muster-roll
+// @desc    Get the monthly muster roll (JSON, CSV or PDF)
+// @access  Private (School Admin)
+router.get('/muster-roll', authorize('school_admin'), getMusterRoll);
+
 // @route   POST /api/teacher-attendance
 // @desc    Mark attendance for a single teacher
 // @access  Private (School Admin)
-router.post('/', authorize('school_admin'), teacherAttendanceValidation, markTeacherAttendance);
+router.post('/', authorize('school_admin'), teacherAttendanceValidation, refuseLockedYear(fromBody), markTeacherAttendance);
 
 // @route   POST /api/teacher-attendance/bulk
 // @desc    Mark attendance for multiple teachers
 // @access  Private (School Admin)
-router.post('/bulk', authorize('school_admin'), bulkTeacherAttendanceValidation, markBulkTeacherAttendance);
+router.post('/bulk', authorize('school_admin'), bulkTeacherAttendanceValidation, refuseLockedYear(fromBodyRecords('attendanceRecords')), markBulkTeacherAttendance);
 
 // @route   GET /api/teacher-attendance
 // @desc    Get teacher attendance for a specific date
@@ -64,11 +109,11 @@ router.get('/range', authorize('school_admin'), getTeacherAttendanceByRange);
 // @route   PUT /api/teacher-attendance/:id
 // @desc    Update teacher attendance record
 // @access  Private (School Admin)
-router.put('/:id', authorize('school_admin'), updateTeacherAttendance);
+router.put('/:id', authorize('school_admin'), refuseLockedYear(fromRecord(TeacherAttendance)), updateTeacherAttendance);
 
 // @route   DELETE /api/teacher-attendance/:id
 // @desc    Delete teacher attendance record
 // @access  Private (School Admin)
-router.delete('/:id', authorize('school_admin'), deleteTeacherAttendance);
+router.delete('/:id', authorize('school_admin'), refuseLockedYear(fromRecord(TeacherAttendance)), deleteTeacherAttendance);
 
 module.exports = router;
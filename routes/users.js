@@ -514,9 +514,9 @@ const loginUser = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const { generateToken } = require('../middleware/auth');
-    const token = generateToken(user);
+    // Create session and generate tokens
+    const { createSessionTokens } = require('../middleware/auth');
+    const { token, refreshToken, sessionId } = await createSessionTokens(user, req);
 
     // Get school info if user is school admin
     let schoolInfo = null;
@@ -537,9 +537,12 @@ const loginUser = async (req, res) => {
           avatar: user.avatar,
           isActive: user.isActive,
           lastLogin: user.lastLogin,
+          mustChangePassword: !!user.mustChangePassword,
           school: schoolInfo
         },
-        token
+        token,
+        refreshToken,
+        sessionId
       }
     });
 
@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  previewRollover,
+  runRollover,
+  getRollovers,
+  getRollover,
+  undoRollover
+} = require('../controllers/yearRolloverController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected and for school admins only
+router.use(protect);
+router.use(authorize('school_admin'));
+
+// @route   POST /api/year-rollover/preview
+// @desc    Preview a year-end rollover
+// @access  Private (School Admin)
+router.post('/preview', previewRollover);
+
+// @route   GET /api/year-rollover
+// @desc    Get the school's rollovers
+// @access  Private (School Admin)
+router.get('/', getRollovers);
+
+// @route   POST /api/year-rollover
+// @desc    Run a year-end rollover
+// @access  Private (School Admin)
+router.post('/', runRollover);
+
+// @route   GET /api/year-rollover/:id
+// @desc    Get single rollover with its recorded changes
+// @access  Private (School Admin)
+router.get('/:id', getRollover);
+
+// @route   POST /api/year-rollover/:id/undo
+// @desc    Undo a rollover
+// @access  Private (School Admin)
+router.post('/:id/undo', undoRollover);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const Message = require('../models/Message');
 const Group = require('../models/Group');
+const { saveQuizAnswers, logQuizIntegrityEvents } = require('../utils/quizAttempts');
 
 const socketHandler = (io, socket) => {
   console.log(`🔌 User connected: ${socket.user.name} (${socket.userRole})`);
@@ -478,6 +479,40 @@ const socketHandler = (io, socket) => {
     }
   });
 
+  // Autosave a student's quiz answers (same as PUT /api/quizzes/:id/autosave)
+  socket.on('quiz_autosave', async (data = {}) => {
+    const { quizId, answers } = data;
+    if (socket.userRole !== 'student') {
+      socket.emit('error', { message: 'Only students can save quiz answers' });
+      return;
+    }
+
+    try {
+      const saved = await saveQuizAnswers(quizId, socket.userId, answers);
+      socket.emit('quiz_autosaved', { success: true, quizId, ...saved });
+    } catch (error) {
+      if (!error.statusCode) console.error('❌ Socket: Error autosaving quiz answers:', error);
+      socket.emit('quiz_autosaved', {
+        success: false,
+        quizId,
+        error: error.statusCode ? error.message : 'Failed to save answers'
+      });
+    }
+  });
+
+  // Integrity events from a student's quiz attempt: tab switches, app backgrounded, ...
+  socket.on('quiz_integrity_event', async (data = {}) => {
+    const { quizId, events, ...event } = data;
+    if (socket.userRole !== 'student') return;
+
+    try {
+      await logQuizIntegrityEvents(quizId, socket.userId, events || event);
+    } catch (error) {
+      if (!error.statusCode) console.error('❌ Socket: Error logging quiz integrity event:', error);
+      socket.emit('error', { message: error.statusCode ? error.message : 'Failed to log quiz event' });
+    }
+  });
+
   // Typing indicator
   socket.on('typing_start', (data) => {
     const { groupId } = data;
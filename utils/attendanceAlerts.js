@@ -0,0 +1,228 @@
+const AttendanceAlert = require('../models/AttendanceAlert');
+const Notification = require('../models/Notification');
+const Parent = require('../models/Parent');
+const School = require('../models/School');
+const Student = require('../models/Student');
+const Subject = require('../models/Subject');
+const { sendPushNotificationToUser } = require('./pushNotifications');
+const { getLocalDateTime } = require('./timezone');
+
+const DEFAULT_ALERT_SETTINGS = {
+  enabled: true,
+  statuses: ['absent', 'late'],
+  quietHoursStart: null,
+  quietHoursEnd: null
+};
+
+const getAlertSettings = (school) => ({
+  ...DEFAULT_ALERT_SETTINGS,
+  ...(school?.settings?.attendanceAlerts || {}),
+  timezone: school?.settings?.timezone || 'UTC'
+});
+
+// Whether push notifications are currently held back (quiet hours may run past midnight, e.g. 21:00-07:00)
+const isWithinQuietHours = (settings, now = new Date()) => {
+  const { quietHoursStart: start, quietHoursEnd: end } = settings;
+  if (!start || !end || start === end) return false;
+
+  const { time } = getLocalDateTime(now, settings.timezone);
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+// The Attendance save hook moves the date to 23:59:59.999 server-local time, so the calendar day is
+// the server-local one (on servers west of UTC the UTC day is already the next one)
+const getAttendanceDateKey = (attendance) => {
+  const date = new Date(attendance.date);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const buildAlertMessage = (student, status, dateKey, subjectName) => {
+  const date = new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+  const period = subjectName ? ` in ${subjectName}` : '';
+
+  return status === 'absent'
+    ? { title: 'Absence alert', message: `${student.name} was marked absent${period} on ${date}.` }
+    : { title: 'Late arrival', message: `${student.name} was marked late${period} on ${date}.` };
+};
+
+// Parents linked to the student who haven't opted out of absence alerts
+const getAlertParents = (studentId) => Parent.find({
+  $or: [{ studentIds: studentId }, { studentId }],
+  isActive: { $ne: false },
+  'notificationPreferences.absenceAlerts': { $ne: false }
+}).select('_id');
+
+const pushAlert = async (alert) => {
+  const data = {
+    type: 'attendance_alert',
+    studentId: alert.student.toString(),
+    attendanceId: alert.attendance.toString(),
+    date: alert.date
+  };
+
+  const results = await Promise.all(alert.parents.map(parentId =>
+    sendPushNotificationToUser(parentId, 'Parent', alert.title, alert.message, data)
+  ));
+  const sent = results.reduce((sum, result) => sum + (result.sent || 0), 0);
+  const error = results.find(result => result.error)?.error;
+
+  alert.pushSent = sent;
+  alert.pushStatus = sent > 0 || !error ? 'sent' : 'failed';
+  alert.pushError = error || null;
+  alert.pushedAt = new Date();
+  await alert.save();
+};
+
+/**
+ * Alert parents about students marked absent or late. Each student gets at most one alert per day,
+ * only for today's attendance (back-filled records don't alert), and only if the school has alerts
+ * enabled for that status. In-app notifications are created straight away; push notifications
+ * during the school's quiet hours are queued for the attendance-alerts job.
+ * @param {Array} attendanceRecords - Attendance documents that were just marked
+ * @returns {Promise<Object>} { alerted, queued, skipped }
+ */
+const sendAbsenceAlerts = async (attendanceRecords) => {
+  const summary = { alerted: 0, queued: 0, skipped: 0 };
+  const records = attendanceRecords.filter(record => ['absent', 'late'].includes(record.status));
+  if (records.length === 0) return summary;
+
+  const schools = new Map();
+  const now = new Date();
+
+  for (const attendance of records) {
+    const schoolId = attendance.schoolId.toString();
+    if (!schools.has(schoolId)) {
+      schools.set(schoolId, getAlertSettings(await School.findById(schoolId).select('settings').lean()));
+    }
+    const settings = schools.get(schoolId);
+
+    const dateKey = getAttendanceDateKey(attendance);
+    if (!settings.enabled || !settings.statuses.includes(attendance.status) ||
+        dateKey !== getLocalDateTime(now, settings.timezone).date) {
+      summary.skipped++;
+      continue;
+    }
+
+    const student = await Student.findById(attendance.studentId).select('name');
+    if (!student) {
+      summary.skipped++;
+      continue;
+    }
+
+    const subject = await Subject.findById(attendance.subjectId).select('name');
+    const parents = await getAlertParents(student._id);
+    const { title, message } = buildAlertMessage(student, attendance.status, dateKey, subject?.name);
+
+    let alert;
+    try {
+      alert = await AttendanceAlert.create({
+        school: attendance.schoolId,
+        student: student._id,
+        date: dateKey,
+        attendance: attendance._id,
+        status: attendance.status,
+        title,
+        message,
+        parents: parents.map(parent => parent._id),
+        pushStatus: parents.length > 0 ? 'queued' : 'skipped'
+      });
+    } catch (error) {
+      // Already alerted today
+      if (error.code === 11000) {
+        summary.skipped++;
+        continue;
+      }
+      throw error;
+    }
+
+    if (parents.length === 0) {
+      summary.skipped++;
+      continue;
+    }
+
+    await Notification.insertMany(parents.map(parent => ({
+      recipient: parent._id,
+      recipientModel: 'Parent',
+      title,
+      message,
+      type: 'attendance',
+      schoolId: attendance.schoolId,
+      relatedId: attendance._id,
+      relatedType: 'attendance',
+      priority: attendance.status === 'absent' ? 'high' : 'medium',
+      icon: 'calendar',
+      color: attendance.status === 'absent' ? '#EF4444' : '#F59E0B',
+      metadata: { studentId: student._id, date: dateKey, status: attendance.status }
+    })));
+    alert.notificationCount = parents.length;
+
+    if (isWithinQuietHours(settings, now)) {
+      await alert.save();
+      summary.queued++;
+    } else {
+      await pushAlert(alert);
+      summary.alerted++;
+    }
+  }
+
+  return summary;
+};
+
+// Fire-and-forget wrapper for controllers; alerts never hold up or fail attendance marking
+const queueAbsenceAlerts = (attendanceRecords) => {
+  sendAbsenceAlerts(attendanceRecords).catch(error => {
+    console.error('Attendance alert error:', error);
+  });
+};
+
+/**
+ * Push alerts held back by quiet hours once the school's quiet hours are over
+ * @param {Object} [options]
+ * @param {String} [options.schoolId] - Limit to one school
+ * @returns {Promise<Object>} { sent, failed, waiting }
+ */
+const deliverQueuedAbsenceAlerts = async ({ schoolId = null } = {}) => {
+  const query = { pushStatus: 'queued' };
+  if (schoolId) query.school = schoolId;
+
+  const alerts = await AttendanceAlert.find(query).sort({ createdAt: 1 });
+  const summary = { sent: 0, failed: 0, waiting: 0 };
+  const schools = new Map();
+
+  for (const alert of alerts) {
+    const id = alert.school.toString();
+    if (!schools.has(id)) {
+      schools.set(id, getAlertSettings(await School.findById(id).select('settings').lean()));
+    }
+
+    if (isWithinQuietHours(schools.get(id))) {
+      summary.waiting++;
+      continue;
+    }
+
+    await pushAlert(alert);
+    if (alert.pushStatus === 'sent') {
+      summary.sent++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  isWithinQuietHours,
+  sendAbsenceAlerts,
+  queueAbsenceAlerts,
+  deliverQueuedAbsenceAlerts
+};
@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Subject = require('../models/Subject');
+const { MONTH_NAMES } = require('./feeCollectionGenerator');
+const { toCsv } = require('./csv');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_ANALYTICS_SETTINGS = {
+  lowAttendanceThreshold: 75,
+  absenceStreakDays: 3
+};
+
+const resolveAnalyticsSettings = (school) => ({
+  ...DEFAULT_ANALYTICS_SETTINGS,
+  ...(school?.settings?.attendanceAnalytics || {})
+});
+
+const emptyCounts = () => ({ total: 0, present: 0, absent: 0, late: 0, excused: 0 });
+
+const addCounts = (target, counts) => {
+  target.total += counts.total;
+  target.present += counts.present;
+  target.absent += counts.absent;
+  target.late += counts.late;
+  target.excused += counts.excused;
+  return target;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Same rule as the attendance stats: excused periods (approved leave) don't count against the student
+const withPercentage = (counts) => {
+  const counted = counts.total - counts.excused;
+  return {
+    ...counts,
+    attendancePercentage: counted > 0 ? round(counts.present / counted * 100) : null
+  };
+};
+
+const formatMonth = (key) => {
+  const [year, month] = key.split('-');
+  return `${MONTH_NAMES[parseInt(month) - 1].slice(0, 3)} ${year}`;
+};
+
+// A day counts as absent when the student missed every period marked that day; excused-only days are skipped
+const classifyDay = (day) => {
+  if (day.present + day.late > 0) return 'present';
+  if (day.absent > 0) return 'absent';
+  return 'excused';
+};
+
+// Longest run of consecutive absent school days, and the run still going at the end of the range.
+// Only days the student's attendance was taken count, so weekends and holidays don't break a streak.
+const getAbsenceStreaks = (days) => {
+  let longest = { days: 0, from: null, to: null };
+  let current = { days: 0, from: null, to: null };
+
+  days.forEach(day => {
+    const status = classifyDay(day);
+    if (status === 'excused') return;
+
+    if (status === 'absent') {
+      current = { days: current.days + 1, from: current.from || day.day, to: day.day };
+      if (current.days > longest.days) longest = { ...current };
+    } else {
+      current = { days: 0, from: null, to: null };
+    }
+  });
+
+  return { current, longest };
+};
+
+const getWeekdayPattern = (days) => {
+  const pattern = WEEKDAYS.map(weekday => ({ weekday, days: 0, absentDays: 0 }));
+
+  days.forEach(day => {
+    const status = classifyDay(day);
+    if (status === 'excused') return;
+    const entry = pattern[new Date(`${day.day}T00:00:00Z`).getUTCDay()];
+    entry.days++;
+    if (status === 'absent') entry.absentDays++;
+  });
+
+  return pattern;
+};
+
+const withAbsenceRate = (pattern) => pattern
+  .filter(entry => entry.days > 0)
+  .map(entry => ({ ...entry, absenceRate: round(entry.absentDays / entry.days * 100) }));
+
+// Roll students up into class or school totals
+const summarize = (students, subjectNames) => {
+  const totals = emptyCounts();
+  const months = new Map();
+  const subjects = new Map();
+  const weekdays = WEEKDAYS.map(weekday => ({ weekday, days: 0, absentDays: 0 }));
+  const percentages = [];
+
+  students.forEach(student => {
+    addCounts(totals, student.totals);
+    if (student.totals.attendancePercentage !== null) percentages.push(student.totals.attendancePercentage);
+    student.months.forEach(month => {
+      if (!months.has(month.month)) months.set(month.month, emptyCounts());
+      addCounts(months.get(month.month), month);
+    });
+    student.subjects.forEach(subject => {
+      const id = subject.subjectId.toString();
+      if (!subjects.has(id)) subjects.set(id, emptyCounts());
+      addCounts(subjects.get(id), subject);
+    });
+    student.weekdayPattern.forEach((entry, index) => {
+      weekdays[index].days += entry.days;
+      weekdays[index].absentDays += entry.absentDays;
+    });
+  });
+
+  return {
+    totalStudents: students.length,
+    averageAttendance: percentages.length > 0
+      ? round(percentages.reduce((sum, value) => sum + value, 0) / percentages.length)
+      : null,
+    belowThreshold: students.filter(student => student.belowThreshold).length,
+    onAbsenceStreak: students.filter(student => student.onAbsenceStreak).length,
+    atRisk: students.filter(student => student.atRisk).length,
+    totals: withPercentage(totals),
+    months: [...months.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, counts]) => ({ month, label: formatMonth(month), ...withPercentage(counts) })),
+    subjects: [...subjects.entries()]
+      .map(([subjectId, counts]) => ({ subjectId, name: subjectNames.get(subjectId) || 'Unknown', ...withPercentage(counts) }))
+      .sort((a, b) => (a.attendancePercentage ?? 101) - (b.attendancePercentage ?? 101)),
+    weekdayPattern: withAbsenceRate(weekdays)
+  };
+};
+
+/**
+ * Attendance early-warning analytics for a school, class or student
+ * @param {Object} options
+ * @param {String} options.schoolId
+ * @param {String} [options.classId] - Limit to one class
+ * @param {String} [options.studentId] - Limit to one student
+ * @param {String} [options.academicYear] - Every year when left out
+ * @param {Date} [options.from] - Start of the period (e.g. a term); defaults to the whole academic year
+ * @param {Date} [options.to] - End of the period
+ * @param {Number} [options.threshold=75] - Attendance percentage below which a student is flagged
+ * @param {Number} [options.streakDays=3] - Consecutive absent days that flag a student
+ * @param {String} [options.period='term'] - "month" also flags students below the threshold in any single month
+ * @returns {Promise<Object>} { filters, summary, classes, students }
+ */
+const getAttendanceAnalytics = async ({
+  schoolId,
+  classId = null,
+  studentId = null,
+  academicYear = null,
+  from = null,
+  to = null,
+  threshold = DEFAULT_ANALYTICS_SETTINGS.lowAttendanceThreshold,
+  streakDays = DEFAULT_ANALYTICS_SETTINGS.absenceStreakDays,
+  period = 'term'
+}) => {
+  const match = { schoolId: new mongoose.Types.ObjectId(schoolId) };
+  if (academicYear) match.academicYear = academicYear;
+  if (classId) match.classId = new mongoose.Types.ObjectId(classId);
+  if (studentId) match.studentId = new mongoose.Types.ObjectId(studentId);
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+
+  const [dailyRows, subjectRows] = await Promise.all([
+    Attendance.getDailyStudentSummary(match),
+    Attendance.getStudentSubjectSummary(match)
+  ]);
+
+  // Group the day rows per student (they come sorted by student and day)
+  const byStudent = new Map();
+  dailyRows.forEach(row => {
+    const id = row._id.studentId.toString();
+    if (!byStudent.has(id)) byStudent.set(id, { classId: row.classId, days: [], subjects: [] });
+    const entry = byStudent.get(id);
+    entry.classId = row.classId;
+    entry.days.push({ day: row._id.day, ...row });
+  });
+  subjectRows.forEach(row => {
+    byStudent.get(row._id.studentId.toString())?.subjects.push({ subjectId: row._id.subjectId, ...row });
+  });
+
+  const [students, classes, subjects] = await Promise.all([
+    Student.find({ _id: { $in: [...byStudent.keys()] } }).select('name rollNumber admissionNumber classId').lean(),
+    Class.find({ _id: { $in: [...new Set([...byStudent.values()].map(entry => entry.classId.toString()))] } }).select('name section').lean(),
+    Subject.find({ _id: { $in: [...new Set(subjectRows.map(row => row._id.subjectId.toString()))] } }).select('name code').lean()
+  ]);
+  const studentMap = new Map(students.map(student => [student._id.toString(), student]));
+  const classMap = new Map(classes.map(classDoc => [classDoc._id.toString(), classDoc]));
+  const subjectNames = new Map(subjects.map(subject => [subject._id.toString(), subject.name]));
+
+  const results = [...byStudent.entries()].map(([id, entry]) => {
+    const student = studentMap.get(id) || {};
+    const classDoc = classMap.get(entry.classId.toString()) || {};
+
+    const totals = emptyCounts();
+    const monthCounts = new Map();
+    entry.days.forEach(day => {
+      addCounts(totals, day);
+      const month = day.day.slice(0, 7);
+      if (!monthCounts.has(month)) monthCounts.set(month, emptyCounts());
+      addCounts(monthCounts.get(month), day);
+    });
+
+    const months = [...monthCounts.entries()].map(([month, counts]) => ({ month, label: formatMonth(month), ...withPercentage(counts) }));
+    const lowMonths = months.filter(month => month.attendancePercentage !== null && month.attendancePercentage < threshold);
+    const streaks = getAbsenceStreaks(entry.days);
+    const studentTotals = withPercentage(totals);
+    const belowThreshold = studentTotals.attendancePercentage !== null && studentTotals.attendancePercentage < threshold;
+    const onAbsenceStreak = streaks.current.days >= streakDays;
+
+    return {
+      studentId: id,
+      name: student.name,
+      rollNumber: student.rollNumber,
+      admissionNumber: student.admissionNumber,
+      class: { id: entry.classId, name: classDoc.name, section: classDoc.section },
+      totals: studentTotals,
+      months,
+      lowMonths: lowMonths.map(month => month.month),
+      belowThreshold,
+      currentAbsenceStreak: streaks.current,
+      longestAbsenceStreak: streaks.longest,
+      onAbsenceStreak,
+      atRisk: belowThreshold || onAbsenceStreak || (period === 'month' && lowMonths.length > 0),
+      weekdayPattern: getWeekdayPattern(entry.days),
+      subjects: entry.subjects.map(subject => ({
+        subjectId: subject.subjectId,
+        name: subjectNames.get(subject.subjectId.toString()) || 'Unknown',
+        ...withPercentage({
+          total: subject.total,
+          present: subject.present,
+          absent: subject.absent,
+          late: subject.late,
+          excused: subject.excused
+        })
+      }))
+    };
+  });
+
+  results.sort((a, b) => (a.class.name || '').localeCompare(b.class.name || '') ||
+    String(a.rollNumber || '').localeCompare(String(b.rollNumber || ''), undefined, { numeric: true }));
+
+  const classRollups = classId || studentId ? [] : [...classMap.entries()].map(([id, classDoc]) => ({
+    class: { id, name: classDoc.name, section: classDoc.section },
+    ...summarize(results.filter(result => result.class.id.toString() === id), subjectNames)
+  }));
+
+  return {
+    filters: { academicYear, from, to, period, threshold, streakDays },
+    summary: summarize(results, subjectNames),
+    classes: classRollups,
+    students: results.map(result => ({ ...result, weekdayPattern: withAbsenceRate(result.weekdayPattern) }))
+  };
+};
+
+// CSV with one row per student
+const analyticsToCsv = (analytics) => {
+  const rows = [[
+    'Admission Number', 'Roll Number', 'Student', 'Class', 'Periods', 'Present', 'Absent', 'Late', 'Excused',
+    'Attendance %', 'Below Threshold', 'Months Below Threshold', 'Current Absence Streak', 'Longest Absence Streak',
+    'Most Missed Weekday', 'Lowest Subject', 'At Risk'
+  ]];
+
+  analytics.students.forEach(student => {
+    const lowMonths = student.months
+      .filter(month => student.lowMonths.includes(month.month))
+      .map(month => `${month.label} (${month.attendancePercentage}%)`);
+    const mostMissed = [...student.weekdayPattern]
+      .filter(entry => entry.absentDays > 0)
+      .sort((a, b) => b.absenceRate - a.absenceRate)[0];
+    const lowestSubject = [...student.subjects]
+      .filter(subject => subject.attendancePercentage !== null)
+      .sort((a, b) => a.attendancePercentage - b.attendancePercentage)[0];
+
+    rows.push([
+      student.admissionNumber,
+      student.rollNumber,
+      student.name,
+      [student.class.name, student.class.section].filter(Boolean).join(' - '),
+      student.totals.total,
+      student.totals.present,
+      student.totals.absent,
+      student.totals.late,
+      student.totals.excused,
+      student.totals.attendancePercentage ?? '',
+      student.belowThreshold ? 'Yes' : 'No',
+      lowMonths.join('; '),
+      student.currentAbsenceStreak.days,
+      student.longestAbsenceStreak.days,
+      mostMissed ? `${mostMissed.weekday} (${mostMissed.absenceRate}%)` : '',
+      lowestSubject ? `${lowestSubject.name} (${lowestSubject.attendancePercentage}%)` : '',
+      student.atRisk ? 'Yes' : 'No'
+    ]);
+  });
+
+  return toCsv(rows);
+};
+
+module.exports = {
+  resolveAnalyticsSettings,
+  getAttendanceAnalytics,
+  analyticsToCsv
+};
@@ -214,6 +214,38 @@ const uploadDocument = multer({
   }
 });
 
+// Multer upload middleware for leave application documents (medical certificates etc.)
+const uploadLeaveDocument = multer({
+  storage: documentStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf' || file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF and image files are allowed'), false);
+    }
+  }
+});
+
+// Multer upload middleware for spreadsheet imports (kept in memory and parsed, never stored)
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and Excel (.xlsx) files are allowed'), false);
+    }
+  }
+});
+
 // Multer upload middleware for syllabus files (PDF, images, videos)
 const uploadSyllabusFiles = multer({
   storage: documentStorage,
@@ -477,6 +509,20 @@ const handleUploadError = (error, req, res, next) => {
     });
   }
   
+  if (error.message === 'Only PDF and image files are allowed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid file type. Only PDF and image files are allowed.'
+    });
+  }
+  
+  if (error.message === 'Only CSV and Excel (.xlsx) files are allowed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid file type. Only CSV and Excel (.xlsx) files are allowed.'
+    });
+  }
+  
   if (error.message.includes('Only PDF, DOC, DOCX, and TXT files are allowed')) {
     return res.status(400).json({
       success: false,
@@ -495,6 +541,8 @@ module.exports = {
   uploadProductImage,
   uploadVideo,
   uploadDocument,
+  uploadLeaveDocument,
+  uploadSpreadsheet,
   uploadCoCurricularImages,
   uploadToCloudinary,
   uploadInventoryImages,
@@ -0,0 +1,165 @@
+const ConcessionRule = require('../models/ConcessionRule');
+const Parent = require('../models/Parent');
+const Student = require('../models/Student');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Part of a fee structure's amount that falls under the given categories (the whole fee when none are given)
+const getCategoryBase = (feeStructure, categories, totalAmount) => {
+  if (!categories || categories.length === 0) {
+    return totalAmount;
+  }
+
+  const wanted = categories.map(category => category.toLowerCase());
+
+  if (feeStructure.components && feeStructure.components.length > 0) {
+    return feeStructure.components
+      .filter(component => component.category && wanted.includes(component.category.toLowerCase()))
+      .reduce((sum, component) => sum + (component.amount || 0), 0);
+  }
+
+  // Single-category structures (category populated with its name)
+  const categoryName = feeStructure.category?.name;
+  return categoryName && wanted.includes(categoryName.toLowerCase()) ? totalAmount : 0;
+};
+
+/**
+ * Work out each student's position among their siblings (eldest = 1). Siblings are the active
+ * students linked to the same parent account; students with no linked parent are rank 1.
+ * @param {Array} studentIds - Students to rank
+ * @returns {Promise<Map>} studentId -> rank
+ */
+const getSiblingRanks = async (studentIds) => {
+  const ranks = new Map(studentIds.map(id => [id.toString(), 1]));
+
+  const parents = await Parent.find({
+    $or: [{ studentIds: { $in: studentIds } }, { studentId: { $in: studentIds } }]
+  }).select('studentIds studentId');
+  if (parents.length === 0) {
+    return ranks;
+  }
+
+  const childIds = new Set();
+  parents.forEach(parent => {
+    parent.studentIds.forEach(id => childIds.add(id.toString()));
+    if (parent.studentId) childIds.add(parent.studentId.toString());
+  });
+
+  const children = await Student.find({ _id: { $in: [...childIds] }, status: 'active' })
+    .select('dateOfBirth admissionDate');
+  const childrenById = new Map(children.map(child => [child._id.toString(), child]));
+
+  const byAge = (a, b) =>
+    (new Date(a.dateOfBirth || 0) - new Date(b.dateOfBirth || 0)) ||
+    (new Date(a.admissionDate || 0) - new Date(b.admissionDate || 0)) ||
+    a._id.toString().localeCompare(b._id.toString());
+
+  for (const parent of parents) {
+    const ids = new Set(parent.studentIds.map(id => id.toString()));
+    if (parent.studentId) ids.add(parent.studentId.toString());
+
+    const family = [...ids].map(id => childrenById.get(id)).filter(Boolean).sort(byAge);
+    family.forEach((child, index) => {
+      const id = child._id.toString();
+      // A child linked to two parent accounts gets the same rank from both
+      if (ranks.has(id)) {
+        ranks.set(id, Math.max(ranks.get(id), index + 1));
+      }
+    });
+  }
+
+  return ranks;
+};
+
+// Load the category name of single-category fee structures so category-based rules can match them
+const prepareFeeStructure = async (feeStructure) => {
+  if (feeStructure.category && !feeStructure.populated('category')) {
+    await feeStructure.populate('category', 'name');
+  }
+  return feeStructure;
+};
+
+/**
+ * Calculate the discounts for one student's collection under a fee structure: the structure's own
+ * discount followed by every concession rule that applies. The total discount never exceeds the fee.
+ * @param {Object} feeStructure - FeeStructure document (see prepareFeeStructure)
+ * @param {Object} student - Student document (needs _id and classId)
+ * @param {Object} [context]
+ * @param {Array} [context.rules] - Active ConcessionRule documents for the school
+ * @param {Number} [context.siblingRank=1] - The student's sibling rank
+ * @returns {Object} { totalAmount, discountAmount, concessions }
+ */
+const calculateFeeDiscounts = (feeStructure, student, { rules = [], siblingRank = 1 } = {}) => {
+  const totalAmount = feeStructure.amount || feeStructure.totalAmount || 0;
+  const concessions = [];
+  let remaining = totalAmount;
+
+  const structureDiscount = roundAmount(Math.min(feeStructure.calculateDiscount(), totalAmount));
+  if (structureDiscount > 0) {
+    concessions.push({
+      rule: null,
+      name: feeStructure.discount.description || 'Fee structure discount',
+      concessionType: 'fee_structure',
+      discountType: feeStructure.discount.type,
+      value: feeStructure.discount.value,
+      feeCategories: [],
+      baseAmount: totalAmount,
+      amount: structureDiscount
+    });
+    remaining -= structureDiscount;
+  }
+
+  for (const rule of rules) {
+    if (remaining <= 0) break;
+    if (!rule.appliesToStudent(student, feeStructure, siblingRank)) continue;
+
+    const baseAmount = getCategoryBase(feeStructure, rule.feeCategories, totalAmount);
+    if (baseAmount <= 0) continue;
+
+    let amount = rule.discountType === 'percentage'
+      ? baseAmount * rule.value / 100
+      : Math.min(rule.value, baseAmount);
+    if (rule.maxAmount !== null && rule.maxAmount !== undefined) {
+      amount = Math.min(amount, rule.maxAmount);
+    }
+    amount = roundAmount(Math.min(amount, remaining));
+    if (amount <= 0) continue;
+
+    concessions.push({
+      rule: rule._id,
+      name: rule.name,
+      concessionType: rule.concessionType,
+      discountType: rule.discountType,
+      value: rule.value,
+      feeCategories: rule.feeCategories,
+      baseAmount,
+      amount
+    });
+    remaining -= amount;
+  }
+
+  return {
+    totalAmount,
+    discountAmount: roundAmount(totalAmount - remaining),
+    concessions
+  };
+};
+
+// Discounts for a single student, loading the school's rules and the student's sibling rank
+const getStudentFeeDiscounts = async (feeStructure, student) => {
+  await prepareFeeStructure(feeStructure);
+  const rules = await ConcessionRule.getActiveRules(feeStructure.school, feeStructure.academicYear);
+  const ranks = await getSiblingRanks([student._id]);
+
+  return calculateFeeDiscounts(feeStructure, student, {
+    rules,
+    siblingRank: ranks.get(student._id.toString())
+  });
+};
+
+module.exports = {
+  getSiblingRanks,
+  prepareFeeStructure,
+  calculateFeeDiscounts,
+  getStudentFeeDiscounts
+};
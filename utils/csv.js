@@ -0,0 +1,61 @@
+// CSV helpers for report exports and spreadsheet imports (RFC 4180 quoting, CRLF line endings)
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows are arrays of cell values; the first row is usually the header
+const toCsv = (rows) => rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+
+// Parses CSV text into rows of trimmed cell strings; quoted cells may hold commas, quotes and line breaks.
+// Blank lines are dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  escapeCsv,
+  toCsv,
+  parseCsv
+};
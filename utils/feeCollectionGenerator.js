@@ -0,0 +1,241 @@
+const FeeStructure = require('../models/FeeStructure');
+const FeeCollection = require('../models/FeeCollection');
+const Student = require('../models/Student');
+const ConcessionRule = require('../models/ConcessionRule');
+const AcademicYear = require('../models/AcademicYear');
+const { getSiblingRanks, prepareFeeStructure, calculateFeeDiscounts } = require('./concessions');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Number of months covered by one billing period for each FeeStructure frequency
+const PERIOD_MONTHS = {
+  'monthly': 1,
+  'quarterly': 3,
+  'semi-annual': 6,
+  'annual': 12,
+  'one-time': 12
+};
+
+// Month the academic year starts in (1-12), April by default
+const getAcademicYearStartMonth = () => {
+  const month = parseInt(process.env.ACADEMIC_YEAR_START_MONTH);
+  return month >= 1 && month <= 12 ? month : 4;
+};
+
+// First calendar year of an academic year string ("2025", "2025-26" or "2025-2026")
+const parseAcademicYearStart = (academicYear) => {
+  const match = String(academicYear || '').match(/^\s*(\d{4})/);
+  return match ? parseInt(match[1]) : null;
+};
+
+const formatMonth = (date) => `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`;
+
+// Split an academic year into the billing periods of a fee structure.
+// Each period is { label, start, end, dueDate }; one-time fees have a single period with no label.
+const getBillingPeriods = (feeStructure, startMonth = getAcademicYearStartMonth()) => {
+  const startYear = parseAcademicYearStart(feeStructure.academicYear);
+  if (!startYear) {
+    throw new Error(`Cannot work out billing periods for academic year "${feeStructure.academicYear}"`);
+  }
+
+  const monthsPerPeriod = PERIOD_MONTHS[feeStructure.frequency] || 1;
+  const periods = [];
+
+  for (let offset = 0; offset < 12; offset += monthsPerPeriod) {
+    const start = new Date(startYear, startMonth - 1 + offset, 1);
+    const end = new Date(start.getFullYear(), start.getMonth() + monthsPerPeriod, 0, 23, 59, 59, 999);
+
+    // Due on dueDay of the period's first month, clamped to the month length (e.g. 31 -> 28 Feb)
+    const daysInMonth = new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+    const dueDate = new Date(start.getFullYear(), start.getMonth(), Math.min(feeStructure.dueDay || 1, daysInMonth));
+
+    let label = null;
+    if (feeStructure.frequency === 'monthly') {
+      label = formatMonth(start);
+    } else if (feeStructure.frequency !== 'one-time') {
+      label = `${formatMonth(start)} - ${formatMonth(end)}`;
+    }
+
+    periods.push({ label, start, end, dueDate });
+  }
+
+  return periods;
+};
+
+/**
+ * Create fee collections for every active student each fee structure applies to, one per billing period.
+ * Periods (and students) that already have a collection - generated or entered by hand, including
+ * cancelled ones - are skipped, so the generator can be re-run safely. Fee structures of a locked
+ * academic year are reported as errors and not billed.
+ * @param {Object} options
+ * @param {String} [options.schoolId] - Limit to one school
+ * @param {String} [options.academicYear] - Limit to one academic year
+ * @param {String} [options.feeStructureId] - Limit to one fee structure
+ * @param {String} [options.classId] - Limit to students of one class
+ * @param {Date} [options.from] - Skip periods that ended before this date
+ * @param {Date} [options.upTo] - Skip periods that start after this date
+ * @param {Number} [options.startMonth] - Month the academic year starts in (1-12)
+ * @param {Boolean} [options.dryRun] - Only report what would be created
+ * @param {String} [options.createdBy] - User recorded as creator (defaults to the structure's creator)
+ * @returns {Promise<Object>} Summary with counts, per-structure breakdown and (for dry runs) the collections
+ */
+const generateFeeCollections = async ({
+  schoolId,
+  academicYear,
+  feeStructureId,
+  classId,
+  from = null,
+  upTo = null,
+  startMonth = getAcademicYearStartMonth(),
+  dryRun = false,
+  createdBy = null
+} = {}) => {
+  const query = { status: 'active' };
+  if (schoolId) query.school = schoolId;
+  if (academicYear) query.academicYear = academicYear;
+  if (feeStructureId) query._id = feeStructureId;
+
+  const feeStructures = await FeeStructure.find(query);
+  const isLockedYear = await AcademicYear.getLockedYearCheck(schoolId);
+  // Active concession rules per school and academic year
+  const rulesCache = new Map();
+  const summary = { dryRun, structures: [], created: 0, skipped: 0, errors: [] };
+  if (dryRun) summary.collections = [];
+
+  for (const feeStructure of feeStructures) {
+    // A class-specific structure can't apply to students of another class
+    if (classId && feeStructure.class && feeStructure.class.toString() !== classId.toString()) {
+      continue;
+    }
+
+    if (isLockedYear(feeStructure.school, feeStructure.academicYear)) {
+      summary.errors.push({
+        feeStructure: feeStructure._id,
+        error: `Academic year ${feeStructure.academicYear} is locked; no collections were generated`
+      });
+      continue;
+    }
+
+    const structureSummary = {
+      feeStructure: feeStructure._id,
+      name: feeStructure.name,
+      academicYear: feeStructure.academicYear,
+      frequency: feeStructure.frequency,
+      created: 0,
+      skipped: 0
+    };
+    summary.structures.push(structureSummary);
+
+    let periods;
+    try {
+      periods = getBillingPeriods(feeStructure, startMonth).filter(period =>
+        (!from || period.end >= from) && (!upTo || period.start <= upTo)
+      );
+    } catch (error) {
+      summary.errors.push({ feeStructure: feeStructure._id, error: error.message });
+      continue;
+    }
+
+    if (periods.length === 0) continue;
+
+    const studentQuery = { schoolId: feeStructure.school, status: 'active', classId: { $ne: null } };
+    if (feeStructure.class) {
+      studentQuery.classId = feeStructure.class;
+    } else if (classId) {
+      studentQuery.classId = classId;
+    }
+    const students = await Student.find(studentQuery).select('name admissionNumber classId admissionDate');
+
+    // Everything already billed under this structure for the year, whatever its status
+    const existing = await FeeCollection.find({
+      feeStructure: feeStructure._id,
+      academicYear: feeStructure.academicYear
+    }).select('student month');
+    const billed = new Set(existing.map(collection => `${collection.student}:${collection.month || ''}`));
+
+    await prepareFeeStructure(feeStructure);
+    const rulesKey = `${feeStructure.school}:${feeStructure.academicYear}`;
+    if (!rulesCache.has(rulesKey)) {
+      rulesCache.set(rulesKey, await ConcessionRule.getActiveRules(feeStructure.school, feeStructure.academicYear));
+    }
+    const rules = rulesCache.get(rulesKey);
+    const siblingRanks = await getSiblingRanks(students.map(student => student._id));
+
+    for (const student of students) {
+      const { totalAmount, discountAmount, concessions } = calculateFeeDiscounts(feeStructure, student, {
+        rules,
+        siblingRank: siblingRanks.get(student._id.toString())
+      });
+
+      for (const period of periods) {
+        // Don't bill periods that were over before the student joined
+        if (student.admissionDate && period.end < student.admissionDate) {
+          continue;
+        }
+
+        if (billed.has(`${student._id}:${period.label || ''}`)) {
+          structureSummary.skipped++;
+          continue;
+        }
+
+        const collection = {
+          school: feeStructure.school,
+          student: student._id,
+          feeStructure: feeStructure._id,
+          academicYear: feeStructure.academicYear,
+          month: period.label,
+          periodStart: period.start,
+          periodEnd: period.end,
+          totalAmount,
+          discountAmount,
+          concessions,
+          lateFeeAmount: 0,
+          paidAmount: 0,
+          dueAmount: totalAmount - discountAmount,
+          dueDate: period.dueDate,
+          generationKey: `${feeStructure._id}:${student._id}:${period.start.getFullYear()}-${period.start.getMonth() + 1}`,
+          createdBy: createdBy || feeStructure.createdBy
+        };
+
+        if (dryRun) {
+          summary.collections.push({
+            ...collection,
+            studentName: student.name,
+            admissionNumber: student.admissionNumber,
+            feeStructureName: feeStructure.name
+          });
+          structureSummary.created++;
+          continue;
+        }
+
+        try {
+          await FeeCollection.create(collection);
+          structureSummary.created++;
+        } catch (error) {
+          if (error.code === 11000) {
+            // Another run created it first
+            structureSummary.skipped++;
+          } else {
+            summary.errors.push({ feeStructure: feeStructure._id, student: student._id, month: period.label, error: error.message });
+          }
+        }
+      }
+    }
+
+    summary.created += structureSummary.created;
+    summary.skipped += structureSummary.skipped;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MONTH_NAMES,
+  getAcademicYearStartMonth,
+  parseAcademicYearStart,
+  getBillingPeriods,
+  generateFeeCollections
+};
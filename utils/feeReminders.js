@@ -0,0 +1,220 @@
+const FeeCollection = require('../models/FeeCollection');
+const Notification = require('../models/Notification');
+const Parent = require('../models/Parent');
+const { sendPushNotificationToUser } = require('./pushNotifications');
+const { sendEmail, sendSms } = require('./messaging');
+
+const REMINDER_CHANNELS = ['notification', 'push', 'email', 'sms'];
+
+// Channels used when a reminder doesn't ask for specific ones (FEE_REMINDER_CHANNELS, comma separated)
+const getDefaultChannels = () => {
+  const configured = (process.env.FEE_REMINDER_CHANNELS || 'notification,push,email')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(channel => REMINDER_CHANNELS.includes(channel));
+  return configured.length > 0 ? configured : ['notification', 'push'];
+};
+
+// Map the legacy single reminder "type" onto channels ('notification' covers in-app and push)
+const resolveChannels = (channels, type) => {
+  if (Array.isArray(channels) && channels.length > 0) {
+    return channels.filter(channel => REMINDER_CHANNELS.includes(channel));
+  }
+  if (type === 'notification') return ['notification', 'push'];
+  if (REMINDER_CHANNELS.includes(type)) return [type];
+  return getDefaultChannels();
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const buildReminderMessage = (feeCollection, student) => {
+  const feeName = feeCollection.feeStructure?.name || 'School fee';
+  const period = feeCollection.month ? ` (${feeCollection.month})` : '';
+  const dueDate = new Date(feeCollection.dueDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+  const isOverdue = new Date(feeCollection.dueDate) < new Date();
+
+  return {
+    title: isOverdue ? 'Fee overdue' : 'Fee reminder',
+    text: isOverdue
+      ? `${feeName}${period} of ${formatAmount(feeCollection.dueAmount)} for ${student.name} was due on ${dueDate} and is now overdue.`
+      : `${feeName}${period} of ${formatAmount(feeCollection.dueAmount)} for ${student.name} is due on ${dueDate}.`
+  };
+};
+
+// Student and linked parents a reminder goes to. Falls back to the parent contact details
+// stored on the student when no parent account is linked.
+const getReminderRecipients = async (student) => {
+  const parents = await Parent.find({
+    $or: [{ studentIds: student._id }, { studentId: student._id }],
+    isActive: { $ne: false }
+  }).select('name email phone');
+
+  const emails = new Set(parents.map(parent => parent.email).filter(Boolean));
+  const phones = new Set(parents.map(parent => parent.phone).filter(Boolean));
+  if (parents.length === 0) {
+    if (student.parentEmail) emails.add(student.parentEmail);
+    if (student.parentPhone) phones.add(student.parentPhone);
+  }
+  if (student.email) emails.add(student.email);
+
+  return { parents, emails: [...emails], phones: [...phones] };
+};
+
+// Deliver on one channel; returns { status, recipientCount, error }
+const deliverOnChannel = async (channel, { feeCollection, student, recipients, message }) => {
+  const data = { type: 'fee_reminder', feeCollectionId: feeCollection._id.toString() };
+
+  if (channel === 'notification') {
+    const notifications = [
+      { recipient: student._id, recipientModel: 'Student' },
+      ...recipients.parents.map(parent => ({ recipient: parent._id, recipientModel: 'Parent' }))
+    ].map(target => ({
+      ...target,
+      title: message.title,
+      message: message.text,
+      type: 'fee',
+      schoolId: feeCollection.school,
+      relatedId: feeCollection._id,
+      relatedType: 'fee',
+      priority: 'high',
+      icon: 'wallet',
+      color: '#F59E0B',
+      metadata: {
+        dueAmount: feeCollection.dueAmount,
+        dueDate: feeCollection.dueDate,
+        month: feeCollection.month
+      }
+    }));
+    await Notification.insertMany(notifications);
+    return { status: 'sent', recipientCount: notifications.length };
+  }
+
+  if (channel === 'push') {
+    const results = await Promise.all([
+      sendPushNotificationToUser(student._id, 'Student', message.title, message.text, data),
+      ...recipients.parents.map(parent =>
+        sendPushNotificationToUser(parent._id, 'Parent', message.title, message.text, data)
+      )
+    ]);
+    const sent = results.reduce((sum, result) => sum + (result.sent || 0), 0);
+    return sent > 0
+      ? { status: 'sent', recipientCount: sent }
+      : { status: 'failed', recipientCount: 0, error: results.find(result => result.error)?.error || 'No registered devices' };
+  }
+
+  const targets = channel === 'email' ? recipients.emails : recipients.phones;
+  if (targets.length === 0) {
+    return { status: 'failed', recipientCount: 0, error: `No ${channel} recipients` };
+  }
+
+  const results = await Promise.all(targets.map(to => channel === 'email'
+    ? sendEmail(to, message.title, message.text, data)
+    : sendSms(to, message.text, data)
+  ));
+  const sent = results.filter(result => result.success).length;
+  return sent > 0
+    ? { status: 'sent', recipientCount: sent }
+    : { status: 'failed', recipientCount: 0, error: results[0].error };
+};
+
+/**
+ * Send a fee reminder to the student and their parents and record the outcome of each
+ * channel in feeCollection.reminders
+ * @param {Object} feeCollection - FeeCollection document
+ * @param {Object} [options]
+ * @param {Array} [options.channels] - Any of notification, push, email, sms (defaults to FEE_REMINDER_CHANNELS)
+ * @param {String} [options.type] - Legacy single reminder type, used when channels isn't given
+ * @param {String} [options.trigger='manual'] - 'manual' or 'scheduled'
+ * @param {Number} [options.daysBefore] - Days before the due date (scheduled reminders)
+ * @param {String} [options.sentBy] - User sending a manual reminder
+ * @returns {Promise<Array>} One result per channel
+ */
+const sendFeeReminder = async (feeCollection, { channels, type, trigger = 'manual', daysBefore = null, sentBy = null } = {}) => {
+  if (!feeCollection.populated('student')) {
+    await feeCollection.populate('student', 'name admissionNumber email phone parentPhone parentEmail');
+  }
+  if (!feeCollection.populated('feeStructure')) {
+    await feeCollection.populate('feeStructure', 'name');
+  }
+
+  const student = feeCollection.student;
+  const recipients = await getReminderRecipients(student);
+  const message = buildReminderMessage(feeCollection, student);
+  const results = [];
+
+  for (const channel of resolveChannels(channels, type)) {
+    let result;
+    try {
+      result = await deliverOnChannel(channel, { feeCollection, student, recipients, message });
+    } catch (error) {
+      console.error(`Fee reminder ${channel} error:`, error);
+      result = { status: 'failed', recipientCount: 0, error: error.message };
+    }
+
+    feeCollection.reminders.push({
+      sentDate: new Date(),
+      type: channel,
+      ...result,
+      trigger,
+      daysBefore,
+      sentBy
+    });
+    results.push({ channel, ...result });
+  }
+
+  await feeCollection.save();
+  return results;
+};
+
+/**
+ * Send scheduled reminders for unpaid fee collections due in exactly N days.
+ * Each collection gets at most one scheduled reminder per N.
+ * @param {Object} [options]
+ * @param {Array} [options.daysBefore] - Days before the due date (defaults to FEE_REMINDER_DAYS_BEFORE, "3")
+ * @param {String} [options.schoolId] - Limit to one school
+ * @param {Array} [options.channels] - Channels to use
+ * @param {Date} [options.asOf] - Date to count from (defaults to now)
+ * @returns {Promise<Object>} Summary of reminders sent
+ */
+const sendScheduledFeeReminders = async ({ daysBefore, schoolId = null, channels, asOf = new Date() } = {}) => {
+  const offsets = (daysBefore || (process.env.FEE_REMINDER_DAYS_BEFORE || '3').split(','))
+    .map(days => parseInt(days))
+    .filter(days => days >= 0);
+  const summary = { reminded: 0, failed: 0, errors: [] };
+
+  for (const days of [...new Set(offsets)]) {
+    const dayStart = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate() + days);
+    const dayEnd = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate() + days + 1);
+
+    const query = {
+      status: { $in: ['pending', 'partial'] },
+      dueAmount: { $gt: 0 },
+      dueDate: { $gte: dayStart, $lt: dayEnd },
+      reminders: { $not: { $elemMatch: { trigger: 'scheduled', daysBefore: days } } }
+    };
+    if (schoolId) query.school = schoolId;
+
+    const feeCollections = await FeeCollection.find(query);
+
+    for (const feeCollection of feeCollections) {
+      try {
+        const results = await sendFeeReminder(feeCollection, { channels, trigger: 'scheduled', daysBefore: days });
+        if (results.some(result => result.status === 'sent')) {
+          summary.reminded++;
+        } else {
+          summary.failed++;
+        }
+      } catch (error) {
+        summary.errors.push({ feeCollection: feeCollection._id, error: error.message });
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REMINDER_CHANNELS,
+  sendFeeReminder,
+  sendScheduledFeeReminders
+};
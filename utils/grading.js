@@ -0,0 +1,104 @@
+const ExamMark = require('../models/ExamMark');
+const Exam = require('../models/Exam');
+const GradingScheme = require('../models/GradingScheme');
+const AcademicYear = require('../models/AcademicYear');
+
+const { DEFAULT_GRADING_SCHEME } = GradingScheme;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Schemes that apply to each class in a school, loaded with one query
+ * @param {String} schoolId
+ * @returns {Promise<Function>} (classId) => scheme (the school default or built-in scale when the class has none)
+ */
+const getClassSchemeResolver = async (schoolId) => {
+  const schemes = await GradingScheme.find({ schoolId, isActive: true }).lean();
+  const byClass = new Map();
+  schemes.forEach(scheme => {
+    scheme.classIds.forEach(classId => byClass.set(classId.toString(), scheme));
+  });
+  const fallback = schemes.find(scheme => scheme.isDefault) || DEFAULT_GRADING_SCHEME;
+
+  return (classId) => (classId && byClass.get((classId._id || classId).toString())) || fallback;
+};
+
+/**
+ * Overall result across a student's marks: average percentage graded on the scheme, average grade
+ * point, and pass/fail by the scheme's failed-subject allowance. A subject counts as failed when any
+ * of its marks failed (absence included).
+ * @param {Object} scheme
+ * @param {Array} marks - ExamMark documents or plain objects
+ * @returns {Object} { percentage, grade, gradePoint, failedSubjects, result } - grade 'N/A' without marks
+ */
+const summarizeResult = (scheme, marks) => {
+  const appeared = marks.filter(mark => !mark.isAbsent);
+  if (marks.length === 0) {
+    return { percentage: 0, grade: 'N/A', gradePoint: null, failedSubjects: 0, result: null };
+  }
+
+  const percentage = appeared.length > 0
+    ? round(appeared.reduce((sum, mark) => sum + (mark.percentage || 0), 0) / appeared.length)
+    : 0;
+  const points = appeared.filter(mark => mark.gradePoint !== null && mark.gradePoint !== undefined);
+  const failed = new Set(marks
+    .filter(mark => mark.isPassed === false)
+    .map(mark => (mark.subjectId?._id || mark.subjectId || '').toString()));
+
+  return {
+    percentage,
+    grade: appeared.length > 0 ? GradingScheme.gradePercentage(scheme, percentage).grade : scheme.absentGrade || 'Ab',
+    gradePoint: points.length > 0 ? round(points.reduce((sum, mark) => sum + mark.gradePoint, 0) / points.length) : null,
+    failedSubjects: failed.size,
+    result: failed.size <= (scheme.maxFailedSubjects || 0) ? 'pass' : 'fail'
+  };
+};
+
+/**
+ * Re-grade stored marks after a scheme changes. Marks are saved one by one so the ExamMark
+ * pre-save hook works the grade out exactly as it does for new entries. Marks of exams in a
+ * locked academic year keep the grades they have.
+ * @param {String} schoolId
+ * @param {Object} [filters]
+ * @param {String} [filters.schemeId] - Only marks graded with this scheme or whose class now uses it
+ * @param {String} [filters.classId]
+ * @param {String} [filters.examId]
+ * @returns {Promise<Object>} { processed, changed }
+ */
+const recalculateGrades = async (schoolId, { schemeId = null, classId = null, examId = null } = {}) => {
+  const query = { schoolId };
+  if (classId) query.classId = classId;
+  if (examId) query.examId = examId;
+
+  const lockedYears = await AcademicYear.find({ schoolId, isLocked: true }).select('startDate endDate');
+  if (lockedYears.length > 0) {
+    const lockedExamIds = await Exam.find({
+      schoolId,
+      $or: lockedYears.map(year => ({ examDate: { $gte: year.startDate, $lte: year.endDate } }))
+    }).distinct('_id');
+    query.examId = examId ? { $eq: examId, $nin: lockedExamIds } : { $nin: lockedExamIds };
+  }
+
+  const resolveScheme = schemeId ? await getClassSchemeResolver(schoolId) : null;
+  const summary = { processed: 0, changed: 0 };
+
+  const cursor = ExamMark.find(query).cursor();
+  for (let mark = await cursor.next(); mark; mark = await cursor.next()) {
+    if (resolveScheme &&
+      mark.gradingSchemeId?.toString() !== schemeId.toString() &&
+      resolveScheme(mark.classId)._id?.toString() !== schemeId.toString()) continue;
+
+    const before = `${mark.grade}|${mark.gradePoint}|${mark.isPassed}|${mark.gradingSchemeId}`;
+    await mark.save();
+    summary.processed++;
+    if (before !== `${mark.grade}|${mark.gradePoint}|${mark.isPassed}|${mark.gradingSchemeId}`) summary.changed++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getClassSchemeResolver,
+  summarizeResult,
+  recalculateGrades
+};
@@ -0,0 +1,120 @@
+const JobRun = require('../models/JobRun');
+
+// Registered background jobs by name
+const jobs = new Map();
+// Names of jobs currently executing in this process
+const running = new Set();
+const timers = [];
+
+/**
+ * Register a background job
+ * @param {String} name - Unique job name (used in /api/jobs/:name/run)
+ * @param {Object} definition
+ * @param {String} definition.description - What the job does
+ * @param {Number} definition.intervalMinutes - How often the scheduler runs it
+ * @param {Function} definition.handler - async (options, { jobRun }) => summary
+ * @param {Boolean} [definition.enabled=true] - Set false to keep the job off the schedule
+ * @param {Boolean} [definition.runOnStart=false] - Also run once when the scheduler starts
+ */
+const registerJob = (name, { description, intervalMinutes, handler, enabled = true, runOnStart = false }) => {
+  jobs.set(name, { name, description, intervalMinutes, handler, enabled, runOnStart });
+};
+
+const getJob = (name) => jobs.get(name);
+
+/**
+ * Run a job now, recording the run in JobRun
+ * @param {String} name - Job name
+ * @param {Object} [params]
+ * @param {String} [params.trigger='manual'] - 'schedule' or 'manual'
+ * @param {String} [params.triggeredBy] - User who triggered a manual run
+ * @param {Object} [params.options] - Passed through to the job handler
+ * @returns {Promise<Object>} The finished JobRun
+ */
+const runJob = async (name, { trigger = 'manual', triggeredBy = null, options = {} } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Unknown job: ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (running.has(name)) {
+    const error = new Error(`Job ${name} is already running`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  running.add(name);
+  try {
+    const jobRun = await JobRun.create({ name, trigger, triggeredBy, options });
+
+    try {
+      const summary = await job.handler(options, { jobRun });
+      return await jobRun.finish(summary);
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      return await jobRun.finish(null, error);
+    }
+  } finally {
+    running.delete(name);
+  }
+};
+
+// List registered jobs with their most recent run
+const listJobs = async () => {
+  const list = [];
+  for (const job of jobs.values()) {
+    const lastRun = await JobRun.findOne({ name: job.name }).sort({ startedAt: -1 });
+    list.push({
+      name: job.name,
+      description: job.description,
+      intervalMinutes: job.intervalMinutes,
+      enabled: job.enabled,
+      running: running.has(job.name),
+      lastRun
+    });
+  }
+  return list;
+};
+
+// Start running every enabled job on its interval, in-process
+const startScheduler = () => {
+  for (const job of jobs.values()) {
+    if (!job.enabled) {
+      console.log(`⏸️ Job ${job.name} is disabled`);
+      continue;
+    }
+
+    const run = () => runJob(job.name, { trigger: 'schedule' }).catch(error => {
+      // Overlapping runs are skipped - the next tick picks the work up
+      if (error.statusCode !== 409) {
+        console.error(`Job ${job.name} error:`, error);
+      }
+    });
+
+    const timer = setInterval(run, job.intervalMinutes * 60 * 1000);
+    timer.unref();
+    timers.push(timer);
+
+    if (job.runOnStart) {
+      run();
+    }
+
+    console.log(`⏱️ Job ${job.name} scheduled every ${job.intervalMinutes} minutes`);
+  }
+};
+
+// Stop all scheduled jobs (runs already in progress finish on their own)
+const stopScheduler = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  registerJob,
+  getJob,
+  runJob,
+  listJobs,
+  startScheduler,
+  stopScheduler
+};
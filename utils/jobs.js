@@ -0,0 +1,88 @@
+const { registerJob, runJob, listJobs, getJob, startScheduler } = require('./jobScheduler');
+const { reconcilePendingPayments } = require('./paymentReconciliation');
+const { generateFeeCollections } = require('./feeCollectionGenerator');
+const { applyLateFees } = require('./lateFees');
+const { sendScheduledFeeReminders } = require('./feeReminders');
+const { deliverQueuedAbsenceAlerts } = require('./attendanceAlerts');
+const { autoSubmitExpiredAttempts } = require('./quizAttempts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settle Razorpay checkouts the client never confirmed
+registerJob('payment-reconciliation', {
+  description: 'Complete or expire Razorpay checkouts that never heard back from the app or a webhook',
+  intervalMinutes: parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES) || 15,
+  enabled: Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET),
+  handler: ({ olderThanMinutes, expireAfterHours } = {}) => reconcilePendingPayments({
+    olderThanMinutes: olderThanMinutes !== undefined ? Number(olderThanMinutes) : undefined,
+    expireAfterHours: expireAfterHours !== undefined ? Number(expireAfterHours) : undefined
+  })
+});
+
+// Bill the current (and about-to-start) period of every active fee structure.
+// Off the schedule unless FEE_GENERATION_AUTO=true; otherwise schools preview and generate through
+// /api/fee-collections/generate or run the job by hand.
+// FEE_GENERATION_LEAD_DAYS (default 7) controls how early upcoming periods are billed.
+registerJob('fee-collection-generation', {
+  description: 'Create fee collections for the current billing period of active fee structures',
+  intervalMinutes: 24 * 60,
+  enabled: process.env.FEE_GENERATION_AUTO === 'true',
+  runOnStart: true,
+  handler: ({ schoolId, academicYear } = {}) => {
+    const leadDays = parseInt(process.env.FEE_GENERATION_LEAD_DAYS) || 7;
+    const now = new Date();
+    return generateFeeCollections({
+      schoolId,
+      academicYear,
+      from: now,
+      upTo: new Date(now.getTime() + leadDays * DAY_MS)
+    });
+  }
+});
+
+// Overdue transitions and late fees for fee collections, school bills and transport fees
+registerJob('late-fees', {
+  description: 'Mark unpaid fees overdue and apply late fees after the grace period',
+  intervalMinutes: parseInt(process.env.LATE_FEE_INTERVAL_MINUTES) || 6 * 60,
+  runOnStart: true,
+  handler: ({ schoolId, asOf } = {}, { jobRun }) => applyLateFees({
+    schoolId,
+    asOf: asOf ? new Date(asOf) : new Date(),
+    jobRunId: jobRun._id
+  })
+});
+
+// Remind students and parents FEE_REMINDER_DAYS_BEFORE days ahead of each due date
+registerJob('fee-reminders', {
+  description: 'Send reminders for unpaid fees a few days before they are due',
+  intervalMinutes: 24 * 60,
+  runOnStart: true,
+  handler: ({ schoolId, daysBefore, channels } = {}) => sendScheduledFeeReminders({
+    schoolId,
+    daysBefore: daysBefore !== undefined ? [].concat(daysBefore) : undefined,
+    channels
+  })
+});
+
+// Push absence alerts that were held back by a school's quiet hours
+registerJob('attendance-alerts', {
+  description: 'Send absence alerts queued during school quiet hours',
+  intervalMinutes: parseInt(process.env.ATTENDANCE_ALERT_INTERVAL_MINUTES) || 15,
+  handler: ({ schoolId } = {}) => deliverQueuedAbsenceAlerts({ schoolId })
+});
+
+// Submit quiz attempts whose time ran out while the student's app was closed
+registerJob('quiz-auto-submit', {
+  description: 'Submit expired quiz attempts with the answers saved before their deadline',
+  intervalMinutes: parseInt(process.env.QUIZ_AUTO_SUBMIT_INTERVAL_MINUTES) || 5,
+  handler: ({ schoolId } = {}) => autoSubmitExpiredAttempts({ schoolId })
+});
+
+const startJobs = () => startScheduler();
+
+module.exports = {
+  startJobs,
+  runJob,
+  listJobs,
+  getJob
+};
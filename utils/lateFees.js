@@ -0,0 +1,257 @@
+const FeeCollection = require('../models/FeeCollection');
+const FeeStructure = require('../models/FeeStructure');
+const Bill = require('../models/Bill');
+const StudentTransport = require('../models/StudentTransport');
+const LateFeeApplication = require('../models/LateFeeApplication');
+const AcademicYear = require('../models/AcademicYear');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const toDayKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Whole days between a due date and asOf (0 on the due date itself)
+const daysLateOn = (dueDate, asOf) => Math.max(0, Math.round((startOfDay(asOf) - startOfDay(new Date(dueDate))) / DAY_MS));
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Record the increase in a record's late fee for the day. Returns the amount added, or 0 if
+// nothing is owed beyond what was already applied (or another run already applied it today).
+const recordApplication = async ({ school, targetModel, target, lateFee, daysLate, rule, asOf, jobRunId }) => {
+  const applied = await LateFeeApplication.getAppliedTotal(targetModel, target);
+  const amount = roundAmount(lateFee - applied);
+  if (amount <= 0) {
+    return { application: null, amount: 0 };
+  }
+
+  try {
+    const application = await LateFeeApplication.create({
+      school,
+      targetModel,
+      target,
+      amount,
+      totalApplied: roundAmount(lateFee),
+      daysLate,
+      rule,
+      appliedOn: toDayKey(asOf),
+      jobRun: jobRunId
+    });
+    return { application, amount };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { application: null, amount: 0 };
+    }
+    throw error;
+  }
+};
+
+// Move unpaid fee collections past their due date to overdue and add FeeStructure.lateFee
+// once the grace period is over. Collections of locked academic years are left as they are.
+const applyFeeCollectionLateFees = async ({ schoolId = null, asOf = new Date(), jobRunId = null } = {}) => {
+  const summary = { markedOverdue: 0, lateFeesApplied: 0, lateFeeTotal: 0, errors: [] };
+  const today = startOfDay(asOf);
+  const schoolFilter = schoolId ? { school: schoolId } : {};
+  const isLockedYear = await AcademicYear.getLockedYearCheck(schoolId);
+
+  const pastDue = await FeeCollection.find(
+    { ...schoolFilter, status: 'pending', dueDate: { $lt: today }, dueAmount: { $gt: 0 } }
+  ).select('school academicYear').lean();
+  const toMarkOverdue = pastDue.filter(collection => !isLockedYear(collection.school, collection.academicYear));
+
+  if (toMarkOverdue.length > 0) {
+    const overdue = await FeeCollection.updateMany(
+      { _id: { $in: toMarkOverdue.map(collection => collection._id) }, status: 'pending' },
+      { status: 'overdue' }
+    );
+    summary.markedOverdue = overdue.modifiedCount;
+  }
+
+  const feeStructures = await FeeStructure.find({ ...schoolFilter, 'lateFee.enabled': true, 'lateFee.value': { $gt: 0 } });
+  const structuresById = new Map(feeStructures.map(structure => [structure._id.toString(), structure]));
+  if (structuresById.size === 0) {
+    return summary;
+  }
+
+  const collections = await FeeCollection.find({
+    feeStructure: { $in: feeStructures.map(structure => structure._id) },
+    status: { $in: ['overdue', 'partial'] },
+    dueDate: { $lt: today },
+    dueAmount: { $gt: 0 }
+  });
+
+  for (const collection of collections) {
+    if (isLockedYear(collection.school, collection.academicYear)) continue;
+
+    try {
+      const feeStructure = structuresById.get(collection.feeStructure.toString());
+      const daysLate = daysLateOn(collection.dueDate, asOf);
+      const lateFee = feeStructure.calculateLateFee(daysLate);
+      if (lateFee <= 0) continue;
+
+      const { application, amount } = await recordApplication({
+        school: collection.school,
+        targetModel: 'FeeCollection',
+        target: collection._id,
+        lateFee,
+        daysLate,
+        rule: {
+          type: feeStructure.lateFee.type,
+          value: feeStructure.lateFee.value,
+          gracePeriod: feeStructure.lateFee.gracePeriod,
+          baseAmount: feeStructure.amount
+        },
+        asOf,
+        jobRunId
+      });
+      if (!application) continue;
+
+      try {
+        collection.lateFeeAmount = roundAmount((collection.lateFeeAmount || 0) + amount);
+        await collection.save();
+      } catch (error) {
+        // Don't leave an application behind for a late fee that was never added
+        await LateFeeApplication.deleteOne({ _id: application._id });
+        throw error;
+      }
+
+      summary.lateFeesApplied++;
+      summary.lateFeeTotal = roundAmount(summary.lateFeeTotal + amount);
+    } catch (error) {
+      summary.errors.push({ feeCollection: collection._id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// Move pending school bills past their due date to overdue and accrue Bill.lateFees
+// (rate % of the bill total per day overdue)
+const applyBillLateFees = async ({ schoolId = null, asOf = new Date(), jobRunId = null } = {}) => {
+  const summary = { markedOverdue: 0, lateFeesApplied: 0, lateFeeTotal: 0, errors: [] };
+  const today = startOfDay(asOf);
+  const schoolFilter = schoolId ? { school: schoolId } : {};
+
+  const overdue = await Bill.updateMany(
+    { ...schoolFilter, status: 'pending', dueDate: { $lt: today } },
+    { status: 'overdue' }
+  );
+  summary.markedOverdue = overdue.modifiedCount;
+
+  const bills = await Bill.find({
+    ...schoolFilter,
+    status: 'overdue',
+    'lateFees.enabled': true,
+    'lateFees.rate': { $gt: 0 }
+  });
+
+  for (const bill of bills) {
+    try {
+      const daysLate = daysLateOn(bill.dueDate, asOf);
+      const lateFee = bill.total * (bill.lateFees.rate / 100) * daysLate;
+      if (lateFee <= 0) continue;
+
+      const { application, amount } = await recordApplication({
+        school: bill.school,
+        targetModel: 'Bill',
+        target: bill._id,
+        lateFee,
+        daysLate,
+        rule: {
+          type: 'percentage',
+          value: bill.lateFees.rate,
+          gracePeriod: 0,
+          baseAmount: bill.total
+        },
+        asOf,
+        jobRunId
+      });
+      if (!application) continue;
+
+      try {
+        bill.lateFees.amount = roundAmount((bill.lateFees.amount || 0) + amount);
+        bill.lateFees.appliedDate = asOf;
+        await bill.save();
+      } catch (error) {
+        await LateFeeApplication.deleteOne({ _id: application._id });
+        throw error;
+      }
+
+      summary.lateFeesApplied++;
+      summary.lateFeeTotal = roundAmount(summary.lateFeeTotal + amount);
+    } catch (error) {
+      summary.errors.push({ bill: bill._id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// Roll StudentTransport.feeStatus over each month: paid if a payment was recorded this month,
+// otherwise pending until the due day (TRANSPORT_FEE_DUE_DAY, default 10) plus
+// TRANSPORT_FEE_GRACE_DAYS have passed, then overdue. Overdue stays overdue until a payment is recorded.
+const updateTransportFeeStatuses = async ({ schoolId = null, asOf = new Date() } = {}) => {
+  const dueDay = parseInt(process.env.TRANSPORT_FEE_DUE_DAY) || 10;
+  const graceDays = parseInt(process.env.TRANSPORT_FEE_GRACE_DAYS) || 0;
+
+  const monthStart = new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+  const daysInMonth = new Date(asOf.getFullYear(), asOf.getMonth() + 1, 0).getDate();
+  const dueDate = new Date(asOf.getFullYear(), asOf.getMonth(), Math.min(dueDay, daysInMonth));
+  const overdueFrom = new Date(dueDate.getTime() + (graceDays + 1) * DAY_MS);
+
+  const base = { status: 'active', monthlyFee: { $gt: 0 } };
+  if (schoolId) base.schoolId = schoolId;
+  const unpaidThisMonth = {
+    $or: [
+      { lastPaymentDate: { $exists: false } },
+      { lastPaymentDate: null },
+      { lastPaymentDate: { $lt: monthStart } }
+    ]
+  };
+
+  const paid = await StudentTransport.updateMany(
+    { ...base, lastPaymentDate: { $gte: monthStart }, feeStatus: { $ne: 'paid' } },
+    { feeStatus: 'paid' }
+  );
+
+  // Students who only joined after this month's due date aren't overdue yet
+  const isOverdue = asOf >= overdueFrom;
+  const overdue = isOverdue
+    ? await StudentTransport.updateMany(
+      { ...base, ...unpaidThisMonth, startDate: { $lt: dueDate }, feeStatus: { $ne: 'overdue' } },
+      { feeStatus: 'overdue' }
+    )
+    : { modifiedCount: 0 };
+
+  // Last month's payment no longer covers this month
+  const pending = await StudentTransport.updateMany(
+    { ...base, ...unpaidThisMonth, feeStatus: 'paid' },
+    { feeStatus: 'pending' }
+  );
+
+  return {
+    markedPaid: paid.modifiedCount,
+    markedOverdue: overdue.modifiedCount,
+    markedPending: pending.modifiedCount
+  };
+};
+
+// Run every late-fee and overdue transition; used by the 'late-fees' background job
+const applyLateFees = async ({ schoolId = null, asOf = new Date(), jobRunId = null } = {}) => {
+  const feeCollections = await applyFeeCollectionLateFees({ schoolId, asOf, jobRunId });
+  const bills = await applyBillLateFees({ schoolId, asOf, jobRunId });
+  const transport = await updateTransportFeeStatuses({ schoolId, asOf });
+
+  return { asOf: toDayKey(asOf), feeCollections, bills, transport };
+};
+
+module.exports = {
+  applyFeeCollectionLateFees,
+  applyBillLateFees,
+  updateTransportFeeStatuses,
+  applyLateFees
+};
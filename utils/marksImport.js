@@ -0,0 +1,381 @@
+const mongoose = require('mongoose');
+const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
+const Student = require('../models/Student');
+const { parseCsv, toCsv } = require('./csv');
+const { parseXlsx } = require('./xlsx');
+const { transactionsUnsupported } = require('./transactions');
+
+// Header spellings accepted for the student and single-exam columns (compared lower-cased, letters and digits only)
+const FIELD_HEADERS = {
+  rollNumber: ['roll', 'rollno', 'rollnumber'],
+  admissionNumber: ['admission', 'admissionno', 'admissionnumber', 'admno'],
+  name: ['name', 'student', 'studentname'],
+  marks: ['marks', 'marksobtained', 'score'],
+  remarks: ['remarks', 'remark', 'comments']
+};
+
+const ABSENT_VALUES = ['a', 'ab', 'absent'];
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
+// Rows of cell strings from an uploaded .csv or .xlsx file
+const readSpreadsheet = (file) => {
+  if (/\.xlsx$/i.test(file.originalname)) return parseXlsx(file.buffer);
+  return parseCsv(file.buffer.toString('utf8'));
+};
+
+// Exams of a class's date sheet, picked by exam type or ids
+const getDateSheetExams = (schoolId, classId, { examType, examIds } = {}) => {
+  const query = { schoolId, classId, status: { $ne: 'cancelled' }, isActive: { $ne: false } };
+  if (examType) query.examType = examType;
+  if (examIds && examIds.length > 0) query._id = { $in: examIds };
+
+  return Exam.find(query)
+    .populate('subjectId', 'name code')
+    .sort({ examDate: 1, examTime: 1 });
+};
+
+// Column title an exam gets in a template: the subject name, or "Subject - Exam" when a subject has several exams
+const examColumnTitle = (exam, exams) => {
+  const subject = exam.subjectId?.name || exam.name;
+  const sameSubject = exams.filter(other => (other.subjectId?.name || other.name) === subject);
+  return sameSubject.length > 1 ? `${subject} - ${exam.name}` : subject;
+};
+
+// Headers that name an exam: its id, subject code, subject name, exam name or "Subject - Exam"
+const examHeaderKeys = (exam) => [
+  exam._id.toString(),
+  exam.subjectId?.code,
+  exam.subjectId?.name,
+  exam.name,
+  exam.subjectId?.name && `${exam.subjectId.name} - ${exam.name}`
+].filter(Boolean).map(normalizeHeader);
+
+// Works out which column holds what; single-exam sheets use a "Marks" column, date sheets one column per exam
+const mapColumns = (header, exams, singleExam) => {
+  const columns = { exams: [] };
+  const errors = [];
+
+  header.forEach((title, index) => {
+    if (!title) return;
+    const key = normalizeHeader(title);
+    const field = Object.keys(FIELD_HEADERS).find(name => FIELD_HEADERS[name].includes(key));
+
+    if (field && (singleExam || !['marks', 'remarks'].includes(field))) {
+      if (columns[field] !== undefined) {
+        errors.push({ row: 1, column: title, message: `Column "${title}" appears more than once` });
+      } else {
+        columns[field] = index;
+      }
+      return;
+    }
+    if (singleExam) return;
+
+    const matches = exams.filter(exam => examHeaderKeys(exam).includes(key));
+    if (matches.length === 0) {
+      errors.push({ row: 1, column: title, message: `Column "${title}" does not match any exam on the date sheet` });
+    } else if (matches.length > 1) {
+      errors.push({ row: 1, column: title, message: `Column "${title}" matches more than one exam; use "Subject - Exam name" or the exam id` });
+    } else if (columns.exams.some(column => column.exam._id.equals(matches[0]._id))) {
+      errors.push({ row: 1, column: title, message: `More than one column is for ${matches[0].name} (${matches[0].subjectId?.name || 'subject'})` });
+    } else {
+      columns.exams.push({ index, title, exam: matches[0] });
+    }
+  });
+
+  if (singleExam && columns.marks !== undefined) {
+    columns.exams.push({ index: columns.marks, title: header[columns.marks], exam: exams[0] });
+  }
+
+  if (columns.rollNumber === undefined && columns.admissionNumber === undefined) {
+    errors.push({ row: 1, column: null, message: 'The sheet needs a "Roll Number" or "Admission Number" column' });
+  }
+  if (columns.exams.length === 0) {
+    errors.push({
+      row: 1,
+      column: null,
+      message: singleExam ? 'The sheet needs a "Marks" column' : 'No column matches an exam on the date sheet'
+    });
+  }
+
+  return { columns, errors };
+};
+
+// A marks cell: blank is left alone, AB/Absent marks the student absent, otherwise 0..totalMarks
+const parseMarkCell = (value, exam) => {
+  const text = String(value || '').trim();
+  if (text === '') return { skip: true };
+  if (ABSENT_VALUES.includes(text.toLowerCase())) return { marksObtained: 0, isAbsent: true };
+
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    return { error: `"${text}" is not a valid mark; enter a number or AB for absent` };
+  }
+  const marks = Number(text);
+  if (marks > exam.totalMarks) {
+    return { error: `${marks} is more than the exam's total of ${exam.totalMarks}` };
+  }
+  return { marksObtained: marks, isAbsent: false };
+};
+
+// Finds the row's student by admission number (preferred) or roll number and checks the two agree
+const matchStudent = (row, columns, lookups) => {
+  const admission = columns.admissionNumber !== undefined ? row[columns.admissionNumber] : '';
+  const roll = columns.rollNumber !== undefined ? row[columns.rollNumber] : '';
+
+  if (!admission && !roll) return { error: 'Row has no roll or admission number' };
+
+  if (admission) {
+    const student = lookups.byAdmission.get(normalizeKey(admission));
+    if (!student) return { error: `No student with admission number ${admission} in this class` };
+    if (roll && normalizeKey(student.rollNumber) !== normalizeKey(roll)) {
+      return { error: `Admission number ${admission} belongs to roll number ${student.rollNumber || '(none)'}, not ${roll}` };
+    }
+    return { student };
+  }
+
+  const student = lookups.byRoll.get(normalizeKey(roll));
+  if (!student) return { error: `No student with roll number ${roll} in this class` };
+  return { student };
+};
+
+const snapshot = (mark) => (mark ? {
+  marksObtained: mark.marksObtained,
+  isAbsent: !!mark.isAbsent,
+  remarks: mark.remarks || ''
+} : null);
+
+// Dry run of an import: what would be created, updated or left alone, and every problem found.
+// Nothing is written; `canCommit` is false while there are errors.
+const previewMarksImport = async ({ schoolId, classId, exams, rows, singleExam }) => {
+  const preview = {
+    exams: exams.map(exam => ({
+      examId: exam._id,
+      name: exam.name,
+      subject: exam.subjectId?.name || null,
+      totalMarks: exam.totalMarks
+    })),
+    entries: [],
+    errors: [],
+    missingStudents: [],
+    summary: { create: 0, update: 0, unchanged: 0, skipped: 0, errors: 0 },
+    canCommit: false
+  };
+
+  if (rows.length < 2) {
+    preview.errors.push({ row: null, column: null, message: 'The sheet has no data rows' });
+    preview.summary.errors = preview.errors.length;
+    return preview;
+  }
+
+  const { columns, errors } = mapColumns(rows[0], exams, singleExam);
+  preview.errors.push(...errors);
+  preview.exams.forEach(entry => {
+    const column = columns.exams.find(col => col.exam._id.equals(entry.examId));
+    entry.column = column ? column.title : null;
+  });
+
+  if (errors.length > 0) {
+    preview.summary.errors = preview.errors.length;
+    return preview;
+  }
+
+  const students = await Student.find({ schoolId, classId, isActive: true })
+    .select('name rollNumber admissionNumber')
+    .lean();
+  const lookups = { byAdmission: new Map(), byRoll: new Map() };
+  students.forEach(student => {
+    if (student.admissionNumber) lookups.byAdmission.set(normalizeKey(student.admissionNumber), student);
+    if (student.rollNumber) lookups.byRoll.set(normalizeKey(student.rollNumber), student);
+  });
+
+  const existingMarks = await ExamMark.find({
+    examId: { $in: exams.map(exam => exam._id) },
+    studentId: { $in: students.map(student => student._id) }
+  });
+  const existing = new Map(existingMarks.map(mark => [`${mark.examId}:${mark.studentId}`, mark]));
+
+  const seen = new Map();
+
+  rows.slice(1).forEach((row, offset) => {
+    const rowNumber = offset + 2;
+    const { student, error } = matchStudent(row, columns, lookups);
+    if (error) {
+      preview.errors.push({ row: rowNumber, column: null, message: error });
+      return;
+    }
+
+    const id = student._id.toString();
+    if (seen.has(id)) {
+      preview.errors.push({ row: rowNumber, column: null, message: `${student.name} is already on row ${seen.get(id)}` });
+      return;
+    }
+    seen.set(id, rowNumber);
+
+    columns.exams.forEach(({ index, title, exam }) => {
+      const cell = parseMarkCell(row[index], exam);
+      if (cell.error) {
+        preview.errors.push({ row: rowNumber, column: title, message: cell.error });
+        return;
+      }
+      if (cell.skip) {
+        preview.summary.skipped += 1;
+        return;
+      }
+
+      const mark = existing.get(`${exam._id}:${id}`);
+      const before = snapshot(mark);
+      const after = { marksObtained: cell.marksObtained, isAbsent: cell.isAbsent };
+      if (singleExam && columns.remarks !== undefined) {
+        after.remarks = row[columns.remarks] || '';
+      } else {
+        after.remarks = before ? before.remarks : '';
+      }
+
+      let action = 'create';
+      if (before) {
+        const same = before.marksObtained === after.marksObtained &&
+          before.isAbsent === after.isAbsent &&
+          before.remarks === after.remarks &&
+          mark.totalMarks === exam.totalMarks;
+        action = same ? 'unchanged' : 'update';
+      }
+
+      preview.summary[action] += 1;
+      preview.entries.push({
+        row: rowNumber,
+        action,
+        examId: exam._id,
+        examName: exam.name,
+        subject: exam.subjectId?.name || null,
+        studentId: student._id,
+        studentName: student.name,
+        rollNumber: student.rollNumber || null,
+        admissionNumber: student.admissionNumber || null,
+        markId: mark ? mark._id : null,
+        before,
+        after
+      });
+    });
+  });
+
+  // Class students the sheet leaves out keep whatever marks they have
+  preview.missingStudents = students
+    .filter(student => !seen.has(student._id.toString()))
+    .map(student => ({
+      studentId: student._id,
+      name: student.name,
+      rollNumber: student.rollNumber || null,
+      admissionNumber: student.admissionNumber || null
+    }));
+
+  preview.summary.errors = preview.errors.length;
+  preview.canCommit = preview.errors.length === 0 && preview.summary.create + preview.summary.update > 0;
+  return preview;
+};
+
+// Saves the import's creates and updates; marks are saved one by one so the grading hook runs for each
+const writeEntries = async (entries, exams, userId, session, applied) => {
+  const examsById = new Map(exams.map(exam => [exam._id.toString(), exam]));
+
+  for (const entry of entries) {
+    const exam = examsById.get(entry.examId.toString());
+
+    if (entry.action === 'create') {
+      const mark = new ExamMark({
+        schoolId: exam.schoolId,
+        examId: exam._id,
+        studentId: entry.studentId,
+        classId: exam.classId,
+        subjectId: exam.subjectId._id || exam.subjectId,
+        totalMarks: exam.totalMarks,
+        enteredBy: userId,
+        ...entry.after
+      });
+      await mark.save({ session });
+      if (applied) applied.push({ created: mark._id });
+    } else if (entry.action === 'update') {
+      const mark = await ExamMark.findById(entry.markId).session(session);
+      if (!mark) throw new Error(`The mark for ${entry.studentName} in ${entry.examName} was deleted; preview the import again`);
+      if (applied) applied.push({ original: mark.toObject() });
+      mark.set({ ...entry.after, totalMarks: exam.totalMarks, updatedBy: userId });
+      await mark.save({ session });
+    }
+  }
+};
+
+// Writes a previewed import in one transaction. Standalone MongoDB servers (local development) cannot run
+// transactions, so there the writes are made directly and undone if any of them fails.
+const commitMarksImport = async (preview, exams, userId) => {
+  const entries = preview.entries.filter(entry => entry.action === 'create' || entry.action === 'update');
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => writeEntries(entries, exams, userId, session));
+    return { created: preview.summary.create, updated: preview.summary.update, transaction: true };
+  } catch (error) {
+    if (!transactionsUnsupported(error)) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const applied = [];
+  try {
+    await writeEntries(entries, exams, userId, null, applied);
+  } catch (error) {
+    for (const change of applied.reverse()) {
+      if (change.created) {
+        await ExamMark.deleteOne({ _id: change.created });
+      } else {
+        await ExamMark.replaceOne({ _id: change.original._id }, change.original);
+      }
+    }
+    throw error;
+  }
+  return { created: preview.summary.create, updated: preview.summary.update, transaction: false };
+};
+
+// CSV template listing the class's students, pre-filled with any marks already entered
+const buildMarksTemplate = async ({ schoolId, classId, exams, singleExam }) => {
+  const [students, marks] = await Promise.all([
+    Student.find({ schoolId, classId, isActive: true }).select('name rollNumber admissionNumber').lean(),
+    ExamMark.find({ examId: { $in: exams.map(exam => exam._id) } }).lean()
+  ]);
+  students.sort((a, b) => String(a.rollNumber || '').localeCompare(String(b.rollNumber || ''), undefined, { numeric: true }));
+
+  const entered = new Map(marks.map(mark => [`${mark.examId}:${mark.studentId}`, mark]));
+  const cell = (exam, student) => {
+    const mark = entered.get(`${exam._id}:${student._id}`);
+    if (!mark) return '';
+    return mark.isAbsent ? 'AB' : mark.marksObtained;
+  };
+
+  const header = ['Roll Number', 'Admission Number', 'Student Name'];
+  if (singleExam) {
+    header.push('Marks', 'Remarks');
+  } else {
+    exams.forEach(exam => header.push(examColumnTitle(exam, exams)));
+  }
+
+  const rows = students.map(student => {
+    const row = [student.rollNumber || '', student.admissionNumber || '', student.name];
+    if (singleExam) {
+      const mark = entered.get(`${exams[0]._id}:${student._id}`);
+      row.push(cell(exams[0], student), mark?.remarks || '');
+    } else {
+      exams.forEach(exam => row.push(cell(exam, student)));
+    }
+    return row;
+  });
+
+  return toCsv([header, ...rows]);
+};
+
+module.exports = {
+  readSpreadsheet,
+  getDateSheetExams,
+  previewMarksImport,
+  commitMarksImport,
+  buildMarksTemplate
+};
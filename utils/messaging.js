@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outbound email/SMS delivery.
+// A transport is any object with an async send(message) method, where message is
+// { channel: 'email' | 'sms', to, subject, text, metadata }.
+// MESSAGE_TRANSPORT picks the built-in transport: 'console' (default) or 'file'.
+// Neither delivers anything, so production needs a real provider.
+// Use setTransport() to plug in a real provider (SMTP, SMS gateway, ...) at startup.
+
+// Logs messages to the server console. Message text (which can hold password reset tokens and codes)
+// is only printed outside production, so secrets don't end up in production logs.
+const createConsoleTransport = ({ showText = process.env.NODE_ENV !== 'production' } = {}) => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📨 [${message.channel}] To: ${message.to}`);
+    if (message.subject) {
+      console.log(`   Subject: ${message.subject}`);
+    }
+    console.log(showText ? `   ${message.text}` : '   (text not logged in production)');
+    return { success: true, id: `console_${Date.now()}` };
+  }
+});
+
+// Writes each message as a JSON file into a local outbox directory (useful for tests)
+const createFileTransport = (outboxDir = process.env.MESSAGE_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'outbox')) => ({
+  name: 'file',
+  outboxDir,
+  send: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(outboxDir, `${message.channel}_${id}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+    return { success: true, id, filePath };
+  }
+});
+
+const builtInTransports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = (builtInTransports[process.env.MESSAGE_TRANSPORT] || createConsoleTransport)();
+
+// Replace the active transport
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Transport must implement send(message)');
+  }
+  transport = newTransport;
+};
+
+// Get the active transport
+const getTransport = () => transport;
+
+// Send a message through the active transport - never throws, returns { success, error }
+const sendMessage = async ({ channel, to, subject = null, text, metadata = {} }) => {
+  if (!to) {
+    return { success: false, error: `No ${channel} recipient` };
+  }
+
+  try {
+    const result = await transport.send({ channel, to, subject, text, metadata });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`Error sending ${channel} message:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send an email
+const sendEmail = (to, subject, text, metadata = {}) => {
+  return sendMessage({ channel: 'email', to, subject, text, metadata });
+};
+
+// Send an SMS
+const sendSms = (to, text, metadata = {}) => {
+  return sendMessage({ channel: 'sms', to, text, metadata });
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  setTransport,
+  getTransport,
+  sendMessage,
+  sendEmail,
+  sendSms
+};
@@ -0,0 +1,171 @@
+const TeacherAttendance = require('../models/TeacherAttendance');
+const User = require('../models/User');
+const { MONTH_NAMES } = require('./feeCollectionGenerator');
+const { getWeeklyOffDays } = require('./staffLeave');
+const { toCsv } = require('./csv');
+const { createPdfDocument } = require('./pdf');
+
+// Day codes: P present, L late, HD half day, A absent, LV paid leave, LOP unpaid leave, WO weekly off, - not marked
+const getDayCode = (record) => {
+  if (record.lossOfPay) return 'LOP';
+  if (record.status === 'excused') return 'LV';
+  return { present: 'P', late: 'L', 'half-day': 'HD', absent: 'A' }[record.status] || '-';
+};
+
+const dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Monthly muster roll: one row per active teacher with a code for every day of the month and totals
+ * @param {String} schoolId
+ * @param {Number} month - 1-12
+ * @param {Number} year
+ * @param {Object} [options]
+ * @param {String} [options.teacherId] - Limit to one teacher
+ * @returns {Promise<Object>} { month, year, days, teachers }
+ */
+const buildMusterRoll = async (schoolId, month, year, { teacherId = null } = {}) => {
+  const teacherQuery = { schoolId, role: 'teacher', isActive: true };
+  if (teacherId) teacherQuery._id = teacherId;
+  const teachers = await User.find(teacherQuery).select('name email phone').sort({ name: 1 }).lean();
+
+  const records = await TeacherAttendance.find({
+    schoolId,
+    teacherId: { $in: teachers.map(teacher => teacher._id) },
+    date: {
+      $gte: new Date(year, month - 1, 1),
+      $lt: new Date(year, month, 1)
+    },
+    isActive: true
+  }).select('teacherId date status checkInTime checkOutTime lateByMinutes lossOfPay').lean();
+
+  const byTeacherDay = new Map();
+  records.forEach(record => {
+    byTeacherDay.set(`${record.teacherId}:${dayKey(new Date(record.date))}`, record);
+  });
+
+  const weeklyOff = getWeeklyOffDays();
+  const daysInMonth = new Date(year, month, 0).getDate();
+  const today = new Date();
+  today.setHours(23, 59, 59, 999);
+  const days = Array.from({ length: daysInMonth }, (_, index) => {
+    const date = new Date(year, month - 1, index + 1);
+    return { day: index + 1, date: dayKey(date), weeklyOff: weeklyOff.includes(date.getDay()), future: date > today };
+  });
+
+  return {
+    month,
+    year,
+    label: `${MONTH_NAMES[month - 1]} ${year}`,
+    days,
+    teachers: teachers.map(teacher => {
+      const totals = { present: 0, late: 0, halfDay: 0, absent: 0, leave: 0, lossOfPay: 0, weeklyOff: 0, notMarked: 0, workingMinutes: 0 };
+
+      const entries = days.map(day => {
+        const record = byTeacherDay.get(`${teacher._id}:${day.date}`);
+        if (!record) {
+          if (day.weeklyOff) {
+            totals.weeklyOff++;
+            return { day: day.day, code: 'WO' };
+          }
+          if (!day.future) totals.notMarked++;
+          return { day: day.day, code: '-' };
+        }
+
+        const code = getDayCode(record);
+        if (code === 'P') totals.present++;
+        if (code === 'L') totals.late++;
+        if (code === 'HD') totals.halfDay++;
+        if (code === 'A') totals.absent++;
+        if (code === 'LV') totals.leave++;
+        if (code === 'LOP') totals.lossOfPay++;
+        if (record.checkInTime && record.checkOutTime) {
+          totals.workingMinutes += Math.max(Math.round((new Date(record.checkOutTime) - new Date(record.checkInTime)) / 60000), 0);
+        }
+
+        return {
+          day: day.day,
+          code,
+          checkInTime: record.checkInTime,
+          checkOutTime: record.checkOutTime,
+          lateByMinutes: record.lateByMinutes || 0
+        };
+      });
+
+      return {
+        teacher,
+        entries,
+        totals: {
+          ...totals,
+          // Late days are still days worked; half days count as half
+          daysWorked: totals.present + totals.late + totals.halfDay / 2
+        }
+      };
+    })
+  };
+};
+
+const TOTAL_COLUMNS = [
+  ['daysWorked', 'Worked'],
+  ['present', 'P'],
+  ['late', 'L'],
+  ['halfDay', 'HD'],
+  ['absent', 'A'],
+  ['leave', 'LV'],
+  ['lossOfPay', 'LOP']
+];
+
+const musterRollToCsv = (musterRoll) => {
+  const rows = [[
+    'Teacher', 'Email',
+    ...musterRoll.days.map(day => String(day.day)),
+    ...TOTAL_COLUMNS.map(([, header]) => header),
+    'Not Marked', 'Hours Worked'
+  ]];
+
+  musterRoll.teachers.forEach(row => {
+    rows.push([
+      row.teacher.name,
+      row.teacher.email,
+      ...row.entries.map(entry => entry.code),
+      ...TOTAL_COLUMNS.map(([key]) => row.totals[key]),
+      row.totals.notMarked,
+      (row.totals.workingMinutes / 60).toFixed(1)
+    ]);
+  });
+
+  return toCsv(rows);
+};
+
+const musterRollToPdf = (musterRoll, school = {}) => {
+  const doc = createPdfDocument({ layout: 'landscape', margin: 24, title: `Muster Roll - ${musterRoll.label}` });
+
+  doc.text(school.name || 'Muster Roll', { size: 14, bold: true });
+  doc.text(`Teacher muster roll for ${musterRoll.label}`, { size: 10 });
+  doc.text('P present, L late, HD half day, A absent, LV leave, LOP loss of pay, WO weekly off, - not marked', { size: 7 });
+  doc.moveDown(0.5);
+
+  const columns = [
+    { header: 'Teacher', key: 'name', width: 6 },
+    ...musterRoll.days.map(day => ({ header: String(day.day), key: `d${day.day}`, width: 1, align: 'center' })),
+    ...TOTAL_COLUMNS.map(([key, header]) => ({ header, key, width: key === 'daysWorked' ? 2 : 1.3, align: 'right' }))
+  ];
+  const rows = musterRoll.teachers.map(row => {
+    const values = { name: row.teacher.name };
+    row.entries.forEach(entry => {
+      values[`d${entry.day}`] = entry.code;
+    });
+    TOTAL_COLUMNS.forEach(([key]) => {
+      values[key] = row.totals[key];
+    });
+    return values;
+  });
+
+  doc.table(columns, rows, { size: 6 });
+  return doc.toBuffer();
+};
+
+module.exports = {
+  buildMusterRoll,
+  musterRollToCsv,
+  musterRollToPdf
+};
@@ -0,0 +1,167 @@
+const Order = require('../models/Order');
+const OnlineFeePayment = require('../models/OnlineFeePayment');
+const { fetchPayment, fetchOrderPayments } = require('./razorpay');
+
+// Payment statuses that count as a successful checkout (same rule as client-side verification)
+const SUCCESSFUL_PAYMENT_STATUSES = ['captured', 'authorized'];
+
+// Apply a captured payment to whichever checkout record owns the Razorpay order
+const applyCapturedPayment = async (razorpayOrderId, razorpayPaymentId) => {
+  if (await Order.exists({ razorpayOrderId })) {
+    const { order, alreadyProcessed } = await Order.completePayment(razorpayOrderId, razorpayPaymentId);
+    return alreadyProcessed ? `order ${order.orderNumber} already processed` : `order ${order.orderNumber} paid`;
+  }
+
+  if (await OnlineFeePayment.exists({ razorpayOrderId })) {
+    const { payment, alreadyProcessed } = await OnlineFeePayment.completePayment(razorpayOrderId, razorpayPaymentId);
+    return alreadyProcessed ? `fee payment ${payment._id} already processed` : `fee payment ${payment._id} paid`;
+  }
+
+  return null;
+};
+
+// Record a failed payment attempt against its checkout record
+const applyFailedPayment = async (razorpayOrderId, razorpayPaymentId, reason) => {
+  const order = await Order.markPaymentFailed(razorpayOrderId, reason, razorpayPaymentId);
+  if (order) {
+    return `order ${order.orderNumber} marked failed`;
+  }
+
+  const feePayment = await OnlineFeePayment.markFailed(razorpayOrderId, reason, razorpayPaymentId);
+  if (feePayment) {
+    return `fee payment ${feePayment._id} marked failed`;
+  }
+
+  return null;
+};
+
+// Apply a processed refund (amount in rupees) to the order or fee payment it belongs to
+const applyProcessedRefund = async (razorpayPaymentId, refundId, amount) => {
+  const order = await Order.findOne({ transactionId: razorpayPaymentId });
+  if (order) {
+    await order.recordRefund({ refundId, amount, status: 'processed', reason: 'Refund processed by Razorpay' });
+    return `order ${order.orderNumber} refund ${refundId} recorded`;
+  }
+
+  const feePayment = await OnlineFeePayment.recordRefund(razorpayPaymentId, refundId, amount);
+  if (feePayment) {
+    return `fee payment ${feePayment._id} refund ${refundId} recorded`;
+  }
+
+  if (await OnlineFeePayment.exists({ razorpayPaymentId, 'refunds.refundId': refundId })) {
+    return `fee payment refund ${refundId} already recorded`;
+  }
+
+  return null;
+};
+
+// Ask Razorpay whether any attempt against an order succeeded.
+// Returns the successful payment entity (or null) and how many attempts were checked.
+const findSuccessfulPayment = async (razorpayOrderId, knownPaymentId = null) => {
+  const paymentIds = knownPaymentId ? [knownPaymentId] : [];
+  const attempts = await fetchOrderPayments(razorpayOrderId);
+  attempts.forEach(attempt => {
+    if (!paymentIds.includes(attempt.id)) paymentIds.push(attempt.id);
+  });
+
+  for (const paymentId of paymentIds) {
+    const payment = await fetchPayment(paymentId);
+    if (SUCCESSFUL_PAYMENT_STATUSES.includes(payment.status)) {
+      return { payment, attempts: paymentIds.length };
+    }
+  }
+
+  return { payment: null, attempts: paymentIds.length };
+};
+
+// Find checkouts that never heard back from the client or a webhook and settle them
+// against Razorpay. Checkouts with no successful payment after expireAfterHours are closed.
+// Paid orders still waiting for stock or a refund are reported in needsReview.
+const reconcilePendingPayments = async ({ olderThanMinutes = 15, expireAfterHours = 24, limit = 100 } = {}) => {
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+  const expiry = new Date(Date.now() - expireAfterHours * 60 * 60 * 1000);
+  const summary = { checked: 0, completed: 0, failed: 0, expired: 0, needsReview: [], errors: [] };
+
+  // Orders that were claimed for completion but never finished (e.g. the server restarted mid-way)
+  await Order.updateMany(
+    { razorpayOrderId: { $ne: null }, status: 'processing', paymentStatus: 'pending', updatedAt: { $lt: cutoff } },
+    { status: 'pending' }
+  );
+  await OnlineFeePayment.updateMany(
+    { status: 'processing', updatedAt: { $lt: cutoff } },
+    { status: 'created' }
+  );
+
+  // Paid orders left in processing because items were out of stock (before payment_review existed)
+  await Order.updateMany(
+    { razorpayOrderId: { $ne: null }, status: 'processing', paymentStatus: 'paid', updatedAt: { $lt: cutoff } },
+    { status: 'payment_review' }
+  );
+
+  const pendingOrders = await Order.find({
+    razorpayOrderId: { $ne: null },
+    status: 'pending',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    createdAt: { $lt: cutoff }
+  }).sort({ createdAt: 1 }).limit(limit);
+
+  for (const order of pendingOrders) {
+    summary.checked++;
+    try {
+      const { payment } = await findSuccessfulPayment(order.razorpayOrderId, order.transactionId);
+      if (payment) {
+        await Order.completePayment(order.razorpayOrderId, payment.id);
+        summary.completed++;
+      } else if (order.createdAt < expiry) {
+        order.paymentStatus = 'failed';
+        order.paymentFailureReason = order.paymentFailureReason || 'Payment not completed';
+        await order.cancelOrder('Payment not completed within the allowed time');
+        summary.expired++;
+      }
+    } catch (error) {
+      summary.errors.push({ razorpayOrderId: order.razorpayOrderId, error: error.message });
+    }
+  }
+
+  const pendingFeePayments = await OnlineFeePayment.find({
+    status: { $in: ['created', 'failed'] },
+    createdAt: { $lt: cutoff, $gt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+  }).sort({ createdAt: 1 }).limit(limit);
+
+  for (const feePayment of pendingFeePayments) {
+    summary.checked++;
+    try {
+      const { payment } = await findSuccessfulPayment(feePayment.razorpayOrderId, feePayment.razorpayPaymentId);
+      if (payment) {
+        await OnlineFeePayment.completePayment(feePayment.razorpayOrderId, payment.id);
+        summary.completed++;
+      } else if (feePayment.createdAt < expiry && feePayment.status !== 'failed') {
+        await OnlineFeePayment.markFailed(feePayment.razorpayOrderId, 'Payment not completed');
+        summary.failed++;
+      }
+    } catch (error) {
+      summary.errors.push({ razorpayOrderId: feePayment.razorpayOrderId, error: error.message });
+    }
+  }
+
+  const needsReview = await Order.find({ status: 'payment_review' })
+    .select('orderNumber transactionId updatedAt')
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .lean();
+  summary.needsReview = needsReview.map(order => ({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    transactionId: order.transactionId,
+    since: order.updatedAt
+  }));
+
+  return summary;
+};
+
+module.exports = {
+  applyCapturedPayment,
+  applyFailedPayment,
+  applyProcessedRefund,
+  reconcilePendingPayments
+};
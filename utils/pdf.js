@@ -0,0 +1,233 @@
+// Minimal PDF writer for server-side statements and reports.
+// Text only, using the standard Helvetica fonts every PDF viewer ships with, so no external
+// service or font files are needed. Coordinates are in points with the origin at the top left.
+
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  LETTER: [612, 792]
+};
+
+// Helvetica glyph widths (1/1000 em) for ASCII 32-126; bold text is measured with the same table
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// The standard fonts only cover Latin-1; map common symbols and drop anything else
+const toLatin1 = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[‘’]/g, '\'')
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/…/g, '...')
+  .replace(/[^\x20-\xff]/g, '');
+
+const escapeText = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const measureText = (text, size) => {
+  let units = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return units * size / 1000;
+};
+
+// Shorten text with "..." so it fits in the given width
+const fitText = (text, size, width) => {
+  if (measureText(text, size) <= width) return text;
+  let fitted = text;
+  while (fitted.length > 0 && measureText(`${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+const formatNumber = (number) => Number(number.toFixed(2)).toString();
+
+/**
+ * Create a PDF document
+ * @param {Object} [options]
+ * @param {String} [options.size='A4'] - A4 or LETTER
+ * @param {String} [options.layout='portrait'] - portrait or landscape
+ * @param {Number} [options.margin=40] - Page margin in points
+ * @param {String} [options.title] - Document title (shown by viewers)
+ * @returns {Object} Document with text, table, line, moveDown, addPage and toBuffer methods
+ */
+const createPdfDocument = ({ size = 'A4', layout = 'portrait', margin = 40, title = '' } = {}) => {
+  const [shortSide, longSide] = PAGE_SIZES[size] || PAGE_SIZES.A4;
+  const [pageWidth, pageHeight] = layout === 'landscape' ? [longSide, shortSide] : [shortSide, longSide];
+  const contentWidth = pageWidth - margin * 2;
+  const pages = [];
+  let commands;
+  let y;
+
+  const addPage = () => {
+    commands = [];
+    pages.push(commands);
+    y = margin;
+    return doc;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - margin) {
+      addPage();
+      return true;
+    }
+    return false;
+  };
+
+  const drawText = (text, x, baseline, { size: fontSize = 10, bold = false } = {}) => {
+    commands.push(`BT /${bold ? 'F2' : 'F1'} ${formatNumber(fontSize)} Tf ${formatNumber(x)} ${formatNumber(pageHeight - baseline)} Td (${escapeText(text)}) Tj ET`);
+  };
+
+  const alignX = (text, fontSize, x, width, align) => {
+    if (align === 'right') return x + width - measureText(text, fontSize);
+    if (align === 'center') return x + (width - measureText(text, fontSize)) / 2;
+    return x;
+  };
+
+  const doc = {
+    pageWidth,
+    pageHeight,
+    margin,
+    contentWidth,
+
+    addPage,
+
+    // Vertical position of the next line
+    get y() {
+      return y;
+    },
+
+    moveDown(lines = 1, fontSize = 10) {
+      y += lines * fontSize * 1.4;
+      return doc;
+    },
+
+    // Write a line of text, wrapping long text onto further lines
+    text(value, { size: fontSize = 10, bold = false, align = 'left', x = margin, width = contentWidth - (x - margin) } = {}) {
+      const lineHeight = fontSize * 1.4;
+      const words = toLatin1(value).split(/\s+/);
+      const lines = [];
+      let current = '';
+
+      words.forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && measureText(candidate, fontSize) > width) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = candidate;
+        }
+      });
+      lines.push(current);
+
+      lines.forEach(line => {
+        ensureSpace(lineHeight);
+        const fitted = fitText(line, fontSize, width);
+        drawText(fitted, alignX(fitted, fontSize, x, width, align), y + fontSize, { size: fontSize, bold });
+        y += lineHeight;
+      });
+      return doc;
+    },
+
+    // Horizontal rule across the content width
+    line({ width: lineWidth = 0.5 } = {}) {
+      ensureSpace(4);
+      const lineY = formatNumber(pageHeight - y - 2);
+      commands.push(`${formatNumber(lineWidth)} w ${formatNumber(margin)} ${lineY} m ${formatNumber(pageWidth - margin)} ${lineY} l S`);
+      y += 4;
+      return doc;
+    },
+
+    /**
+     * Draw a table; the header row is repeated when the table runs onto a new page
+     * @param {Array} columns - [{ header, key, width (fraction of the content width), align }]
+     * @param {Array} rows - Objects keyed by column key
+     * @param {Object} [options] - { size, boldRows: row indexes to print in bold }
+     */
+    table(columns, rows, { size: fontSize = 9, boldRows = [] } = {}) {
+      const rowHeight = fontSize * 1.7;
+      const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+      const layout = [];
+      let x = margin;
+      columns.forEach(column => {
+        const width = contentWidth * (column.width || 1) / totalWeight;
+        layout.push({ ...column, x, width });
+        x += width;
+      });
+
+      const drawRow = (values, bold) => {
+        layout.forEach((column, index) => {
+          const text = fitText(toLatin1(values[index]), fontSize, column.width - 4);
+          drawText(text, alignX(text, fontSize, column.x + 2, column.width - 4, column.align), y + fontSize * 1.2, { size: fontSize, bold });
+        });
+        y += rowHeight;
+      };
+
+      const drawHeader = () => {
+        drawRow(layout.map(column => column.header), true);
+        doc.line();
+      };
+
+      ensureSpace(rowHeight * 2 + 4);
+      drawHeader();
+      rows.forEach((row, rowIndex) => {
+        if (ensureSpace(rowHeight)) drawHeader();
+        drawRow(layout.map(column => row[column.key]), boldRows.includes(rowIndex));
+      });
+      return doc;
+    },
+
+    // Serialise the document
+    toBuffer() {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const infoId = addObject(`<< /Title (${escapeText(toLatin1(title))}) /Producer (Master Portal) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+      const pageIds = pages.map((pageCommands, index) => {
+        const footer = `BT /F1 8 Tf ${formatNumber(pageWidth / 2 - 20)} ${formatNumber(margin / 2)} Td (Page ${index + 1} of ${pages.length}) Tj ET`;
+        const stream = [...pageCommands, footer].join('\n');
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(pageWidth)} ${formatNumber(pageHeight)}] /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  addPage();
+  return doc;
+};
+
+module.exports = {
+  createPdfDocument
+};
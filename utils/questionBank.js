@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const BankQuestion = require('../models/BankQuestion');
+const Quiz = require('../models/Quiz');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Copy of a bank question's content and answer key for a quiz, linked back for statistics
+const toQuizQuestion = (bankQuestion) => ({
+  _id: new mongoose.Types.ObjectId(),
+  bankQuestionId: bankQuestion._id,
+  questionText: bankQuestion.questionText,
+  questionType: bankQuestion.questionType,
+  options: (bankQuestion.options || []).map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+  correctAnswer: bankQuestion.correctAnswer,
+  acceptedAnswers: bankQuestion.acceptedAnswers,
+  answerPattern: bankQuestion.answerPattern,
+  caseSensitive: bankQuestion.caseSensitive,
+  numericAnswer: bankQuestion.numericAnswer,
+  tolerance: bankQuestion.tolerance,
+  blanks: (bankQuestion.blanks || []).map(blank => ({ acceptedAnswers: blank.acceptedAnswers })),
+  pairs: (bankQuestion.pairs || []).map(pair => ({ left: pair.left, right: pair.right })),
+  sequence: bankQuestion.sequence,
+  partialCredit: bankQuestion.partialCredit,
+  marks: bankQuestion.marks,
+  explanation: bankQuestion.explanation
+});
+
+const describeRule = (rule) => [
+  rule.difficulty,
+  rule.skill && `${rule.skill} skill`,
+  rule.chapterId && 'from the chosen chapter'
+].filter(Boolean).join(', ') || 'any question';
+
+/**
+ * Quiz questions from a teacher's own questions, questions picked from the bank and rules such as
+ * "10 easy + 5 hard from chapter 3". Rules draw from the bank for the quiz's subject and never repeat a question.
+ * With randomizePerStudent every matching question is copied in and each student's paper is drawn when they
+ * start; otherwise each rule's questions are drawn once here.
+ * @param {String} schoolId
+ * @param {Object} params
+ * @param {String} params.subjectId - Subject rules draw from
+ * @param {Array} [params.questions] - Questions written into the quiz directly
+ * @param {Array} [params.bankQuestionIds] - Bank questions picked by hand (on every paper)
+ * @param {Array} [params.paperRules] - [{ count, difficulty, chapterId, skill, classId }]
+ * @param {Boolean} [params.randomizePerStudent]
+ * @returns {Promise<Object>} { questions, paperRules } ready for the Quiz
+ */
+const buildQuizQuestions = async (schoolId, {
+  subjectId,
+  questions = [],
+  bankQuestionIds = [],
+  paperRules = [],
+  randomizePerStudent = false
+}) => {
+  const pickedIds = [...new Set(bankQuestionIds.map(String))];
+  const picked = pickedIds.length === 0 ? [] : await BankQuestion.find({
+    _id: { $in: pickedIds },
+    schoolId,
+    isActive: true
+  });
+  if (picked.length !== pickedIds.length) {
+    throw badRequest('Some picked questions are not in the school\'s question bank');
+  }
+
+  const byId = new Map(picked.map(question => [question._id.toString(), question]));
+  const used = new Set(pickedIds);
+  const quizQuestions = [...questions, ...pickedIds.map(id => toQuizQuestion(byId.get(id)))];
+  const rules = [];
+
+  for (const [index, rule] of paperRules.entries()) {
+    const count = parseInt(rule.count, 10);
+    if (!(count >= 1)) {
+      throw badRequest(`Rule ${index + 1} must draw at least one question`);
+    }
+    if (rule.difficulty && !DIFFICULTIES.includes(rule.difficulty)) {
+      throw badRequest(`Rule ${index + 1} has an unknown difficulty: ${rule.difficulty}`);
+    }
+
+    const query = {
+      schoolId,
+      subjectId,
+      isActive: true,
+      _id: { $nin: [...used] }
+    };
+    if (rule.difficulty) query.difficulty = rule.difficulty;
+    if (rule.chapterId) query.chapterId = rule.chapterId;
+    if (rule.skill) query.skills = String(rule.skill).trim().toLowerCase();
+    if (rule.classId) query.classId = rule.classId;
+
+    const candidates = await BankQuestion.find(query);
+    if (candidates.length < count) {
+      throw badRequest(
+        `Rule ${index + 1} (${describeRule(rule)}) needs ${count} questions but the bank has only ${candidates.length}`
+      );
+    }
+
+    const chosen = randomizePerStudent ? candidates : shuffle(candidates).slice(0, count);
+    const copies = chosen.map(toQuizQuestion);
+    chosen.forEach(question => used.add(question._id.toString()));
+    quizQuestions.push(...copies);
+
+    if (randomizePerStudent) {
+      rules.push({
+        count,
+        difficulty: rule.difficulty,
+        chapterId: rule.chapterId,
+        skill: rule.skill ? String(rule.skill).trim().toLowerCase() : undefined,
+        questionIds: copies.map(question => question._id)
+      });
+    }
+  }
+
+  return { questions: quizQuestions, paperRules: rules };
+};
+
+/**
+ * Count a quiz against each bank question it newly uses
+ * @param {Array} questions - The quiz's questions
+ * @param {Array} [previousQuestions] - Its questions before an edit, already counted
+ */
+const markBankQuestionsUsed = async (questions, previousQuestions = []) => {
+  const before = new Set(previousQuestions.filter(q => q.bankQuestionId).map(q => q.bankQuestionId.toString()));
+  const ids = [...new Set(questions.filter(q => q.bankQuestionId).map(q => q.bankQuestionId.toString()))]
+    .filter(id => !before.has(id));
+  if (ids.length === 0) return;
+
+  await BankQuestion.updateMany({ _id: { $in: ids } }, { $inc: { 'stats.timesUsed': 1 } });
+};
+
+/**
+ * Add a finished submission's results to the bank questions on the student's paper (once per submission)
+ * @returns {Promise<Boolean>} Whether anything was recorded
+ */
+const recordQuestionStats = async (quiz, submission) => {
+  if (submission.statsRecorded || !['graded', 'late'].includes(submission.status)) return false;
+
+  // Claim the submission first so two graders can't both count it
+  const claimed = await Quiz.updateOne(
+    { _id: quiz._id, submissions: { $elemMatch: { _id: submission._id, statsRecorded: { $ne: true } } } },
+    { $set: { 'submissions.$.statsRecorded': true } }
+  );
+  submission.statsRecorded = true;
+  if (claimed.modifiedCount === 0) return false;
+
+  const answers = new Map(submission.answers.map(answer => [String(answer.questionId), answer]));
+  const now = new Date();
+  const operations = quiz.getPaperQuestions(submission)
+    .filter(question => question.bankQuestionId)
+    .map(question => {
+      const answer = answers.get(question._id.toString());
+      return {
+        updateOne: {
+          filter: { _id: question.bankQuestionId },
+          update: {
+            $inc: {
+              'stats.attempts': 1,
+              'stats.correct': answer && answer.isCorrect ? 1 : 0,
+              'stats.marksAwarded': answer ? answer.marksAwarded : 0,
+              'stats.marksPossible': question.marks
+            },
+            $set: { 'stats.lastUsedAt': now }
+          }
+        }
+      };
+    });
+
+  if (operations.length > 0) await BankQuestion.bulkWrite(operations);
+  return true;
+};
+
+/**
+ * Per-question results for a quiz: how many students had it, how many got it right and how hard it proved.
+ * Answers still waiting for manual grading are left out.
+ * @returns {Promise<Array>}
+ */
+const getQuestionStats = async (quiz) => {
+  const finished = quiz.submissions.filter(submission => submission.status !== 'in-progress');
+  const bankIds = quiz.questions.filter(q => q.bankQuestionId).map(q => q.bankQuestionId);
+  const tagged = bankIds.length === 0 ? [] : await BankQuestion.find({ _id: { $in: bankIds } })
+    .select('difficulty')
+    .lean();
+  const taggedDifficulty = new Map(tagged.map(question => [question._id.toString(), question.difficulty]));
+
+  return quiz.questions.map(question => {
+    const id = question._id.toString();
+    let attempts = 0;
+    let correct = 0;
+    let marksAwarded = 0;
+
+    finished.forEach(submission => {
+      const onPaper = quiz.getPaperQuestions(submission).some(q => q._id.toString() === id);
+      if (!onPaper) return;
+      const answer = submission.answers.find(a => String(a.questionId) === id);
+      if (answer && answer.needsReview) return;
+
+      attempts += 1;
+      if (answer && answer.isCorrect) correct += 1;
+      marksAwarded += answer ? answer.marksAwarded : 0;
+    });
+
+    const facilityIndex = attempts > 0 && question.marks > 0
+      ? Math.round((marksAwarded / (attempts * question.marks)) * 100) / 100
+      : null;
+
+    return {
+      questionId: question._id,
+      bankQuestionId: question.bankQuestionId || null,
+      questionText: question.questionText,
+      questionType: question.questionType,
+      marks: question.marks,
+      attempts,
+      correct,
+      averageMarks: attempts > 0 ? Math.round((marksAwarded / attempts) * 100) / 100 : null,
+      facilityIndex,
+      taggedDifficulty: question.bankQuestionId ? taggedDifficulty.get(question.bankQuestionId.toString()) || null : null,
+      observedDifficulty: BankQuestion.difficultyForFacility(facilityIndex)
+    };
+  });
+};
+
+module.exports = {
+  buildQuizQuestions,
+  markBankQuestionsUsed,
+  recordQuestionStats,
+  getQuestionStats
+};
@@ -0,0 +1,140 @@
+const Quiz = require('../models/Quiz');
+const { recordQuestionStats } = require('./questionBank');
+
+const badRequest = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// The quiz model throws plain Errors for attempts in the wrong state; those are the client's to fix
+const asBadRequest = (error) => (error.name === 'Error' ? badRequest(error.message) : error);
+
+/**
+ * Deadline of an attempt and the seconds left, for the student's app to count down from
+ * @returns {Object} { deadline, remainingSeconds, serverTime }
+ */
+const getAttemptTiming = (quiz, submission, now = new Date()) => {
+  const deadline = quiz.getDeadline(submission);
+  return {
+    deadline,
+    remainingSeconds: Math.max(0, Math.round((deadline - now) / 1000)),
+    serverTime: now
+  };
+};
+
+/**
+ * Submit an attempt whose time is up with the answers saved before the deadline
+ * @returns {Promise<Boolean>} Whether the attempt was submitted
+ */
+const finishIfExpired = async (quiz, submission) => {
+  if (!submission || submission.status !== 'in-progress' || !quiz.isExpired(submission)) return false;
+
+  await quiz.submitQuiz(submission.studentId, [], { auto: true });
+  await recordQuestionStats(quiz, submission);
+  return true;
+};
+
+const findStudentAttempt = async (quizId, studentId) => {
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) throw badRequest('Quiz not found', 404);
+
+  const submission = quiz.getStudentSubmission(studentId);
+  if (!submission) throw badRequest('Quiz not started. Please start the quiz first.');
+
+  return { quiz, submission };
+};
+
+/**
+ * Autosave a student's answers (REST or socket). Answers are merged with those saved before.
+ * @param {String} quizId
+ * @param {String} studentId
+ * @param {Array} answers - [{ questionId, selectedAnswer }]
+ * @returns {Promise<Object>} { savedAt, savedCount, deadline, remainingSeconds, serverTime }
+ */
+const saveQuizAnswers = async (quizId, studentId, answers) => {
+  if (!Array.isArray(answers)) throw badRequest('Answers are required and must be an array');
+
+  const { quiz, submission } = await findStudentAttempt(quizId, studentId);
+  if (await finishIfExpired(quiz, submission)) {
+    throw badRequest('Time is up; the quiz was submitted with the answers saved before the deadline');
+  }
+
+  try {
+    await quiz.saveAnswers(studentId, answers);
+  } catch (error) {
+    throw asBadRequest(error);
+  }
+
+  return {
+    savedAt: submission.lastSavedAt,
+    savedCount: submission.answers.length,
+    ...getAttemptTiming(quiz, submission)
+  };
+};
+
+/**
+ * Log integrity events the student's app reports (REST or socket)
+ * @param {String} quizId
+ * @param {String} studentId
+ * @param {Array|Object} events - { type, occurredAt, details }, one or a list
+ * @returns {Promise<Object>} { logged, integrityEventCount }
+ */
+const logQuizIntegrityEvents = async (quizId, studentId, events) => {
+  const list = [].concat(events || []).filter(event => event && typeof event === 'object');
+  if (list.length === 0) throw badRequest('Please provide at least one event');
+
+  const { quiz, submission } = await findStudentAttempt(quizId, studentId);
+
+  try {
+    await quiz.logIntegrityEvents(studentId, list);
+  } catch (error) {
+    throw asBadRequest(error);
+  }
+
+  return {
+    logged: list.length,
+    integrityEventCount: submission.integrityEventCount
+  };
+};
+
+/**
+ * Submit every attempt whose time ran out while the student was away, with their saved answers
+ * @param {Object} [options]
+ * @param {String} [options.schoolId]
+ * @returns {Promise<Object>} { quizzes, submitted, failed }
+ */
+const autoSubmitExpiredAttempts = async ({ schoolId } = {}) => {
+  const now = new Date();
+  const query = {
+    submissions: { $elemMatch: { status: 'in-progress', deadline: { $lt: now } } }
+  };
+  if (schoolId) query.schoolId = schoolId;
+
+  const quizzes = await Quiz.find(query);
+  let submitted = 0;
+  let failed = 0;
+
+  for (const quiz of quizzes) {
+    const expired = quiz.submissions.filter(s => s.status === 'in-progress' && quiz.isExpired(s, now));
+    for (const submission of expired) {
+      try {
+        if (await finishIfExpired(quiz, submission)) submitted += 1;
+      } catch (error) {
+        // e.g. the student submitted at the same moment; the next run picks up anything left
+        console.error(`Auto-submit failed for quiz ${quiz._id}:`, error.message);
+        failed += 1;
+      }
+    }
+  }
+
+  return { quizzes: quizzes.length, submitted, failed };
+};
+
+module.exports = {
+  getAttemptTiming,
+  finishIfExpired,
+  saveQuizAnswers,
+  logQuizIntegrityEvents,
+  autoSubmitExpiredAttempts
+};
@@ -91,11 +91,55 @@ const refundPayment = async (paymentId, amount = null) => {
   }
 };
 
+/**
+ * Fetch all payment attempts made against a Razorpay order
+ * @param {String} orderId - Razorpay order ID
+ * @returns {Promise<Array>} Payment entities (newest first)
+ */
+const fetchOrderPayments = async (orderId) => {
+  try {
+    const result = await razorpay.orders.fetchPayments(orderId);
+    return result.items || [];
+  } catch (error) {
+    console.error('Razorpay fetch order payments error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verify the signature Razorpay sends with webhook requests
+ * @param {Buffer|String} rawBody - Raw (unparsed) request body
+ * @param {String} signature - Value of the X-Razorpay-Signature header
+ * @returns {Boolean} True if signature is valid
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  try {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !signature || !rawBody) {
+      return false;
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
+
+    const expected = Buffer.from(expectedSignature);
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  } catch (error) {
+    console.error('Razorpay webhook verification error:', error);
+    return false;
+  }
+};
+
 module.exports = {
   razorpay,
   createOrder,
   verifyPayment,
   fetchPayment,
-  refundPayment
+  fetchOrderPayments,
+  refundPayment,
+  verifyWebhookSignature
 };
 
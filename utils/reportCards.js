@@ -0,0 +1,358 @@
+const Exam = require('../models/Exam');
+const ExamMark = require('../models/ExamMark');
+const GradingScheme = require('../models/GradingScheme');
+const ReportCard = require('../models/ReportCard');
+const Student = require('../models/Student');
+const Subject = require('../models/Subject');
+const { getAttendanceAnalytics } = require('./attendanceAnalytics');
+const { summarizeResult } = require('./grading');
+const { createPdfDocument } = require('./pdf');
+
+const ANNUAL = 'Annual';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const weightedAverage = (components) => {
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  return totalWeight > 0
+    ? round(components.reduce((sum, component) => sum + component.percentage * component.weight, 0) / totalWeight)
+    : null;
+};
+
+// Terms a card covers, and the date range their exams and attendance fall in
+const getCardTerms = (template, termName) => {
+  const terms = termName === ANNUAL
+    ? template.terms
+    : template.terms.filter(term => term.name === termName);
+  if (terms.length === 0) return null;
+
+  const from = new Date(Math.min(...terms.map(term => new Date(term.startDate).getTime())));
+  const to = new Date(Math.max(...terms.map(term => new Date(term.endDate).getTime())));
+  to.setHours(23, 59, 59, 999);
+  return { terms, from, to };
+};
+
+const inTerm = (term, date) => {
+  const end = new Date(term.endDate);
+  end.setHours(23, 59, 59, 999);
+  return date >= new Date(term.startDate) && date <= end;
+};
+
+/**
+ * A subject's result for one term: the student's average in each weighted exam type, combined by
+ * the template weights. Exam types with no marked exam in the term are left out and the remaining
+ * weights rescaled; an absence counts as 0.
+ * @returns {Object|null} { components, percentage } or null when the student has no marks
+ */
+const getTermSubjectResult = (template, term, subjectExams, markFor) => {
+  const components = [];
+
+  template.examTypeWeights.forEach(({ examType, weight }) => {
+    const percentages = subjectExams
+      .filter(exam => exam.examType === examType && inTerm(term, new Date(exam.examDate)))
+      .map(markFor)
+      .filter(Boolean)
+      .map(mark => (mark.isAbsent ? 0 : mark.percentage || 0));
+
+    if (percentages.length > 0) {
+      components.push({
+        label: examType,
+        weight,
+        percentage: round(percentages.reduce((sum, value) => sum + value, 0) / percentages.length),
+        exams: percentages.length
+      });
+    }
+  });
+
+  return components.length > 0 ? { components, percentage: weightedAverage(components) } : null;
+};
+
+// Aggregate mark percentages are graded on the scheme; the "exam" pass rule falls back to its pass percentage
+const gradeSubject = (scheme, percentage) => {
+  const { grade, gradePoint, isPass } = GradingScheme.gradePercentage(scheme, percentage);
+  return {
+    grade,
+    gradePoint,
+    isPassed: scheme.passRule === 'grade' ? isPass : percentage >= scheme.passPercentage
+  };
+};
+
+const getPromotionStatus = (template, termName, overall, attendance) => {
+  if (termName !== ANNUAL || overall.result === null) return 'pending';
+
+  const { minAttendancePercentage, minOverallPercentage } = template.promotion || {};
+  const meetsAttendance = minAttendancePercentage === null || minAttendancePercentage === undefined ||
+    attendance.percentage === null || attendance.percentage >= minAttendancePercentage;
+  const meetsOverall = minOverallPercentage === null || minOverallPercentage === undefined ||
+    overall.percentage >= minOverallPercentage;
+
+  return overall.result === 'pass' && meetsAttendance && meetsOverall ? 'promoted' : 'detained';
+};
+
+// Competition ranking (1, 1, 3) by overall percentage among students with results
+const assignRanks = (cards) => {
+  const ranked = cards
+    .filter(card => card.overall.percentage !== null)
+    .sort((a, b) => b.overall.percentage - a.overall.percentage);
+
+  ranked.forEach((card, index) => {
+    card.rank = index > 0 && card.overall.percentage === ranked[index - 1].overall.percentage
+      ? ranked[index - 1].rank
+      : index + 1;
+    card.classSize = ranked.length;
+  });
+  cards.filter(card => card.overall.percentage === null).forEach(card => {
+    card.rank = null;
+    card.classSize = ranked.length;
+  });
+};
+
+/**
+ * Work out report card contents for every active student in a class
+ * @param {Object} template - ReportCardTemplate document
+ * @param {String} classId
+ * @param {String} termName - A template term name or "Annual"
+ * @returns {Promise<Array>} Report card fields per student (without remarks or status)
+ */
+const buildClassReportCards = async (template, classId, termName) => {
+  const { terms, from, to } = getCardTerms(template, termName);
+  const schoolId = template.schoolId;
+
+  const [students, exams, scheme, attendance] = await Promise.all([
+    Student.find({ schoolId, classId, isActive: true }).select('_id').lean(),
+    Exam.find({
+      schoolId,
+      classId,
+      examDate: { $gte: from, $lte: to },
+      examType: { $in: template.examTypeWeights.map(entry => entry.examType) },
+      status: { $ne: 'cancelled' }
+    }).select('subjectId examType examDate').lean(),
+    GradingScheme.resolveForClass(schoolId, classId),
+    getAttendanceAnalytics({ schoolId, classId, academicYear: template.academicYear, from, to })
+  ]);
+
+  const [marks, subjects] = await Promise.all([
+    ExamMark.find({ examId: { $in: exams.map(exam => exam._id) }, studentId: { $in: students.map(student => student._id) } })
+      .select('examId studentId percentage isAbsent')
+      .lean(),
+    Subject.find({ _id: { $in: [...new Set(exams.map(exam => exam.subjectId.toString()))] } }).select('name').sort({ name: 1 }).lean()
+  ]);
+
+  const markMap = new Map(marks.map(mark => [`${mark.examId}:${mark.studentId}`, mark]));
+  const attendanceMap = new Map(attendance.students.map(entry => [entry.studentId.toString(), entry.totals]));
+
+  const cards = students.map(student => {
+    const markFor = (exam) => markMap.get(`${exam._id}:${student._id}`);
+
+    const subjectResults = subjects.map(subject => {
+      const subjectExams = exams.filter(exam => exam.subjectId.toString() === subject._id.toString());
+      let result;
+
+      if (termName === ANNUAL) {
+        const components = terms
+          .map(term => ({ term, result: getTermSubjectResult(template, term, subjectExams, markFor) }))
+          .filter(entry => entry.result)
+          .map(({ term, result: termResult }) => ({
+            label: term.name,
+            weight: term.weight || 1,
+            percentage: termResult.percentage,
+            exams: termResult.components.reduce((sum, component) => sum + component.exams, 0)
+          }));
+        result = components.length > 0 ? { components, percentage: weightedAverage(components) } : null;
+      } else {
+        result = getTermSubjectResult(template, terms[0], subjectExams, markFor);
+      }
+
+      return result && {
+        subjectId: subject._id,
+        name: subject.name,
+        components: result.components,
+        percentage: result.percentage,
+        ...gradeSubject(scheme, result.percentage)
+      };
+    }).filter(Boolean);
+
+    const summary = summarizeResult(scheme, subjectResults);
+    const overall = subjectResults.length > 0
+      ? {
+        percentage: summary.percentage,
+        grade: summary.grade,
+        gradePoint: summary.gradePoint,
+        failedSubjects: summary.failedSubjects,
+        result: summary.result
+      }
+      : { percentage: null, grade: null, gradePoint: null, failedSubjects: 0, result: null };
+
+    const totals = attendanceMap.get(student._id.toString());
+    const attendanceSummary = totals
+      ? { total: totals.total, present: totals.present, excused: totals.excused, percentage: totals.attendancePercentage }
+      : { total: 0, present: 0, excused: 0, percentage: null };
+
+    return {
+      schoolId,
+      templateId: template._id,
+      studentId: student._id,
+      classId,
+      academicYear: template.academicYear,
+      term: termName,
+      gradingScheme: scheme.name,
+      subjects: subjectResults,
+      overall,
+      attendance: attendanceSummary,
+      promotionStatus: getPromotionStatus(template, termName, overall, attendanceSummary)
+    };
+  });
+
+  assignRanks(cards);
+  return cards;
+};
+
+/**
+ * Generate (or refresh) draft report cards for a class. Remarks, co-scholastic grades and promotion
+ * overrides already entered are kept; published cards are left alone.
+ * @returns {Promise<Object>} { generated, skippedPublished }
+ */
+const generateReportCards = async (template, classId, termName, generatedBy) => {
+  const computed = await buildClassReportCards(template, classId, termName);
+  const existing = await ReportCard.find({ templateId: template._id, term: termName, studentId: { $in: computed.map(card => card.studentId) } });
+  const existingMap = new Map(existing.map(card => [card.studentId.toString(), card]));
+  const summary = { generated: 0, skippedPublished: 0 };
+
+  for (const fields of computed) {
+    let card = existingMap.get(fields.studentId.toString());
+    if (card && card.status === 'published') {
+      summary.skippedPublished++;
+      continue;
+    }
+
+    if (!card) {
+      card = new ReportCard({
+        coScholastic: template.coScholasticAreas.map(area => ({ area }))
+      });
+    }
+
+    const { promotionStatus, ...rest } = fields;
+    card.set({ ...rest, generatedBy, generatedAt: new Date() });
+    if (!card.promotionOverridden) card.promotionStatus = promotionStatus;
+    await card.save();
+    summary.generated++;
+  }
+
+  return summary;
+};
+
+const PROMOTION_LABELS = { promoted: 'Promoted', detained: 'Not promoted', pending: 'Pending' };
+
+// Draw one report card; the card needs studentId and classId populated
+const renderReportCard = (doc, card, school = {}) => {
+  const student = card.studentId || {};
+  const classDoc = card.classId || {};
+
+  doc.text(school.name || 'Report Card', { size: 16, bold: true, align: 'center' });
+  if (school.address) doc.text(school.address, { size: 9, align: 'center' });
+  doc.text(`Report Card - ${card.term} ${card.academicYear}${card.status === 'draft' ? ' (DRAFT)' : ''}`, { size: 12, bold: true, align: 'center' });
+  doc.moveDown(0.5);
+  doc.text(`Student: ${student.name || ''}`, { size: 10 });
+  doc.text(`Class: ${[classDoc.name, classDoc.section].filter(Boolean).join(' - ')}    Roll No: ${student.rollNumber || '-'}    Admission No: ${student.admissionNumber || '-'}`, { size: 10 });
+  doc.line();
+  doc.moveDown(0.5);
+
+  // One column per exam type (term cards) or term (annual cards), in the order they appear
+  const labels = [];
+  card.subjects.forEach(subject => subject.components.forEach(component => {
+    if (!labels.includes(component.label)) labels.push(component.label);
+  }));
+
+  const columns = [
+    { header: 'Subject', key: 'name', width: 3 },
+    ...labels.map((label, index) => ({ header: `${label} %`, key: `c${index}`, width: 1.5, align: 'right' })),
+    { header: 'Total %', key: 'percentage', width: 1.3, align: 'right' },
+    { header: 'Grade', key: 'grade', width: 1, align: 'center' },
+    { header: 'GP', key: 'gradePoint', width: 0.8, align: 'right' },
+    { header: 'Result', key: 'result', width: 1, align: 'center' }
+  ];
+  const rows = card.subjects.map(subject => {
+    const row = {
+      name: subject.name,
+      percentage: subject.percentage,
+      grade: subject.grade,
+      gradePoint: subject.gradePoint ?? '-',
+      result: subject.isPassed ? 'Pass' : 'Fail'
+    };
+    labels.forEach((label, index) => {
+      const component = subject.components.find(entry => entry.label === label);
+      row[`c${index}`] = component ? component.percentage : '-';
+    });
+    return row;
+  });
+  rows.push({
+    name: 'Overall',
+    percentage: card.overall.percentage ?? '-',
+    grade: card.overall.grade || '-',
+    gradePoint: card.overall.gradePoint ?? '-',
+    result: card.overall.result ? card.overall.result.toUpperCase() : '-'
+  });
+  doc.table(columns, rows, { size: 9, boldRows: [rows.length - 1] });
+  doc.moveDown(0.5);
+
+  const attendance = card.attendance || {};
+  doc.text(`Attendance: ${attendance.percentage !== null && attendance.percentage !== undefined ? `${attendance.percentage}%` : 'Not recorded'} (${attendance.present || 0} of ${(attendance.total || 0) - (attendance.excused || 0)} periods)`, { size: 10 });
+  doc.text(`Rank: ${card.rank ? `${card.rank} of ${card.classSize}` : '-'}    Grading: ${card.gradingScheme || '-'}`, { size: 10 });
+  if (card.term === ANNUAL) {
+    doc.text(`Promotion: ${PROMOTION_LABELS[card.promotionStatus] || card.promotionStatus}`, { size: 10, bold: true });
+  }
+  doc.moveDown(0.5);
+
+  if (card.coScholastic.length > 0) {
+    doc.text('Co-Scholastic Areas', { size: 11, bold: true });
+    doc.table(
+      [
+        { header: 'Area', key: 'area', width: 3 },
+        { header: 'Grade', key: 'grade', width: 1, align: 'center' },
+        { header: 'Remarks', key: 'remarks', width: 5 }
+      ],
+      card.coScholastic.map(entry => ({ area: entry.area, grade: entry.grade || '-', remarks: entry.remarks || '' })),
+      { size: 9 }
+    );
+    doc.moveDown(0.5);
+  }
+
+  if (card.remarks) {
+    doc.text('Remarks', { size: 11, bold: true });
+    doc.text(card.remarks, { size: 10 });
+    doc.moveDown(0.5);
+  }
+
+  doc.moveDown(2);
+  doc.text('Class Teacher: ______________      Principal: ______________      Parent: ______________', { size: 10 });
+};
+
+/**
+ * Report cards as a PDF, one card per page
+ * @param {Array} cards - ReportCard documents with studentId and classId populated
+ * @param {Object} [school] - { name, address }
+ * @returns {Buffer}
+ */
+const reportCardsToPdf = (cards, school = {}) => {
+  const first = cards[0];
+  const doc = createPdfDocument({
+    title: cards.length === 1
+      ? `Report Card - ${first.studentId?.name || ''} - ${first.term} ${first.academicYear}`
+      : `Report Cards - ${first ? `${first.term} ${first.academicYear}` : ''}`
+  });
+
+  cards.forEach((card, index) => {
+    if (index > 0) doc.addPage();
+    renderReportCard(doc, card, school);
+  });
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  ANNUAL,
+  getCardTerms,
+  buildClassReportCards,
+  generateReportCards,
+  reportCardsToPdf
+};
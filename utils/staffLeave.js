@@ -0,0 +1,200 @@
+const StaffLeaveRequest = require('../models/StaffLeaveRequest');
+const StaffLeaveType = require('../models/StaffLeaveType');
+const TeacherAttendance = require('../models/TeacherAttendance');
+
+// Days of the week that aren't working days (0 = Sunday), STAFF_WEEKLY_OFF_DAYS comma separated
+const getWeeklyOffDays = () => (process.env.STAFF_WEEKLY_OFF_DAYS || '0')
+  .split(',')
+  .map(day => parseInt(day))
+  .filter(day => day >= 0 && day <= 6);
+
+const roundDays = (days) => Math.round(days * 2) / 2;
+
+// Working days between two dates (inclusive), each at local midnight
+const getLeaveDates = (startDate, endDate) => {
+  const weeklyOff = getWeeklyOffDays();
+  const dates = [];
+  const day = new Date(startDate);
+  day.setHours(0, 0, 0, 0);
+
+  while (day <= endDate) {
+    if (!weeklyOff.includes(day.getDay())) {
+      dates.push(new Date(day));
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return dates;
+};
+
+const countLeaveDays = (startDate, endDate, halfDay = false) => {
+  const days = getLeaveDates(startDate, endDate).length;
+  return halfDay && days > 0 ? 0.5 : days;
+};
+
+/**
+ * Leave balances of a teacher for a calendar year, one entry per active leave type.
+ * Carry-forward types add last year's unused quota (up to maxCarryForward).
+ * @param {String} teacherId
+ * @param {String} schoolId
+ * @param {Number} year
+ * @returns {Promise<Array>} [{ leaveType, quota, carriedForward, available, used, lossOfPayDays, remaining }]
+ */
+const getLeaveBalances = async (teacherId, schoolId, year) => {
+  const leaveTypes = await StaffLeaveType.getSchoolLeaveTypes(schoolId);
+  const used = await StaffLeaveRequest.getUsedDays(teacherId, year);
+  const usedLastYear = leaveTypes.some(type => type.carryForward)
+    ? await StaffLeaveRequest.getUsedDays(teacherId, year - 1)
+    : new Map();
+
+  return leaveTypes.map(type => {
+    const id = type._id.toString();
+    const carriedForward = type.carryForward
+      ? Math.min(Math.max(type.yearlyQuota - (usedLastYear.get(id)?.paidDays || 0), 0), type.maxCarryForward)
+      : 0;
+    const available = type.isPaid ? type.yearlyQuota + carriedForward : 0;
+    const usedDays = used.get(id)?.paidDays || 0;
+
+    return {
+      leaveType: {
+        _id: type._id,
+        name: type.name,
+        code: type.code,
+        isPaid: type.isPaid,
+        allowHalfDay: type.allowHalfDay
+      },
+      quota: type.yearlyQuota,
+      carriedForward,
+      available,
+      used: usedDays,
+      lossOfPayDays: used.get(id)?.lossOfPayDays || 0,
+      remaining: Math.max(roundDays(available - usedDays), 0)
+    };
+  });
+};
+
+// Split a request into paid and loss-of-pay days against the teacher's current balance
+const splitLeaveDays = async (leaveRequest) => {
+  const balances = await getLeaveBalances(leaveRequest.teacher, leaveRequest.school, leaveRequest.year);
+  const balance = balances.find(entry => entry.leaveType._id.toString() === leaveRequest.leaveType.toString());
+  // Attendance is written per day, so a full-day leave can't be split into half a paid day
+  const available = Math.min(leaveRequest.days, balance ? balance.remaining : 0);
+  const paidDays = leaveRequest.halfDay ? available : Math.floor(available);
+
+  return {
+    paidDays,
+    lossOfPayDays: roundDays(leaveRequest.days - paidDays)
+  };
+};
+
+/**
+ * Write an approved leave into TeacherAttendance: each working day becomes "excused" ("half-day" for
+ * half-day leave), the last lossOfPayDays of them flagged as loss of pay. Days the teacher was marked
+ * present or late are left alone.
+ * @returns {Promise<Number>} Attendance days written
+ */
+const applyStaffLeaveToAttendance = async (leaveRequest, leaveTypeName, markedBy) => {
+  const dates = getLeaveDates(leaveRequest.startDate, leaveRequest.endDate);
+  const paidDayCount = Math.ceil(leaveRequest.paidDays);
+  let written = 0;
+
+  for (const [index, date] of dates.entries()) {
+    const endOfDay = new Date(date);
+    endOfDay.setHours(23, 59, 59, 999);
+    const fields = {
+      status: leaveRequest.halfDay ? 'half-day' : 'excused',
+      leaveRequest: leaveRequest._id,
+      lossOfPay: index >= paidDayCount,
+      remarks: `${leaveTypeName}${index >= paidDayCount ? ' (loss of pay)' : ''}`,
+      markedBy,
+      markedAt: new Date()
+    };
+
+    const existing = await TeacherAttendance.findOne({
+      schoolId: leaveRequest.school,
+      teacherId: leaveRequest.teacher,
+      date: { $gte: date, $lte: endOfDay },
+      isActive: true
+    });
+
+    if (existing) {
+      if (['present', 'late'].includes(existing.status)) continue;
+      Object.assign(existing, fields, { statusBeforeLeave: existing.statusBeforeLeave || existing.status });
+      await existing.save();
+    } else {
+      await TeacherAttendance.create({
+        schoolId: leaveRequest.school,
+        teacherId: leaveRequest.teacher,
+        date,
+        source: 'leave',
+        ...fields
+      });
+    }
+    written++;
+  }
+
+  return written;
+};
+
+// Undo applyStaffLeaveToAttendance when an approved leave is cancelled
+const removeStaffLeaveFromAttendance = async (leaveRequest) => {
+  const records = await TeacherAttendance.find({ leaveRequest: leaveRequest._id });
+
+  for (const record of records) {
+    if (record.statusBeforeLeave) {
+      record.status = record.statusBeforeLeave;
+      record.statusBeforeLeave = null;
+      record.leaveRequest = null;
+      record.lossOfPay = false;
+      record.remarks = '';
+      await record.save();
+    } else {
+      await record.deleteOne();
+    }
+  }
+
+  return records.length;
+};
+
+/**
+ * Loss-of-pay days for a teacher in a month: unpaid leave days (half a day for half-day leave)
+ * plus days marked absent without approved leave
+ * @param {String} teacherId
+ * @param {String} schoolId
+ * @param {Number} month - 1-12
+ * @param {Number} year
+ * @returns {Promise<Object>} { leaveDays, absentDays, total }
+ */
+const getLossOfPayDays = async (teacherId, schoolId, month, year) => {
+  const records = await TeacherAttendance.find({
+    schoolId,
+    teacherId,
+    date: {
+      $gte: new Date(year, month - 1, 1),
+      $lt: new Date(year, month, 1)
+    },
+    isActive: true,
+    $or: [{ lossOfPay: true }, { status: 'absent', leaveRequest: null }]
+  }).select('status lossOfPay');
+
+  let leaveDays = 0;
+  let absentDays = 0;
+  records.forEach(record => {
+    if (record.lossOfPay) {
+      leaveDays += record.status === 'half-day' ? 0.5 : 1;
+    } else {
+      absentDays += 1;
+    }
+  });
+
+  return { leaveDays, absentDays, total: leaveDays + absentDays };
+};
+
+module.exports = {
+  getWeeklyOffDays,
+  countLeaveDays,
+  getLeaveBalances,
+  splitLeaveDays,
+  applyStaffLeaveToAttendance,
+  removeStaffLeaveFromAttendance,
+  getLossOfPayDays
+};
@@ -0,0 +1,64 @@
+const Attendance = require('../models/Attendance');
+const LeaveRequest = require('../models/LeaveRequest');
+
+const LEAVE_REMARK = 'On approved leave';
+
+/**
+ * Status to record when marking a student's attendance: absences on a day of approved leave
+ * are recorded as excused and linked to the leave request
+ * @param {String} studentId
+ * @param {Date|String} date - Attendance date
+ * @param {String} status - Status the teacher marked
+ * @returns {Promise<Object>} { status, leaveRequest, remarks }
+ */
+const resolveLeaveStatus = async (studentId, date, status) => {
+  if (status !== 'absent') {
+    return { status, leaveRequest: null };
+  }
+
+  const leave = await LeaveRequest.findApprovedLeave(studentId, date);
+  return leave
+    ? { status: 'excused', leaveRequest: leave._id, remarks: LEAVE_REMARK }
+    : { status, leaveRequest: null };
+};
+
+// Mark absences already recorded during an approved leave as excused (a teacher's remark is kept)
+const excuseLeaveAttendance = async (leave) => {
+  const result = await Attendance.updateMany({
+    studentId: leave.student,
+    date: { $gte: leave.startDate, $lte: leave.endDate },
+    status: 'absent',
+    isActive: true
+  }, [{
+    $set: {
+      status: 'excused',
+      leaveRequest: leave._id,
+      remarks: { $cond: [{ $eq: [{ $ifNull: ['$remarks', ''] }, ''] }, LEAVE_REMARK, '$remarks'] }
+    }
+  }]);
+
+  return result.modifiedCount;
+};
+
+// Turn attendance excused by a leave back into absences (leave cancelled after approval),
+// clearing only the remark the leave wrote
+const restoreLeaveAttendance = async (leave) => {
+  const result = await Attendance.updateMany({
+    leaveRequest: leave._id,
+    status: 'excused'
+  }, [{
+    $set: {
+      status: 'absent',
+      leaveRequest: null,
+      remarks: { $cond: [{ $eq: ['$remarks', LEAVE_REMARK] }, '', '$remarks'] }
+    }
+  }]);
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  resolveLeaveStatus,
+  excuseLeaveAttendance,
+  restoreLeaveAttendance
+};
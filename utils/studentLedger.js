@@ -0,0 +1,452 @@
+const FeeCollection = require('../models/FeeCollection');
+const FeeReceipt = require('../models/FeeReceipt');
+const Invoice = require('../models/Invoice');
+const LateFeeApplication = require('../models/LateFeeApplication');
+const Student = require('../models/Student');
+const StudentTransport = require('../models/StudentTransport');
+const { MONTH_NAMES, getAcademicYearStartMonth, parseAcademicYearStart } = require('./feeCollectionGenerator');
+const { createPdfDocument } = require('./pdf');
+const { toCsv } = require('./csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// First calendar year of the academic year a date falls in
+const getAcademicYearOfDate = (date, startMonth = getAcademicYearStartMonth()) => {
+  const day = new Date(date);
+  return day.getMonth() + 1 >= startMonth ? day.getFullYear() : day.getFullYear() - 1;
+};
+
+const formatAcademicYear = (startYear) => `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+const formatAmount = (amount) => (amount ? amount.toFixed(2) : '');
+
+// Fee collection charges, discounts, late fees, online/counter payments and cancellations
+const getFeeCollectionEntries = async (studentId, startMonth) => {
+  const collections = await FeeCollection.find({ student: studentId }).populate('feeStructure', 'name');
+  const receipts = await FeeReceipt.find({ student: studentId });
+  const lateFees = collections.length > 0
+    ? await LateFeeApplication.find({ targetModel: 'FeeCollection', target: { $in: collections.map(c => c._id) } })
+    : [];
+  const entries = [];
+  const usedReceipts = new Set();
+
+  // Receipts are credited below; match each collection payment to its receipt so it isn't counted twice
+  const findReceipt = (collection, payment) => receipts.find(receipt =>
+    !usedReceipts.has(receipt._id.toString()) &&
+    receipt.feeCollection.toString() === collection._id.toString() &&
+    receipt.amount === payment.amount &&
+    ((payment.transactionId && receipt.transactionId === payment.transactionId) ||
+      Math.abs(new Date(receipt.paymentDate) - new Date(payment.paymentDate)) < DAY_MS)
+  );
+
+  for (const collection of collections) {
+    const yearStart = parseAcademicYearStart(collection.academicYear) || getAcademicYearOfDate(collection.createdAt, startMonth);
+    const feeName = `${collection.feeStructure?.name || 'Fee'}${collection.month ? ` - ${collection.month}` : ''}`;
+    const source = { model: 'FeeCollection', id: collection._id };
+
+    entries.push({
+      date: collection.createdAt,
+      yearStart,
+      type: 'fee',
+      reference: collection.month || '',
+      description: feeName,
+      debit: collection.totalAmount,
+      credit: 0,
+      source
+    });
+
+    if (collection.discountAmount > 0) {
+      const names = (collection.concessions || []).map(concession => concession.name).filter(Boolean);
+      entries.push({
+        date: collection.createdAt,
+        yearStart,
+        type: 'discount',
+        reference: collection.month || '',
+        description: `Discount on ${feeName}${names.length > 0 ? ` (${names.join(', ')})` : ''}`,
+        debit: 0,
+        credit: collection.discountAmount,
+        source
+      });
+    }
+
+    // Late fees applied by the late-fees job are dated; anything added by hand is dated at the due date
+    const applied = lateFees.filter(application => application.target.toString() === collection._id.toString());
+    applied.forEach(application => {
+      entries.push({
+        date: application.createdAt,
+        yearStart,
+        type: 'late_fee',
+        reference: collection.month || '',
+        description: `Late fee on ${feeName} (${application.daysLate} days late)`,
+        debit: application.amount,
+        credit: 0,
+        source
+      });
+    });
+    const manualLateFee = roundAmount((collection.lateFeeAmount || 0) - applied.reduce((sum, application) => sum + application.amount, 0));
+    if (manualLateFee > 0) {
+      entries.push({
+        date: collection.dueDate,
+        yearStart,
+        type: 'late_fee',
+        reference: collection.month || '',
+        description: `Late fee on ${feeName}`,
+        debit: manualLateFee,
+        credit: 0,
+        source
+      });
+    }
+
+    // Payments recorded directly on the collection without a receipt
+    collection.payments.forEach(payment => {
+      const receipt = findReceipt(collection, payment);
+      if (receipt) {
+        usedReceipts.add(receipt._id.toString());
+        return;
+      }
+      entries.push({
+        date: payment.paymentDate,
+        yearStart,
+        type: 'payment',
+        reference: payment.transactionId || '',
+        description: `Payment for ${feeName} (${payment.paymentMethod})`,
+        debit: 0,
+        credit: payment.amount,
+        source
+      });
+    });
+
+    if (collection.status === 'cancelled') {
+      const writtenOff = roundAmount(collection.finalAmount - collection.paidAmount);
+      if (writtenOff > 0) {
+        entries.push({
+          date: collection.cancelledAt || collection.updatedAt,
+          yearStart,
+          type: 'cancellation',
+          reference: collection.month || '',
+          description: `Cancelled ${feeName}`,
+          debit: 0,
+          credit: writtenOff,
+          source
+        });
+      }
+    }
+  }
+
+  const feeNames = new Map(collections.map(collection => [
+    collection._id.toString(),
+    `${collection.feeStructure?.name || 'Fee'}${collection.month ? ` - ${collection.month}` : ''}`
+  ]));
+
+  receipts.forEach(receipt => {
+    const yearStart = parseAcademicYearStart(receipt.academicYear) || getAcademicYearOfDate(receipt.paymentDate, startMonth);
+    const feeName = feeNames.get(receipt.feeCollection.toString()) || 'Fee';
+    const source = { model: 'FeeReceipt', id: receipt._id };
+
+    entries.push({
+      date: receipt.paymentDate,
+      yearStart,
+      type: 'payment',
+      reference: receipt.receiptNumber,
+      description: `Payment for ${feeName} (${receipt.paymentMethod})`,
+      debit: 0,
+      credit: receipt.amount,
+      source
+    });
+
+    if (receipt.status === 'cancelled') {
+      entries.push({
+        date: receipt.cancelledAt || receipt.updatedAt,
+        yearStart,
+        type: 'payment_reversal',
+        reference: receipt.receiptNumber,
+        description: `Receipt cancelled${receipt.cancellationReason ? `: ${receipt.cancellationReason}` : ''}`,
+        debit: receipt.amount,
+        credit: 0,
+        source
+      });
+    }
+  });
+
+  return entries;
+};
+
+// Invoices raised against the student. Invoices only record a payment status, so a paid invoice is
+// credited in full when it was last updated and partially paid invoices stay outstanding.
+const getInvoiceEntries = async (studentId, startMonth) => {
+  const invoices = await Invoice.find({ studentId, isActive: true });
+  const entries = [];
+
+  invoices.forEach(invoice => {
+    const yearStart = getAcademicYearOfDate(invoice.invoiceDate, startMonth);
+    const items = invoice.items.map(item => item.description).join(', ');
+    const source = { model: 'Invoice', id: invoice._id };
+
+    entries.push({
+      date: invoice.invoiceDate,
+      yearStart,
+      type: 'invoice',
+      reference: invoice.invoiceNumber,
+      description: `Invoice${items ? `: ${items}` : ''}${invoice.paymentStatus === 'partial' ? ' (partially paid)' : ''}`,
+      debit: invoice.totalAmount,
+      credit: 0,
+      source
+    });
+
+    if (invoice.paymentStatus === 'paid') {
+      entries.push({
+        date: invoice.updatedAt,
+        yearStart,
+        type: 'payment',
+        reference: invoice.invoiceNumber,
+        description: 'Invoice paid',
+        debit: 0,
+        credit: invoice.totalAmount,
+        source
+      });
+    }
+  });
+
+  return entries;
+};
+
+// One transport fee per month of the assignment (up to asOf) and the payments recorded against it
+const getTransportEntries = async (studentId, startMonth, asOf) => {
+  const transports = await StudentTransport.find({ studentId }).populate('routeId', 'name routeNumber');
+  const entries = [];
+
+  transports.forEach(transport => {
+    const source = { model: 'StudentTransport', id: transport._id };
+    const route = transport.routeId?.name || transport.routeId?.routeNumber || '';
+
+    if (transport.monthlyFee > 0) {
+      const start = new Date(transport.startDate || transport.createdAt);
+      let end = transport.endDate ? new Date(transport.endDate) : asOf;
+      if (transport.status !== 'active' && !transport.endDate) end = new Date(transport.updatedAt);
+      if (end > asOf) end = asOf;
+
+      for (let month = new Date(start.getFullYear(), start.getMonth(), 1); month <= end; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        const date = month < start ? start : month;
+        entries.push({
+          date,
+          yearStart: getAcademicYearOfDate(month, startMonth),
+          type: 'transport',
+          reference: `${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, '0')}`,
+          description: `Transport fee - ${MONTH_NAMES[month.getMonth()]} ${month.getFullYear()}${route ? ` (${route})` : ''}`,
+          debit: transport.monthlyFee,
+          credit: 0,
+          source
+        });
+      }
+    }
+
+    const payments = transport.payments || [];
+    payments.forEach(payment => {
+      entries.push({
+        date: payment.paymentDate,
+        yearStart: getAcademicYearOfDate(payment.paymentDate, startMonth),
+        type: 'transport_payment',
+        reference: payment.transactionId || payment.month || '',
+        description: `Transport fee payment${payment.month ? ` for ${payment.month}` : ''} (${payment.paymentMethod})`,
+        debit: 0,
+        credit: payment.amount,
+        source
+      });
+    });
+
+    // Assignments from before payments were itemised only know the date of the last payment
+    if (payments.length === 0 && transport.lastPaymentDate && transport.monthlyFee > 0) {
+      entries.push({
+        date: transport.lastPaymentDate,
+        yearStart: getAcademicYearOfDate(transport.lastPaymentDate, startMonth),
+        type: 'transport_payment',
+        reference: '',
+        description: 'Transport fee payment',
+        debit: 0,
+        credit: transport.monthlyFee,
+        source
+      });
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Build a student's fee ledger for one academic year: every charge and payment from fee collections,
+ * fee receipts, invoices and transport fees, with a running balance. A positive balance is owed by
+ * the student. The opening balance carries forward everything from earlier academic years.
+ * @param {Object|String} student - Student document or ID
+ * @param {Object} [options]
+ * @param {String} [options.academicYear] - e.g. "2025-26" (defaults to the current academic year)
+ * @param {Date} [options.asOf] - Transport fees are charged up to this date (defaults to now)
+ * @returns {Promise<Object>} Ledger
+ */
+const getStudentLedger = async (student, { academicYear, asOf = new Date() } = {}) => {
+  if (!student.name) {
+    student = await Student.findById(student).populate('classId', 'name section');
+  }
+  if (!student) {
+    return null;
+  }
+
+  const startMonth = getAcademicYearStartMonth();
+  const yearStart = parseAcademicYearStart(academicYear) || getAcademicYearOfDate(asOf, startMonth);
+
+  const allEntries = [
+    ...await getFeeCollectionEntries(student._id, startMonth),
+    ...await getInvoiceEntries(student._id, startMonth),
+    ...await getTransportEntries(student._id, startMonth, asOf)
+  ];
+
+  const openingBalance = roundAmount(allEntries
+    .filter(entry => entry.yearStart < yearStart)
+    .reduce((sum, entry) => sum + entry.debit - entry.credit, 0));
+
+  // Charges before payments on the same day
+  const entries = allEntries
+    .filter(entry => entry.yearStart === yearStart)
+    .sort((a, b) => (new Date(a.date) - new Date(b.date)) || (b.debit - a.debit));
+
+  let balance = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  entries.forEach(entry => {
+    totalDebit += entry.debit;
+    totalCredit += entry.credit;
+    balance = roundAmount(balance + entry.debit - entry.credit);
+    entry.balance = balance;
+    delete entry.yearStart;
+  });
+
+  const studentClass = student.classId && student.classId.name ? student.classId : null;
+
+  return {
+    student: {
+      _id: student._id,
+      name: student.name,
+      admissionNumber: student.admissionNumber,
+      rollNumber: student.rollNumber,
+      class: studentClass ? `${studentClass.name}${studentClass.section ? ` ${studentClass.section}` : ''}` : null
+    },
+    academicYear: academicYear || formatAcademicYear(yearStart),
+    period: {
+      from: new Date(yearStart, startMonth - 1, 1),
+      to: new Date(yearStart + 1, startMonth - 1, 0, 23, 59, 59, 999)
+    },
+    openingBalance,
+    totalDebit: roundAmount(totalDebit),
+    totalCredit: roundAmount(totalCredit),
+    closingBalance: balance,
+    entries
+  };
+};
+
+// Ledgers for every student of a class, in roll number order
+const getClassLedgers = async (classId, options = {}) => {
+  const students = await Student.find({ classId })
+    .populate('classId', 'name section')
+    .sort({ rollNumber: 1, name: 1 });
+
+  const ledgers = [];
+  for (const student of students) {
+    ledgers.push(await getStudentLedger(student, options));
+  }
+  return ledgers;
+};
+
+// CSV statement with opening and closing balance rows for each student
+const ledgersToCsv = (ledgers) => {
+  const rows = [[
+    'Admission Number', 'Student', 'Class', 'Academic Year', 'Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'
+  ]];
+
+  ledgers.forEach(ledger => {
+    const studentColumns = [ledger.student.admissionNumber, ledger.student.name, ledger.student.class || '', ledger.academicYear];
+    rows.push([...studentColumns, formatDate(ledger.period.from), 'opening_balance', '', 'Opening balance', '', '', ledger.openingBalance.toFixed(2)]);
+    ledger.entries.forEach(entry => {
+      rows.push([
+        ...studentColumns,
+        formatDate(entry.date),
+        entry.type,
+        entry.reference,
+        entry.description,
+        formatAmount(entry.debit),
+        formatAmount(entry.credit),
+        entry.balance.toFixed(2)
+      ]);
+    });
+    rows.push([...studentColumns, '', 'closing_balance', '', 'Closing balance', ledger.totalDebit.toFixed(2), ledger.totalCredit.toFixed(2), ledger.closingBalance.toFixed(2)]);
+  });
+
+  return toCsv(rows);
+};
+
+// PDF statement, one student per page
+const ledgersToPdf = (ledgers, school = {}) => {
+  const doc = createPdfDocument({ title: 'Fee Statement' });
+  const columns = [
+    { header: 'Date', key: 'date', width: 1.1 },
+    { header: 'Reference', key: 'reference', width: 1.3 },
+    { header: 'Description', key: 'description', width: 3.4 },
+    { header: 'Debit', key: 'debit', width: 1, align: 'right' },
+    { header: 'Credit', key: 'credit', width: 1, align: 'right' },
+    { header: 'Balance', key: 'balance', width: 1.1, align: 'right' }
+  ];
+
+  if (ledgers.length === 0) {
+    doc.text('No students found.');
+  }
+
+  ledgers.forEach((ledger, index) => {
+    if (index > 0) doc.addPage();
+
+    if (school.name) doc.text(school.name, { size: 16, bold: true, align: 'center' });
+    if (school.address) doc.text(school.address, { size: 9, align: 'center' });
+    doc.moveDown(0.5)
+      .text(`Fee Statement - Academic Year ${ledger.academicYear}`, { size: 13, bold: true, align: 'center' })
+      .text(`${formatDate(ledger.period.from)} to ${formatDate(ledger.period.to)}`, { size: 9, align: 'center' })
+      .moveDown()
+      .text(`Student: ${ledger.student.name}`, { bold: true })
+      .text(`Admission No: ${ledger.student.admissionNumber || '-'}    Class: ${ledger.student.class || '-'}${ledger.student.rollNumber ? `    Roll No: ${ledger.student.rollNumber}` : ''}`)
+      .moveDown(0.5);
+
+    const rows = [
+      { date: formatDate(ledger.period.from), description: 'Opening balance', balance: ledger.openingBalance.toFixed(2) },
+      ...ledger.entries.map(entry => ({
+        date: formatDate(entry.date),
+        reference: entry.reference,
+        description: entry.description,
+        debit: formatAmount(entry.debit),
+        credit: formatAmount(entry.credit),
+        balance: entry.balance.toFixed(2)
+      })),
+      {
+        description: 'Closing balance',
+        debit: ledger.totalDebit.toFixed(2),
+        credit: ledger.totalCredit.toFixed(2),
+        balance: ledger.closingBalance.toFixed(2)
+      }
+    ];
+    doc.table(columns, rows, { boldRows: [0, rows.length - 1] });
+
+    doc.moveDown()
+      .text(ledger.closingBalance > 0
+        ? `Amount due: Rs. ${ledger.closingBalance.toFixed(2)}`
+        : ledger.closingBalance < 0 ? `Advance/credit: Rs. ${Math.abs(ledger.closingBalance).toFixed(2)}` : 'No dues outstanding.', { bold: true })
+      .text(`Generated on ${formatDate(new Date())}`, { size: 8 });
+  });
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  getStudentLedger,
+  getClassLedgers,
+  ledgersToCsv,
+  ledgersToPdf
+};
@@ -0,0 +1,257 @@
+const Schedule = require('../models/Schedule');
+const Subject = require('../models/Subject');
+const Substitution = require('../models/Substitution');
+const TeacherAttendance = require('../models/TeacherAttendance');
+const User = require('../models/User');
+const { toMinutes } = require('./timezone');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Substitutions are kept per calendar day at local midnight, like teacher attendance
+const toSubstitutionDay = (value) => {
+  const day = new Date(value || Date.now());
+  if (isNaN(day.getTime())) return null;
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const overlaps = (a, b) => toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(a.endTime) > toMinutes(b.startTime);
+
+// Semester 1 and 2 timetables run at different times of year; both share the week with the annual one
+const semesterFilter = (semester) => (semester && semester !== 'Annual' ? { semester: { $in: [semester, 'Annual'] } } : {});
+
+/**
+ * Teachers who are not in school on a day: marked absent, or on leave (excused)
+ * @returns {Promise<Map>} teacherId -> 'absent' | 'leave'
+ */
+const getTeachersAway = async (schoolId, day) => {
+  const records = await TeacherAttendance.find({
+    schoolId,
+    date: { $gte: day, $lt: addDays(day, 1) },
+    status: { $in: ['absent', 'excused'] },
+    isActive: true
+  }).select('teacherId status leaveRequest').lean();
+
+  return new Map(records.map(record => [
+    record.teacherId.toString(),
+    record.status === 'excused' || record.leaveRequest ? 'leave' : 'absent'
+  ]));
+};
+
+/**
+ * Periods on a day whose teacher is absent or on leave, with any substitution already recorded
+ * @param {String} schoolId
+ * @param {Date} day - Local midnight
+ * @param {Object} [options]
+ * @param {String} [options.academicYear]
+ * @returns {Promise<Object>} { date, dayOfWeek, total, uncovered, periods }
+ */
+const getUncoveredPeriods = async (schoolId, day, { academicYear = '2024-2025' } = {}) => {
+  const dayOfWeek = DAY_NAMES[day.getDay()];
+  const away = await getTeachersAway(schoolId, day);
+
+  const schedules = away.size === 0 ? [] : await Schedule.find({
+    schoolId,
+    academicYear,
+    dayOfWeek,
+    status: 'active',
+    teacherId: { $in: [...away.keys()] }
+  })
+    .populate('teacherId', 'name email')
+    .populate('classId', 'name section')
+    .populate('subjectId', 'name code');
+
+  const substitutions = await Substitution.find({
+    scheduleId: { $in: schedules.map(schedule => schedule._id) },
+    date: day,
+    status: 'assigned'
+  }).populate('substituteTeacherId', 'name email');
+  const bySchedule = new Map(substitutions.map(substitution => [substitution.scheduleId.toString(), substitution]));
+
+  const periods = schedules
+    .map(schedule => ({
+      schedule,
+      reason: away.get(schedule.teacherId._id.toString()),
+      substitution: bySchedule.get(schedule._id.toString()) || null
+    }))
+    .sort((a, b) => toMinutes(a.schedule.startTime) - toMinutes(b.schedule.startTime));
+
+  return {
+    date: day,
+    dayOfWeek,
+    total: periods.length,
+    uncovered: periods.filter(period => !period.substitution).length,
+    periods
+  };
+};
+
+// Everything that keeps teachers busy on a day: their own periods and cover they've already taken on
+const getDayCommitments = async (schedule, day, excludeSubstitutionId = null) => {
+  const [periods, cover] = await Promise.all([
+    Schedule.find({
+      schoolId: schedule.schoolId,
+      academicYear: schedule.academicYear,
+      dayOfWeek: schedule.dayOfWeek,
+      status: 'active',
+      ...semesterFilter(schedule.semester)
+    }).select('teacherId startTime endTime').lean(),
+    Substitution.find({
+      schoolId: schedule.schoolId,
+      date: day,
+      status: 'assigned',
+      ...(excludeSubstitutionId && { _id: { $ne: excludeSubstitutionId } })
+    }).select('substituteTeacherId startTime endTime').lean()
+  ]);
+
+  return [
+    ...periods.map(period => ({ teacherId: period.teacherId.toString(), startTime: period.startTime, endTime: period.endTime })),
+    ...cover.map(entry => ({ teacherId: entry.substituteTeacherId.toString(), startTime: entry.startTime, endTime: entry.endTime, isSubstitution: true }))
+  ];
+};
+
+/**
+ * Why a teacher can't cover a period on a day, or null if they're free
+ * @returns {Promise<String|null>}
+ */
+const getSubstituteClash = async (schedule, day, teacherId, excludeSubstitutionId = null) => {
+  const id = teacherId.toString();
+  if (id === (schedule.teacherId._id || schedule.teacherId).toString()) {
+    return 'The substitute must be a different teacher from the one taking the period';
+  }
+
+  const away = await getTeachersAway(schedule.schoolId, day);
+  if (away.has(id)) {
+    return away.get(id) === 'leave' ? 'The substitute is on leave that day' : 'The substitute is marked absent that day';
+  }
+
+  const commitments = await getDayCommitments(schedule, day, excludeSubstitutionId);
+  const clash = commitments.find(entry => entry.teacherId === id && overlaps(entry, schedule));
+  if (clash) {
+    return clash.isSubstitution
+      ? `The substitute is already covering another period from ${clash.startTime} to ${clash.endTime}`
+      : `The substitute has their own period from ${clash.startTime} to ${clash.endTime}`;
+  }
+
+  return null;
+};
+
+/**
+ * Teachers free to cover a period. Teachers of the same subject come first, then ones who already
+ * teach the class, then whoever has the lightest day.
+ * @param {Object} schedule - Schedule document with subjectId populated
+ * @param {Date} day - Local midnight
+ * @param {Object} [options]
+ * @param {String} [options.excludeSubstitutionId] - Existing substitution being reassigned
+ * @returns {Promise<Array>} [{ teacher, sameSubject, teachesClass, periodsThatDay }]
+ */
+const suggestSubstitutes = async (schedule, day, { excludeSubstitutionId = null } = {}) => {
+  const originalTeacherId = (schedule.teacherId._id || schedule.teacherId).toString();
+
+  const [teachers, away, commitments] = await Promise.all([
+    User.find({ schoolId: schedule.schoolId, role: 'teacher', isActive: true })
+      .select('name email phone')
+      .sort({ name: 1 })
+      .lean(),
+    getTeachersAway(schedule.schoolId, day),
+    getDayCommitments(schedule, day, excludeSubstitutionId)
+  ]);
+
+  const busy = new Set();
+  const load = new Map();
+  commitments.forEach(entry => {
+    load.set(entry.teacherId, (load.get(entry.teacherId) || 0) + 1);
+    if (overlaps(entry, schedule)) busy.add(entry.teacherId);
+  });
+
+  const candidates = teachers.filter(teacher => {
+    const id = teacher._id.toString();
+    return id !== originalTeacherId && !away.has(id) && !busy.has(id);
+  });
+  if (candidates.length === 0) return [];
+
+  const subjectName = schedule.subjectId?.name;
+  const classId = (schedule.classId._id || schedule.classId).toString();
+  const subjects = await Subject.find({
+    schoolId: schedule.schoolId,
+    teacherId: { $in: candidates.map(teacher => teacher._id) },
+    status: 'active'
+  }).select('name teacherId classId').lean();
+
+  const sameSubject = new Set();
+  const teachesClass = new Set();
+  subjects.forEach(subject => {
+    const id = subject.teacherId.toString();
+    if (subjectName && subject.name.trim().toLowerCase() === subjectName.trim().toLowerCase()) sameSubject.add(id);
+    if (subject.classId?.toString() === classId) teachesClass.add(id);
+  });
+
+  return candidates
+    .map(teacher => {
+      const id = teacher._id.toString();
+      return {
+        teacher,
+        sameSubject: sameSubject.has(id),
+        teachesClass: teachesClass.has(id),
+        periodsThatDay: load.get(id) || 0
+      };
+    })
+    .sort((a, b) =>
+      (b.sameSubject - a.sameSubject) ||
+      (b.teachesClass - a.teachesClass) ||
+      (a.periodsThatDay - b.periodsThatDay)
+    );
+};
+
+/**
+ * Add the substitution (if any) for each period's occurrence in a date window. Over a window of
+ * up to a week each weekly period occurs once, so it carries at most one substitution.
+ * @param {Array} schedules - Schedule documents
+ * @param {Date} from - Local midnight
+ * @param {Number} [days=7]
+ * @returns {Promise<Array>} Plain schedule objects with `substitution` (null when the regular teacher takes it)
+ */
+const attachSubstitutions = async (schedules, from, days = 7) => {
+  const substitutions = schedules.length === 0 ? [] : await Substitution.find({
+    scheduleId: { $in: schedules.map(schedule => schedule._id) },
+    date: { $gte: from, $lt: addDays(from, days) },
+    status: 'assigned'
+  })
+    .select('scheduleId date substituteTeacherId reason notes')
+    .populate('substituteTeacherId', 'name email')
+    .lean();
+
+  const bySchedule = new Map(substitutions.map(substitution => [substitution.scheduleId.toString(), substitution]));
+
+  return schedules.map(schedule => {
+    const substitution = bySchedule.get(schedule._id.toString());
+    return {
+      ...(typeof schedule.toObject === 'function' ? schedule.toObject() : schedule),
+      substitution: substitution
+        ? {
+          _id: substitution._id,
+          date: substitution.date,
+          substituteTeacher: substitution.substituteTeacherId,
+          reason: substitution.reason,
+          notes: substitution.notes
+        }
+        : null
+    };
+  });
+};
+
+module.exports = {
+  DAY_NAMES,
+  toSubstitutionDay,
+  addDays,
+  getTeachersAway,
+  getUncoveredPeriods,
+  getSubstituteClash,
+  suggestSubstitutes,
+  attachSubstitutions
+};
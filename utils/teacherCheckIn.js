@@ -0,0 +1,115 @@
+const { getLocalDateTime, toMinutes } = require('./timezone');
+
+const DEFAULT_TEACHER_ATTENDANCE_SETTINGS = {
+  selfCheckInEnabled: true,
+  shiftStart: '09:00',
+  shiftEnd: '16:00',
+  graceMinutes: 10,
+  halfDayAfterMinutes: 120,
+  geofence: {
+    enabled: false,
+    latitude: null,
+    longitude: null,
+    radiusMeters: 200
+  }
+};
+
+const resolveTeacherAttendanceSettings = (school) => {
+  const settings = school?.settings?.teacherAttendance || {};
+  return {
+    ...DEFAULT_TEACHER_ATTENDANCE_SETTINGS,
+    ...settings,
+    geofence: { ...DEFAULT_TEACHER_ATTENDANCE_SETTINGS.geofence, ...(settings.geofence || {}) },
+    timezone: school?.settings?.timezone || 'UTC'
+  };
+};
+
+// Great-circle distance in metres (haversine)
+const getDistanceMeters = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Check the device coordinates against the school geofence
+ * @param {Object} settings - Resolved teacher attendance settings
+ * @param {Object} position - { latitude, longitude, accuracy } from the app
+ * @returns {Object} { allowed, error, location } - location is what gets stored on the record
+ */
+const checkGeofence = (settings, { latitude, longitude, accuracy } = {}) => {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  const hasPosition = latitude !== undefined && longitude !== undefined &&
+    !isNaN(lat) && !isNaN(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  const { geofence } = settings;
+  const geofenceActive = geofence.enabled && geofence.latitude !== null && geofence.longitude !== null;
+
+  if (!hasPosition) {
+    return geofenceActive
+      ? { allowed: false, error: 'Location is required to check in' }
+      : { allowed: true, location: undefined };
+  }
+
+  const location = {
+    latitude: lat,
+    longitude: lon,
+    accuracy: accuracy !== undefined ? Number(accuracy) || undefined : undefined
+  };
+  if (!geofenceActive) return { allowed: true, location };
+
+  location.distanceMeters = Math.round(getDistanceMeters(lat, lon, geofence.latitude, geofence.longitude));
+  if (location.distanceMeters > geofence.radiusMeters) {
+    return {
+      allowed: false,
+      location,
+      error: `You are ${location.distanceMeters} m from school; check-in is only allowed within ${geofence.radiusMeters} m`
+    };
+  }
+
+  return { allowed: true, location };
+};
+
+/**
+ * Status for a check-in at the given time: on time within the grace period, late after it,
+ * half day once the half-day cut-off has passed
+ * @returns {Object} { dateKey, status, lateByMinutes }
+ */
+const getCheckInStatus = (settings, now = new Date()) => {
+  const { date, time } = getLocalDateTime(now, settings.timezone);
+  const lateByMinutes = Math.max(toMinutes(time) - toMinutes(settings.shiftStart), 0);
+
+  let status = 'present';
+  if (lateByMinutes >= settings.halfDayAfterMinutes) {
+    status = 'half-day';
+  } else if (lateByMinutes > settings.graceMinutes) {
+    status = 'late';
+  }
+
+  return { dateKey: date, status, lateByMinutes };
+};
+
+// Leaving at least halfDayAfterMinutes before the shift ends turns the day into a half day
+const getCheckOutStatus = (settings, currentStatus, now = new Date()) => {
+  const { time } = getLocalDateTime(now, settings.timezone);
+  const earlyByMinutes = toMinutes(settings.shiftEnd) - toMinutes(time);
+  return earlyByMinutes >= settings.halfDayAfterMinutes ? 'half-day' : currentStatus;
+};
+
+// Attendance dates are stored at local midnight, matching the day-range queries used for teacher attendance
+const toAttendanceDate = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+module.exports = {
+  resolveTeacherAttendanceSettings,
+  getDistanceMeters,
+  checkGeofence,
+  getCheckInStatus,
+  getCheckOutStatus,
+  toAttendanceDate
+};
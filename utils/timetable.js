@@ -0,0 +1,441 @@
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const Subject = require('../models/Subject');
+const Class = require('../models/Class');
+const { toMinutes } = require('./timezone');
+const { transactionsUnsupported } = require('./transactions');
+
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Upper bounds on the backtracking search (steps and wall-clock time) before falling back to a
+// best-effort timetable; the search runs inside the request, so it must give up quickly
+const MAX_SEARCH_STEPS = 20000;
+const MAX_SEARCH_MS = 3000;
+
+const overlaps = (a, b) => toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(a.endTime) > toMinutes(b.startTime);
+
+const roomKey = (room) => (room || '').trim().toLowerCase();
+
+const className = (classDoc) => classDoc ? `${classDoc.name}${classDoc.section ? ` - ${classDoc.section}` : ''}` : 'a class';
+
+const describeSchedule = (schedule) => `${className(schedule.classId)} ${schedule.subjectId?.name || ''} ${schedule.startTime}-${schedule.endTime}`.replace(/\s+/g, ' ');
+
+// e.g. "Monday: R. Iyer is already teaching 7 - B Maths 09:00-09:45"
+const describeConflict = ({ types, schedule }) => {
+  const reasons = types.map(type => {
+    if (type === 'teacher') return `${schedule.teacherId?.name || 'the teacher'} is already teaching ${describeSchedule(schedule)}`;
+    if (type === 'class') return `${className(schedule.classId)} already has ${describeSchedule(schedule)}`;
+    return `room ${schedule.room} is already booked for ${describeSchedule(schedule)}`;
+  });
+  return `${schedule.dayOfWeek}: ${reasons.join('; ')}`;
+};
+
+const formatConflicts = (conflicts) => conflicts.map(conflict => ({
+  types: conflict.types,
+  message: describeConflict(conflict),
+  schedule: {
+    id: conflict.schedule._id,
+    teacher: conflict.schedule.teacherId,
+    class: conflict.schedule.classId,
+    subject: conflict.schedule.subjectId,
+    dayOfWeek: conflict.schedule.dayOfWeek,
+    startTime: conflict.schedule.startTime,
+    endTime: conflict.schedule.endTime,
+    room: conflict.schedule.room
+  }
+}));
+
+/**
+ * Every pair of active schedules that double-books a teacher, class or room
+ * @param {String} schoolId
+ * @param {String} [academicYear] - Every year when left out
+ * @returns {Promise<Array>} [{ types, message, schedules: [first, second] }]
+ */
+const findTimetableConflicts = async (schoolId, academicYear = null) => {
+  const schedules = await Schedule.find({ schoolId, ...(academicYear && { academicYear }), status: 'active' })
+    .populate('teacherId', 'name email')
+    .populate('classId', 'name section')
+    .populate('subjectId', 'name code')
+    .sort({ dayOfWeek: 1, startTime: 1 });
+
+  const byDay = new Map();
+  schedules.forEach(schedule => {
+    if (!byDay.has(schedule.dayOfWeek)) byDay.set(schedule.dayOfWeek, []);
+    byDay.get(schedule.dayOfWeek).push(schedule);
+  });
+
+  const conflicts = [];
+  byDay.forEach(daySchedules => {
+    for (let i = 0; i < daySchedules.length; i++) {
+      for (let j = i + 1; j < daySchedules.length; j++) {
+        const a = daySchedules[i];
+        const b = daySchedules[j];
+        if (!overlaps(a, b)) continue;
+        if (a.semester !== 'Annual' && b.semester !== 'Annual' && a.semester !== b.semester) continue;
+
+        const types = [];
+        if (a.teacherId && b.teacherId && a.teacherId._id.equals(b.teacherId._id)) types.push('teacher');
+        if (a.classId && b.classId && a.classId._id.equals(b.classId._id)) types.push('class');
+        if (roomKey(a.room) && roomKey(a.room) === roomKey(b.room)) types.push('room');
+        if (types.length === 0) continue;
+
+        conflicts.push({
+          types,
+          message: `${a.dayOfWeek}: ${describeSchedule(a)} overlaps ${describeSchedule(b)} (same ${types.join(', ')})`,
+          schedules: [a, b].map(schedule => ({
+            id: schedule._id,
+            teacher: schedule.teacherId,
+            class: schedule.classId,
+            subject: schedule.subjectId,
+            startTime: schedule.startTime,
+            endTime: schedule.endTime,
+            room: schedule.room
+          }))
+        });
+      }
+    }
+  });
+
+  return conflicts;
+};
+
+// Check the bell schedule: valid, non-overlapping periods in order
+const validatePeriods = (periods) => {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return 'Please provide the daily periods (startTime and endTime for each)';
+  }
+  for (const [index, period] of periods.entries()) {
+    if (!TIME_PATTERN.test(period.startTime || '') || !TIME_PATTERN.test(period.endTime || '')) {
+      return `Period ${index + 1} must have startTime and endTime in HH:MM format`;
+    }
+    if (toMinutes(period.endTime) <= toMinutes(period.startTime)) {
+      return `Period ${index + 1} must end after it starts`;
+    }
+    if (index > 0 && toMinutes(period.startTime) < toMinutes(periods[index - 1].endTime)) {
+      return `Period ${index + 1} overlaps period ${index}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Place lessons into a weekly grid without clashes. Pure function: all bookings are passed in.
+ * The subject with the fewest free slots is placed next; a subject is spread across the week
+ * (at most maxPerDay periods a day). Backtracks when stuck, and if no complete timetable is found
+ * within MAX_SEARCH_STEPS or timeLimit, returns the best greedy timetable and what couldn't be placed.
+ * @param {Object} input
+ * @param {Array} input.days - Day names
+ * @param {Array} input.periods - [{ startTime, endTime }]
+ * @param {Array} input.requirements - [{ key, classId, teacherId, room, periodsPerWeek, maxPerDay }]
+ * @param {Set} input.blocked - Slot keys already taken ("teacher|id|day|period", "class|...", "room|...")
+ * @param {Number} [input.timeLimit=MAX_SEARCH_MS] - Milliseconds the backtracking search may run
+ * @returns {Object} { placements: [{ requirement, day, period }], unplaced: [{ requirement, missing }], complete }
+ */
+const generateTimetable = ({ days, periods, requirements, blocked, timeLimit = MAX_SEARCH_MS }) => {
+  const slots = [];
+  days.forEach(day => periods.forEach((_, period) => slots.push({ index: slots.length, day, period })));
+
+  const dayCounts = new Map();
+  const resourcesFor = (requirement) => {
+    const resources = [`teacher|${requirement.teacherId}`, `class|${requirement.classId}`];
+    if (roomKey(requirement.room)) resources.push(`room|${roomKey(requirement.room)}`);
+    return resources;
+  };
+  const countKey = (requirement, day) => `${requirement.key}|${day}`;
+
+  // Free slots of each requirement, kept up to date as lessons are placed and taken back so a step
+  // doesn't rescan the whole week for every subject
+  const free = new Map(requirements.map(requirement => [requirement, new Set(slots.filter(slot =>
+    resourcesFor(requirement).every(resource => !blocked.has(`${resource}|${slot.day}|${slot.period}`))))]));
+
+  // Requirements sharing a teacher, class or room lose a slot when one of them takes it
+  const sharing = new Map();
+  requirements.forEach(requirement => resourcesFor(requirement).forEach(resource => {
+    if (!sharing.has(resource)) sharing.set(resource, []);
+    sharing.get(resource).push(requirement);
+  }));
+
+  // Returns the free slots it removed, for unplace to give back
+  const place = (requirement, slot) => {
+    const removed = [];
+    const take = (other, taken) => {
+      if (free.get(other).delete(taken)) removed.push([other, taken]);
+    };
+    resourcesFor(requirement).forEach(resource => sharing.get(resource).forEach(other => take(other, slot)));
+
+    const count = (dayCounts.get(countKey(requirement, slot.day)) || 0) + 1;
+    dayCounts.set(countKey(requirement, slot.day), count);
+    if (count >= requirement.maxPerDay) {
+      free.get(requirement).forEach(other => {
+        if (other.day === slot.day) take(requirement, other);
+      });
+    }
+    return removed;
+  };
+
+  const unplace = (requirement, slot, removed) => {
+    removed.forEach(([other, taken]) => free.get(other).add(taken));
+    dayCounts.set(countKey(requirement, slot.day), dayCounts.get(countKey(requirement, slot.day)) - 1);
+  };
+
+  // Spread a subject over the week: days with fewer of its periods first, then earlier periods
+  const candidates = (requirement) => [...free.get(requirement)]
+    .sort((a, b) => (dayCounts.get(countKey(requirement, a.day)) || 0) - (dayCounts.get(countKey(requirement, b.day)) || 0) ||
+      a.period - b.period || a.index - b.index);
+
+  const remaining = new Map(requirements.map(requirement => [requirement, requirement.periodsPerWeek]));
+  const placements = [];
+  let steps = 0;
+  let exhausted = false;
+  const deadline = Date.now() + timeLimit;
+
+  // Next subject to place: the one with the fewest free slots left per period still needed
+  const mostConstrained = () => {
+    let best = null;
+    remaining.forEach((count, requirement) => {
+      if (count === 0) return;
+      const score = free.get(requirement).size / count;
+      if (!best || score < best.score) best = { requirement, free: free.get(requirement).size, score };
+    });
+    return best;
+  };
+
+  // A teacher or class needing more periods than it has free slots can never fit
+  const overbooked = () => ['teacherId', 'classId'].some(field => {
+    const load = new Map();
+    requirements.forEach(requirement => {
+      load.set(requirement[field], (load.get(requirement[field]) || 0) + requirement.periodsPerWeek);
+    });
+    const prefix = field === 'teacherId' ? 'teacher' : 'class';
+    return [...load.entries()].some(([id, periodsNeeded]) =>
+      slots.filter(slot => !blocked.has(`${prefix}|${id}|${slot.day}|${slot.period}`)).length < periodsNeeded);
+  });
+
+  const search = () => {
+    const next = mostConstrained();
+    if (!next) return true;
+    if (next.free === 0) return false;
+    if (++steps > MAX_SEARCH_STEPS || Date.now() > deadline) exhausted = true;
+    if (exhausted) return false;
+
+    const { requirement } = next;
+    for (const slot of candidates(requirement)) {
+      const removed = place(requirement, slot);
+      remaining.set(requirement, remaining.get(requirement) - 1);
+      placements.push({ requirement, day: slot.day, period: slot.period });
+      if (search()) return true;
+      placements.pop();
+      remaining.set(requirement, remaining.get(requirement) + 1);
+      unplace(requirement, slot, removed);
+      if (exhausted) return false;
+    }
+    return false;
+  };
+
+  if (!overbooked() && search()) {
+    return { placements, unplaced: [], complete: true };
+  }
+
+  // No complete timetable (the search has undone its placements): place greedily and report the rest
+  const missing = new Map();
+  const lessons = [...requirements]
+    .sort((a, b) => b.periodsPerWeek - a.periodsPerWeek)
+    .flatMap(requirement => Array.from({ length: requirement.periodsPerWeek }, () => requirement));
+  lessons.forEach(requirement => {
+    const [slot] = candidates(requirement);
+    if (slot) {
+      place(requirement, slot);
+      placements.push({ requirement, day: slot.day, period: slot.period });
+    } else {
+      missing.set(requirement, (missing.get(requirement) || 0) + 1);
+    }
+  });
+
+  return {
+    placements,
+    unplaced: [...missing.entries()].map(([requirement, count]) => ({ requirement, missing: count })),
+    complete: missing.size === 0
+  };
+};
+
+/**
+ * Build a weekly timetable for a school from period requirements and teacher availability
+ * @param {String} schoolId
+ * @param {Object} options
+ * @param {Array} options.periods - Daily bell schedule [{ startTime, endTime }]
+ * @param {Array} options.requirements - [{ subjectId, periodsPerWeek, room, maxPerDay }]; the subject fixes class and teacher
+ * @param {Array} [options.days=Monday-Friday]
+ * @param {Array} [options.teacherAvailability] - Unavailable windows [{ teacherId, dayOfWeek, startTime, endTime }];
+ *   leave out the times to block the whole day
+ * @param {String} options.academicYear
+ * @param {String} [options.semester='Annual']
+ * @param {Boolean} [options.replaceExisting=false] - Ignore (and later replace) the current timetable of the classes involved
+ *   for this semester (every semester when generating the annual timetable)
+ * @returns {Promise<Object>} { error } or { entries, unplaced, complete, classIds, replaceQuery }
+ */
+const buildTimetable = async (schoolId, {
+  periods,
+  requirements,
+  days = WEEK_DAYS.slice(0, 5),
+  teacherAvailability = [],
+  academicYear,
+  semester = 'Annual',
+  replaceExisting = false
+}) => {
+  const periodError = validatePeriods(periods);
+  if (periodError) return { error: periodError };
+
+  if (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEK_DAYS.includes(day))) {
+    return { error: `Days must be a list of ${WEEK_DAYS.join(', ')}` };
+  }
+
+  if (!Array.isArray(requirements) || requirements.length === 0) {
+    return { error: 'Please provide the weekly period requirements (subjectId and periodsPerWeek)' };
+  }
+
+  const subjects = await Subject.find({
+    _id: { $in: requirements.map(requirement => requirement.subjectId) },
+    schoolId
+  }).select('name code teacherId classId');
+  const subjectMap = new Map(subjects.map(subject => [subject._id.toString(), subject]));
+
+  const classes = await Class.find({ _id: { $in: subjects.map(subject => subject.classId) }, schoolId }).select('name section room');
+  const classMap = new Map(classes.map(classDoc => [classDoc._id.toString(), classDoc]));
+
+  const prepared = [];
+  for (const [index, requirement] of requirements.entries()) {
+    const subject = subjectMap.get(String(requirement.subjectId));
+    const periodsPerWeek = parseInt(requirement.periodsPerWeek);
+
+    if (!subject) return { error: `Requirement ${index + 1}: subject not found` };
+    if (!subject.teacherId || !subject.classId || !classMap.has(subject.classId.toString())) {
+      return { error: `Requirement ${index + 1}: ${subject.name} needs a teacher and class assigned first` };
+    }
+    if (!periodsPerWeek || periodsPerWeek < 1) {
+      return { error: `Requirement ${index + 1}: periodsPerWeek must be at least 1` };
+    }
+    if (prepared.some(entry => entry.key === subject._id.toString())) {
+      return { error: `Requirement ${index + 1}: ${subject.name} is listed more than once` };
+    }
+
+    const classDoc = classMap.get(subject.classId.toString());
+    prepared.push({
+      key: subject._id.toString(),
+      subject,
+      classDoc,
+      subjectId: subject._id,
+      classId: subject.classId.toString(),
+      teacherId: subject.teacherId.toString(),
+      room: requirement.room !== undefined ? requirement.room : (classDoc.room || ''),
+      periodsPerWeek,
+      maxPerDay: parseInt(requirement.maxPerDay) || Math.ceil(periodsPerWeek / days.length)
+    });
+  }
+
+  // Schedules a replace deletes; everything else of the existing timetable (the annual periods of a
+  // semester's classes included) still takes its slots
+  const classIds = [...new Set(prepared.map(requirement => requirement.classId))];
+  const replaceQuery = replaceExisting ? { schoolId, academicYear, status: 'active', classId: { $in: classIds } } : null;
+  if (replaceQuery && semester !== 'Annual') replaceQuery.semester = semester;
+
+  // Slots taken by the existing timetable and by teacher unavailability
+  const existingQuery = { schoolId, academicYear, status: 'active', dayOfWeek: { $in: days } };
+  if (semester !== 'Annual') existingQuery.semester = { $in: [semester, 'Annual'] };
+  if (replaceQuery) existingQuery.$nor = [replaceQuery];
+  const existing = await Schedule.find(existingQuery).select('teacherId classId room dayOfWeek startTime endTime');
+
+  const blocked = new Set();
+  periods.forEach((period, index) => {
+    existing.forEach(schedule => {
+      if (!overlaps(schedule, period)) return;
+      blocked.add(`teacher|${schedule.teacherId}|${schedule.dayOfWeek}|${index}`);
+      blocked.add(`class|${schedule.classId}|${schedule.dayOfWeek}|${index}`);
+      if (roomKey(schedule.room)) blocked.add(`room|${roomKey(schedule.room)}|${schedule.dayOfWeek}|${index}`);
+    });
+    teacherAvailability.forEach(window => {
+      const wholeDay = !window.startTime || !window.endTime;
+      if (wholeDay || overlaps(window, period)) {
+        blocked.add(`teacher|${window.teacherId}|${window.dayOfWeek}|${index}`);
+      }
+    });
+  });
+
+  const { placements, unplaced, complete } = generateTimetable({ days, periods, requirements: prepared, blocked });
+
+  const dayOrder = (day) => WEEK_DAYS.indexOf(day);
+  return {
+    complete,
+    classIds,
+    replaceQuery,
+    entries: placements
+      .map(({ requirement, day, period }) => ({
+        classId: requirement.classId,
+        className: `${requirement.classDoc.name} - ${requirement.classDoc.section}`,
+        subjectId: requirement.subjectId,
+        subjectName: requirement.subject.name,
+        teacherId: requirement.teacherId,
+        dayOfWeek: day,
+        startTime: periods[period].startTime,
+        endTime: periods[period].endTime,
+        room: requirement.room
+      }))
+      .sort((a, b) => a.className.localeCompare(b.className) || dayOrder(a.dayOfWeek) - dayOrder(b.dayOfWeek) ||
+        toMinutes(a.startTime) - toMinutes(b.startTime)),
+    unplaced: unplaced.map(({ requirement, missing }) => ({
+      subjectId: requirement.subjectId,
+      subjectName: requirement.subject.name,
+      classId: requirement.classId,
+      className: `${requirement.classDoc.name} - ${requirement.classDoc.section}`,
+      teacherId: requirement.teacherId,
+      periodsPerWeek: requirement.periodsPerWeek,
+      missing
+    }))
+  };
+};
+
+/**
+ * Save a generated timetable, deleting the schedules it replaces (buildTimetable's replaceQuery) in the
+ * same transaction. Where transactions aren't available the replaced schedules are put back if saving fails.
+ * @param {Array} schedules - Schedule fields for each period
+ * @param {Object} [replaceQuery]
+ * @returns {Promise<Array>} The created schedules
+ */
+const saveTimetable = async (schedules, replaceQuery = null) => {
+  const docs = schedules.map(schedule => ({ _id: new mongoose.Types.ObjectId(), ...schedule }));
+
+  // create (not insertMany) so the save hook fills in each schedule's date
+  const session = await mongoose.startSession();
+  try {
+    let created;
+    await session.withTransaction(async () => {
+      if (replaceQuery) await Schedule.deleteMany(replaceQuery, { session });
+      created = await Schedule.create(docs, { session, ordered: true });
+    });
+    return created;
+  } catch (error) {
+    if (!transactionsUnsupported(error)) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const replaced = replaceQuery ? await Schedule.find(replaceQuery).lean() : [];
+  if (replaced.length > 0) {
+    await Schedule.deleteMany({ _id: { $in: replaced.map(schedule => schedule._id) } });
+  }
+  try {
+    return await Schedule.create(docs, { ordered: true });
+  } catch (error) {
+    await Schedule.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    if (replaced.length > 0) await Schedule.insertMany(replaced);
+    throw error;
+  }
+};
+
+module.exports = {
+  formatConflicts,
+  findTimetableConflicts,
+  generateTimetable,
+  buildTimetable,
+  saveTimetable
+};
@@ -0,0 +1,45 @@
+// Date and time helpers for school timezones (School.settings.timezone)
+
+// Date (YYYY-MM-DD) and time (HH:mm) in a timezone; falls back to UTC for unknown timezones
+const getLocalDateTime = (date, timezone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (error) {
+    return getLocalDateTime(date, 'UTC');
+  }
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    time: `${part('hour')}:${part('minute')}`
+  };
+};
+
+// Minutes since midnight for an H:mm or HH:mm string (times aren't always zero-padded, so compare these, not the strings)
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  getLocalDateTime,
+  toMinutes,
+  isValidTimezone
+};
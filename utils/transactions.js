@@ -0,0 +1,9 @@
+// Standalone MongoDB servers (local development) can't run transactions; callers fall back to
+// writing directly and undoing what they wrote if a later write fails
+const transactionsUnsupported = (error) => error && (
+  error.code === 20 || /Transaction numbers are only allowed/i.test(error.message || '')
+);
+
+module.exports = {
+  transactionsUnsupported
+};
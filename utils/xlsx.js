@@ -0,0 +1,171 @@
+// Minimal XLSX reader for spreadsheet imports.
+// Reads the cell values of the workbook's first sheet as text (shared strings, inline strings and
+// numbers), which is all an import needs; styles, formulas and dates are not interpreted.
+// An .xlsx file is a zip archive of XML parts, unpacked here with zlib so no extra package is needed.
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Largest a single unpacked part may get, so a small zip bomb can't fill memory
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+// Excel's column limit (XFD)
+const MAX_COLUMNS = 16384;
+
+// Map of entry name to a function that returns the entry's contents
+const readZipEntries = (buffer) => {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid .xlsx file');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_ENTRY_SIGNATURE) throw new Error('Not a valid .xlsx file');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) throw new Error('Not a valid .xlsx file');
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) {
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('The .xlsx file is too large to import');
+          throw new Error('Not a valid .xlsx file');
+        }
+      }
+      throw new Error('Unsupported compression in .xlsx file');
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// Text of every <t> run inside a fragment (rich text is split across several runs)
+const textRuns = (xml) => {
+  let text = '';
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(xml))) text += decodeXml(match[1]);
+  return text;
+};
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// "C12" -> 2 (zero-based column index)
+const columnIndex = (reference) => {
+  const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Path of the first worksheet, following workbook.xml and its relationships
+const firstSheetPath = (entries) => {
+  const read = (name) => (entries.has(name) ? entries.get(name)().toString('utf8') : null);
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+
+  const sheet = workbook && workbook.match(/<sheet\s[^>]*>/);
+  const relId = sheet && attribute(sheet[0], 'r:id');
+  if (rels && relId) {
+    const relationships = rels.match(/<Relationship\s[^>]*>/g) || [];
+    const target = relationships.map(tag => ({ id: attribute(tag, 'Id'), target: attribute(tag, 'Target') }))
+      .find(rel => rel.id === relId);
+    if (target) {
+      const path = target.target.startsWith('/') ? target.target.slice(1) : `xl/${target.target}`;
+      if (entries.has(path)) return path;
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+};
+
+// Rows of trimmed cell strings from the first sheet; blank rows are dropped
+const parseXlsx = (buffer) => {
+  const entries = readZipEntries(buffer);
+  const sheetPath = firstSheetPath(entries);
+  if (!entries.has(sheetPath)) throw new Error('The .xlsx file has no worksheet');
+
+  const sharedStrings = [];
+  if (entries.has('xl/sharedStrings.xml')) {
+    const xml = entries.get('xl/sharedStrings.xml')().toString('utf8');
+    const pattern = /<si>([\s\S]*?)<\/si>/g;
+    let match;
+    while ((match = pattern.exec(xml))) sharedStrings.push(textRuns(match[1]));
+  }
+
+  const sheet = entries.get(sheetPath)().toString('utf8');
+  const rows = [];
+  const rowPattern = /<row(?:\s[^>]*)?>([\s\S]*?)<\/row>/g;
+  let rowMatch;
+
+  while ((rowMatch = rowPattern.exec(sheet))) {
+    const row = [];
+    const cellPattern = /<c(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    let nextColumn = 0;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[1]))) {
+      const tag = cellMatch[1] || '';
+      const body = cellMatch[2] || '';
+      const reference = attribute(tag, 'r');
+      const column = reference ? columnIndex(reference) : nextColumn;
+      if (column >= MAX_COLUMNS) throw new Error('The sheet has more columns than Excel allows');
+      nextColumn = column + 1;
+
+      const type = attribute(tag, 't');
+      const value = body.match(/<v>([\s\S]*?)<\/v>/);
+      let text = '';
+      if (type === 'inlineStr') {
+        text = textRuns(body);
+      } else if (value && type === 's') {
+        text = sharedStrings[parseInt(value[1], 10)] || '';
+      } else if (value) {
+        text = decodeXml(value[1]);
+      }
+
+      while (row.length < column) row.push('');
+      row[column] = text.trim();
+    }
+
+    if (row.some(value => value !== '')) rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = {
+  parseXlsx
+};
@@ -0,0 +1,498 @@
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const FeeStructure = require('../models/FeeStructure');
+const Schedule = require('../models/Schedule');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const ReportCard = require('../models/ReportCard');
+const Attendance = require('../models/Attendance');
+const Exam = require('../models/Exam');
+const Assignment = require('../models/Assignment');
+const FeeCollection = require('../models/FeeCollection');
+const YearRollover = require('../models/YearRollover');
+
+const STUDENT_ACTIONS = ['promote', 'retain', 'graduate', 'skip'];
+const GRADUATE = 'graduate';
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+const classLabel = (cls) => [cls.name, cls.section].filter(Boolean).join(' - ');
+const classKey = (cls) => `${normalize(cls.name)}|${normalize(cls.section)}`;
+
+// "Class 5" -> { stem: 'class#', level: 5 }; names without a number have no level
+const parseClassLevel = (name) => {
+  const match = String(name || '').match(/^(.*?)(\d+)(\D*)$/);
+  if (!match) return null;
+  return { stem: `${normalize(match[1])}#${normalize(match[3])}`, level: Number(match[2]) };
+};
+
+// Class a class's students move up to: the next number in the same series, same section where possible.
+// When no higher class exists the class is the final year and its students graduate.
+const findNextClass = (cls, classes) => {
+  const level = parseClassLevel(cls.name);
+  if (!level) {
+    return { error: `Can't tell which class ${classLabel(cls)} moves up to; choose it in classMap` };
+  }
+
+  const higher = classes.filter(other => {
+    const otherLevel = parseClassLevel(other.name);
+    return otherLevel && otherLevel.stem === level.stem && otherLevel.level === level.level + 1;
+  });
+  if (higher.length === 0) return { next: GRADUATE };
+
+  const sameSection = higher.filter(other => normalize(other.section) === normalize(cls.section));
+  if (sameSection.length === 1) return { next: sameSection[0] };
+  if (higher.length === 1) return { next: higher[0] };
+  return { error: `${classLabel(cls)} could move up to ${higher.map(classLabel).join(', ')}; choose one in classMap` };
+};
+
+const copyFields = (doc, omit = []) => {
+  const copy = { ...doc };
+  ['_id', '__v', 'createdAt', 'updatedAt', ...omit].forEach(key => delete copy[key]);
+  return copy;
+};
+
+// Works out everything a rollover would do without changing anything.
+// classMap: { fromClassId: nextFromYearClassId | 'graduate' } overrides the worked-out class progression.
+// decisions: { studentId: 'promote' | 'retain' | 'graduate' | 'skip' } overrides the annual result.
+const planRollover = async (schoolId, { fromYear, toYear, classMap = {}, decisions = {} }) => {
+  const errors = [];
+  const warnings = [];
+
+  const [fromClasses, toClasses] = await Promise.all([
+    Class.find({ schoolId, academicYear: fromYear, status: 'active' }).lean(),
+    Class.find({ schoolId, academicYear: toYear }).lean()
+  ]);
+  if (fromClasses.length === 0) {
+    errors.push(`No active classes found for ${fromYear}`);
+  }
+
+  const fromById = new Map(fromClasses.map(cls => [cls._id.toString(), cls]));
+  const toByKey = new Map(toClasses.map(cls => [classKey(cls), cls]));
+
+  const classes = fromClasses
+    .sort((a, b) => classLabel(a).localeCompare(classLabel(b), undefined, { numeric: true }))
+    .map(cls => {
+      const id = cls._id.toString();
+      const existing = toByKey.get(classKey(cls));
+      let progression;
+
+      if (classMap[id] !== undefined) {
+        const target = String(classMap[id]);
+        if (target === GRADUATE) {
+          progression = { next: GRADUATE };
+        } else if (fromById.has(target)) {
+          progression = { next: fromById.get(target) };
+        } else {
+          progression = { error: `classMap for ${classLabel(cls)} must be a ${fromYear} class id or "graduate"` };
+        }
+      } else {
+        progression = findNextClass(cls, fromClasses);
+      }
+      if (progression.error) errors.push(progression.error);
+
+      return {
+        fromClassId: cls._id,
+        name: cls.name,
+        section: cls.section,
+        action: existing ? 'reuse' : 'create',
+        toClassId: existing ? existing._id : null,
+        finalYear: progression.next === GRADUATE,
+        nextFromClassId: progression.next && progression.next !== GRADUATE ? progression.next._id : null,
+        nextClass: progression.next && progression.next !== GRADUATE ? classLabel(progression.next) : null,
+        students: 0
+      };
+    });
+  const classPlans = new Map(classes.map(plan => [plan.fromClassId.toString(), plan]));
+
+  classes.filter(plan => plan.action === 'reuse').forEach(plan => {
+    warnings.push(`${classLabel(plan)} already exists in ${toYear}; it is reused and its subjects and timetable are not copied`);
+  });
+
+  // Students and the annual result each one's default decision comes from
+  const students = await Student.find({ schoolId, classId: { $in: fromClasses.map(cls => cls._id) }, status: 'active' })
+    .select('name rollNumber admissionNumber classId status academicYear')
+    .lean();
+  const cards = await ReportCard.find({
+    schoolId,
+    academicYear: fromYear,
+    term: 'Annual',
+    studentId: { $in: students.map(student => student._id) }
+  }).select('studentId promotionStatus status').lean();
+
+  const resultByStudent = new Map();
+  cards.forEach(card => {
+    const key = card.studentId.toString();
+    const current = resultByStudent.get(key);
+    if (!current || (current.status !== 'published' && card.status === 'published')) resultByStudent.set(key, card);
+  });
+
+  Object.keys(decisions).forEach(studentId => {
+    if (!STUDENT_ACTIONS.includes(decisions[studentId])) {
+      errors.push(`Decision for student ${studentId} must be one of: ${STUDENT_ACTIONS.join(', ')}`);
+    }
+  });
+
+  const studentPlans = students
+    .sort((a, b) => String(a.rollNumber || '').localeCompare(String(b.rollNumber || ''), undefined, { numeric: true }))
+    .map(student => {
+      const id = student._id.toString();
+      const classPlan = classPlans.get(student.classId.toString());
+      const card = resultByStudent.get(id);
+      classPlan.students += 1;
+
+      let action;
+      let reason;
+      let needsReview = false;
+      if (STUDENT_ACTIONS.includes(decisions[id])) {
+        action = decisions[id];
+        reason = 'Admin decision';
+      } else if (card && card.promotionStatus === 'promoted') {
+        action = 'promote';
+        reason = 'Promoted on annual result';
+      } else if (card && card.promotionStatus === 'detained') {
+        action = 'retain';
+        reason = 'Detained on annual result';
+      } else {
+        action = 'promote';
+        reason = 'No annual result; promoted by default';
+        needsReview = true;
+      }
+      if (action === 'promote' && classPlan.finalYear) {
+        action = 'graduate';
+        reason = `${reason} (final year)`;
+      }
+
+      return {
+        studentId: student._id,
+        name: student.name,
+        rollNumber: student.rollNumber || null,
+        admissionNumber: student.admissionNumber || null,
+        fromClassId: student.classId,
+        fromClass: classLabel(classPlan),
+        action,
+        reason,
+        needsReview,
+        toClass: action === 'promote' ? classPlan.nextClass : action === 'retain' ? classLabel(classPlan) : null
+      };
+    });
+
+  // Templates copied for the classes this rollover creates
+  const createdFromIds = classes.filter(plan => plan.action === 'create').map(plan => plan.fromClassId);
+  const [subjects, feeStructures, existingFees, schedules] = await Promise.all([
+    Subject.find({ schoolId, classId: { $in: createdFromIds }, status: 'active' }).lean(),
+    FeeStructure.find({ school: schoolId, academicYear: fromYear, status: 'active' }).lean(),
+    FeeStructure.find({ school: schoolId, academicYear: toYear }).select('name class').lean(),
+    Schedule.find({ schoolId, academicYear: fromYear, status: 'active', classId: { $in: createdFromIds } }).lean()
+  ]);
+
+  const existingFeeKeys = new Set(existingFees.map(fee => `${normalize(fee.name)}|${fee.class || ''}`));
+  const feePlans = feeStructures.map(fee => {
+    const classPlan = fee.class ? classPlans.get(fee.class.toString()) : null;
+    if (fee.class && !classPlan) {
+      warnings.push(`Fee structure "${fee.name}" is for a class outside ${fromYear} and is not copied`);
+      return { feeStructureId: fee._id, name: fee.name, action: 'skip' };
+    }
+    // A reused class keeps its id, so an existing copy can be spotted now; created classes are new
+    const exists = classPlan
+      ? classPlan.toClassId && existingFeeKeys.has(`${normalize(fee.name)}|${classPlan.toClassId}`)
+      : existingFeeKeys.has(`${normalize(fee.name)}|`);
+    return {
+      feeStructureId: fee._id,
+      name: fee.name,
+      class: classPlan ? classLabel(classPlan) : 'All classes',
+      totalAmount: fee.totalAmount,
+      action: exists ? 'exists' : 'copy'
+    };
+  });
+
+  const count = (list, action) => list.filter(item => item.action === action).length;
+  const summary = {
+    classesCreated: count(classes, 'create'),
+    classesReused: count(classes, 'reuse'),
+    subjects: subjects.length,
+    feeStructures: count(feePlans, 'copy'),
+    schedules: schedules.length,
+    promoted: count(studentPlans, 'promote'),
+    retained: count(studentPlans, 'retain'),
+    graduated: count(studentPlans, 'graduate'),
+    skipped: count(studentPlans, 'skip'),
+    needsReview: studentPlans.filter(plan => plan.needsReview).length
+  };
+
+  return {
+    preview: {
+      fromYear,
+      toYear,
+      classes,
+      students: studentPlans,
+      subjects: subjects.map(subject => ({
+        subjectId: subject._id,
+        name: subject.name,
+        code: subject.code,
+        class: classLabel(fromById.get(subject.classId.toString()))
+      })),
+      feeStructures: feePlans,
+      schedules: schedules.length,
+      summary,
+      errors,
+      warnings,
+      canExecute: errors.length === 0
+    },
+    sources: {
+      fromClasses: fromById,
+      studentYears: new Map(students.map(student => [student._id.toString(), student.academicYear])),
+      subjects,
+      feeStructures,
+      schedules
+    }
+  };
+};
+
+// Runs a planned rollover, recording each step on the YearRollover document as it goes
+const executeRollover = async (schoolId, plan, userId) => {
+  const { preview, sources } = plan;
+  const school = await School.findById(schoolId).select('settings');
+
+  const rollover = await YearRollover.create({
+    schoolId,
+    fromYear: preview.fromYear,
+    toYear: preview.toYear,
+    performedBy: userId,
+    previousSchoolYear: school?.settings?.academicYear || null
+  });
+
+  try {
+    // 1. Classes for the new year
+    const toClassIds = new Map();
+    for (const classPlan of preview.classes) {
+      const fromId = classPlan.fromClassId.toString();
+      let toClassId = classPlan.toClassId;
+      if (classPlan.action === 'create') {
+        const source = sources.fromClasses.get(fromId);
+        const created = await Class.create({
+          ...copyFields(source, ['subjects', 'status']),
+          academicYear: preview.toYear,
+          status: 'active',
+          createdBy: userId
+        });
+        toClassId = created._id;
+        rollover.created.classes.push(toClassId);
+      }
+      toClassIds.set(fromId, toClassId);
+    }
+    rollover.classes = preview.classes.map(classPlan => ({
+      fromClassId: classPlan.fromClassId,
+      toClassId: toClassIds.get(classPlan.fromClassId.toString()),
+      nextClassId: classPlan.nextFromClassId ? toClassIds.get(classPlan.nextFromClassId.toString()) : null,
+      name: classPlan.name,
+      section: classPlan.section,
+      action: classPlan.action === 'create' ? 'created' : 'reused',
+      previousStatus: sources.fromClasses.get(classPlan.fromClassId.toString()).status
+    }));
+    rollover.summary.classesCreated = preview.summary.classesCreated;
+    rollover.summary.classesReused = preview.summary.classesReused;
+    await rollover.save();
+
+    // 2. Subjects of the new classes, then each class's subject list
+    const toSubjectIds = new Map();
+    for (const subject of sources.subjects) {
+      const created = await Subject.create({
+        ...copyFields(subject),
+        classId: toClassIds.get(subject.classId.toString()),
+        createdBy: userId
+      });
+      toSubjectIds.set(subject._id.toString(), created._id);
+      rollover.created.subjects.push(created._id);
+    }
+    for (const classPlan of preview.classes.filter(entry => entry.action === 'create')) {
+      const source = sources.fromClasses.get(classPlan.fromClassId.toString());
+      const subjectIds = (source.subjects || []).map(id => toSubjectIds.get(id.toString()) || id);
+      await Class.updateOne({ _id: toClassIds.get(classPlan.fromClassId.toString()) }, { subjects: subjectIds });
+    }
+    rollover.summary.subjects = rollover.created.subjects.length;
+    await rollover.save();
+
+    // 3. Fee structures
+    const copyFees = new Set(preview.feeStructures.filter(fee => fee.action === 'copy').map(fee => fee.feeStructureId.toString()));
+    for (const fee of sources.feeStructures.filter(entry => copyFees.has(entry._id.toString()))) {
+      const created = await FeeStructure.create({
+        ...copyFields(fee),
+        class: fee.class ? toClassIds.get(fee.class.toString()) : null,
+        components: (fee.components || []).map(component => copyFields(component)),
+        academicYear: preview.toYear,
+        createdBy: userId
+      });
+      rollover.created.feeStructures.push(created._id);
+    }
+    rollover.summary.feeStructures = rollover.created.feeStructures.length;
+    await rollover.save();
+
+    // 4. Timetables of the new classes
+    for (const schedule of sources.schedules) {
+      const created = await Schedule.create({
+        ...copyFields(schedule, ['date', 'updatedBy']),
+        classId: toClassIds.get(schedule.classId.toString()),
+        subjectId: toSubjectIds.get(schedule.subjectId.toString()) || schedule.subjectId,
+        academicYear: preview.toYear,
+        createdBy: userId
+      });
+      rollover.created.schedules.push(created._id);
+    }
+    rollover.summary.schedules = rollover.created.schedules.length;
+    await rollover.save();
+
+    // 5. Students
+    const nextByClass = new Map(rollover.classes.map(entry => [entry.fromClassId.toString(), entry]));
+    const operations = [];
+    for (const studentPlan of preview.students) {
+      if (studentPlan.action === 'skip') {
+        rollover.summary.skipped += 1;
+        continue;
+      }
+
+      const classEntry = nextByClass.get(studentPlan.fromClassId.toString());
+      const toClassId = studentPlan.action === 'promote' ? classEntry.nextClassId
+        : studentPlan.action === 'retain' ? classEntry.toClassId
+          : null;
+      const update = studentPlan.action === 'graduate'
+        ? { status: 'graduated' }
+        : { classId: toClassId, academicYear: preview.toYear };
+
+      operations.push({ updateOne: { filter: { _id: studentPlan.studentId }, update: { $set: update } } });
+      rollover.students.push({
+        studentId: studentPlan.studentId,
+        name: studentPlan.name,
+        action: studentPlan.action,
+        reason: studentPlan.reason,
+        fromClassId: studentPlan.fromClassId,
+        toClassId,
+        fromStatus: 'active',
+        toStatus: studentPlan.action === 'graduate' ? 'graduated' : 'active',
+        fromAcademicYear: sources.studentYears.get(studentPlan.studentId.toString()) || preview.fromYear
+      });
+      rollover.summary[{ promote: 'promoted', retain: 'retained', graduate: 'graduated' }[studentPlan.action]] += 1;
+    }
+    // Recorded before the students are touched so a failure part way can still be undone
+    await rollover.save();
+    if (operations.length > 0) await Student.bulkWrite(operations);
+
+    // 6. Close the old classes and move the school onto the new year
+    await Class.updateMany({ _id: { $in: preview.classes.map(entry => entry.fromClassId) } }, { status: 'completed' });
+    if (school) await School.updateOne({ _id: schoolId }, { 'settings.academicYear': preview.toYear });
+
+    rollover.status = 'completed';
+    rollover.completedAt = new Date();
+    await rollover.save();
+    return rollover;
+  } catch (error) {
+    rollover.status = 'failed';
+    rollover.error = error.message;
+    await rollover.save();
+    error.rollover = rollover;
+    throw error;
+  }
+};
+
+// Reasons a rollover can't be undone: a later rollover, or new-year records hanging off what it created
+const getUndoBlockers = async (rollover) => {
+  const blockers = [];
+
+  const later = await YearRollover.findOne({
+    schoolId: rollover.schoolId,
+    _id: { $ne: rollover._id },
+    createdAt: { $gt: rollover.createdAt },
+    status: { $ne: 'undone' }
+  }).select('fromYear toYear');
+  if (later) blockers.push(`Undo the later ${later.fromYear} → ${later.toYear} rollover first`);
+
+  const classIds = rollover.created.classes;
+  if (classIds.length > 0) {
+    const movedIds = rollover.students.map(entry => entry.studentId);
+    const [attendance, exams, assignments, newStudents] = await Promise.all([
+      Attendance.countDocuments({ classId: { $in: classIds } }),
+      Exam.countDocuments({ classId: { $in: classIds } }),
+      Assignment.countDocuments({ classId: { $in: classIds } }),
+      Student.countDocuments({ classId: { $in: classIds }, _id: { $nin: movedIds } })
+    ]);
+    if (attendance) blockers.push(`${attendance} attendance record(s) have been taken in the new classes`);
+    if (exams) blockers.push(`${exams} exam(s) have been set for the new classes`);
+    if (assignments) blockers.push(`${assignments} assignment(s) have been given to the new classes`);
+    if (newStudents) blockers.push(`${newStudents} student(s) not moved by the rollover are now in the new classes`);
+  }
+
+  if (rollover.created.feeStructures.length > 0) {
+    const collections = await FeeCollection.countDocuments({ feeStructure: { $in: rollover.created.feeStructures } });
+    if (collections) blockers.push(`${collections} fee collection(s) use the copied fee structures`);
+  }
+
+  return blockers;
+};
+
+// Puts everything a rollover changed back. Students changed again since are left alone and listed.
+const undoRollover = async (rollover, userId) => {
+  const students = await Student.find({ _id: { $in: rollover.students.map(entry => entry.studentId) } })
+    .select('classId status')
+    .lean();
+  const currentById = new Map(students.map(student => [student._id.toString(), student]));
+
+  const operations = [];
+  const skipped = [];
+  rollover.students.forEach(entry => {
+    const current = currentById.get(entry.studentId.toString());
+    // A rollover that failed part way may not have reached every student
+    const untouched = current &&
+      current.status === entry.fromStatus &&
+      String(current.classId || '') === String(entry.fromClassId);
+    if (untouched) return;
+
+    const unchanged = current &&
+      current.status === entry.toStatus &&
+      String(current.classId || '') === String(entry.action === 'graduate' ? entry.fromClassId : entry.toClassId || '');
+
+    if (!unchanged) {
+      skipped.push({
+        studentId: entry.studentId,
+        name: entry.name,
+        reason: current ? 'Class or status changed after the rollover' : 'Student no longer exists'
+      });
+      return;
+    }
+    operations.push({
+      updateOne: {
+        filter: { _id: entry.studentId },
+        update: { $set: { classId: entry.fromClassId, status: entry.fromStatus, academicYear: entry.fromAcademicYear } }
+      }
+    });
+  });
+  if (operations.length > 0) await Student.bulkWrite(operations);
+
+  await Schedule.deleteMany({ _id: { $in: rollover.created.schedules } });
+  await FeeStructure.deleteMany({ _id: { $in: rollover.created.feeStructures } });
+  await Subject.deleteMany({ _id: { $in: rollover.created.subjects } });
+  await Class.deleteMany({ _id: { $in: rollover.created.classes } });
+
+  for (const entry of rollover.classes) {
+    await Class.updateOne({ _id: entry.fromClassId, status: 'completed' }, { status: entry.previousStatus || 'active' });
+  }
+
+  await School.updateOne(
+    { _id: rollover.schoolId, 'settings.academicYear': rollover.toYear },
+    { 'settings.academicYear': rollover.previousSchoolYear || rollover.fromYear }
+  );
+
+  rollover.status = 'undone';
+  rollover.undoneBy = userId;
+  rollover.undoneAt = new Date();
+  rollover.undoSkipped = skipped;
+  await rollover.save();
+  return rollover;
+};
+
+module.exports = {
+  STUDENT_ACTIONS,
+  parseClassLevel,
+  planRollover,
+  executeRollover,
+  getUndoBlockers,
+  undoRollover
+};